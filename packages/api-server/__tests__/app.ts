@@ -141,6 +141,22 @@ describe('socket.io', () => {
         });
   });
 
+  test('should push the current result after subscribe', async () => {
+    await expect(getTestApp().ioEmit('subscribe', {
+      qid: 'live',
+      query: 'events-total',
+    }, '/q/events-total?qid=live'))
+        .resolves
+        .toMatchObject({
+          qid: 'live',
+          payload: {
+            data: [
+              expect.any(Object)
+            ],
+          },
+        });
+  });
+
   for (const transport of ['websocket']) {
     describe(transport, () => {
       test('should follow cors rules', async () => {
@@ -0,0 +1,91 @@
+import {mkdirSync, mkdtempSync, rmSync, writeFileSync} from "fs";
+import {tmpdir} from "os";
+import {join} from "path";
+import {
+  createQuerySchemaValidator,
+  findQueryNames,
+  lintQuery,
+  loadPrefetchQueueNames,
+  QueryLintOptions
+} from "../../src/cmd/lint-queries";
+
+let queriesPath: string;
+let options: QueryLintOptions;
+
+function writeQuery(queryName: string, config: any, templateSQL: string) {
+  const queryDir = join(queriesPath, queryName);
+  mkdirSync(queryDir, { recursive: true });
+  writeFileSync(join(queryDir, 'params.json'), JSON.stringify(config));
+  writeFileSync(join(queryDir, 'template.sql'), templateSQL);
+}
+
+async function lintMessages(queryName: string): Promise<string[]> {
+  const issues = await lintQuery(queriesPath, queryName, options);
+  return issues.map((issue) => issue.message);
+}
+
+beforeAll(() => {
+  queriesPath = mkdtempSync(join(tmpdir(), 'lint-queries-'));
+  options = {
+    validate: createQuerySchemaValidator(),
+    queueNames: ['MAIN', 'CONCURRENT'],
+  };
+});
+
+afterAll(() => {
+  rmSync(queriesPath, { recursive: true, force: true });
+});
+
+test('load the queue names from prefetch', () => {
+  expect(loadPrefetchQueueNames()).toContain('MAIN');
+});
+
+test('valid queries should pass', async () => {
+  writeQuery('legacy-query', {
+    cacheHours: 1,
+    refreshQueue: 'CONCURRENT',
+    params: [{ name: 'repoId', replaces: '41986369', pattern: '^[1-9]\\d*$' }]
+  }, 'SELECT * FROM github_events WHERE repo_id = 41986369');
+  writeQuery('nested/liquid-query', {
+    cacheHours: 1,
+    engine: 'liquid',
+    params: [
+      { name: 'repoIds', type: 'array', itemType: 'integer', default: [] },
+      { name: 'excludeBots', type: 'boolean', default: true },
+    ]
+  }, 'SELECT * FROM github_events WHERE 1 = 1 {% if excludeBots %} AND actor_login NOT LIKE \'%bot%\' {% endif %} {% if repoIds.size > 0 %} AND repo_id IN ({{ repoIds | join: \',\' }}) {% endif %}');
+
+  expect(findQueryNames(queriesPath)).toEqual(['legacy-query', 'nested/liquid-query']);
+  expect(await lintMessages('legacy-query')).toEqual([]);
+  expect(await lintMessages('nested/liquid-query')).toEqual([]);
+});
+
+test('invalid config should be reported', async () => {
+  writeQuery('invalid-config', {
+    params: []
+  }, 'SELECT 1');
+  expect(await lintMessages('invalid-config')).toEqual([
+    "Invalid params.json: / must have required property 'cacheHours'"
+  ]);
+});
+
+test('unused params, undeclared variables and dead queues should be reported', async () => {
+  writeQuery('legacy-unused', {
+    cacheHours: 1,
+    refreshQueue: 'DEAD',
+    params: [{ name: 'repoId', replaces: '41986369' }]
+  }, 'SELECT 1');
+  expect(await lintMessages('legacy-unused')).toEqual([
+    'The refreshQueue <DEAD> is not registered in prefetch (registered: MAIN, CONCURRENT).',
+    'The replaces string "41986369" of param <repoId> is not used in template.sql.',
+  ]);
+
+  writeQuery('liquid-undeclared', {
+    cacheHours: 1,
+    engine: 'liquid',
+    params: [{ name: 'repoId', type: 'integer', default: 1 }]
+  }, 'SELECT * FROM github_repos WHERE owner_id = {{ ownerId }}');
+  const messages = await lintMessages('liquid-undeclared');
+  expect(messages[0]).toBe('The param <repoId> is declared but not used in template.sql.');
+  expect(messages[1]).toMatch(/Failed to render template.sql: undefined variable: ownerId/);
+});
@@ -0,0 +1,91 @@
+import Cache from "../../../src/core/cache/Cache";
+import {CacheLease, CacheLock, CacheLockWaitTimeoutError} from "../../../src/core/cache/lock/CacheLock";
+import MemoryCacheProvider from "../../../src/core/cache/provider/MemoryCacheProvider";
+import {DateTime} from "luxon";
+import {testLogger} from "../../helpers/log";
+
+// Simulate the lease is held by another process until `onWait` is called.
+class FakeCacheLock implements CacheLock {
+  readonly waitTimeout = 1000;
+  held = false;
+  readonly release = jest.fn(async () => {});
+
+  constructor(private readonly onWait: () => Promise<void> = async () => {}) {}
+
+  async acquire(key: string): Promise<CacheLease | null> {
+    if (this.held) {
+      return null;
+    }
+    return { release: this.release };
+  }
+
+  async waitForRelease(key: string, deadline: number): Promise<void> {
+    await this.onWait();
+    this.held = false;
+  }
+}
+
+const loadFunc = () => jest.fn(async () => {
+  return {
+    data: 'foo',
+    finishedAt: DateTime.now()
+  }
+});
+
+test('the query should be executed when the lease is acquired', async () => {
+  const provider = new MemoryCacheProvider();
+  const lock = new FakeCacheLock();
+  const fallback = loadFunc();
+
+  const cache = new Cache(testLogger, provider, 'lock-test', 1, false, false, 0, lock);
+  const data = await cache.load(fallback);
+  expect(data.refresh).toEqual(true);
+  expect(fallback).toBeCalledTimes(1);
+  expect(lock.release).toBeCalledTimes(1);
+  expect(await provider.get('lock-test')).toMatchObject({ data: 'foo' });
+});
+
+test('the result should be shared from the lease holder', async () => {
+  const provider = new MemoryCacheProvider();
+  const lock = new FakeCacheLock(async () => {
+    // Another process finished the query and saved the result to cache.
+    await provider.set('lock-test', JSON.stringify({
+      data: 'bar',
+      finishedAt: DateTime.now(),
+      expiresAt: DateTime.now().plus({ hours: 1 })
+    }), { EX: 3600 });
+  });
+  lock.held = true;
+  const fallback = loadFunc();
+
+  const cache = new Cache(testLogger, provider, 'lock-test', 1, false, false, 0, lock);
+  const data = await cache.load(fallback);
+  expect(data.refresh).toBeUndefined();
+  expect(data.data).toBe('bar');
+  expect(fallback).not.toBeCalled();
+});
+
+test('the query should be executed again if the lease holder failed', async () => {
+  const provider = new MemoryCacheProvider();
+  const lock = new FakeCacheLock();
+  lock.held = true;
+  const fallback = loadFunc();
+
+  const cache = new Cache(testLogger, provider, 'lock-test', 1, false, false, 0, lock);
+  const data = await cache.load(fallback);
+  expect(data.refresh).toEqual(true);
+  expect(fallback).toBeCalledTimes(1);
+});
+
+test('waiting for the lease holder should time out', async () => {
+  const provider = new MemoryCacheProvider();
+  const lock = new FakeCacheLock(async () => {
+    throw new CacheLockWaitTimeoutError('lock-test', 1000);
+  });
+  lock.held = true;
+  const fallback = loadFunc();
+
+  const cache = new Cache(testLogger, provider, 'lock-test', 1, false, false, 0, lock);
+  await expect(cache.load(fallback)).rejects.toBeInstanceOf(CacheLockWaitTimeoutError);
+  expect(fallback).not.toBeCalled();
+});
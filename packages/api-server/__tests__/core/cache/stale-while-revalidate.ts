@@ -0,0 +1,113 @@
+import Cache from "../../../src/core/cache/Cache";
+import {CacheGetOption, CacheOption, CacheProvider} from "../../../src/core/cache/provider/CacheProvider";
+import {DateTime} from "luxon";
+import {testLogger} from "../../helpers/log";
+import {pause, sleep} from "../../helpers/promises";
+
+class MemoryCacheProvider implements CacheProvider {
+  readonly items = new Map<string, any>();
+
+  async set(key: string, value: any, options?: CacheOption) {
+    this.items.set(key, JSON.parse(value));
+  }
+
+  async get(key: string, options?: CacheGetOption) {
+    const item = this.items.get(key);
+    if (!item) {
+      return null;
+    }
+    const staleUntil = DateTime.fromISO(item.expiresAt).plus({ seconds: options?.STALE || 0 });
+    return staleUntil >= DateTime.now() ? item : null;
+  }
+
+  async delete(key: string) {
+    this.items.delete(key);
+  }
+}
+
+function expiredItem (data: string, expiredSeconds: number) {
+  return {
+    data,
+    finishedAt: DateTime.now().minus({ hours: 1 }).toISO(),
+    expiresAt: DateTime.now().minus({ seconds: expiredSeconds }).toISO(),
+  };
+}
+
+test('stale cache should be returned and refreshed in background', async () => {
+  const provider = new MemoryCacheProvider();
+  provider.items.set('swr-test', expiredItem('old', 60));
+
+  const paused = pause();
+  const loadFunc = jest.fn(async () => {
+    await paused;
+    return {
+      data: 'new',
+      finishedAt: DateTime.now()
+    }
+  });
+
+  const cache = new Cache(testLogger, provider, 'swr-test', 1, false, false, 1);
+  const staleData = await cache.load(loadFunc);
+  expect(staleData.stale).toEqual(true);
+  expect(staleData.data).toBe('old');
+
+  // The second request should not trigger another background refresh.
+  const staleData2 = await cache.load(loadFunc);
+  expect(staleData2.stale).toEqual(true);
+
+  paused.resume();
+  await sleep(10);
+  expect(loadFunc).toBeCalledTimes(1);
+
+  const freshData = await cache.load(loadFunc);
+  expect(freshData.stale).toBeUndefined();
+  expect(freshData.data).toBe('new');
+});
+
+test('cache expired beyond the stale window should be fetched synchronously', async () => {
+  const provider = new MemoryCacheProvider();
+  provider.items.set('swr-test', expiredItem('old', 7200));
+
+  const cache = new Cache(testLogger, provider, 'swr-test', 1, false, false, 1);
+  const data = await cache.load(async () => {
+    return {
+      data: 'new',
+      finishedAt: DateTime.now()
+    }
+  });
+  expect(data.refresh).toEqual(true);
+  expect(data.data).toBe('new');
+});
+
+test('stale cache should not be used without stale-while-revalidate', async () => {
+  const provider = new MemoryCacheProvider();
+  provider.items.set('swr-test', expiredItem('old', 60));
+
+  const cache = new Cache(testLogger, provider, 'swr-test', 1);
+  const data = await cache.load(async () => {
+    return {
+      data: 'new',
+      finishedAt: DateTime.now()
+    }
+  });
+  expect(data.refresh).toEqual(true);
+  expect(data.data).toBe('new');
+});
+
+test('refresh listener should be notified after the refreshed data is saved', async () => {
+  const provider = new MemoryCacheProvider();
+  provider.items.set('swr-test', expiredItem('old', 60));
+
+  const onRefreshed = jest.fn(() => {
+    expect(provider.items.get('swr-test').data).toBe('new');
+  });
+  const cache = new Cache(testLogger, provider, 'swr-test', 1, false, false, 1, undefined, onRefreshed);
+  await cache.load(async () => {
+    return {
+      data: 'new',
+      finishedAt: DateTime.now()
+    }
+  });
+  await sleep(10);
+  expect(onRefreshed).toBeCalledTimes(1);
+});
@@ -0,0 +1,90 @@
+import {DateTime} from "luxon";
+import MemoryCacheProvider from "../../../src/core/cache/provider/MemoryCacheProvider";
+import TieredCacheProvider from "../../../src/core/cache/provider/TieredCacheProvider";
+import {CacheProvider} from "../../../src/core/cache/provider/CacheProvider";
+import {testLogger} from "../../helpers/log";
+import {nextTick} from "../../helpers/promises";
+
+function cachedValue (data: string, expiresInSeconds: number) {
+  return JSON.stringify({
+    data,
+    finishedAt: DateTime.now().toISO(),
+    expiresAt: DateTime.now().plus({ seconds: expiresInSeconds }).toISO(),
+  });
+}
+
+test('memory cache provider should not return expired item', async () => {
+  const provider = new MemoryCacheProvider();
+  await provider.set('expired', cachedValue('foo', -10), { EX: 3600 });
+  await provider.set('available', cachedValue('bar', 10), { EX: 3600 });
+
+  expect(await provider.get('expired')).toBeNull();
+  expect(await provider.get('expired', { STALE: 60 })).toMatchObject({ data: 'foo' });
+  expect(await provider.get('available')).toMatchObject({ data: 'bar' });
+});
+
+test('tiered cache provider should write through each tier', async () => {
+  const upper = new MemoryCacheProvider();
+  const lower = new MemoryCacheProvider();
+  const provider = new TieredCacheProvider(testLogger, [upper, lower]);
+
+  await provider.set('key', cachedValue('foo', 3600), { EX: 3600 });
+  expect(await upper.get('key')).toMatchObject({ data: 'foo' });
+  expect(await lower.get('key')).toMatchObject({ data: 'foo' });
+});
+
+test('tiered cache provider should write back to upper tiers', async () => {
+  const upper = new MemoryCacheProvider();
+  const lower = new MemoryCacheProvider();
+  const provider = new TieredCacheProvider(testLogger, [upper, lower]);
+
+  await lower.set('key', cachedValue('foo', 3600), { EX: 3600 });
+  expect(await upper.get('key')).toBeNull();
+  expect(await provider.get('key')).toMatchObject({ data: 'foo' });
+
+  await nextTick();
+  expect(await upper.get('key')).toMatchObject({ data: 'foo' });
+});
+
+test('tiered cache provider should fallback to lower tier when upper tier failed', async () => {
+  const broken: CacheProvider = {
+    set: jest.fn(async () => {}),
+    get: jest.fn(async () => {
+      throw new Error('broken');
+    }),
+    delete: jest.fn(async () => {}),
+  };
+  const lower = new MemoryCacheProvider();
+  const provider = new TieredCacheProvider(testLogger, [broken, lower]);
+
+  await lower.set('key', cachedValue('foo', 3600), { EX: 3600 });
+  expect(await provider.get('key')).toMatchObject({ data: 'foo' });
+  expect(broken.get).toBeCalled();
+});
+
+test('tiered cache provider should cap the ttl of upper tiers', async () => {
+  const upper: CacheProvider = {
+    set: jest.fn(async () => {}),
+    get: jest.fn(async () => null),
+    delete: jest.fn(async () => {}),
+  };
+  const lower = new MemoryCacheProvider();
+  const lowerSet = jest.spyOn(lower, 'set');
+  const provider = new TieredCacheProvider(testLogger, [upper, lower], 60);
+
+  // The cache item without expiry.
+  const value = JSON.stringify({ data: 'foo', finishedAt: DateTime.now().toISO(), expiresAt: null });
+  await provider.set('key', value, { EX: -1 });
+  expect(upper.set).toBeCalledWith('key', value, { EX: 60 });
+  expect(lowerSet).toBeCalledWith('key', value, { EX: -1 });
+
+  await provider.get('key');
+  await nextTick();
+  expect(upper.set).toHaveBeenLastCalledWith('key', expect.any(String), { EX: 60 });
+
+  // The cache item expires later than the cap.
+  await lower.set('later', cachedValue('bar', 3600), { EX: 3600 });
+  await provider.get('later');
+  await nextTick();
+  expect(upper.set).toHaveBeenLastCalledWith('later', expect.any(String), { EX: 60 });
+});
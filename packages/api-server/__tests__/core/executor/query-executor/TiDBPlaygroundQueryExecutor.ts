@@ -1,5 +1,6 @@
 
 import {TiDBPlaygroundQueryExecutor} from "../../../../src";
+import {PLAYGROUND_SQL_QUERY_KEY} from "../../../../src/core/executor/query-executor/TiDBPlaygroundQueryExecutor";
 import {createTiDBPool} from "../../../../src/utils/db";
 import {bootstrapTestDatabase, getTestDatabase, releaseTestDatabase} from '../../../helpers/db';
 import {testLogger} from "../../../helpers/log";
@@ -19,3 +20,42 @@ describe('connection limits', () => {
     await tidbPool.end();
   });
 });
+
+describe('estimated cost gate', () => {
+  test('should reject the query exceeds the estimated rows limit', async () => {
+    const tidbPool = createTiDBPool(getTestDatabase().url());
+    const executor = new TiDBPlaygroundQueryExecutor(tidbPool, null, testLogger, [], 1);
+
+    await expect(executor.execute<any>(PLAYGROUND_SQL_QUERY_KEY, 'SELECT * FROM github_repos;')).rejects.toThrow(/exceeds the limit of 1 rows/);
+    await expect(executor.execute<any>(PLAYGROUND_SQL_QUERY_KEY, '/* comment */ SELECT * FROM github_repos;')).rejects.toThrow(/exceeds the limit of 1 rows/);
+    await expect(executor.execute<any>(PLAYGROUND_SQL_QUERY_KEY, 'SHOW TABLES;')).resolves.toBeDefined();
+    await tidbPool.end();
+  });
+
+  test('should only check the playground SQL', async () => {
+    const tidbPool = createTiDBPool(getTestDatabase().url());
+    const executor = new TiDBPlaygroundQueryExecutor(tidbPool, null, testLogger, [], 1);
+
+    await expect(executor.execute<any>('explorer-sql-1', '/* questionId: 1 */ SELECT * FROM github_repos;')).resolves.toBeDefined();
+    await tidbPool.end();
+  });
+});
+
+describe('max execution time', () => {
+  test('should limit the execution time of statement on TiDB side', async () => {
+    const tidbPool = createTiDBPool(getTestDatabase().url());
+    const executor = new TiDBPlaygroundQueryExecutor(tidbPool, null, testLogger);
+    const conn = await tidbPool.getConnection();
+
+    const sql = 'SELECT @@SESSION.max_execution_time AS maxExecutionTime;';
+    const [limited] = await executor.executeWithConn<any>(conn, '', { sql, timeout: 5000 });
+    expect(Number(limited[0].maxExecutionTime)).toBe(5000);
+
+    // The max execution time of session is restored after execution.
+    const [restored] = await executor.executeWithConn<any>(conn, '', sql);
+    expect(Number(restored[0].maxExecutionTime)).toBe(0);
+
+    conn.release();
+    await tidbPool.end();
+  });
+});
@@ -0,0 +1,86 @@
+import {SqlParser} from "../../../src/core/playground/playground";
+import {DEFAULT_PLAYGROUND_SANDBOX_POLICY, PlaygroundSandboxPolicy} from "../../../src/core/playground/sandbox";
+
+function sqlify(sql: string, policy: Partial<PlaygroundSandboxPolicy> = {}) {
+  return new SqlParser('repo', '41986369', sql, { ...DEFAULT_PLAYGROUND_SANDBOX_POLICY, ...policy }).sqlify();
+}
+
+test('select statement should be limited', () => {
+  expect(sqlify('SELECT * FROM github_events WHERE repo_id = 41986369')).toMatch(/LIMIT 100$/);
+  expect(sqlify('SELECT * FROM github_events WHERE repo_id = 41986369 LIMIT 1000', { maxLimit: 10 })).toMatch(/LIMIT 10$/);
+});
+
+test('DDL and DML statements should be rejected', () => {
+  expect(() => sqlify('DELETE FROM github_events WHERE repo_id = 41986369')).toThrow(/DELETE statement is not allowed/);
+  expect(() => sqlify('UPDATE github_repos SET stars = 0 WHERE repo_id = 41986369')).toThrow(/UPDATE statement is not allowed/);
+  expect(() => sqlify('DROP TABLE github_events')).toThrow(/not allowed/);
+  expect(() => sqlify('SET @a = 1')).toThrow(/SET statement is not allowed/);
+});
+
+test('locking reads and SELECT INTO should be rejected', () => {
+  expect(() => sqlify('SELECT * FROM github_repos FOR UPDATE')).toThrow(/Locking read/);
+  expect(() => sqlify('SELECT * FROM github_repos LOCK IN SHARE MODE')).toThrow(/Locking read/);
+  expect(() => sqlify(`SELECT * FROM github_repos INTO OUTFILE '/tmp/repos'`)).toThrow(/INTO is not allowed/);
+});
+
+test('tables should be checked by allow list and deny list', () => {
+  expect(() => sqlify('SELECT * FROM mysql.user')).toThrow(/Table <mysql.user> is not allowed/);
+  expect(() => sqlify('SELECT 1 FROM github_repos WHERE repo_id IN (SELECT 1 FROM mysql.user)')).toThrow(/mysql.user/);
+  expect(() => sqlify('SELECT * FROM github_users', { allowedTables: ['github_repos'] })).toThrow(/not in the allow list/);
+  expect(() => sqlify('DESC github_users', { allowedTables: ['github_repos'] })).toThrow(/not in the allow list/);
+  expect(sqlify(
+    'WITH r AS (SELECT * FROM github_repos) SELECT * FROM r',
+    { allowedTables: ['github_repos'] }
+  )).toMatch(/LIMIT 100$/);
+});
+
+test('joins and subqueries should be capped', () => {
+  const joins = 'SELECT 1 FROM github_repos r1 JOIN github_repos r2 ON r1.repo_id = r2.repo_id JOIN github_repos r3 ON r2.repo_id = r3.repo_id';
+  expect(() => sqlify(joins, { maxJoins: 1 })).toThrow(/at most 1 joins/);
+  expect(sqlify(joins, { maxJoins: 2 })).toMatch(/LIMIT 100$/);
+
+  const subqueries = 'SELECT (SELECT 1) AS a FROM (SELECT 2) AS t WHERE EXISTS (SELECT 3)';
+  expect(() => sqlify(subqueries, { maxSubqueries: 2 })).toThrow(/at most 2 subqueries/);
+  expect(sqlify(subqueries, { maxSubqueries: 3 })).toMatch(/LIMIT 100$/);
+});
+
+test('unparseable statements should be denied unless in the allow list', () => {
+  expect(sqlify('SHOW TABLES')).toBe('SHOW TABLES');
+  expect(sqlify('EXPLAIN SELECT 1')).toBe('EXPLAIN SELECT 1');
+  expect(() => sqlify('EXPLAIN ANALYZE SELECT 1')).toThrow(/Failed to parse the SQL/);
+  expect(() => sqlify('EXPLAIN  ANALYZE DELETE FROM github_events')).toThrow(/Failed to parse the SQL/);
+  expect(() => sqlify('EXPLAIN\tANALYZE DELETE FROM github_events')).toThrow(/Failed to parse the SQL/);
+  expect(() => sqlify('EXPLAIN FORMAT = "brief" ANALYZE DELETE FROM github_events')).toThrow(/Failed to parse the SQL/);
+  expect(() => sqlify('DESC ANALYZE DELETE FROM github_events')).toThrow(/Failed to parse the SQL/);
+  expect(() => sqlify('DESCRIBE ANALYZE DELETE FROM github_events')).toThrow(/Failed to parse the SQL/);
+  expect(() => sqlify('LOAD DATA INFILE "x" INTO TABLE github_repos')).toThrow(/Failed to parse the SQL/);
+});
+
+test('multiple statements should be rejected', () => {
+  expect(() => sqlify('SELECT 1; SELECT 2')).toThrow(/only one sql statement is allowed/);
+  expect(() => sqlify('SHOW TABLES; DELETE FROM github_events')).toThrow(/only one sql statement is allowed/);
+  expect(() => sqlify('EXPLAIN SELECT 1; DELETE FROM github_events')).toThrow(/only one sql statement is allowed/);
+});
+
+test('tables described or explained should be checked', () => {
+  expect(() => sqlify('DESC mysql.user')).toThrow(/Table <mysql.user> is not allowed/);
+  expect(() => sqlify('DESCRIBE `mysql`.`user` host')).toThrow(/Table <mysql.user> is not allowed/);
+  expect(() => sqlify('EXPLAIN SELECT * FROM mysql.user')).toThrow(/Table <mysql.user> is not allowed/);
+  expect(() => sqlify('EXPLAIN FORMAT = "brief" SELECT * FROM github_users', { allowedTables: ['github_repos'] })).toThrow(/not in the allow list/);
+  expect(() => sqlify('EXPLAIN DELETE FROM github_events')).toThrow(/DELETE statement is not allowed/);
+  expect(() => sqlify('EXPLAIN FOR CONNECTION 1')).toThrow(/Failed to parse the SQL/);
+  expect(sqlify('EXPLAIN FORMAT = "brief" SELECT * FROM github_repos', { allowedTables: ['github_repos'] }))
+    .toBe('EXPLAIN FORMAT = "brief" SELECT * FROM github_repos');
+});
+
+test('tables referenced by SHOW statements should be checked', () => {
+  expect(() => sqlify('SHOW CREATE VIEW mysql.v')).toThrow(/Table <mysql.v> is not allowed/);
+  expect(() => sqlify('SHOW COLUMNS FROM mysql.user')).toThrow(/Table <mysql.user> is not allowed/);
+  expect(() => sqlify('SHOW INDEX FROM `mysql`.`user`')).toThrow(/Table <mysql.user> is not allowed/);
+  expect(() => sqlify('SHOW COLUMNS FROM user FROM mysql')).toThrow(/Table <mysql> is not allowed/);
+  expect(() => sqlify('SHOW FULL TABLES IN mysql')).toThrow(/Table <mysql> is not allowed/);
+  expect(() => sqlify('SHOW CREATE TABLE mysql.user')).toThrow(/Table <mysql.user> is not allowed/);
+  expect(() => sqlify('SHOW COLUMNS FROM github_users', { allowedTables: ['github_repos'] })).toThrow(/not in the allow list/);
+  expect(sqlify('SHOW COLUMNS FROM github_repos', { allowedTables: ['github_repos'] })).toBe('SHOW COLUMNS FROM github_repos');
+  expect(sqlify(`SHOW TABLES LIKE 'x in mysql'`)).toBe(`SHOW TABLES LIKE 'x in mysql'`);
+});
@@ -0,0 +1,72 @@
+import {mkdirSync, mkdtempSync, rmSync, writeFileSync} from "fs";
+import {tmpdir} from "os";
+import {join} from "path";
+import {getQueryVersion, QUERY_RELOAD_DELAY, QueryLoader} from "../../../../src/core/runner/query/QueryLoader";
+import {testLogger} from "../../../helpers/log";
+import {sleep} from "../../../helpers/promises";
+
+let queriesPath: string;
+let queryLoader: QueryLoader;
+
+function writeQuery(config: string, templateSQL: string) {
+  writeFileSync(join(queriesPath, 'test-query', 'params.json'), config);
+  writeFileSync(join(queriesPath, 'test-query', 'template.sql'), templateSQL);
+}
+
+async function waitForReload() {
+  await sleep(QUERY_RELOAD_DELAY + 300);
+}
+
+beforeEach(() => {
+  queriesPath = mkdtempSync(join(tmpdir(), 'query-loader-'));
+  mkdirSync(join(queriesPath, 'test-query'));
+  writeQuery('{"cacheHours": 1, "params": []}', 'SELECT 1');
+  queryLoader = new QueryLoader(testLogger, queriesPath, true);
+});
+
+afterEach(() => {
+  queryLoader.close();
+  rmSync(queriesPath, { recursive: true, force: true });
+});
+
+test('reload the query when its files changed', async () => {
+  const query = await queryLoader.loadQuery('test-query');
+  expect(query.version).toBe(getQueryVersion('{"cacheHours": 1, "params": []}', 'SELECT 1'));
+  expect(query.templateSQL).toBe('SELECT 1');
+
+  writeQuery('{"cacheHours": 2, "params": []}', 'SELECT 2');
+  await waitForReload();
+
+  const reloaded = await queryLoader.loadQuery('test-query');
+  expect(reloaded.version).toBe(getQueryVersion('{"cacheHours": 2, "params": []}', 'SELECT 2'));
+  expect(reloaded.version).not.toBe(query.version);
+  expect(reloaded.config.cacheHours).toBe(2);
+  expect(reloaded.templateSQL).toBe('SELECT 2');
+  expect(queryLoader.getVersion('test-query')).toBe(reloaded.version);
+});
+
+test('keep the previous version when the changed query is invalid', async () => {
+  const previous = await queryLoader.loadQuery('test-query');
+
+  writeQuery('{"cacheHours": 2, "params": [', 'SELECT 2');
+  await waitForReload();
+
+  const query = await queryLoader.loadQuery('test-query');
+  expect(query.version).toBe(previous.version);
+  expect(query.templateSQL).toBe('SELECT 1');
+});
+
+test('the version should not be bumped if nothing changed', async () => {
+  const query = await queryLoader.loadQuery('test-query');
+  const reloaded = await queryLoader.reload('test-query');
+  expect(reloaded).toBe(query);
+});
+
+test('the version should be the same in every process', async () => {
+  const query = await queryLoader.loadQuery('test-query');
+
+  // Another process (e.g. prefetch) loads the query without watching.
+  const otherLoader = new QueryLoader(testLogger, queriesPath);
+  const otherQuery = await otherLoader.loadQuery('test-query');
+  expect(otherQuery.version).toBe(query.version);
+});
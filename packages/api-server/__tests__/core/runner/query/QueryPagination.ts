@@ -0,0 +1,64 @@
+import {QuerySchema} from "@ossinsight/types";
+import {DateTime} from "luxon";
+import {
+  decodeCursor,
+  DEFAULT_PAGE_SIZE,
+  encodeCursor,
+  paginateResult,
+  resolvePagination
+} from "../../../../src/core/runner/query/QueryPagination";
+
+function queryConfig(config: Partial<QuerySchema> = {}): QuerySchema {
+  return {
+    cacheHours: 1,
+    params: [{ name: 'repoId', replaces: '41986369' }],
+    ...config,
+  } as QuerySchema;
+}
+
+test('no pagination without pagination params', () => {
+  expect(resolvePagination(queryConfig(), { repoId: 1 })).toBeNull();
+  expect(resolvePagination(queryConfig(), { repoId: 1, page_size: '' })).toBeNull();
+});
+
+test('return the first page without pagination params if max page size is declared', () => {
+  expect(resolvePagination(queryConfig({ maxPageSize: 20 }), { repoId: 1 })).toEqual({ offset: 0, pageSize: 20 });
+});
+
+test('resolve pagination from page_size and cursor or offset', () => {
+  expect(resolvePagination(queryConfig(), { page_size: '10' })).toEqual({ offset: 0, pageSize: 10 });
+  expect(resolvePagination(queryConfig(), { page_size: 10, offset: '20' })).toEqual({ offset: 20, pageSize: 10 });
+  expect(resolvePagination(queryConfig(), { cursor: encodeCursor(30) })).toEqual({ offset: 30, pageSize: DEFAULT_PAGE_SIZE });
+  expect(resolvePagination(queryConfig({ maxPageSize: 20 }), { offset: 0 })).toEqual({ offset: 0, pageSize: 20 });
+});
+
+test('reject invalid pagination params', () => {
+  expect(() => resolvePagination(queryConfig(), { page_size: '0' })).toThrow('Invalid page_size number.');
+  expect(() => resolvePagination(queryConfig(), { offset: '-1' })).toThrow('Invalid offset number.');
+  expect(() => resolvePagination(queryConfig({ maxPageSize: 20 }), { page_size: 50 })).toThrow('The page_size can not be greater than 20.');
+  expect(() => decodeCursor('not-a-cursor')).toThrow('Invalid cursor.');
+});
+
+test('params declared by the query should not be treated as pagination params', () => {
+  const config = queryConfig({ params: [{ name: 'offset', replaces: '1663636555' }] });
+  expect(resolvePagination(config, { offset: 1663636555 })).toBeNull();
+});
+
+test('paginate result', () => {
+  const result = {
+    data: [1, 2, 3, 4, 5],
+    finishedAt: DateTime.now(),
+  };
+
+  const firstPage = paginateResult(result, { offset: 0, pageSize: 2 });
+  expect(firstPage.data).toEqual([1, 2]);
+  expect(firstPage.pagination.total).toBe(5);
+  expect(decodeCursor(firstPage.pagination.nextCursor!)).toBe(2);
+
+  const lastPage = paginateResult(result, { offset: 4, pageSize: 2 });
+  expect(lastPage.data).toEqual([5]);
+  expect(lastPage.pagination.nextCursor).toBeNull();
+
+  // The shared result should not be modified.
+  expect(result.data).toHaveLength(5);
+});
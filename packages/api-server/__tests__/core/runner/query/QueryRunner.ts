@@ -0,0 +1,84 @@
+import {QueryRunner} from "../../../../src/core/runner/query/QueryRunner";
+import {QueryLoader} from "../../../../src/core/runner/query/QueryLoader";
+import CacheBuilder from "../../../../src/core/cache/CacheBuilder";
+import {testLogger} from "../../../helpers/log";
+
+let version: string;
+
+beforeAll(async () => {
+  ({ version } = await new QueryLoader(testLogger).loadQuery('analyze-stars-history'));
+});
+
+describe('resolve cache key patterns', () => {
+  const queryLoader = new QueryLoader(testLogger);
+  const cacheBuilder = new CacheBuilder(testLogger, false);
+  const queryRunner = new QueryRunner(testLogger, cacheBuilder, queryLoader, undefined as any, undefined as any);
+
+  test('should match the exact key when all params provided', async () => {
+    const { cacheProvider, keyPatterns } = await queryRunner.resolveCacheKeyPatterns('analyze-stars-history', {
+      repoId: '41986369'
+    });
+    expect(cacheProvider).toBe('CACHED_TABLE');
+    expect(keyPatterns).toEqual([
+      `query:analyze-stars-history@%:41986369`,
+      `query:analyze-stars-history@%:41986369\\_array`,
+      `query:analyze-stars-history:41986369`,
+      `query:analyze-stars-history:41986369\\_array`,
+      `explain:analyze-stars-history@%:41986369`,
+      `explain:analyze-stars-history@%:41986369\\_array`,
+      `explain:analyze-stars-history:41986369`,
+      `explain:analyze-stars-history:41986369\\_array`,
+    ]);
+  });
+
+  test('should match any value when param not provided', async () => {
+    const { keyPatterns } = await queryRunner.resolveCacheKeyPatterns('analyze-stars-history', {});
+    expect(keyPatterns[0]).toBe(`query:analyze-stars-history@%:%`);
+  });
+
+  test('should escape the wildcard characters in params', async () => {
+    const { keyPatterns } = await queryRunner.resolveCacheKeyPatterns('analyze-stars-history', {
+      repoId: '1_%'
+    });
+    expect(keyPatterns[0]).toBe(`query:analyze-stars-history@%:1\\_\\%`);
+  });
+});
+
+describe('render query', () => {
+  const queryLoader = new QueryLoader(testLogger);
+  const cacheBuilder = new CacheBuilder(testLogger, false);
+  const queryRunner = new QueryRunner(testLogger, cacheBuilder, queryLoader, undefined as any, undefined as any);
+
+  test('should render sql with resolved params without executing', async () => {
+    const res = await queryRunner.render('analyze-stars-history', {
+      repoId: '10'
+    });
+    expect(res.engine).toBe('legacy');
+    expect(res.sql).toContain('10');
+    expect(res.sql).not.toContain('41986369');
+    expect(res.params).toEqual({ repoId: '10' });
+    expect(res.cacheKey).toBe(`query:analyze-stars-history@${version}:10`);
+    expect(res.cache.warm).toBe(false);
+  });
+
+  test('should reject invalid params', async () => {
+    await expect(queryRunner.render('analyze-stars-history', {
+      repoId: 'abc'
+    })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('pick declared params', () => {
+  const queryLoader = new QueryLoader(testLogger);
+  const cacheBuilder = new CacheBuilder(testLogger, false);
+  const queryRunner = new QueryRunner(testLogger, cacheBuilder, queryLoader, undefined as any, undefined as any);
+
+  test('should drop the params not declared by the query', async () => {
+    await expect(queryRunner.pickDeclaredParams('analyze-stars-history', {
+      repoId: '41986369',
+      format: 'csv',
+      page_size: '10',
+      cursor: 'abc',
+    })).resolves.toEqual({ repoId: '41986369' });
+  });
+});
@@ -0,0 +1,56 @@
+import {TiDBPlaygroundQueryExecutor} from "../../../../src/core/executor/query-executor/TiDBPlaygroundQueryExecutor";
+import {SQLRunner} from "../../../../src/core/runner/sql/SQLRunner";
+import {testLogger} from "../../../helpers/log";
+
+function createConnection(estRows: number) {
+  return {
+    query: jest.fn(async (sql: string) => {
+      if (sql.startsWith('EXPLAIN ')) {
+        return [[{ id: 'TableFullScan_5', estRows }]];
+      }
+      return [[{ previous: 0 }]];
+    }),
+    execute: jest.fn(async () => [[{ count: 1 }], [{ name: 'count', columnType: 8 }]]),
+    release: jest.fn(),
+    // The underlying connection decorated by the pool decorator.
+    connection: {},
+  };
+}
+
+function createExecutor(conn: ReturnType<typeof createConnection>, maxEstimatedRows: number) {
+  const pool = { getConnection: jest.fn(async () => conn) };
+  return new TiDBPlaygroundQueryExecutor(pool as any, null, testLogger, [], maxEstimatedRows);
+}
+
+describe('estimated cost gate', () => {
+  test('should reject the playground SQL exceeds the estimated rows limit', async () => {
+    const conn = createConnection(1000);
+    const sqlRunner = new SQLRunner(createExecutor(conn, 100), 1000);
+
+    await expect(sqlRunner.run('/* comment */ SELECT COUNT(*) AS count FROM github_events'))
+      .rejects.toThrow(/estimated to process 1000 rows, which exceeds the limit of 100 rows/);
+    expect(conn.execute).not.toBeCalled();
+  });
+
+  test('should run the playground SQL within the estimated rows limit', async () => {
+    const conn = createConnection(10);
+    const sqlRunner = new SQLRunner(createExecutor(conn, 100), 1000);
+
+    await expect(sqlRunner.run('SELECT COUNT(*) AS count FROM github_events')).resolves.toMatchObject({
+      data: [{ count: 1 }],
+    });
+    expect(conn.query).toBeCalledWith('EXPLAIN SELECT COUNT(*) AS count FROM github_events', undefined);
+  });
+
+  test('should not check the SQL out of playground', async () => {
+    const conn = createConnection(1000);
+    const executor = createExecutor(conn, 100);
+
+    await expect(executor.execute('explorer-sql-1', {
+      sql: '/* questionId: 1 */ SELECT COUNT(*) AS count FROM github_events',
+      timeout: 1000,
+    })).resolves.toBeDefined();
+    expect(conn.query).not.toBeCalledWith(expect.stringMatching(/^EXPLAIN /), undefined);
+    expect(conn.execute).toBeCalledTimes(1);
+  });
+});
@@ -120,6 +120,10 @@ export class StartedApp {
     return expect(buildMockRequest(this.app, url, { ...config, method: 'post', body })).resolves;
   }
 
+  expectDelete (url: string, config: Omit<MockRequest, 'method'> = {}) {
+    return expect(buildMockRequest(this.app, url, { ...config, method: 'delete' })).resolves;
+  }
+
   async close () {
     return this.app.close();
   }
@@ -133,7 +137,7 @@ export function getTestApp (): StartedApp {
 }
 
 export type MockRequest = {
-  method: 'get' | 'post'
+  method: 'get' | 'post' | 'delete'
   headers?: OutgoingHttpHeaders
   cookies?: object
   body?: any
@@ -0,0 +1,54 @@
+import crypto from 'node:crypto';
+import {Connection} from 'mysql2/promise';
+import {AUTH0_USER_METADATA} from '../../src/plugins/auth/auth0';
+import {ProviderType, UserRole} from '../../src/plugins/services/user-service';
+
+// Keep the same as the AUTH0_DOMAIN and AUTH0_SECRET of the test app.
+const TEST_AUTH0_ISSUER = 'https://auth0/';
+const TEST_AUTH0_SECRET = 'auth0';
+
+function base64url (value: string | Buffer) {
+  return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Sign an access token (HS256) which can pass the `app.authenticate` of the test app.
+ */
+export function signTestToken (githubId: number, githubLogin: string) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({
+    iss: TEST_AUTH0_ISSUER,
+    sub: `${ProviderType.GITHUB}|${githubId}`,
+    iat: now,
+    exp: now + 3600,
+    [AUTH0_USER_METADATA]: {
+      email: `${githubLogin}@example.com`,
+      github_id: String(githubId),
+      github_login: githubLogin,
+      provider: ProviderType.GITHUB,
+    },
+  }));
+  const signature = base64url(crypto.createHmac('sha256', TEST_AUTH0_SECRET).update(`${header}.${payload}`).digest());
+  return `${header}.${payload}.${signature}`;
+}
+
+/**
+ * Create the user bound to the GitHub account, so that the user service will not fetch the user info from Auth0.
+ */
+export async function createTestUser (conn: Connection, userId: number, githubId: number, githubLogin: string, role: UserRole = UserRole.USER) {
+  await conn.query(`DELETE FROM sys_accounts WHERE user_id = ? OR (provider = ? AND provider_account_id = ?);`, [userId, ProviderType.GITHUB, githubId]);
+  await conn.query(`DELETE FROM sys_users WHERE id = ?;`, [userId]);
+  await conn.query(`
+    INSERT INTO sys_users(id, name, email_address, email_get_updates, avatar_url, role, created_at, enable)
+    VALUES (?, ?, ?, 0, '', ?, NOW(), 1);
+  `, [userId, githubLogin, `${githubLogin}@example.com`, role]);
+  await conn.query(`
+    INSERT INTO sys_accounts(user_id, provider, provider_account_id, provider_account_login)
+    VALUES (?, ?, ?, ?);
+  `, [userId, ProviderType.GITHUB, githubId, githubLogin]);
+  return {
+    userId,
+    headers: { authorization: `Bearer ${signTestToken(githubId, githubLogin)}` },
+  };
+}
@@ -0,0 +1,11 @@
+CREATE TABLE `explorer_question_feedbacks` (
+  `id` bigint(20) NOT NULL AUTO_INCREMENT,
+  `user_id` int(11) NOT NULL COMMENT 'The user id of system user',
+  `question_id` varbinary(16) NOT NULL,
+  `satisfied` tinyint(1) NOT NULL DEFAULT '0',
+  `feedback_type` varchar(64) DEFAULT NULL,
+  `feedback_content` text DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`) /*T![clustered_index] CLUSTERED */,
+  KEY `idx_eqf_on_question_id` (`question_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin
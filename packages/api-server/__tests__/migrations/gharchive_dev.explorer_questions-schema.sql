@@ -4,14 +4,24 @@ CREATE TABLE `explorer_questions` (
   `user_id` int(11) NOT NULL COMMENT 'The user id of system user',
   `status` enum('new','waiting','running','success','error','cancel') NOT NULL,
   `title` varchar(255) NOT NULL,
+  `answer` json DEFAULT NULL,
+  `revised_title` varchar(512) DEFAULT NULL,
+  `not_clear` text DEFAULT NULL,
+  `assumption` text DEFAULT NULL,
+  `combined_title` varchar(512) DEFAULT NULL,
+  `sql_can_answer` tinyint(1) NOT NULL DEFAULT '1',
   `query_sql` text NULL,
   `query_hash` varchar(128) NULL,
   `engines` json NULL,
+  `plan` json DEFAULT NULL,
   `queue_name` enum('explorer_high_concurrent_queue','explorer_low_concurrent_queue') DEFAULT NULL,
   `queue_job_id` varchar(128) NULL,
   `recommended_questions` json DEFAULT NULL,
   `result` json DEFAULT NULL,
   `chart` json DEFAULT NULL,
+  `answer_summary` json DEFAULT NULL,
+  `batch_job_id` varchar(36) DEFAULT NULL,
+  `need_review` tinyint(1) NOT NULL DEFAULT '0',
   `recommended` tinyint(1) NOT NULL DEFAULT '0',
   `hit_cache` tinyint(1) NOT NULL DEFAULT '0',
   `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
@@ -19,7 +29,9 @@ CREATE TABLE `explorer_questions` (
   `executed_at` datetime DEFAULT NULL,
   `finished_at` datetime DEFAULT NULL,
   `spent` float DEFAULT NULL,
+  `error_type` varchar(64) DEFAULT NULL,
   `error` varchar(512) DEFAULT NULL,
+  `sql_repair_attempts` json DEFAULT NULL,
   PRIMARY KEY (`id`) /*T![clustered_index] CLUSTERED */,
   KEY `idx_eq_on_user_id_created_at` (`user_id`,`created_at`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin
@@ -0,0 +1,13 @@
+/*!40101 SET NAMES binary*/;
+CREATE TABLE `shared_queries` (
+  `id` varchar(32) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `name` varchar(255) NOT NULL,
+  `source` enum('sql','explorer') NOT NULL,
+  `forked_from` varchar(32) DEFAULT NULL,
+  `latest_revision` int(11) NOT NULL DEFAULT '1',
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`) /*T![clustered_index] CLUSTERED */,
+  KEY `idx_sq_on_user_id_updated_at` (`user_id`,`updated_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin
@@ -0,0 +1,15 @@
+/*!40101 SET NAMES binary*/;
+CREATE TABLE `shared_query_revisions` (
+  `query_id` varchar(32) NOT NULL,
+  `revision` int(11) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `sql` text NOT NULL,
+  `context` json DEFAULT NULL,
+  `question_id` varchar(36) DEFAULT NULL,
+  `chart` json DEFAULT NULL,
+  `result` json DEFAULT NULL,
+  `error` varchar(512) DEFAULT NULL,
+  `executed_at` datetime DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`query_id`,`revision`) /*T![clustered_index] CLUSTERED */
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin
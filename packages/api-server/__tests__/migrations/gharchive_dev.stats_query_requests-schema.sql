@@ -0,0 +1,13 @@
+/*!40101 SET NAMES binary*/;
+CREATE TABLE `stats_query_requests` (
+  `id` bigint(20) NOT NULL AUTO_INCREMENT,
+  `query_name` varchar(128) NOT NULL,
+  `params` json NOT NULL,
+  `params_digest` char(40) NOT NULL,
+  `cache_hit` tinyint(1) NOT NULL DEFAULT '0',
+  `spent` double NOT NULL DEFAULT '0',
+  `requested_at` timestamp NOT NULL,
+  PRIMARY KEY (`id`) /*T![clustered_index] CLUSTERED */,
+  KEY `index_sqr_on_requested_at` (`requested_at`),
+  KEY `index_sqr_on_query_name_params_digest` (`query_name`, `params_digest`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin;
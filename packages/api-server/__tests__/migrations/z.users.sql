@@ -10,9 +10,14 @@ GRANT SELECT, INSERT, UPDATE, DELETE ON gharchive_dev.sys_repo_milestones TO 'ex
 GRANT SELECT, INSERT, UPDATE, DELETE ON gharchive_dev.sys_repo_milestone_types TO 'executoruser'@'%';
 GRANT SELECT, INSERT, UPDATE, DELETE ON gharchive_dev.sys_sent_repo_milestones TO 'executoruser'@'%';
 GRANT SELECT, INSERT, UPDATE, DELETE ON gharchive_dev.stats_query_summary TO 'executoruser'@'%';
+GRANT SELECT, INSERT, UPDATE, DELETE ON gharchive_dev.stats_query_requests TO 'executoruser'@'%';
 GRANT SELECT, INSERT, UPDATE, DELETE ON gharchive_dev.stats_api_requests TO 'executoruser'@'%';
 GRANT SELECT, INSERT, UPDATE, DELETE ON gharchive_dev.explorer_questions TO 'executoruser'@'%';
+GRANT SELECT, INSERT, UPDATE, DELETE ON gharchive_dev.explorer_question_feedbacks TO 'executoruser'@'%';
 GRANT SELECT, INSERT, UPDATE, DELETE ON gharchive_dev.explorer_recommend_questions TO 'executoruser'@'%';
+GRANT SELECT, INSERT, UPDATE, DELETE ON gharchive_dev.shared_queries TO 'executoruser'@'%';
+GRANT SELECT, INSERT, UPDATE, DELETE ON gharchive_dev.shared_query_revisions TO 'executoruser'@'%';
+GRANT SELECT, INSERT, UPDATE, DELETE ON gharchive_dev.sys_materialized_view_freshness TO 'executoruser'@'%';
 
 CREATE USER IF NOT EXISTS 'webshelluser'@'%' IDENTIFIED BY 'webshellpassword';
 GRANT SELECT ON *.* TO 'webshelluser'@'%';
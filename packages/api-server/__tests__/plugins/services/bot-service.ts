@@ -0,0 +1,73 @@
+import {LLMProviderConfig} from "../../../src/plugins/services/bot-service/llm/llm-provider";
+import {PromptConfig} from "../../../src/plugins/services/bot-service/prompt/prompt-manager";
+import {bootstrapApp, getTestApp, releaseApp} from '../../helpers/app';
+import {bootstrapTestDatabase, releaseTestDatabase} from '../../helpers/db';
+import {testLogger} from "../../helpers/log";
+import {bootstrapTestRedis, releaseTestRedis} from "../../helpers/redis";
+
+const ANSWER = {
+  RQ: 'How many stars does pingcap/tidb have?',
+  sql: 'SELECT COUNT(*) AS stars FROM github_events WHERE repo_id = 41986369 AND type = \'WatchEvent\'',
+  chart: { chartName: 'Table', title: 'Stars', options: { x: 'github_events.stars' } },
+};
+
+beforeAll(bootstrapTestDatabase);
+beforeAll(bootstrapTestRedis);
+beforeAll(bootstrapApp);
+afterAll(releaseApp);
+afterAll(releaseTestRedis);
+afterAll(releaseTestDatabase);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Answer the prompts with the fake provider instead of the prompt configs.
+function useProvider(provider: LLMProviderConfig) {
+  const { app } = getTestApp();
+  jest.spyOn(app.promptTemplateManager, 'getPrompt').mockImplementation(async (promptName, context) => {
+    const promptConfig: PromptConfig = {
+      name: promptName,
+      model: 'fake',
+      stop: [],
+      max_tokens: 200,
+      temperature: 0,
+      top_p: 1,
+      n: 1,
+      provider,
+    };
+    return [context.question, promptConfig];
+  });
+  return app.botService;
+}
+
+test('should extract the fields of answer in stream mode', async () => {
+  const botService = useProvider({ type: 'fake', response: ANSWER, chunkSize: 3 });
+  const keys: string[] = [];
+  const [answer, raw] = await botService.questionToAnswerInStream('stars of tidb', (answer, key) => {
+    keys.push(key);
+  });
+  expect(keys).toEqual(['revisedTitle', 'querySQL', 'chart']);
+  expect(answer).toMatchObject({
+    revisedTitle: ANSWER.RQ,
+    querySQL: ANSWER.sql,
+    chart: { chartName: 'Table', title: 'Stars', x: 'stars' },
+  });
+  expect(raw).toBe(JSON.stringify(ANSWER));
+});
+
+test('should extract the fields of answer in non-stream mode', async () => {
+  const botService = useProvider({ type: 'fake', response: ANSWER });
+  const [answer] = await botService.questionToAnswerInNonStream('stars of tidb');
+  expect(answer).toMatchObject({ revisedTitle: ANSWER.RQ, querySQL: ANSWER.sql });
+});
+
+test('should return the generated SQL', async () => {
+  const botService = useProvider({ type: 'fake', response: 'SELECT 1' });
+  await expect(botService.questionToSQL(testLogger, 'one', {})).resolves.toBe('SELECT 1');
+});
+
+test('should reject the fake provider with invalid chunk size', async () => {
+  const botService = useProvider({ type: 'fake', response: ANSWER, chunkSize: 0 });
+  await expect(botService.questionToAnswerInStream('stars of tidb', () => {})).rejects.toThrow(/positive integer/);
+});
@@ -0,0 +1,93 @@
+import {Readable} from "node:stream";
+import {FakeProvider} from "../../../../src/plugins/services/bot-service/llm/fake-provider";
+import {LLMProviderType} from "../../../../src/plugins/services/bot-service/llm/llm-provider";
+import {LLMProviderRegistry} from "../../../../src/plugins/services/bot-service/llm/llm-provider-registry";
+import {OpenAICompatibleProvider} from "../../../../src/plugins/services/bot-service/llm/openai-compatible-provider";
+import {PromptConfig} from "../../../../src/plugins/services/bot-service/prompt/prompt-manager";
+import {testLogger} from "../../../helpers/log";
+
+const PROMPT_CONFIG: PromptConfig = {
+  name: 'explorer-generate-answer',
+  model: 'gpt-3.5-turbo',
+  stop: [],
+  max_tokens: 200,
+  temperature: 0,
+  top_p: 1,
+  n: 1,
+};
+
+async function collect(tokens: AsyncIterable<string>) {
+  const result: string[] = [];
+  for await (const token of tokens) {
+    result.push(token);
+  }
+  return result;
+}
+
+function streamEvents(chunks: string[]) {
+  const provider = new OpenAICompatibleProvider(LLMProviderType.OpenAI, { apiKey: 'none' });
+  jest.spyOn((provider as any).openai, 'createChatCompletion').mockResolvedValue({
+    status: 200,
+    data: Readable.from(chunks.map((chunk) => Buffer.from(chunk))),
+  });
+  return provider.completeInStream('prompt', PROMPT_CONFIG);
+}
+
+function event(content: string) {
+  return `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}`;
+}
+
+describe('llm provider registry', () => {
+  test('should reuse the provider of the same config', () => {
+    const registry = new LLMProviderRegistry(testLogger, 'none');
+    const provider = registry.getProvider({ type: 'ollama' });
+    expect(provider.type).toBe(LLMProviderType.Ollama);
+    expect(registry.getProvider({ type: 'ollama' })).toBe(provider);
+    expect(registry.getProvider().type).toBe(LLMProviderType.OpenAI);
+  });
+
+  test('should reject the incomplete config', () => {
+    const registry = new LLMProviderRegistry(testLogger, 'none');
+    expect(() => registry.getProvider({ type: 'azure' })).toThrow(/deployment/);
+    expect(() => registry.getProvider({ type: 'unknown' } as any)).toThrow(/Unknown/);
+  });
+
+  test('should reject the chunk size which is not a positive integer', () => {
+    const registry = new LLMProviderRegistry(testLogger, 'none');
+    expect(() => registry.getProvider({ type: 'fake', chunkSize: 0 })).toThrow(/positive integer/);
+    expect(() => registry.getProvider({ type: 'fake', chunkSize: -1 })).toThrow(/positive integer/);
+    expect(() => registry.getProvider({ type: 'fake', chunkSize: 1.5 })).toThrow(/positive integer/);
+  });
+});
+
+describe('fake provider', () => {
+  test('should return the response in chunks', async () => {
+    const provider = new FakeProvider('SELECT 1', 3);
+    await expect(collect(provider.completeInStream('prompt', PROMPT_CONFIG))).resolves.toEqual(['SEL', 'ECT', ' 1']);
+    await expect(provider.complete('prompt', PROMPT_CONFIG)).resolves.toMatchObject({ content: 'SELECT 1' });
+  });
+});
+
+describe('openai compatible provider', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should yield the tokens of the events split into chunks', async () => {
+    const events = `${event('SELECT')}\n\n${event(' 1')}\n\ndata: [DONE]\n\n`;
+    await expect(collect(streamEvents([events.slice(0, 10), events.slice(10, 50), events.slice(50)]))).resolves.toEqual(['SELECT', ' 1']);
+  });
+
+  test('should yield the token of the last event without newline', async () => {
+    await expect(collect(streamEvents([`${event('SELECT')}\n\n`, event(' 1')]))).resolves.toEqual(['SELECT', ' 1']);
+  });
+
+  test('should stop at the done event', async () => {
+    await expect(collect(streamEvents([`${event('SELECT')}\n\ndata: [DONE]\n\n${event(' 1')}\n\n`]))).resolves.toEqual(['SELECT']);
+  });
+
+  test('should reject the response exceeding the max tokens', async () => {
+    const events = `data: ${JSON.stringify({ choices: [{ delta: {}, finish_reason: 'length' }] })}`;
+    await expect(collect(streamEvents([events]))).rejects.toThrow(/max token/);
+  });
+});
@@ -0,0 +1,125 @@
+/// <reference path="../../../src/plugins/tidb.ts" />
+/// <reference path="../../../src/plugins/queue/explorer-low-concurrent-queue.ts" />
+/// <reference path="../../../src/plugins/queue/explorer-high-concurrent-queue.ts" />
+/// <reference path="../../../src/plugins/executors/tidb-playground-query-executor.ts" />
+import {randomUUID} from "crypto";
+import {Connection} from "mysql2/promise";
+import {ExplorerService} from "../../../src/plugins/services/explorer-service";
+import {QuestionFeedbackType, QuestionStatus} from "../../../src/plugins/services/explorer-service/types";
+import {bootstrapApp, getTestApp, releaseApp} from '../../helpers/app';
+import {bootstrapTestDatabase, getTestDatabase, releaseTestDatabase} from '../../helpers/db';
+import {bootstrapTestRedis, releaseTestRedis} from "../../helpers/redis";
+
+const BAD_SQL = 'SELECT COUNT(*) AS stars FROM github_event';
+const GOOD_SQL = 'SELECT COUNT(*) AS stars FROM github_events';
+
+let conn: Connection;
+
+beforeAll(bootstrapTestDatabase);
+beforeAll(bootstrapTestRedis);
+beforeAll(bootstrapApp);
+beforeAll(async () => {
+  conn = await getTestDatabase().createConnection();
+});
+afterAll(async () => {
+  await conn.query(`DELETE FROM explorer_question_feedbacks WHERE 1 = 1;`);
+  await conn.query(`DELETE FROM explorer_questions WHERE 1 = 1;`);
+  await conn.end();
+});
+afterAll(releaseApp);
+afterAll(releaseTestRedis);
+afterAll(releaseTestDatabase);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// The explorer service of test app is configured without SQL repair.
+function createExplorerService(sqlRepairMaxAttempts: number, answers: any[]) {
+  const { app } = getTestApp();
+  const repairSQL = jest.spyOn(app.botService, 'repairSQL').mockImplementation(async () => [answers.shift() ?? null, null]);
+  const explorerService = sqlRepairMaxAttempts > 0 ? new ExplorerService(
+    app.log, app.mysql, app.botService, app.playgroundQueryExecutor,
+    app.explorerLowConcurrentQueue, app.explorerHighConcurrentQueue,
+    { sqlRepairMaxAttempts }
+  ) : app.explorerService;
+  return { explorerService, repairSQL };
+}
+
+async function createQuestion(explorerService: ExplorerService, querySQL: string, chart: any) {
+  const questionId = randomUUID();
+  await conn.query(`
+    INSERT INTO explorer_questions(id, hash, user_id, status, title, query_sql, chart)
+    VALUES (UUID_TO_BIN(?), ?, ?, ?, ?, ?, ?);
+  `, [questionId, questionId, 1, QuestionStatus.Waiting, 'How many stars does pingcap/tidb have?', querySQL, JSON.stringify(chart)]);
+  return await explorerService.getQuestionByIdOrError(questionId);
+}
+
+test('should repair the SQL failed to execute', async () => {
+  const { explorerService, repairSQL } = createExplorerService(2, [
+    { querySQL: GOOD_SQL },
+  ]);
+  const question = await createQuestion(explorerService, BAD_SQL, { chartName: 'NumberCard', value: 'stars' });
+  const result = await explorerService.resolveQuestion({} as any, question);
+
+  expect(result.result.rows).toEqual([{ stars: 0 }]);
+  expect(repairSQL).toBeCalledWith(question.title, BAD_SQL, { chartName: 'NumberCard', value: 'stars' }, "Table 'gharchive_dev.github_event' doesn't exist");
+  await expect(explorerService.getQuestionByIdOrError(question.id)).resolves.toMatchObject({
+    status: QuestionStatus.Success,
+    querySQL: GOOD_SQL,
+    sqlRepairAttempts: [
+      { attempt: 1, errorType: QuestionFeedbackType.ErrorQueryExecute, previousSQL: BAD_SQL, querySQL: GOOD_SQL },
+    ],
+  });
+});
+
+test('should repair the chart mismatched the result without executing again', async () => {
+  const { app } = getTestApp();
+  const { explorerService, repairSQL } = createExplorerService(2, [
+    { chart: { chartName: 'NumberCard', value: 'stars' } },
+  ]);
+  const execute = jest.spyOn(app.playgroundQueryExecutor, 'execute');
+  const question = await createQuestion(explorerService, GOOD_SQL, { chartName: 'NumberCard', value: 'count' });
+  await explorerService.resolveQuestion({} as any, question);
+
+  expect(repairSQL).toBeCalledTimes(1);
+  expect(execute).toBeCalledTimes(1);
+  await expect(explorerService.getQuestionByIdOrError(question.id)).resolves.toMatchObject({
+    chart: { chartName: 'NumberCard', value: 'stars' },
+    sqlRepairAttempts: [
+      { attempt: 1, errorType: QuestionFeedbackType.ErrorValidateChart, previousSQL: GOOD_SQL, querySQL: GOOD_SQL },
+    ],
+  });
+});
+
+test('should stop repairing when the attempts are used up', async () => {
+  const { explorerService, repairSQL } = createExplorerService(2, [
+    { querySQL: BAD_SQL },
+    { querySQL: BAD_SQL },
+    { querySQL: GOOD_SQL },
+  ]);
+  const question = await createQuestion(explorerService, BAD_SQL, null);
+  await expect(explorerService.resolveQuestion({} as any, question)).rejects.toMatchObject({
+    feedbackType: QuestionFeedbackType.ErrorQueryExecute,
+  });
+  expect(repairSQL).toBeCalledTimes(2);
+  await expect(explorerService.getQuestionByIdOrError(question.id)).resolves.toMatchObject({
+    status: QuestionStatus.Error,
+    errorType: QuestionFeedbackType.ErrorQueryExecute,
+    sqlRepairAttempts: [expect.anything(), expect.anything()],
+  });
+});
+
+test('should not repair the SQL or read the repair attempts if disabled', async () => {
+  const { app } = getTestApp();
+  const { explorerService, repairSQL } = createExplorerService(0, []);
+  const query = jest.spyOn(app.mysql, 'query');
+  const question = await createQuestion(explorerService, BAD_SQL, null);
+  await expect(explorerService.resolveQuestion({} as any, question)).rejects.toMatchObject({
+    feedbackType: QuestionFeedbackType.ErrorQueryExecute,
+  });
+  expect(repairSQL).not.toBeCalled();
+  expect(question.sqlRepairAttempts).toBeUndefined();
+  expect(query).toBeCalled();
+  expect(query.mock.calls.map(([sql]) => String(sql)).join('\n')).not.toContain('sql_repair_attempts');
+});
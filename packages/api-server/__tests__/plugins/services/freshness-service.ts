@@ -0,0 +1,100 @@
+import {Connection} from "mysql2/promise";
+import {join} from "path";
+import {FreshnessService, loadEndpointViews} from "../../../src/plugins/services/freshness-service";
+import {bootstrapApp, getTestApp, releaseApp} from '../../helpers/app';
+import {bootstrapTestDatabase, getTestDatabase, releaseTestDatabase} from '../../helpers/db';
+import {bootstrapTestRedis, releaseTestRedis} from "../../helpers/redis";
+
+const ENDPOINTS_CONFIG_PATH = join(__dirname, '..', '..', '..', '..', '..', 'configs', 'public_api', 'http_endpoints', 'config.json');
+
+let conn: Connection;
+
+beforeAll(bootstrapTestDatabase);
+beforeAll(bootstrapTestRedis);
+beforeAll(bootstrapApp);
+beforeAll(async () => {
+  conn = await getTestDatabase().createConnection();
+  await conn.query(`DELETE FROM sys_materialized_view_freshness WHERE 1 = 1;`);
+  await conn.query(`
+    INSERT INTO sys_materialized_view_freshness(view_name, data_up_to, updated_at)
+    VALUES (?, ?, NOW()), (?, ?, NOW()), (?, ?, NOW());
+  `, [
+    'mv_repo_issue_creators', new Date('2023-08-02T00:00:00Z'),
+    'mv_repo_pull_request_creators', new Date('2023-08-01T00:00:00Z'),
+    'mv_trending_repos', null,
+  ]);
+});
+afterAll(async () => {
+  await conn.query(`DELETE FROM sys_materialized_view_freshness WHERE 1 = 1;`);
+  await conn.end();
+});
+afterAll(releaseApp);
+afterAll(releaseTestRedis);
+afterAll(releaseTestDatabase);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('load endpoint views', () => {
+  test('should find the materialized views used by endpoints', () => {
+    const endpointViews = loadEndpointViews(ENDPOINTS_CONFIG_PATH);
+    expect(endpointViews['/repos/issue_creators']).toEqual(['mv_repo_issue_creators']);
+    expect(endpointViews['/trends/repos']).toEqual(['mv_trending_repos']);
+    expect(endpointViews['/repos/stargazers/history']).toEqual([]);
+  });
+
+  test('should return empty if the config file does not exist', () => {
+    expect(loadEndpointViews('/not/exists/config.json')).toEqual({});
+  });
+});
+
+describe('get data up to date', () => {
+  test('should use the freshness of the materialized view used by endpoint', async () => {
+    const { freshnessService } = getTestApp().app;
+    expect(await freshnessService.getDataUpToDate('/repos/issue_creators')).toEqual(new Date('2023-08-02T00:00:00Z'));
+  });
+
+  test('should use the oldest one of the materialized views', async () => {
+    const { app } = getTestApp();
+    const freshnessService = new FreshnessService(app.log, app.freshnessService.tidb, {
+      '/a': ['mv_repo_issue_creators', 'mv_repo_pull_request_creators'],
+    });
+    expect(await freshnessService.getDataUpToDate('/a')).toEqual(new Date('2023-08-01T00:00:00Z'));
+  });
+
+  test('should return null if the freshness is unknown', async () => {
+    const { freshnessService } = getTestApp().app;
+    expect(await freshnessService.getDataUpToDate('/trends/repos')).toBeNull();
+    expect(await freshnessService.getDataUpToDate('/repos/stargazers/history')).toBeNull();
+    expect(await freshnessService.getDataUpToDate('/unknown')).toBeNull();
+  });
+
+  test('should cache the freshness', async () => {
+    const { freshnessService } = getTestApp().app;
+    await freshnessService.getDataUpToDate('/repos/issue_creators');
+    const query = jest.spyOn(freshnessService.tidb, 'query');
+    await freshnessService.getDataUpToDate('/repos/issue_creators');
+    expect(query).not.toBeCalled();
+  });
+
+  test('should return null if failed to query the freshness', async () => {
+    const { app } = getTestApp();
+    const freshnessService = new FreshnessService(app.log, app.freshnessService.tidb, { '/a': ['mv_repo_issue_creators'] });
+    jest.spyOn(freshnessService.tidb, 'query').mockRejectedValueOnce(new Error('Table not found.') as never);
+    expect(await freshnessService.getDataUpToDate('/a')).toBeNull();
+  });
+});
+
+test('should expose the freshness of materialized views', async () => {
+  await getTestApp().expectGet('/v1/meta/freshness').toMatchObject({
+    statusCode: 200,
+    body: {
+      materializedViews: [
+        { name: 'mv_repo_issue_creators', dataUpTo: '2023-08-02T00:00:00.000Z' },
+        { name: 'mv_repo_pull_request_creators', dataUpTo: '2023-08-01T00:00:00.000Z' },
+        { name: 'mv_trending_repos', dataUpTo: null },
+      ],
+    },
+  });
+});
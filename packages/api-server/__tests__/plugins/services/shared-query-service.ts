@@ -0,0 +1,94 @@
+/// <reference path="../../../src/plugins/runner/sql/index.ts" />
+import {DateTime} from "luxon";
+import {QuestionStatus} from "../../../src/plugins/services/explorer-service/types";
+import {SharedQueryService, SharedQuerySource} from "../../../src/plugins/services/shared-query-service";
+import {bootstrapApp, getTestApp, releaseApp} from '../../helpers/app';
+import {bootstrapTestDatabase, releaseTestDatabase} from '../../helpers/db';
+import {bootstrapTestRedis, releaseTestRedis} from "../../helpers/redis";
+
+let sharedQueryService: SharedQueryService;
+
+beforeAll(bootstrapTestDatabase);
+beforeAll(bootstrapTestRedis);
+beforeAll(bootstrapApp);
+beforeAll(() => {
+  sharedQueryService = getTestApp().app.sharedQueryService;
+});
+afterAll(releaseApp);
+afterAll(releaseTestRedis);
+afterAll(releaseTestDatabase);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('should save the SQL with its result and revise it', async () => {
+  const { app } = getTestApp();
+  const run = jest.spyOn(app.sqlRunner, 'run');
+
+  const query = await sharedQueryService.createSharedQuery(1, {
+    name: 'Stars',
+    sql: 'SELECT * FROM github_repos',
+    context: { type: 'repo', id: '41986369' },
+  });
+  expect(query).toMatchObject({ userId: 1, name: 'Stars', source: SharedQuerySource.SQL, latestRevision: 1 });
+  expect(run).toBeCalledWith('SELECT * FROM `github_repos` LIMIT 100');
+  await expect(sharedQueryService.getRevision(query.id)).resolves.toMatchObject({
+    revision: 1,
+    sql: 'SELECT * FROM github_repos',
+    result: { rows: expect.any(Array) },
+  });
+
+  // Only change the chart config, the SQL should not be executed again.
+  const revision = await sharedQueryService.addRevision(1, query.id, { chart: { chartName: 'BarChart' } });
+  expect(revision).toMatchObject({ revision: 2, chart: { chartName: 'BarChart' } });
+  expect(run).toBeCalledTimes(1);
+
+  await expect(sharedQueryService.addRevision(2, query.id, { name: 'Others' })).rejects.toMatchObject({ statusCode: 403 });
+  await expect(sharedQueryService.addRevision(1, query.id, { sql: 'DELETE FROM github_repos' })).rejects.toMatchObject({ statusCode: 400 });
+  await expect(sharedQueryService.listRevisions(query.id)).resolves.toHaveLength(2);
+});
+
+test('should reject the revision based on the outdated revision', async () => {
+  const query = await sharedQueryService.createSharedQuery(1, {
+    name: 'Stars',
+    sql: 'SELECT 1',
+    context: { type: 'repo', id: '41986369' },
+  });
+  await sharedQueryService.addRevision(1, query.id, { name: 'Stars (revised)' });
+
+  // Revise the query which is read before the revision above.
+  jest.spyOn(sharedQueryService, 'getSharedQueryOrError').mockResolvedValueOnce(query);
+  await expect(sharedQueryService.addRevision(1, query.id, { name: 'Stars (outdated)' })).rejects.toMatchObject({ statusCode: 409 });
+  await expect(sharedQueryService.getSharedQueryOrError(query.id)).resolves.toMatchObject({
+    name: 'Stars (revised)',
+    latestRevision: 2,
+  });
+});
+
+test('should save the explorer question and fork it', async () => {
+  const { app } = getTestApp();
+  jest.spyOn(app.explorerService, 'getQuestionByIdOrError').mockImplementation(async (questionId: string) => ({
+    id: questionId,
+    status: QuestionStatus.Success,
+    querySQL: 'SELECT 1 AS a',
+    chart: { chartName: 'Table', title: 'Question' },
+    result: { fields: [{ name: 'a' }], rows: [{ a: 1 }] },
+    finishedAt: DateTime.now(),
+  }) as any);
+
+  const query = await sharedQueryService.createSharedQuery(1, {
+    name: 'Question',
+    questionId: '4ad3c0f4-3b4a-4b0e-9b6d-0d6bd1a4f1a5',
+  });
+  expect(query.source).toBe(SharedQuerySource.Explorer);
+  await expect(sharedQueryService.addRevision(1, query.id, { sql: 'SELECT 2' })).rejects.toMatchObject({ statusCode: 400 });
+
+  const forked = await sharedQueryService.forkSharedQuery(2, query.id, 'Forked');
+  expect(forked).toMatchObject({ userId: 2, name: 'Forked', forkedFrom: query.id, latestRevision: 1 });
+  await expect(sharedQueryService.getRevision(forked.id)).resolves.toMatchObject({
+    sql: 'SELECT 1 AS a',
+    chart: { chartName: 'Table' },
+    result: { rows: [{ a: 1 }] },
+  });
+});
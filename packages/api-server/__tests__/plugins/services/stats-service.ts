@@ -26,3 +26,23 @@ test('should execute valid sql', async () => {
   }]);
   await statsService.destroy();
 });
+
+test('should record query requests with params', async () => {
+  const db = getTestDatabase();
+  const pool = createPool({
+    uri: process.env.DATABASE_URL
+  });
+  const statsService = new StatsService(pool, testLogger);
+
+  await statsService.addQueryRequestRecord('test', { repoId: '41986369', period: 'last_28_days' }, 1.5, false);
+  await statsService.addQueryRequestRecord('test', { period: 'last_28_days', repoId: '41986369' }, 1.5, true);
+  await statsService.addQueryRequestRecord('stats-test', {}, 0.1, true);
+  await statsService.flush();
+
+  (await db.expect('SELECT COUNT(*) as count, COUNT(DISTINCT params_digest) as digests, COUNT(IF(cache_hit, 1, NULL)) as cache_hits from stats_query_requests')).toMatchObject([{
+    count: 2,
+    digests: 1,
+    cache_hits: 1,
+  }]);
+  await statsService.destroy();
+});
@@ -0,0 +1,110 @@
+import CacheBuilder, {CacheProviderTypes} from "../../../src/core/cache/CacheBuilder";
+import {LiveQueryService, MAX_SUBSCRIPTIONS_PER_SOCKET} from "../../../src/plugins/socket.io/live-query";
+import {testLogger} from "../../helpers/log";
+
+const CACHE_KEY = 'query:analyze-stars-history@version:41986369';
+
+function createSocket(id: string) {
+  return { id, connected: true, emit: jest.fn() };
+}
+
+function createLiveQueryService() {
+  const cacheBuilder = new CacheBuilder(testLogger, true);
+  const queryRunner = {
+    render: jest.fn(async () => ({ cacheKey: CACHE_KEY })),
+    query: jest.fn(async () => ({ data: [{ stars: 100 }], fields: [{ name: 'stars' }] })),
+  };
+  const liveQueryService = new LiveQueryService(testLogger, {} as any, queryRunner as any, cacheBuilder, false);
+  return { cacheBuilder, queryRunner, liveQueryService };
+}
+
+async function refreshCache(cacheBuilder: CacheBuilder, cacheKey: string) {
+  const cache = cacheBuilder.build(CacheProviderTypes.MEMORY, cacheKey, 1, false, true);
+  await cache.load(async () => ({ data: [{ stars: 100 }] } as any));
+  // Wait for the subscribers to be pushed.
+  await new Promise((resolve) => setImmediate(resolve));
+}
+
+test('should push the refreshed result to subscribers', async () => {
+  const { cacheBuilder, liveQueryService } = createLiveQueryService();
+  const socket = createSocket('socket-1');
+  const topic = await liveQueryService.subscribe(socket as any, {
+    query: 'analyze-stars-history', params: { repoId: '41986369' }, qid: 1, format: 'compact',
+  });
+  expect(topic).toBe('/q/analyze-stars-history?qid=1');
+
+  await refreshCache(cacheBuilder, CACHE_KEY);
+  expect(socket.emit).toBeCalledWith(topic, expect.objectContaining({
+    qid: 1,
+    compact: true,
+    payload: expect.objectContaining({ data: [[100]] }),
+  }));
+
+  // The refreshes of other cache entries are ignored.
+  await refreshCache(cacheBuilder, 'query:analyze-stars-history@version:1');
+  expect(socket.emit).toBeCalledTimes(1);
+});
+
+test('should stop pushing after unsubscribed', async () => {
+  const { cacheBuilder, liveQueryService } = createLiveQueryService();
+  const socket = createSocket('socket-1');
+  const request = { query: 'analyze-stars-history', params: { repoId: '41986369' } };
+  await liveQueryService.subscribe(socket as any, request);
+  await expect(liveQueryService.unsubscribe(socket as any, request)).resolves.toBe(true);
+
+  await refreshCache(cacheBuilder, CACHE_KEY);
+  expect(socket.emit).not.toBeCalled();
+});
+
+test('should not subscribe for the socket disconnected while rendering', async () => {
+  const { cacheBuilder, queryRunner, liveQueryService } = createLiveQueryService();
+  const socket = createSocket('socket-1');
+  queryRunner.render.mockImplementationOnce(async () => {
+    socket.connected = false;
+    liveQueryService.unsubscribeAll(socket as any);
+    return { cacheKey: CACHE_KEY };
+  });
+
+  await expect(liveQueryService.subscribe(socket as any, {
+    query: 'analyze-stars-history', params: { repoId: '41986369' },
+  })).rejects.toThrow(/closed/);
+
+  await refreshCache(cacheBuilder, CACHE_KEY);
+  expect(socket.emit).not.toBeCalled();
+});
+
+test('should limit the subscriptions of a connection', async () => {
+  const { liveQueryService } = createLiveQueryService();
+  const socket = createSocket('socket-1');
+  for (let qid = 0; qid < MAX_SUBSCRIPTIONS_PER_SOCKET; qid++) {
+    await liveQueryService.subscribe(socket as any, { query: 'analyze-stars-history', params: {}, qid });
+  }
+  await expect(liveQueryService.subscribe(socket as any, {
+    query: 'analyze-stars-history', params: {}, qid: MAX_SUBSCRIPTIONS_PER_SOCKET,
+  })).rejects.toThrow(/at most/);
+});
+
+test('should push again if the cache entry is refreshed while being pushed', async () => {
+  const { cacheBuilder, queryRunner, liveQueryService } = createLiveQueryService();
+  const socket = createSocket('socket-1');
+  await liveQueryService.subscribe(socket as any, { query: 'analyze-stars-history', params: { repoId: '41986369' } });
+
+  let finish: () => void = () => {};
+  queryRunner.query.mockImplementationOnce(() => new Promise((resolve) => {
+    finish = () => resolve({ data: [{ stars: 100 }], fields: [{ name: 'stars' }] });
+  }));
+  queryRunner.query.mockImplementationOnce(async () => ({ data: [{ stars: 101 }], fields: [{ name: 'stars' }] }));
+
+  await refreshCache(cacheBuilder, CACHE_KEY);
+  await refreshCache(cacheBuilder, CACHE_KEY);
+  await refreshCache(cacheBuilder, CACHE_KEY);
+  expect(queryRunner.query).toBeCalledTimes(1);
+
+  finish();
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  expect(queryRunner.query).toBeCalledTimes(2);
+  expect(socket.emit).toBeCalledTimes(2);
+  expect(socket.emit).toHaveBeenLastCalledWith('/q/analyze-stars-history', expect.objectContaining({
+    payload: expect.objectContaining({ data: [{ stars: 101 }] }),
+  }));
+});
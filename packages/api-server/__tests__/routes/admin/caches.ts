@@ -0,0 +1,122 @@
+/// <reference path="../../../src/plugins/cache/cache-builder.ts" />
+/// <reference path="../../../src/plugins/runner/query/index.ts" />
+import {Connection} from "mysql2/promise";
+import {CacheEntry} from "../../../src/core/cache/provider/NormalTableCacheProvider";
+import {UserRole} from "../../../src/plugins/services/user-service";
+import {bootstrapApp, getTestApp, releaseApp} from '../../helpers/app';
+import {createTestUser} from '../../helpers/auth';
+import {bootstrapTestDatabase, getTestDatabase, releaseTestDatabase} from '../../helpers/db';
+import {bootstrapTestRedis, releaseTestRedis} from '../../helpers/redis';
+
+let conn: Connection;
+let admin: Awaited<ReturnType<typeof createTestUser>>;
+let user: Awaited<ReturnType<typeof createTestUser>>;
+
+beforeAll(bootstrapTestDatabase);
+beforeAll(bootstrapTestRedis);
+beforeAll(bootstrapApp);
+beforeAll(async () => {
+  conn = await getTestDatabase().createConnection();
+  admin = await createTestUser(conn, 9101, 19101, 'cache-admin', UserRole.ADMIN);
+  user = await createTestUser(conn, 9102, 19102, 'cache-user');
+});
+afterAll(async () => {
+  await conn.query(`DELETE FROM sys_accounts WHERE user_id IN (?, ?);`, [admin.userId, user.userId]);
+  await conn.query(`DELETE FROM sys_users WHERE id IN (?, ?);`, [admin.userId, user.userId]);
+  await conn.end();
+});
+afterAll(releaseApp);
+afterAll(releaseTestRedis);
+afterAll(releaseTestDatabase);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const ENTRY: CacheEntry = {
+  key: 'query:analyze-stars-history@v1:41986369',
+  size: 2,
+  finishedAt: '2023-08-01T00:00:00.000Z',
+  expiresAt: '2023-08-01T01:00:00.000Z',
+  updatedAt: new Date('2023-08-01T00:00:00Z'),
+};
+
+describe('auth', () => {
+  test('should require login', async () => {
+    await getTestApp().expectGet('/admin/caches?prefix=query').toMatchObject({ statusCode: 401 });
+    await getTestApp().expectDelete('/admin/caches?queryName=analyze-stars-history').toMatchObject({ statusCode: 401 });
+    await getTestApp().expectDelete(`/admin/caches/${encodeURIComponent(ENTRY.key)}`).toMatchObject({ statusCode: 401 });
+  });
+
+  test('should reject the user who is not admin', async () => {
+    const { app } = getTestApp();
+    const deleteCacheEntries = jest.spyOn(app.cacheBuilder, 'deleteCacheEntries');
+    await getTestApp().expectGet('/admin/caches?prefix=query', { headers: user.headers }).toMatchObject({ statusCode: 403 });
+    await getTestApp().expectDelete('/admin/caches?queryName=analyze-stars-history', { headers: user.headers }).toMatchObject({ statusCode: 403 });
+    expect(deleteCacheEntries).not.toBeCalled();
+  });
+});
+
+describe('list', () => {
+  test('should list the entries of all versions of the query', async () => {
+    const { app } = getTestApp();
+    const listCacheEntries = jest.spyOn(app.cacheBuilder, 'listCacheEntries').mockResolvedValue({ total: 1, entries: [ENTRY] });
+    await getTestApp().expectGet('/admin/caches?queryName=analyze-stars-history&repoId=41986369&page=2&page_size=10', {
+      headers: admin.headers,
+    }).toMatchObject({
+      statusCode: 200,
+      body: { cacheProvider: 'CACHED_TABLE', total: 1, page: 2, page_size: 10, data: [{ key: ENTRY.key }] },
+    });
+    expect(listCacheEntries).toBeCalledWith('CACHED_TABLE', expect.arrayContaining([
+      'query:analyze-stars-history@%:41986369',
+      'query:analyze-stars-history:41986369',
+    ]), 10, 10);
+  });
+
+  test('should list the entries by key prefix', async () => {
+    const { app } = getTestApp();
+    const listCacheEntries = jest.spyOn(app.cacheBuilder, 'listCacheEntries').mockResolvedValue({ total: 0, entries: [] });
+    await getTestApp().expectGet('/admin/caches?prefix=query:events_', { headers: admin.headers }).toMatchObject({
+      statusCode: 200,
+      body: { cacheProvider: 'NORMAL_TABLE', total: 0, data: [] },
+    });
+    expect(listCacheEntries).toBeCalledWith('NORMAL_TABLE', ['query:events\\_%'], 50, 0);
+  });
+
+  test('should return 404 if the entry not found', async () => {
+    const { app } = getTestApp();
+    jest.spyOn(app.cacheBuilder, 'getCacheEntry').mockResolvedValue(null);
+    await getTestApp().expectGet(`/admin/caches/${encodeURIComponent(ENTRY.key)}`, { headers: admin.headers }).toMatchObject({
+      statusCode: 404,
+    });
+  });
+});
+
+describe('delete', () => {
+  test('should require the query name', async () => {
+    await getTestApp().expectDelete('/admin/caches', { headers: admin.headers }).toMatchObject({ statusCode: 400 });
+  });
+
+  test('should delete the entries of all versions of the query', async () => {
+    const { app } = getTestApp();
+    const deleteCacheEntries = jest.spyOn(app.cacheBuilder, 'deleteCacheEntries').mockResolvedValue([ENTRY.key]);
+    await getTestApp().expectDelete('/admin/caches?queryName=analyze-stars-history', { headers: admin.headers }).toMatchObject({
+      statusCode: 200,
+      body: { cacheProvider: 'CACHED_TABLE', deleted: 1, keys: [ENTRY.key] },
+    });
+    expect(deleteCacheEntries).toBeCalledWith('CACHED_TABLE', expect.arrayContaining([
+      'query:analyze-stars-history@%:%',
+      'explain:analyze-stars-history@%:%',
+    ]));
+  });
+
+  test('should delete the entry by key', async () => {
+    const { app } = getTestApp();
+    const deleteCacheEntry = jest.spyOn(app.cacheBuilder, 'deleteCacheEntry').mockResolvedValue(1);
+    await getTestApp().expectDelete(`/admin/caches/${encodeURIComponent(ENTRY.key)}`, { headers: admin.headers }).toMatchObject({
+      statusCode: 200,
+      body: { deleted: 1 },
+    });
+    expect(deleteCacheEntry).toBeCalledWith(ENTRY.key);
+  });
+});
@@ -0,0 +1,70 @@
+/// <reference path="../../../src/plugins/runner/query/index.ts" />
+import {BATCH_CONCURRENCY, MAX_BATCH_SIZE} from '../../../src/routes/q/batch';
+import {bootstrapApp, getTestApp, releaseApp} from '../../helpers/app';
+import {bootstrapTestDatabase, releaseTestDatabase} from '../../helpers/db';
+import {bootstrapTestRedis, releaseTestRedis} from '../../helpers/redis';
+
+beforeAll(bootstrapTestDatabase);
+beforeAll(bootstrapTestRedis);
+beforeAll(bootstrapApp);
+afterAll(releaseApp);
+afterAll(releaseTestRedis);
+afterAll(releaseTestDatabase);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('should return the result or error of each query in order', async () => {
+  await getTestApp().expectPost('/q/batch', [
+    { query: 'events-total' },
+    { query: 'not-exists' },
+    { query: 'stats-index-info', params: { tableName: '1-bad-name' } },
+  ]).toMatchObject({
+    statusCode: 200,
+    body: [
+      { query: 'events-total', result: { data: [expect.anything()] } },
+      { query: 'not-exists', error: { statusCode: 404 } },
+      { query: 'stats-index-info', error: { statusCode: 400 } },
+    ],
+  });
+});
+
+test('should not expose the message of unexpected errors', async () => {
+  const { app } = getTestApp();
+  jest.spyOn(app.queryRunner, 'query').mockRejectedValue(new Error('connect ECONNREFUSED 10.0.0.1:4000'));
+
+  await getTestApp().expectPost('/q/batch', [
+    { query: 'events-total' },
+  ]).toMatchObject({
+    statusCode: 200,
+    body: [
+      { query: 'events-total', error: { statusCode: 500, message: 'Internal Server Error' } },
+    ],
+  });
+});
+
+test('should reject too many queries', async () => {
+  const items = Array.from({ length: MAX_BATCH_SIZE + 1 }, () => ({ query: 'events-total' }));
+  await getTestApp().expectPost('/q/batch', items).toMatchObject({
+    statusCode: 400,
+  });
+});
+
+test('should execute the queries with bounded concurrency', async () => {
+  const { app } = getTestApp();
+  let running = 0, maxRunning = 0;
+  jest.spyOn(app.queryRunner, 'query').mockImplementation(async () => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    running--;
+    return { data: [], sql: 'SELECT 1', requestedAt: new Date().toISOString(), refresh: false, spent: 0 } as any;
+  });
+
+  const items = Array.from({ length: BATCH_CONCURRENCY * 3 }, () => ({ query: 'events-total' }));
+  await getTestApp().expectPost('/q/batch', items).toMatchObject({
+    statusCode: 200,
+  });
+  expect(maxRunning).toBe(BATCH_CONCURRENCY);
+});
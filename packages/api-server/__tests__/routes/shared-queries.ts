@@ -0,0 +1,103 @@
+import {Connection} from "mysql2/promise";
+import {bootstrapApp, getTestApp, releaseApp} from '../helpers/app';
+import {createTestUser} from '../helpers/auth';
+import {bootstrapTestDatabase, getTestDatabase, releaseTestDatabase} from '../helpers/db';
+import {bootstrapTestRedis, releaseTestRedis} from '../helpers/redis';
+
+let conn: Connection;
+let owner: Awaited<ReturnType<typeof createTestUser>>;
+let other: Awaited<ReturnType<typeof createTestUser>>;
+
+beforeAll(bootstrapTestDatabase);
+beforeAll(bootstrapTestRedis);
+beforeAll(bootstrapApp);
+beforeAll(async () => {
+  conn = await getTestDatabase().createConnection();
+  owner = await createTestUser(conn, 9001, 19001, 'shared-query-owner');
+  other = await createTestUser(conn, 9002, 19002, 'shared-query-other');
+});
+afterAll(async () => {
+  await conn.query(`DELETE FROM sys_accounts WHERE user_id IN (?, ?);`, [owner.userId, other.userId]);
+  await conn.query(`DELETE FROM sys_users WHERE id IN (?, ?);`, [owner.userId, other.userId]);
+  await conn.end();
+});
+afterAll(releaseApp);
+afterAll(releaseTestRedis);
+afterAll(releaseTestDatabase);
+
+async function createSharedQuery(body: Record<string, any>) {
+  const res = await getTestApp().app.inject().post('/shared-queries').headers(owner.headers).body(body);
+  expect(res.statusCode).toBe(200);
+  return res.json();
+}
+
+test('should require login to save shared query', async () => {
+  await getTestApp().expectPost('/shared-queries', {
+    name: 'Stars',
+    sql: 'SELECT 1',
+    context: { type: 'repo', id: '41986369' },
+  }).toMatchObject({
+    statusCode: 401,
+  });
+});
+
+test('should save shared query with the urls', async () => {
+  const query = await createSharedQuery({
+    name: 'Stars',
+    sql: 'SELECT 1',
+    context: { type: 'repo', id: '41986369' },
+  });
+  expect(query).toMatchObject({
+    userId: owner.userId,
+    name: 'Stars',
+    latestRevision: 1,
+    url: `http://testdomain.com/shared-queries/${query.id}`,
+    embedUrl: `http://testdomain.com/shared-queries/${query.id}/embed`,
+  });
+});
+
+test('only the owner can revise shared query, others should fork it', async () => {
+  const query = await createSharedQuery({
+    name: 'Stars',
+    sql: 'SELECT 1',
+    context: { type: 'repo', id: '41986369' },
+  });
+
+  await getTestApp().expectPost(`/shared-queries/${query.id}/revisions`, { name: 'Others' }, { headers: other.headers }).toMatchObject({
+    statusCode: 403,
+  });
+  await getTestApp().expectPost(`/shared-queries/${query.id}/revisions`, { name: 'Stars (revised)' }, { headers: owner.headers }).toMatchObject({
+    statusCode: 200,
+    body: { revision: 2, userId: owner.userId },
+  });
+  await getTestApp().expectGet(`/shared-queries/${query.id}`).toMatchObject({
+    statusCode: 200,
+    body: { name: 'Stars (revised)', latestRevision: 2 },
+  });
+
+  await getTestApp().expectPost(`/shared-queries/${query.id}/fork`, { name: 'Forked' }, { headers: other.headers }).toMatchObject({
+    statusCode: 200,
+    body: { userId: other.userId, name: 'Forked', forkedFrom: query.id, latestRevision: 1 },
+  });
+  await getTestApp().expectGet(`/shared-queries/${query.id}/revisions`).toMatchObject({
+    statusCode: 200,
+    body: [expect.anything(), expect.anything()],
+  });
+});
+
+test('embed view should escape the shared query and forbid scripts', async () => {
+  const query = await createSharedQuery({
+    name: '<b>Name</b>',
+    sql: 'SELECT 1',
+    context: { type: 'repo', id: '41986369' },
+    chart: { title: '</script><script>alert(1)</script>' },
+  });
+
+  const res = await getTestApp().app.inject().get(`/shared-queries/${query.id}/embed`);
+  expect(res.statusCode).toBe(200);
+  expect(res.headers['content-type']).toBe('text/html; charset=utf-8');
+  expect(res.headers['content-security-policy']).toContain("default-src 'none'");
+  expect(res.body).toContain('&lt;b&gt;Name&lt;/b&gt;');
+  expect(res.body).not.toContain('</script><script>');
+  expect(res.body).toContain(`http://testdomain.com/shared-queries/${query.id}`);
+});
@@ -0,0 +1,67 @@
+import {ParquetReader} from "@dsnp/parquetjs";
+import {Readable} from "stream";
+import {resolveExportFormat, toCSVStream, toNDJSONStream, toParquetStream} from "../../src/utils/export";
+
+const fields = [
+  { name: 'repo_name', columnType: 253 },
+  { name: 'stars', columnType: 8 },
+  { name: 'ratio', columnType: 246 },
+];
+
+const rows = [
+  { repo_name: 'pingcap/tidb', stars: 33000, ratio: '0.25' },
+  { repo_name: 'a,"b"', stars: null, ratio: 1.5 },
+];
+
+async function readAll(stream: Readable): Promise<Buffer> {
+  const chunks: Buffer[] = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+test('resolve export format', () => {
+  expect(resolveExportFormat('csv')).toBe('csv');
+  expect(resolveExportFormat('array', 'text/csv')).toBe('csv');
+  expect(resolveExportFormat(undefined, 'application/x-ndjson;q=0.9, */*')).toBe('ndjson');
+  expect(resolveExportFormat(undefined, 'application/vnd.apache.parquet')).toBe('parquet');
+  expect(resolveExportFormat(undefined, 'application/json')).toBeNull();
+  expect(resolveExportFormat()).toBeNull();
+});
+
+test('export rows as csv', async () => {
+  const output = await readAll(toCSVStream(rows, fields));
+  expect(output.toString()).toBe([
+    'repo_name,stars,ratio',
+    'pingcap/tidb,33000,0.25',
+    '"a,""b""",,1.5',
+    ''
+  ].join('\n'));
+});
+
+test('export array rows as ndjson', async () => {
+  const output = await readAll(toNDJSONStream([['pingcap/tidb', 33000, '0.25']], fields));
+  expect(output.toString()).toBe('{"repo_name":"pingcap/tidb","stars":33000,"ratio":"0.25"}\n');
+});
+
+test('export rows as parquet', async () => {
+  const output = await readAll(toParquetStream(rows, fields));
+  const reader = await ParquetReader.openBuffer(output);
+  const cursor = reader.getCursor();
+  expect(await cursor.next()).toEqual({ repo_name: 'pingcap/tidb', stars: BigInt(33000), ratio: 0.25 });
+  expect(await cursor.next()).toEqual({ repo_name: 'a,"b"', ratio: 1.5 });
+  await reader.close();
+});
+
+test('export date values as ISO strings', async () => {
+  const dateFields = [{ name: 'event_day', columnType: 10 }];
+  const dateRows = [{ event_day: new Date('2023-01-01T00:00:00.000Z') }];
+  const csv = await readAll(toCSVStream(dateRows, dateFields));
+  expect(csv.toString()).toBe('event_day\n2023-01-01T00:00:00.000Z\n');
+
+  const parquet = await readAll(toParquetStream(dateRows, dateFields));
+  const reader = await ParquetReader.openBuffer(parquet);
+  expect(await reader.getCursor().next()).toEqual({ event_day: '2023-01-01T00:00:00.000Z' });
+  await reader.close();
+});
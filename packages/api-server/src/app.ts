@@ -24,15 +24,27 @@ export interface AppConfig {
   API_BASE_URL: string;
   ENABLE_CACHE: boolean;
   QUERY_CACHE_KEY_PREFIX?: string;
+  ENABLE_DISTRIBUTED_CACHE_LOCK: boolean;
+  DISTRIBUTED_CACHE_LOCK_WAIT_TIMEOUT: number;
+  ENABLE_SOCKET_IO_REDIS_ADAPTER: boolean;
+  ENABLE_QUERY_HOT_RELOAD: boolean;
   PLAYGROUND_DATABASE_URL: string;
   PLAYGROUND_SHADOW_DATABASE_URL: string;
   PLAYGROUND_DAILY_QUESTIONS_LIMIT: number;
   PLAYGROUND_TRUSTED_GITHUB_LOGINS: string[];
+  PLAYGROUND_ALLOWED_TABLES: string[];
+  PLAYGROUND_DENIED_TABLES: string[];
+  PLAYGROUND_MAX_JOINS: number;
+  PLAYGROUND_MAX_SUBQUERIES: number;
+  PLAYGROUND_MAX_LIMIT: number;
+  PLAYGROUND_MAX_EXECUTION_TIME: number;
+  PLAYGROUND_MAX_ESTIMATED_ROWS: number;
   EXPLORER_USER_MAX_QUESTIONS_PER_HOUR: number;
   EXPLORER_USER_MAX_QUESTIONS_ON_GOING: number;
   EXPLORER_GENERATE_SQL_CACHE_TTL: number;
   EXPLORER_QUERY_SQL_CACHE_TTL: number;
   EXPLORER_OUTPUT_ANSWER_IN_STREAM: boolean;
+  EXPLORER_SQL_REPAIR_MAX_ATTEMPTS: number;
   GITHUB_ACCESS_TOKENS: string[];
   OPENAI_API_KEY: string;
   AUTH0_DOMAIN: string;
@@ -0,0 +1,236 @@
+import Ajv, {ValidateFunction} from "ajv";
+import addFormats from "ajv-formats";
+import {Params, QuerySchema} from "@ossinsight/types";
+import {existsSync, readdirSync, readFileSync} from "fs";
+import {Liquid} from "liquidjs";
+import {dirname, join, relative, resolve} from "path";
+import {QUERY_CONFIG_FILENAME, QUERY_TEMPLATE_SQL_FILENAME} from "../core/runner/query/QueryLoader";
+import {QueryLegacyParser} from "../core/runner/query/QueryLegacyParser";
+import {QueryLiquidParser} from "../core/runner/query/QueryLiquidParser";
+import {ParamTypes} from "../core/runner/query/QueryParser";
+
+/**
+ * Lint the query configs under `configs/queries`:
+ *
+ * - `params.json` should be valid against `packages/types/schema/query.schema.json`.
+ * - `template.sql` should be rendered with the defaults (or `replaces`) of params.
+ * - Every declared param should be used in the template, and every variable used in
+ *   the liquid template should be declared.
+ * - The `refreshQueue` should be declared in `configs/prefetch/queues.json`.
+ *
+ * Usage:
+ *
+ * ```
+ * node dist/cmd/lint-queries.js [--queries-path <path>] [--queues MAIN,CONCURRENT] [<query name> ...]
+ * ```
+ */
+
+export interface QueryLintIssue {
+  queryName: string;
+  message: string;
+}
+
+export interface QueryLintOptions {
+  // The query schema validator, see `createQuerySchemaValidator()`.
+  validate: ValidateFunction<QuerySchema>;
+  // The prefetch queue names declared in `configs/prefetch/queues.json`.
+  queueNames: string[];
+}
+
+const DEFAULT_QUERIES_PATH = resolve(__dirname, '..', '..', '..', '..', 'configs', 'queries');
+const PREFETCH_QUEUES_CONFIG_PATH = resolve(__dirname, '..', '..', '..', '..', 'configs', 'prefetch', 'queues.json');
+
+export function createQuerySchemaValidator(): ValidateFunction<QuerySchema> {
+  const schemaDir = join(dirname(require.resolve('@ossinsight/types/package.json')), 'schema');
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  addFormats(ajv);
+  ajv.addSchema(JSON.parse(readFileSync(join(schemaDir, 'openapi-2021-09-28.schema.json'), 'utf-8')));
+  return ajv.compile<QuerySchema>(JSON.parse(readFileSync(join(schemaDir, 'query.schema.json'), 'utf-8')));
+}
+
+/**
+ * Read the declared queue names from the queue config of prefetch.
+ */
+export function loadPrefetchQueueNames(configPath: string = PREFETCH_QUEUES_CONFIG_PATH): string[] {
+  const config = JSON.parse(readFileSync(configPath, 'utf-8'));
+  if (!Array.isArray(config?.queues)) {
+    throw new Error(`Failed to find the queues in ${configPath}.`);
+  }
+  return config.queues.map((queue: any) => String(queue.name));
+}
+
+export function findQueryNames(queriesPath: string, current: string[] = []): string[] {
+  const names: string[] = [];
+  const dirs = readdirSync(join(queriesPath, ...current), { withFileTypes: true });
+  for (const dir of dirs) {
+    if (!dir.isDirectory()) {
+      continue;
+    }
+    const queryPath = [...current, dir.name];
+    if (existsSync(join(queriesPath, ...queryPath, QUERY_CONFIG_FILENAME))) {
+      names.push(queryPath.join('/'));
+    }
+    names.push(...findQueryNames(queriesPath, queryPath));
+  }
+  return names.sort();
+}
+
+export async function lintQuery(queriesPath: string, queryName: string, options: QueryLintOptions): Promise<QueryLintIssue[]> {
+  const issues: QueryLintIssue[] = [];
+  const report = (message: string) => issues.push({ queryName, message });
+
+  const configPath = join(queriesPath, queryName, QUERY_CONFIG_FILENAME);
+  const templatePath = join(queriesPath, queryName, QUERY_TEMPLATE_SQL_FILENAME);
+
+  let queryConfig: QuerySchema;
+  try {
+    queryConfig = JSON.parse(readFileSync(configPath, 'utf-8'));
+  } catch (err: any) {
+    report(`Failed to parse ${QUERY_CONFIG_FILENAME}: ${err.message}`);
+    return issues;
+  }
+
+  if (!options.validate(queryConfig)) {
+    for (const error of options.validate.errors || []) {
+      report(`Invalid ${QUERY_CONFIG_FILENAME}: ${error.instancePath || '/'} ${error.message}`);
+    }
+    return issues;
+  }
+
+  if (!existsSync(templatePath)) {
+    report(`The ${QUERY_TEMPLATE_SQL_FILENAME} file can not be found.`);
+    return issues;
+  }
+  const templateSQL = readFileSync(templatePath, 'utf-8');
+
+  if (queryConfig.refreshQueue && !options.queueNames.includes(queryConfig.refreshQueue)) {
+    report(`The refreshQueue <${queryConfig.refreshQueue}> is not registered in prefetch (registered: ${options.queueNames.join(', ')}).`);
+  }
+
+  const params: Params[] = queryConfig.params;
+  const values = Object.fromEntries(params.map((param) => [param.name, getSampleValue(param)]));
+
+  if (queryConfig.engine === 'liquid') {
+    const usedNames = getLiquidVariableNames(templateSQL);
+    for (const param of params) {
+      if (!usedNames.has(param.name)) {
+        report(`The param <${param.name}> is declared but not used in ${QUERY_TEMPLATE_SQL_FILENAME}.`);
+      }
+    }
+
+    // Render the template in strict mode to find out the variables which are not declared.
+    try {
+      await new QueryLiquidParser().parse(templateSQL, queryConfig, { ...values });
+      await new Liquid({ strictVariables: true }).parseAndRender(templateSQL, values);
+    } catch (err: any) {
+      report(`Failed to render ${QUERY_TEMPLATE_SQL_FILENAME}: ${err.message}`);
+    }
+  } else {
+    for (const param of params) {
+      if (!param.replaces) {
+        report(`The param <${param.name}> does not declare the replaces string.`);
+      } else if (!templateSQL.includes(param.replaces)) {
+        report(`The replaces string "${param.replaces}" of param <${param.name}> is not used in ${QUERY_TEMPLATE_SQL_FILENAME}.`);
+      }
+    }
+
+    try {
+      await new QueryLegacyParser().parse(templateSQL, queryConfig, { ...values });
+    } catch (err: any) {
+      report(`Failed to render ${QUERY_TEMPLATE_SQL_FILENAME}: ${err.message}`);
+    }
+  }
+
+  return issues;
+}
+
+// Use the default value first, then the first valid value, then the value in the template.
+function getSampleValue(param: Params): any {
+  if (param.default !== undefined && param.default !== null) {
+    return param.default;
+  }
+  if (Array.isArray(param.enums) && param.enums.length > 0) {
+    return param.enums[0];
+  }
+  if (param.template) {
+    return Object.keys(param.template)[0];
+  }
+
+  const itemType = param.type === ParamTypes.ARRAY ? param.itemType : param.type;
+  let value: any;
+  switch (itemType) {
+    case 'boolean':
+      value = true;
+      break;
+    case 'integer':
+    case 'number':
+      value = param.replaces && !Number.isNaN(Number(param.replaces)) ? Number(param.replaces) : 1;
+      break;
+    default:
+      // Notice: The replaces of array param may be the list of items in SQL, which is not a valid item.
+      const matched = !param.pattern || new RegExp(param.pattern).test(param.replaces ?? '');
+      value = param.replaces && matched ? param.replaces : 'sample';
+  }
+  return param.type === ParamTypes.ARRAY ? [value] : value;
+}
+
+// Collect the names appearing in the liquid tags (`{{ ... }}` and `{% ... %}`), except the string literals,
+// the tag names and keywords are collected too, but it does not matter for checking the declared params.
+function getLiquidVariableNames(templateSQL: string): Set<string> {
+  const names = new Set<string>();
+  for (const [, output, tag] of templateSQL.matchAll(/\{\{-?([\s\S]*?)-?}}|\{%-?([\s\S]*?)-?%}/g)) {
+    const content = (output ?? tag).replace(/'[^']*'|"[^"]*"/g, '');
+    for (const [name] of content.matchAll(/[A-Za-z_][\w]*/g)) {
+      names.add(name);
+    }
+  }
+  return names;
+}
+
+function parseArgs(argv: string[]) {
+  let queriesPath = process.env.CONFIGS_PATH ? join(process.env.CONFIGS_PATH, 'queries') : DEFAULT_QUERIES_PATH;
+  let queueNames: string[] | undefined;
+  const queryNames: string[] = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--queries-path') {
+      queriesPath = resolve(argv[++i]);
+    } else if (argv[i] === '--queues') {
+      queueNames = argv[++i].split(',').map((name) => name.trim()).filter(Boolean);
+    } else {
+      queryNames.push(argv[i]);
+    }
+  }
+  return { queriesPath, queueNames, queryNames };
+}
+
+async function main() {
+  const { queriesPath, queueNames, queryNames } = parseArgs(process.argv.slice(2));
+  const options: QueryLintOptions = {
+    validate: createQuerySchemaValidator(),
+    queueNames: queueNames ?? loadPrefetchQueueNames(),
+  };
+
+  const names = queryNames.length > 0 ? queryNames : findQueryNames(queriesPath);
+  const issues: QueryLintIssue[] = [];
+  for (const queryName of names) {
+    issues.push(...await lintQuery(queriesPath, queryName, options));
+  }
+
+  for (const issue of issues) {
+    console.error(`✗ ${relative(process.cwd(), join(queriesPath, issue.queryName))}: ${issue.message}`);
+  }
+
+  const failedQueries = new Set(issues.map((issue) => issue.queryName));
+  if (failedQueries.size > 0) {
+    console.error(`\n${failedQueries.size} of ${names.length} queries have problems (${issues.length} issues).`);
+    process.exit(1);
+  }
+  console.log(`All ${names.length} queries passed.`);
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
@@ -1,8 +1,9 @@
 
 import { CacheProvider } from './provider/CacheProvider';
+import { CacheLease, CacheLock, CacheLockWaitTimeoutError } from './lock/CacheLock';
 import {DateTime} from 'luxon'
 import pino from 'pino';
-import {cacheHitCounter, cacheQueryHistogram, measure} from '../../metrics';
+import {cacheHitCounter, cacheLockCounter, cacheQueryHistogram, cacheStaleHitCounter, measure} from '../../metrics';
 
 export class NeedPreFetchError extends Error {
   readonly msg: string
@@ -21,10 +22,14 @@ export interface CachedData<T> {
 export interface CachedResult<T> extends CachedData<T> {
   expiresAt: DateTime | null;
   refresh?: boolean;
+  stale?: boolean;
 }
 
 const runningCaches = new Map<string, Cache<any>>()
 
+// The keys of stale caches which are being refreshed in background.
+const revalidatingCaches = new Set<string>()
+
 export default class Cache<T> {
   _data!: Promise<CachedResult<T>>
 
@@ -35,6 +40,10 @@ export default class Cache<T> {
     private readonly cacheHours: number,
     private readonly onlyFromCache: boolean = false,
     private readonly refreshCache: boolean = false,
+    private readonly staleWhileRevalidateHours: number = 0,
+    private readonly cacheLock?: CacheLock,
+    // Called after the refreshed data is saved to the cache.
+    private readonly onRefreshed?: () => void,
   ) {
   }
 
@@ -66,6 +75,21 @@ export default class Cache<T> {
     }
   }
 
+  // Read the cached data without executing the query or refreshing the cache, the data in
+  // the stale-while-revalidate window is marked as stale.
+  async peek(): Promise<CachedResult<T> | null> {
+    if (this.cacheHours === 0) {
+      return null;
+    }
+
+    const cachedData = await this.fetchDataFromCache();
+    if (cachedData === null || cachedData === undefined) {
+      return null;
+    }
+
+    return this.isExpired(cachedData) ? { ...cachedData, stale: true } : cachedData;
+  }
+
   private async loadInternal(fallback: () => Promise<CachedData<T>>): Promise<CachedResult<T>> {
     // Initiative refresh query will ignore cache.
     if (this.refreshCache) {
@@ -83,6 +107,19 @@ export default class Cache<T> {
     try {
       const cachedData = await this.fetchDataFromCache();
       if (cachedData !== null && cachedData !== undefined) {
+        // Return the stale data directly, and refresh it in background.
+        if (this.staleTTL > 0 && this.isExpired(cachedData)) {
+          this.log.info(`Hit stale cache of <${this.key}>.`);
+          cacheStaleHitCounter.inc();
+          if (!this.onlyFromCache) {
+            this.revalidate(fallback);
+          }
+          return {
+            ...cachedData,
+            stale: true,
+          };
+        }
+
         this.log.info(`Hit cache of <${this.key}>.`);
         cacheHitCounter.inc();
         return cachedData;
@@ -100,6 +137,130 @@ export default class Cache<T> {
   }
 
   private async fetchDataFromDB(fallback: () => Promise<CachedData<T>>):Promise<CachedResult<T>> {
+    // Only one process across the cluster executes the same query at the same time, the result
+    // is shared through the cache, so it makes no sense if the cache is disabled.
+    if (this.cacheLock !== undefined && this.cacheHours !== 0) {
+      return await this.fetchDataFromDBWithLock(fallback, this.cacheLock);
+    }
+
+    return await this.executeAndCache(fallback);
+  }
+
+  private async fetchDataFromDBWithLock(fallback: () => Promise<CachedData<T>>, cacheLock: CacheLock):Promise<CachedResult<T>> {
+    const deadline = Date.now() + cacheLock.waitTimeout;
+    while (true) {
+      let lease: CacheLease | null;
+      try {
+        lease = await cacheLock.acquire(this.key);
+      } catch (err) {
+        cacheLockCounter.inc({ phase: 'error' });
+        this.log.warn(err, `Failed to acquire cache lock of <${this.key}>, execute query without lock.`);
+        return await this.executeAndCache(fallback);
+      }
+
+      if (lease !== null) {
+        cacheLockCounter.inc({ phase: 'acquired' });
+        try {
+          const [cachedResult, ttl] = await this.executeFallback(fallback);
+
+          // The waiters will get the result from cache after the lease is released.
+          await this.saveDataToCache(cachedResult, ttl).then(() => this.notifyRefreshed()).catch(err => {
+            this.log.error(err, `Failed to save data to cache for <${this.key}>.`);
+          });
+
+          return {
+            ...cachedResult,
+            refresh: true,
+          };
+        } finally {
+          lease.release().catch((err) => {
+            this.log.warn(err, `Failed to release cache lock of <${this.key}>.`);
+          });
+        }
+      }
+
+      // Another process is executing the same query, wait for its result.
+      this.log.info(`Wait for the same cache query <${this.key}> in another process.`);
+      cacheLockCounter.inc({ phase: 'wait' });
+      try {
+        await cacheLock.waitForRelease(this.key, deadline);
+      } catch (err) {
+        if (err instanceof CacheLockWaitTimeoutError) {
+          cacheLockCounter.inc({ phase: 'timeout' });
+          throw err;
+        }
+        cacheLockCounter.inc({ phase: 'error' });
+        this.log.warn(err, `Failed to wait for cache lock of <${this.key}>, execute query without lock.`);
+        return await this.executeAndCache(fallback);
+      }
+
+      const cachedData = await this.fetchDataFromCache().catch((err) => {
+        this.log.warn(err, `Failed to get data from cache for <${this.key}>.`);
+        return null;
+      });
+      if (cachedData !== null && cachedData !== undefined && !this.isExpired(cachedData)) {
+        this.log.info(`Hit cache of <${this.key}> which is executed by another process.`);
+        cacheHitCounter.inc();
+        return cachedData;
+      }
+
+      // The query failed in another process, try to acquire the lease and execute it again.
+    }
+  }
+
+  private async executeAndCache(fallback: () => Promise<CachedData<T>>):Promise<CachedResult<T>> {
+    const [cachedResult, ttl] = await this.executeFallback(fallback);
+
+    // Update cache async.
+    this.saveDataToCache(cachedResult, ttl).then(() => this.notifyRefreshed()).catch(err => {
+      this.log.error(err, `Failed to save data to cache for <${this.key}>.`);
+    });
+
+    return {
+      ...cachedResult,
+      refresh: true,
+    };
+  }
+
+  private revalidate(fallback: () => Promise<CachedData<T>>) {
+    // Only one background refresh at the same time for the same cache key.
+    if (revalidatingCaches.has(this.key)) {
+      this.log.info(`Stale cache <${this.key}> is already being refreshed in background.`);
+      return;
+    }
+
+    revalidatingCaches.add(this.key);
+    this.log.info(`🔄 Refresh stale cache <${this.key}> in background.`);
+    this.refreshStaleCache(fallback)
+      .catch(err => {
+        this.log.error(err, `Failed to refresh stale cache for <${this.key}>.`);
+      })
+      .finally(() => {
+        revalidatingCaches.delete(this.key);
+      });
+  }
+
+  private async refreshStaleCache(fallback: () => Promise<CachedData<T>>):Promise<void> {
+    let lease: CacheLease | null = null;
+    if (this.cacheLock !== undefined) {
+      lease = await this.cacheLock.acquire(this.key);
+      // Another process is refreshing the same cache.
+      if (lease === null) {
+        this.log.info(`Stale cache <${this.key}> is already being refreshed in another process.`);
+        return;
+      }
+    }
+
+    try {
+      const [cachedResult, ttl] = await this.executeFallback(fallback);
+      await this.saveDataToCache(cachedResult, ttl);
+      this.notifyRefreshed();
+    } finally {
+      await lease?.release();
+    }
+  }
+
+  private async executeFallback(fallback: () => Promise<CachedData<T>>):Promise<[CachedResult<T>, number]> {
     // Execute query.
     this.log.info(`⚡️ Executing query <${this.key}>.`);
     const start = DateTime.now();
@@ -108,33 +269,58 @@ export default class Cache<T> {
     const duration = end.diff(start, 'seconds').seconds;
     this.log.info(`✅️ Finished executing query <${this.key}> in ${duration} seconds.`);
 
-    // Update cache async.
     const ttl = this.cacheHours > 0 ? Math.round(this.cacheHours * 3600) : -1;
     const cachedResult: CachedResult<any> = {
       ...result,
       expiresAt: ttl > 0 ? DateTime.now().plus({seconds: ttl}) : null,
     }
-    this.saveDataToCache(cachedResult, ttl).catch(err => {
-      this.log.error(err, `Failed to save data to cache for <${this.key}>.`);
-    });
 
-    return {
-      ...cachedResult,
-      refresh: true,
-    };
+    return [cachedResult, ttl];
+  }
+
+  private notifyRefreshed() {
+    // The data without cache will be executed again on every request, nothing to be refreshed.
+    if (this.cacheHours === 0) {
+      return;
+    }
+    try {
+      this.onRefreshed?.();
+    } catch (err) {
+      this.log.warn(err, `Failed to notify the refresh of cache <${this.key}>.`);
+    }
+  }
+
+  // The stale cache can only be used when the cache will expire.
+  private get staleTTL(): number {
+    if (this.cacheHours <= 0 || this.staleWhileRevalidateHours <= 0) {
+      return 0;
+    }
+    return Math.round(this.staleWhileRevalidateHours * 3600);
+  }
+
+  private isExpired(cachedData: CachedResult<T>): boolean {
+    if (!cachedData.expiresAt) {
+      return false;
+    }
+    // Notice: The cached data is deserialized from JSON, so the `expiresAt` is an ISO string.
+    const expiresAt = DateTime.fromISO(String(cachedData.expiresAt));
+    return expiresAt.isValid && expiresAt < DateTime.now();
   }
 
   private async saveDataToCache(data: CachedData<T>, ttl: number):Promise<void> {
     return await measure(cacheQueryHistogram.labels({op: 'set'}), async () =>
       await this.cacheProvider.set(this.key, JSON.stringify(data), {
-        EX: ttl
+        EX: ttl,
+        STALE: this.staleTTL
       })
     );
   }
 
   private async fetchDataFromCache():Promise<CachedResult<T> | null> {
     return await measure(cacheQueryHistogram.labels({op: 'get'}), async () => {
-      const cachedResult = await this.cacheProvider.get(this.key);
+      const cachedResult = await this.cacheProvider.get(this.key, {
+        STALE: this.staleTTL
+      });
       if (cachedResult) {
         return {
           ...cachedResult,
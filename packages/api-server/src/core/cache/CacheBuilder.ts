@@ -1,72 +1,248 @@
 
-import { CacheOption, CacheProvider } from "./provider/CacheProvider";
+import { CacheGetOption, CacheOption, CacheProvider } from "./provider/CacheProvider";
 
 import Cache from './Cache'
 import CachedTableCacheProvider from "./provider/CachedTableCacheProvider";
-import NormalTableCacheProvider from "./provider/NormalTableCacheProvider";
+import NormalTableCacheProvider, {CacheEntry} from "./provider/NormalTableCacheProvider";
+import RedisCacheProvider from "./provider/RedisCacheProvider";
+import MemoryCacheProvider, {DEFAULT_MEMORY_CACHE_MAX_SIZE, MEMORY_CACHE_TIER_MAX_TTL} from "./provider/MemoryCacheProvider";
+import TieredCacheProvider from "./provider/TieredCacheProvider";
 import pino from "pino";
 import {Pool} from "mysql2/promise";
+import Redis from "ioredis";
+import {CacheLock} from "./lock/CacheLock";
+import {escapeLikePattern} from "../../utils/db";
+import {APIError} from "../../utils/error";
 
 export enum CacheProviderTypes {
     NORMAL_TABLE = 'NORMAL_TABLE',
     CACHED_TABLE = 'CACHED_TABLE',
+    REDIS = 'REDIS',
+    MEMORY = 'MEMORY',
+    // Read from memory, then Redis (if configured), then normal table, and write back through each tier.
+    TIERED = 'TIERED',
 }
 
 class NoneCacheProvider implements CacheProvider {
     set(key: string, value: any, options?: CacheOption | undefined) {
         return Promise.resolve();
     }
-    get(key: string) {
+    get(key: string, options?: CacheGetOption | undefined) {
+        return Promise.resolve();
+    }
+    delete(key: string) {
         return Promise.resolve();
     }
 }
 
+export type CacheRefreshListener = (key: string) => void;
+
 export default class CacheBuilder {
 
-    private readonly normalCacheProvider?: CacheProvider;
+    private readonly normalCacheProvider?: NormalTableCacheProvider;
+
+    private readonly cachedTableCacheProvider?: NormalTableCacheProvider;
+
+    private readonly redisCacheProvider?: CacheProvider;
+
+    private readonly memoryCacheProvider?: CacheProvider;
+
+    private readonly tieredCacheProvider?: TieredCacheProvider;
 
-    private readonly cachedTableCacheProvider?: CacheProvider;
+    private readonly memoryCacheTier?: MemoryCacheProvider;
 
     private noneCacheProvider: CacheProvider = new NoneCacheProvider();
 
+    private readonly refreshListeners: CacheRefreshListener[] = [];
+
     constructor(
       private readonly logger: pino.Logger,
       private readonly enableCache: boolean = false,
       pool?: Pool,
       shadowPool?: Pool,
       private readonly keyPrefix: string = '',
+      redis?: Redis,
+      private readonly cacheLock?: CacheLock,
     ) {
-        if (this.enableCache && pool !== undefined) {
+        if (!this.enableCache) {
+            return;
+        }
+
+        this.memoryCacheProvider = new MemoryCacheProvider();
+        if (redis !== undefined) {
+            this.redisCacheProvider = new RedisCacheProvider(logger, redis);
+        }
+        if (pool !== undefined) {
             this.normalCacheProvider = new NormalTableCacheProvider(logger, pool, shadowPool);
             this.cachedTableCacheProvider = new CachedTableCacheProvider(logger, pool, shadowPool);
         }
+
+        this.memoryCacheTier = new MemoryCacheProvider(DEFAULT_MEMORY_CACHE_MAX_SIZE, MEMORY_CACHE_TIER_MAX_TTL);
+        const tiers = [
+            this.memoryCacheTier,
+            this.redisCacheProvider,
+            this.normalCacheProvider
+        ].filter((tier): tier is CacheProvider => tier !== undefined);
+        this.tieredCacheProvider = new TieredCacheProvider(logger, tiers);
     }
 
     // TODO: no longer use cached table cache provider.
     build(
         cacheProvider: string = CacheProviderTypes.CACHED_TABLE, key: string, cacheHours: number,
-        onlyFromCache?: boolean, refreshCache?: boolean
+        onlyFromCache?: boolean, refreshCache?: boolean, staleWhileRevalidateHours?: number
     ): Cache<any> {
-        const keyWithPrefix = this.keyPrefix ? `${this.keyPrefix}:${key}` : key;
+        const keyWithPrefix = this.withKeyPrefix(key);
         if (!this.enableCache) {
             return new Cache<any>(this.logger, this.noneCacheProvider, keyWithPrefix, -1, false, false);
         }
 
+        const provider = this.getCacheProvider(cacheProvider);
+        const onRefreshed = () => this.notifyRefreshed(key);
+        return new Cache<any>(this.logger, provider, keyWithPrefix, cacheHours, onlyFromCache, refreshCache, staleWhileRevalidateHours, this.cacheLock, onRefreshed);
+    }
+
+    // Refresh notification.
+    // Notice: The keys passed to the listeners are without the key prefix.
+
+    addRefreshListener(listener: CacheRefreshListener) {
+        this.refreshListeners.push(listener);
+    }
+
+    // Evict the cache entry from the memory tier of current process, so that the entry refreshed by
+    // other processes can be read from the shared tiers.
+    async evictLocalCache(key: string) {
+        await this.memoryCacheTier?.delete(this.withKeyPrefix(key));
+    }
+
+    private notifyRefreshed(key: string) {
+        for (const listener of this.refreshListeners) {
+            listener(key);
+        }
+    }
+
+    private getCacheProvider(cacheProvider: string): CacheProvider {
         switch(cacheProvider) {
             case CacheProviderTypes.NORMAL_TABLE:
                 if (this.normalCacheProvider === undefined) {
                     throw new Error('Normal cache provider has not initialed.');
                 }
-                return new Cache<any>(this.logger, this.normalCacheProvider, keyWithPrefix, cacheHours, onlyFromCache, refreshCache);
+                return this.normalCacheProvider;
             case CacheProviderTypes.CACHED_TABLE:
                 if (this.cachedTableCacheProvider === undefined) {
                     throw new Error('Cached table cache provider has not initialed.');
                 }
-                return new Cache<any>(this.logger, this.cachedTableCacheProvider, keyWithPrefix, cacheHours, onlyFromCache, refreshCache);
+                return this.cachedTableCacheProvider;
+            case CacheProviderTypes.REDIS:
+                if (this.redisCacheProvider === undefined) {
+                    throw new Error('Redis cache provider has not initialed.');
+                }
+                return this.redisCacheProvider;
+            case CacheProviderTypes.MEMORY:
+                if (this.memoryCacheProvider === undefined) {
+                    throw new Error('Memory cache provider has not initialed.');
+                }
+                return this.memoryCacheProvider;
+            case CacheProviderTypes.TIERED:
+                if (this.tieredCacheProvider === undefined) {
+                    throw new Error('Tiered cache provider has not initialed.');
+                }
+                return this.tieredCacheProvider;
             default:
                 throw new Error(`Invalid cache provider type ${cacheProvider}.`);
         }
     }
 
-}
+    // Inspection and invalidation.
+    // Notice: The keys passed in or returned are without the key prefix.
 
+    async listCacheEntries(
+      cacheProvider: string, keyPatterns: string[], limit: number, offset: number
+    ): Promise<{ total: number, entries: CacheEntry[] }> {
+        const provider = this.getTableCacheProvider(cacheProvider);
+        const patterns = keyPatterns.map((keyPattern) => this.withKeyPrefixPattern(keyPattern));
+        const [total, entries] = await Promise.all([
+            provider.countEntries(patterns),
+            provider.listEntries(patterns, limit, offset),
+        ]);
+        return {
+            total,
+            entries: entries.map((entry) => ({
+                ...entry,
+                key: this.withoutKeyPrefix(entry.key)
+            }))
+        };
+    }
+
+    async getCacheEntry(cacheProvider: string, key: string): Promise<CacheEntry | null> {
+        const provider = this.getTableCacheProvider(cacheProvider);
+        const entry = await provider.getEntry(this.withKeyPrefix(key));
+        return entry ? { ...entry, key } : null;
+    }
+
+    // Delete the cache entry from all the providers, return the number of deleted entries in tables.
+    async deleteCacheEntry(key: string): Promise<number> {
+        const keyWithPrefix = this.withKeyPrefix(key);
+        await this.deleteFromNonTableProviders([keyWithPrefix]);
+        let deleted = 0;
+        for (const provider of [this.normalCacheProvider, this.cachedTableCacheProvider]) {
+            if (provider !== undefined) {
+                deleted += await provider.delete(keyWithPrefix);
+            }
+        }
+        return deleted;
+    }
+
+    // Delete the cache entries matching any of the LIKE patterns from all the providers, return the deleted keys.
+    async deleteCacheEntries(cacheProvider: string, keyPatterns: string[]): Promise<string[]> {
+        const provider = this.getTableCacheProvider(cacheProvider);
+        const patterns = keyPatterns.map((keyPattern) => this.withKeyPrefixPattern(keyPattern));
+        const keys = await provider.deleteByPatterns(patterns);
+        await this.deleteFromNonTableProviders(keys);
+        return keys.map((key) => this.withoutKeyPrefix(key));
+    }
+
+    private async deleteFromNonTableProviders(keys: string[]) {
+        // Notice: The memory tier in other processes will be expired after a short time.
+        const providers = [this.memoryCacheProvider, this.redisCacheProvider, this.memoryCacheTier];
+        for (const provider of providers) {
+            if (provider === undefined) {
+                continue;
+            }
+            for (const key of keys) {
+                await provider.delete(key);
+            }
+        }
+    }
+
+    private getTableCacheProvider(cacheProvider: string): NormalTableCacheProvider {
+        let provider: NormalTableCacheProvider | undefined;
+        switch (cacheProvider) {
+            case CacheProviderTypes.NORMAL_TABLE:
+            case CacheProviderTypes.TIERED:
+                provider = this.normalCacheProvider;
+                break;
+            case CacheProviderTypes.CACHED_TABLE:
+                provider = this.cachedTableCacheProvider;
+                break;
+            default:
+                throw new APIError(400, `Cache provider type ${cacheProvider} does not support inspection.`);
+        }
+        if (provider === undefined) {
+            throw new Error(`Cache provider ${cacheProvider} has not initialed.`);
+        }
+        return provider;
+    }
+
+    private withKeyPrefix(key: string): string {
+        return this.keyPrefix ? `${this.keyPrefix}:${key}` : key;
+    }
+
+    private withKeyPrefixPattern(keyPattern: string): string {
+        return this.keyPrefix ? `${escapeLikePattern(this.keyPrefix)}:${keyPattern}` : keyPattern;
+    }
+
+    private withoutKeyPrefix(key: string): string {
+        return this.keyPrefix && key.startsWith(`${this.keyPrefix}:`) ? key.slice(this.keyPrefix.length + 1) : key;
+    }
+
+}
@@ -0,0 +1,25 @@
+import {APIError} from "../../../utils/error";
+
+export interface CacheLease {
+    // Release the lease, so that the other waiters can get the result from cache.
+    release(): Promise<void>;
+}
+
+/**
+ * The cache lock is used to make sure that only one process (across the cluster) executes the query
+ * with the same cache key at the same time.
+ */
+export interface CacheLock {
+    // The max time (in milliseconds) to wait for the lease holder.
+    readonly waitTimeout: number;
+    // Try to acquire the lease of the key, return null if the lease is held by the others.
+    acquire(key: string): Promise<CacheLease | null>;
+    // Wait until the lease of the key is released, or throw CacheLockWaitTimeoutError after the deadline.
+    waitForRelease(key: string, deadline: number): Promise<void>;
+}
+
+export class CacheLockWaitTimeoutError extends APIError {
+    constructor(readonly key: string, waitTimeout: number) {
+        super(503, `Timed out after waiting ${waitTimeout} ms for the same query <${key}> executed by another process.`);
+    }
+}
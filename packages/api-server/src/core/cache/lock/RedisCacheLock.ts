@@ -0,0 +1,81 @@
+import {randomUUID} from "crypto";
+import Redis from "ioredis";
+import pino from "pino";
+import sleep from "../../../utils/sleep";
+import {CacheLease, CacheLock, CacheLockWaitTimeoutError} from "./CacheLock";
+
+export const DEFAULT_LEASE_TTL = 30_000;            // 30 seconds.
+export const DEFAULT_WAIT_TIMEOUT = 300_000;        // 5 minutes.
+export const DEFAULT_POLL_INTERVAL = 500;           // 500 ms.
+
+// Only release or renew the lease which is still held by current process.
+const RELEASE_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+    return redis.call("DEL", KEYS[1])
+else
+    return 0
+end`;
+
+const RENEW_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+    return redis.call("PEXPIRE", KEYS[1], ARGV[2])
+else
+    return 0
+end`;
+
+/**
+ * A lease based lock implemented on Redis.
+ *
+ * The lease will expire after `leaseTTL` ms if the holder crashed, and the holder will renew the lease
+ * periodically when the query is still running.
+ */
+export default class RedisCacheLock implements CacheLock {
+
+    constructor(
+      private readonly logger: pino.Logger,
+      private readonly redis: Redis,
+      readonly waitTimeout: number = DEFAULT_WAIT_TIMEOUT,
+      private readonly leaseTTL: number = DEFAULT_LEASE_TTL,
+      private readonly pollInterval: number = DEFAULT_POLL_INTERVAL,
+      private readonly keyPrefix: string = 'cache-lock'
+    ) {}
+
+    async acquire(key: string): Promise<CacheLease | null> {
+        const lockKey = this.getLockKey(key);
+        const token = randomUUID();
+        const res = await this.redis.set(lockKey, token, 'PX', this.leaseTTL, 'NX');
+        if (res !== 'OK') {
+            return null;
+        }
+
+        // Renew the lease before it expires.
+        const renewTimer = setInterval(() => {
+            this.redis.eval(RENEW_SCRIPT, 1, lockKey, token, this.leaseTTL).catch((err) => {
+                this.logger.warn(err, 'Failed to renew the lease of cache lock <%s>.', key);
+            });
+        }, Math.floor(this.leaseTTL / 3));
+        renewTimer.unref();
+
+        return {
+            release: async () => {
+                clearInterval(renewTimer);
+                await this.redis.eval(RELEASE_SCRIPT, 1, lockKey, token);
+            }
+        };
+    }
+
+    async waitForRelease(key: string, deadline: number): Promise<void> {
+        const lockKey = this.getLockKey(key);
+        while (await this.redis.exists(lockKey) > 0) {
+            if (Date.now() >= deadline) {
+                throw new CacheLockWaitTimeoutError(key, this.waitTimeout);
+            }
+            await sleep(this.pollInterval);
+        }
+    }
+
+    private getLockKey(key: string): string {
+        return `${this.keyPrefix}:${key}`;
+    }
+
+}
@@ -1,9 +1,34 @@
+import {DateTime} from "luxon";
 
 export interface CacheOption {
     EX: number;
+    // Keep the cache item n seconds more after it expired, so that it can be returned as stale data.
+    STALE?: number;
+}
+
+export interface CacheGetOption {
+    // Also return the cache item which has expired within n seconds.
+    STALE?: number;
 }
 
 export interface CacheProvider {
     set(key: string, value: any, options?: CacheOption): Promise<any>;
-    get(key: string): Promise<any>;
-}
\ No newline at end of file
+    get(key: string, options?: CacheGetOption): Promise<any>;
+    delete(key: string): Promise<any>;
+}
+
+/**
+ * Check if the cached value is still available, according to the `expiresAt` field of cached value.
+ *
+ * It is used by the cache providers that can not filter the expired cache items by themselves.
+ */
+export function isCachedValueAvailable(value: any, options?: CacheGetOption): boolean {
+    if (!value?.expiresAt) {
+        return true;
+    }
+    const expiresAt = DateTime.fromISO(String(value.expiresAt));
+    if (!expiresAt.isValid) {
+        return true;
+    }
+    return expiresAt.plus({ seconds: Math.max(options?.STALE || 0, 0) }) >= DateTime.now();
+}
@@ -0,0 +1,51 @@
+import LRUCache from "lru-cache";
+import {CacheGetOption, CacheOption, CacheProvider, isCachedValueAvailable} from "./CacheProvider";
+
+export const DEFAULT_MEMORY_CACHE_MAX_SIZE = 64 * 1024 * 1024;  // 64 MB (approximately).
+
+// Because the in-process cache can not be notified when the other processes update the cache,
+// the cache items should be evicted after a short time when it is used as the upper tier.
+export const MEMORY_CACHE_TIER_MAX_TTL = 60;   // 60 seconds.
+
+export default class MemoryCacheProvider implements CacheProvider {
+
+    private readonly cache: LRUCache<string, string>;
+
+    constructor(
+      maxSize: number = DEFAULT_MEMORY_CACHE_MAX_SIZE,
+      private readonly maxTTL?: number
+    ) {
+        this.cache = new LRUCache<string, string>({
+            maxSize,
+            sizeCalculation: (value) => value.length || 1,
+        });
+    }
+
+    async set(key: string, value: string, options?: CacheOption) {
+        const EX = options?.EX || -1;
+        const STALE = Math.max(options?.STALE || 0, 0);
+        let ttl = EX > 0 ? EX + STALE : 0;
+        if (this.maxTTL !== undefined && this.maxTTL > 0) {
+            ttl = ttl > 0 ? Math.min(ttl, this.maxTTL) : this.maxTTL;
+        }
+        // Notice: ttl = 0 means the cache item will never expire.
+        this.cache.set(key, value, {
+            ttl: ttl * 1000
+        });
+    }
+
+    async get(key: string, options?: CacheGetOption) {
+        const value = this.cache.get(key);
+        if (value === undefined) {
+            return null;
+        }
+
+        const cachedValue = JSON.parse(value);
+        return isCachedValueAvailable(cachedValue, options) ? cachedValue : null;
+    }
+
+    async delete(key: string) {
+        return this.cache.delete(key);
+    }
+
+}
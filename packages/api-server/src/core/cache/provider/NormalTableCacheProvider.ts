@@ -4,7 +4,7 @@ import {OkPacket, ResultSetHeader, RowDataPacket} from "mysql2";
 import {Pool} from "mysql2/promise";
 import pino from "pino";
 import {withConnection} from "../../../utils/db";
-import {CacheOption, CacheProvider} from "./CacheProvider";
+import {CacheGetOption, CacheOption, CacheProvider} from "./CacheProvider";
 
 // Table schema:
 //
@@ -18,6 +18,16 @@ import {CacheOption, CacheProvider} from "./CacheProvider";
 // ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin;
 //
 
+export interface CacheEntry {
+    key: string;
+    // The size (in bytes) of the cached value.
+    size: number;
+    finishedAt: string | null;
+    expiresAt: string | null;
+    updatedAt: Date;
+    value?: any;
+}
+
 export const MAX_WAIT_CONNECTION_TIME = 3;  // 3 seconds.
 export const MAX_CACHE_OPERATION_TIME = 10; // 10 seconds.
 
@@ -81,13 +91,14 @@ export default class NormalTableCacheProvider implements CacheProvider {
         });
     }
 
-    async get(key: string) {
+    async get(key: string, options?: CacheGetOption) {
+        const STALE = Math.max(options?.STALE || 0, 0);
         const sql = `SELECT *, DATE_ADD(updated_at, INTERVAL expires SECOND) AS expired_at
         FROM ${this.tableName}
         WHERE
             cache_key = ? AND (
                 (expires = -1) OR
-                (DATE_ADD(updated_at, INTERVAL expires SECOND) >= NOW())
+                (DATE_ADD(updated_at, INTERVAL expires + ? SECOND) >= NOW())
             )
         LIMIT 1;`;
 
@@ -95,7 +106,7 @@ export default class NormalTableCacheProvider implements CacheProvider {
         if (this.shadowPool) {
             this.shadowPool.query<any[]>({
                 sql,
-                values: [key],
+                values: [key, STALE],
                 timeout: MAX_CACHE_OPERATION_TIME * 1000
             }).then(null).catch((err) => {
                 this.logger.error(err, 'Failed to getting cache with key %s from shadow database.', key);
@@ -121,7 +132,7 @@ export default class NormalTableCacheProvider implements CacheProvider {
                     const getStart = DateTime.now();
                     const [rows] = await conn.query<any[]>({
                         sql,
-                        values: [key],
+                        values: [key, STALE],
                         timeout: MAX_CACHE_OPERATION_TIME * 1000,
                     });
                     const getEnd = DateTime.now();
@@ -149,4 +160,83 @@ export default class NormalTableCacheProvider implements CacheProvider {
         });
     }
 
+    // Inspection.
+
+    async listEntries(keyPatterns: string[], limit: number, offset: number): Promise<CacheEntry[]> {
+        const [rows] = await this.pool.query<any[]>(`
+            SELECT
+                cache_key AS \`key\`,
+                LENGTH(CAST(cache_value AS CHAR)) AS size,
+                JSON_UNQUOTE(JSON_EXTRACT(cache_value, '$.finishedAt')) AS finishedAt,
+                JSON_UNQUOTE(JSON_EXTRACT(cache_value, '$.expiresAt')) AS expiresAt,
+                updated_at AS updatedAt
+            FROM ${this.tableName}
+            WHERE ${this.buildLikeConditions(keyPatterns)}
+            ORDER BY cache_key
+            LIMIT ? OFFSET ?
+        `, [...keyPatterns, limit, offset]);
+        return rows.map((row) => this.normalizeEntry(row));
+    }
+
+    async countEntries(keyPatterns: string[]): Promise<number> {
+        const [rows] = await this.pool.query<any[]>(`
+            SELECT COUNT(*) AS cnt FROM ${this.tableName} WHERE ${this.buildLikeConditions(keyPatterns)}
+        `, keyPatterns);
+        return rows[0].cnt;
+    }
+
+    // Get the cache entry with metadata, whether it has expired or not.
+    async getEntry(key: string): Promise<CacheEntry | null> {
+        const [rows] = await this.pool.query<any[]>(`
+            SELECT
+                cache_key AS \`key\`,
+                LENGTH(CAST(cache_value AS CHAR)) AS size,
+                JSON_UNQUOTE(JSON_EXTRACT(cache_value, '$.finishedAt')) AS finishedAt,
+                JSON_UNQUOTE(JSON_EXTRACT(cache_value, '$.expiresAt')) AS expiresAt,
+                updated_at AS updatedAt,
+                cache_value AS value
+            FROM ${this.tableName}
+            WHERE cache_key = ?
+            LIMIT 1
+        `, [key]);
+        return rows.length > 0 ? this.normalizeEntry(rows[0]) : null;
+    }
+
+    async delete(key: string) {
+        const [res] = await this.pool.query<ResultSetHeader>(`
+            DELETE FROM ${this.tableName} WHERE cache_key = ?
+        `, [key]);
+        return res.affectedRows;
+    }
+
+    // Delete the cache entries matching any of the LIKE patterns, and return the deleted keys.
+    async deleteByPatterns(keyPatterns: string[]): Promise<string[]> {
+        const [rows] = await this.pool.query<any[]>(`
+            SELECT cache_key AS \`key\` FROM ${this.tableName} WHERE ${this.buildLikeConditions(keyPatterns)}
+        `, keyPatterns);
+        const keys = rows.map((row) => row.key as string);
+        if (keys.length > 0) {
+            await this.pool.query(`
+                DELETE FROM ${this.tableName} WHERE cache_key IN (?)
+            `, [keys]);
+        }
+        return keys;
+    }
+
+    private buildLikeConditions(keyPatterns: string[]): string {
+        if (keyPatterns.length === 0) {
+            throw new Error('At least one key pattern is required.');
+        }
+        return `(${keyPatterns.map(() => 'cache_key LIKE ?').join(' OR ')})`;
+    }
+
+    private normalizeEntry(row: any): CacheEntry {
+        return {
+            ...row,
+            size: Number(row.size),
+            // The `expiresAt` of the cache which never expires is JSON null.
+            expiresAt: row.expiresAt === 'null' ? null : row.expiresAt,
+        };
+    }
+
 }
@@ -0,0 +1,47 @@
+import Redis from "ioredis";
+import pino from "pino";
+import {CacheGetOption, CacheOption, CacheProvider, isCachedValueAvailable} from "./CacheProvider";
+
+export default class RedisCacheProvider implements CacheProvider {
+
+    constructor(
+      private readonly logger: pino.Logger,
+      private readonly redis: Redis,
+      private readonly keyPrefix: string = 'cache'
+    ) {}
+
+    async set(key: string, value: string, options?: CacheOption) {
+        const EX = options?.EX || -1;
+        const STALE = Math.max(options?.STALE || 0, 0);
+        const redisKey = this.getRedisKey(key);
+        if (EX > 0) {
+            return await this.redis.set(redisKey, value, 'EX', EX + STALE);
+        } else {
+            return await this.redis.set(redisKey, value);
+        }
+    }
+
+    async get(key: string, options?: CacheGetOption) {
+        const value = await this.redis.get(this.getRedisKey(key));
+        if (value === null) {
+            return null;
+        }
+
+        try {
+            const cachedValue = JSON.parse(value);
+            return isCachedValueAvailable(cachedValue, options) ? cachedValue : null;
+        } catch (err) {
+            this.logger.warn(err, 'Failed to parse cache value of <%s> from redis.', key);
+            return null;
+        }
+    }
+
+    async delete(key: string) {
+        return await this.redis.del(this.getRedisKey(key));
+    }
+
+    private getRedisKey(key: string): string {
+        return `${this.keyPrefix}:${key}`;
+    }
+
+}
@@ -0,0 +1,82 @@
+import {DateTime} from "luxon";
+import pino from "pino";
+import {CacheGetOption, CacheOption, CacheProvider} from "./CacheProvider";
+
+// The lowest tier is the source of truth, but it may be updated by the processes which can not reach the
+// upper tiers (e.g. prefetch without Redis), so the upper tiers should not keep a cache item for too long.
+export const UPPER_TIER_MAX_TTL = 10 * 60;   // 10 minutes.
+
+/**
+ * The tiered cache provider reads the cache item from the tiers in order (e.g. memory -> redis -> table),
+ * and writes back the cache item to the upper tiers when it is hit in the lower tier.
+ */
+export default class TieredCacheProvider implements CacheProvider {
+
+    constructor(
+      private readonly logger: pino.Logger,
+      private readonly tiers: CacheProvider[],
+      private readonly upperTierMaxTTL: number = UPPER_TIER_MAX_TTL
+    ) {
+        if (tiers.length === 0) {
+            throw new Error('Tiered cache provider requires at least one tier.');
+        }
+    }
+
+    async set(key: string, value: string, options?: CacheOption) {
+        // Notice: The cache item without expiry never expires in the lowest tier only.
+        const neverExpires = !options?.EX || options.EX <= 0;
+        const upperTierOptions = neverExpires ? { ...options, EX: this.upperTierMaxTTL } : options;
+        const lowestTier = this.tiers.length - 1;
+        await Promise.all(this.tiers.map((tier, i) => tier.set(key, value, i === lowestTier ? options : upperTierOptions)));
+    }
+
+    async get(key: string, options?: CacheGetOption) {
+        for (let i = 0; i < this.tiers.length; i++) {
+            let value;
+            try {
+                value = await this.tiers[i].get(key, options);
+            } catch (err) {
+                // Fallback to the next tier.
+                this.logger.warn(err, 'Failed to get cache <%s> from tier %d.', key, i);
+                continue;
+            }
+
+            if (value !== null && value !== undefined) {
+                this.writeBack(key, value, this.tiers.slice(0, i));
+                return value;
+            }
+        }
+
+        return null;
+    }
+
+    async delete(key: string) {
+        await Promise.all(this.tiers.map((tier) => tier.delete(key)));
+    }
+
+    private writeBack(key: string, value: any, tiers: CacheProvider[]) {
+        if (tiers.length === 0) {
+            return;
+        }
+
+        // Only write back the cache item which has not expired, with the remaining ttl, which is capped
+        // so that the upper tiers will read the cache item from the lower tier again after a while.
+        let EX = this.upperTierMaxTTL;
+        if (value.expiresAt) {
+            const expiresAt = DateTime.fromISO(String(value.expiresAt));
+            const remaining = Math.floor(expiresAt.diffNow().as('seconds'));
+            if (!expiresAt.isValid || remaining <= 0) {
+                return;
+            }
+            EX = Math.min(remaining, this.upperTierMaxTTL);
+        }
+
+        const serialized = JSON.stringify(value);
+        for (const tier of tiers) {
+            tier.set(key, serialized, { EX }).catch((err) => {
+                this.logger.warn(err, 'Failed to write back cache <%s>.', key);
+            });
+        }
+    }
+
+}
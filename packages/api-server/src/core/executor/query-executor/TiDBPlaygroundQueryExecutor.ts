@@ -1,7 +1,16 @@
-import {Pool} from "mysql2/promise";
+import {Pool, QueryOptions} from "mysql2/promise";
 import {pino} from "pino";
 import { TiDBQueryExecutor } from "./TiDBQueryExecutor";
 import { decoratePoolConnections } from "../../db/pool-decorator";
+import {Conn, Fields, Rows, Values} from "./QueryExecutor";
+import {BadParamsError} from "../../runner/query/QueryParser";
+
+// The query key of the SQL written by users in the playground, only these queries are checked by the estimated
+// cost gate, the others (e.g. the SQL generated by the explorer) are only limited by the timeout.
+export const PLAYGROUND_SQL_QUERY_KEY = 'playground-sql';
+
+// Only the SELECT statements (optionally with leading comments) are checked by the estimated cost gate.
+const SELECT_STATEMENT_REGEXP = /^\s*(\/\*[\s\S]*?\*\/\s*)*(SELECT|WITH|\()/i;
 
 export class TiDBPlaygroundQueryExecutor extends TiDBQueryExecutor {
   protected readonly logger: pino.Logger = this.pLogger.child({ module: 'tidb-query-executor' });
@@ -10,7 +19,10 @@ export class TiDBPlaygroundQueryExecutor extends TiDBQueryExecutor {
     pool: Pool,
     shadowPool?: Pool | null,
     pLogger: pino.Logger = pino(),
-    connectionLimits: string[] = []
+    connectionLimits: string[] = [],
+    // The playground SQL whose plan estimates to process more rows in one operator will be rejected before
+    // execution, no limit if it is 0.
+    private readonly maxEstimatedRows: number = 0
   ) {
     super(pool, shadowPool, pLogger);
     decoratePoolConnections(this.logger, this.pool, { initialSql: connectionLimits });
@@ -18,4 +30,59 @@ export class TiDBPlaygroundQueryExecutor extends TiDBQueryExecutor {
       decoratePoolConnections(this.logger, this.shadowPool,  { initialSql: connectionLimits });
     }
   }
-}
\ No newline at end of file
+
+  async executeWithConn<T extends Rows>(conn: Conn, queryKey: string, sql: string): Promise<[T, Fields]>;
+  async executeWithConn<T extends Rows>(conn: Conn, queryKey: string, sql: string, values: Values): Promise<[T, Fields]>;
+  async executeWithConn<T extends Rows>(conn: Conn, queryKey: string, options: QueryOptions): Promise<[T, Fields]>;
+  async executeWithConn<T extends Rows>(conn: Conn, queryKey: string, sqlOrOptions: string | QueryOptions, values?: Values): Promise<[T, Fields]> {
+    await this.checkEstimatedCost(conn, queryKey, sqlOrOptions, values);
+    if (typeof sqlOrOptions === 'string') {
+      return super.executeWithConn(conn, queryKey, sqlOrOptions, values as Values);
+    } else if (sqlOrOptions.timeout) {
+      return this.executeWithMaxExecutionTime(conn, sqlOrOptions.timeout, () => super.executeWithConn(conn, queryKey, sqlOrOptions));
+    } else {
+      return super.executeWithConn(conn, queryKey, sqlOrOptions);
+    }
+  }
+
+  /**
+   * Limit the execution time of the statement on TiDB side as well, the timeout of mysql2 only stops
+   * waiting for the result, while the statement keeps running on TiDB.
+   *
+   * Notice: The previous `max_execution_time` of the session (e.g. set by `PLAYGROUND_SESSION_*`) is
+   * restored after execution.
+   */
+  private async executeWithMaxExecutionTime<T>(conn: Conn, timeout: number, execute: () => Promise<T>): Promise<T> {
+    const [[{ previous }]] = await conn.query<any[]>('SELECT @@SESSION.max_execution_time AS previous');
+    await conn.query('SET SESSION max_execution_time = ?', [timeout]);
+    try {
+      return await execute();
+    } finally {
+      await conn.query('SET SESSION max_execution_time = ?', [previous]).catch((err) => {
+        this.logger.warn(err, 'Failed to restore the max execution time of session.');
+      });
+    }
+  }
+
+  /**
+   * Reject the playground SQL before execution if the estimated rows of any operator in its plan exceeds the limit.
+   */
+  async checkEstimatedCost(conn: Conn, queryKey: string, sqlOrOptions: string | QueryOptions, values?: Values) {
+    const sql = typeof sqlOrOptions === 'string' ? sqlOrOptions : sqlOrOptions.sql;
+    if (this.maxEstimatedRows <= 0 || queryKey !== PLAYGROUND_SQL_QUERY_KEY || !SELECT_STATEMENT_REGEXP.test(sql)) {
+      return;
+    }
+
+    const explainValues = typeof sqlOrOptions === 'string' ? values : sqlOrOptions.values;
+    const [plan] = await conn.query<any[]>(`EXPLAIN ${sql}`, explainValues);
+    // TiDB returns `estRows` and MySQL returns `rows`.
+    const estimatedRows = Math.max(0, ...plan.map((row: any) => Number(row.estRows ?? row.rows ?? 0) || 0));
+    if (estimatedRows > this.maxEstimatedRows) {
+      this.logger.warn({ queryKey, estimatedRows }, 'Rejected the query whose estimated rows exceeds the limit.');
+      throw new BadParamsError(
+        "playground",
+        `The query is estimated to process ${Math.round(estimatedRows)} rows, which exceeds the limit of ${this.maxEstimatedRows} rows, please narrow down the query.`
+      );
+    }
+  }
+}
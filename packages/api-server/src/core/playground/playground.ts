@@ -1,5 +1,11 @@
 import { AST, Parser, Select, With } from "node-sql-parser";
 import {BadParamsError} from "../runner/query/QueryParser";
+import {
+  checkStatement,
+  checkUnparseableStatement,
+  DEFAULT_PLAYGROUND_SANDBOX_POLICY,
+  PlaygroundSandboxPolicy
+} from "./sandbox";
 
 export class SqlParser {
   parser: Parser;
@@ -8,7 +14,12 @@ export class SqlParser {
   type: string;
   id: number;
 
-  constructor(type: "repo" | "user", id: string, sql: string) {
+  constructor(
+    type: "repo" | "user",
+    id: string,
+    sql: string,
+    private readonly policy: PlaygroundSandboxPolicy = DEFAULT_PLAYGROUND_SANDBOX_POLICY
+  ) {
     this.parser = new Parser();
     this.sql = sql;
     switch (type) {
@@ -26,34 +37,35 @@ export class SqlParser {
   }
 
   private sqlToAst(sqlString: string) {
+    let ast: AST | AST[];
     try {
-      const ast = this.parser.astify(sqlString);
-      if (Array.isArray(ast) && ast.length > 1) {
-        throw new BadParamsError(
-          "playground",
-          "only one sql statement is allowed"
-        );
-      } else if (Array.isArray(ast)) {
-        return ast[0];
-      } else {
-        return ast;
-      }
+      ast = this.parser.astify(sqlString);
     } catch (error: any) {
-      // throw new BadParamsError("playground", `${error.name} ${error.message}`);
       // Node-sql-parser does not support SHOW statement, etc.
-      // So we need to allow the error. If Node-sql-parser cannot parse the sql, we will use the original sql.
+      // So the original sql will be used if it is in the allow list of unparseable statements.
+      checkUnparseableStatement(this.parser, sqlString, this.policy);
       return undefined;
     }
+
+    if (Array.isArray(ast) && ast.length > 1) {
+      throw new BadParamsError(
+        "playground",
+        "only one sql statement is allowed"
+      );
+    } else if (Array.isArray(ast)) {
+      return ast[0];
+    } else {
+      return ast;
+    }
   }
 
   private validateAst(ast: AST) {
+    checkStatement(this.parser, this.sql, ast, this.policy);
     const type = ast.type;
     switch (type as string) {
       case "select":
-        parseSelectAst(ast as Select, this.type, this.id);
+        parseSelectAst(ast as Select, this.type, this.id, this.policy.maxLimit);
         return ast;
-      case "set":
-        throw new BadParamsError("playground", `SET is not supported`);
       default:
         return ast;
     }
@@ -74,15 +86,15 @@ export class SqlParser {
   }
 }
 
-const LIMIT_AST_NODE = {
+const LIMIT_AST_NODE = (maxLimit: number) => ({
   seperator: "",
   value: [
     {
       type: "number",
-      value: 100,
+      value: maxLimit,
     },
   ],
-};
+});
 
 declare module "node-sql-parser" {
   interface Select {
@@ -95,6 +107,7 @@ function parseSelectAst(
   ast: Select,
   fieldName: string,
   value: number,
+  maxLimit: number,
   depth = 0
 ) {
   // Only handle select statement.
@@ -107,7 +120,7 @@ function parseSelectAst(
   if (from && from.length > 0) {
     from.forEach((fromItem: any) => {
       const fromItemAst = fromItem?.expr?.ast as Select | undefined;
-      fromItemAst && parseSelectAst(fromItemAst, fieldName, value, depth + 1);
+      fromItemAst && parseSelectAst(fromItemAst, fieldName, value, maxLimit, depth + 1);
     });
   }
 
@@ -121,22 +134,22 @@ function parseSelectAst(
   astWithList.forEach((withItem) => {
     const stmt = withItem?.stmt as any;
     const withItemAst = stmt.ast as Select | undefined;
-    withItemAst && parseSelectAst(withItemAst, fieldName, value, depth + 1);
+    withItemAst && parseSelectAst(withItemAst, fieldName, value, maxLimit, depth + 1);
   });
 
   // Check UNION clause.
   if (union) {
     const unionAst = ast._next as Select;
-    parseSelectAst(unionAst, fieldName, value, depth);
+    parseSelectAst(unionAst, fieldName, value, maxLimit, depth);
   }
 
   // Only add LIMIT to the outermost layer of SQL expression.
   if (depth === 0 && !union) {
     // Add limit
-    if (limit?.value && limit.value[0]?.value > 100) {
-      limit.value[0].value = 100;
+    if (limit?.value && limit.value[0]?.value > maxLimit) {
+      limit.value[0].value = maxLimit;
     } else if (!limit?.value?.length) {
-      ast.limit = LIMIT_AST_NODE;
+      ast.limit = LIMIT_AST_NODE(maxLimit);
     }
   }
 
@@ -164,6 +177,9 @@ function parseSelectAst(
 }
 
 function isFromContainTable(from: any, tableName: string) {
+  if (!Array.isArray(from)) {
+    return false;
+  }
   return from.some((fromItem: any) => {
     if (fromItem.table && fromItem.table === tableName) {
       return true;
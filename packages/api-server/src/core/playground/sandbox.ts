@@ -0,0 +1,225 @@
+import {AST, Parser} from "node-sql-parser";
+import {BadParamsError} from "../runner/query/QueryParser";
+
+export interface PlaygroundSandboxPolicy {
+  // The tables can be queried, in form of `table`, `db.table` or `db.*`, all tables are allowed if empty.
+  allowedTables: string[];
+  // The tables can not be queried, in the same form as `allowedTables`, which takes precedence over it.
+  deniedTables: string[];
+  maxJoins: number;
+  maxSubqueries: number;
+  // The outermost SELECT statement will be limited to return at most `maxLimit` rows.
+  maxLimit: number;
+  // The statements that node-sql-parser can not parse, but are allowed to be executed as is.
+  unparseableAllowList: RegExp[];
+}
+
+export interface PlaygroundSandboxConfig {
+  PLAYGROUND_ALLOWED_TABLES: string[];
+  PLAYGROUND_DENIED_TABLES: string[];
+  PLAYGROUND_MAX_JOINS: number;
+  PLAYGROUND_MAX_SUBQUERIES: number;
+  PLAYGROUND_MAX_LIMIT: number;
+}
+
+export const DEFAULT_PLAYGROUND_SANDBOX_POLICY: PlaygroundSandboxPolicy = {
+  allowedTables: [],
+  deniedTables: ['mysql.*', 'performance_schema.*', 'metrics_schema.*'],
+  maxJoins: 8,
+  maxSubqueries: 10,
+  maxLimit: 100,
+  unparseableAllowList: [
+    /^SHOW\s/i,
+    // Notice: EXPLAIN ANALYZE (and its synonyms) will execute the statement.
+    /^(DESC|DESCRIBE|EXPLAIN)\s(?!.*\bANALYZE\b)/is,
+  ],
+};
+
+// The statement types that can be executed in playground.
+const ALLOWED_STATEMENT_TYPES = ['select', 'desc', 'show'];
+
+// The tables or databases referenced by SHOW statements, e.g. `SHOW COLUMNS FROM db.table`,
+// `SHOW TABLES IN db` and `SHOW CREATE TABLE db.table`.
+const SHOW_REFERENCE_REGEXP = /\b(?:FROM|IN|CREATE\s+(?:TABLE|VIEW|DATABASE|SCHEMA))\s+(`[^`]+`|[\w$]+)(?:\s*\.\s*(`[^`]+`|[\w$]+))?/gi;
+
+// The prefix of DESC and EXPLAIN statements, which is followed by a table or a statement to explain.
+const EXPLAIN_PREFIX_REGEXP = /^(?:DESC|DESCRIBE|EXPLAIN)\s+(?:FORMAT\s*=\s*(?:[\w$]+|'[^']*'|"[^"]*")\s+)?/i;
+
+// The table (with an optional column) described by `DESC db.table column`.
+const DESCRIBED_TABLE_REGEXP = /^(`[^`]+`|[\w$]+)(?:\s*\.\s*(`[^`]+`|[\w$]+))?(?:\s+(?:`[^`]+`|[\w$]+|'[^']*'))?$/;
+
+// The statements that can follow DESC and EXPLAIN, instead of a table.
+const EXPLAINABLE_STATEMENT_REGEXP = /^(?:SELECT|WITH|TABLE|VALUES|INSERT|REPLACE|UPDATE|DELETE)$/i;
+
+export function resolvePlaygroundSandboxPolicy(config: PlaygroundSandboxConfig): PlaygroundSandboxPolicy {
+  const normalize = (tables: string[] = []) => tables.map((table) => table.trim().toLowerCase()).filter(Boolean);
+  return {
+    ...DEFAULT_PLAYGROUND_SANDBOX_POLICY,
+    allowedTables: normalize(config.PLAYGROUND_ALLOWED_TABLES),
+    deniedTables: normalize(config.PLAYGROUND_DENIED_TABLES),
+    maxJoins: config.PLAYGROUND_MAX_JOINS,
+    maxSubqueries: config.PLAYGROUND_MAX_SUBQUERIES,
+    maxLimit: config.PLAYGROUND_MAX_LIMIT,
+  };
+}
+
+/**
+ * Check the statement which can not be parsed, it is denied unless it matches the unparseable allow list.
+ */
+export function checkUnparseableStatement(parser: Parser, sql: string, policy: PlaygroundSandboxPolicy) {
+  const statement = sql.trim();
+  // Notice: The statement is executed as is, the statements can not be split without parsing.
+  if (statement.includes(';')) {
+    throw new BadParamsError("playground", "only one sql statement is allowed");
+  }
+  if (!policy.unparseableAllowList.some((pattern) => pattern.test(statement))) {
+    throw new BadParamsError("playground", `Failed to parse the SQL, only SELECT, SHOW, DESC and EXPLAIN statements are allowed.`);
+  }
+
+  if (/^SHOW\s/i.test(statement)) {
+    // Ignore the identifiers in string literals, e.g. `SHOW TABLES LIKE 'x in y'`.
+    const withoutStrings = statement.replace(/'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"/g, "''");
+    for (const [, first, second] of withoutStrings.matchAll(SHOW_REFERENCE_REGEXP)) {
+      if (second) {
+        const [db, table] = [unquoteIdentifier(first), unquoteIdentifier(second)];
+        checkTableAccess(policy, `${db}.${table}`, (pattern) => matchTable(pattern, db, table));
+      } else {
+        // The bare name can be either a table or a database, e.g. `SHOW TABLES FROM mysql`.
+        const name = unquoteIdentifier(first);
+        checkTableAccess(policy, name, (pattern) => matchTable(pattern, null, name) || matchDatabase(pattern, name));
+      }
+    }
+  } else {
+    checkExplainedStatement(parser, statement.replace(EXPLAIN_PREFIX_REGEXP, ''), policy);
+  }
+}
+
+/**
+ * Check the table described by DESC statement, or the statement explained by EXPLAIN statement, which
+ * must be allowed to be executed by itself.
+ */
+function checkExplainedStatement(parser: Parser, explained: string, policy: PlaygroundSandboxPolicy) {
+  const described = explained.match(DESCRIBED_TABLE_REGEXP);
+  if (described && !EXPLAINABLE_STATEMENT_REGEXP.test(described[1])) {
+    const [db, table] = described[2] ?
+      [unquoteIdentifier(described[1]), unquoteIdentifier(described[2])] :
+      [null, unquoteIdentifier(described[1])];
+    checkTableAccess(policy, db ? `${db}.${table}` : table, (pattern) => matchTable(pattern, db, table));
+    return;
+  }
+
+  let ast: AST | AST[];
+  try {
+    ast = parser.astify(explained);
+  } catch (err) {
+    throw new BadParamsError("playground", `Failed to parse the SQL, only SELECT statement can be explained.`);
+  }
+  if (Array.isArray(ast) && ast.length > 1) {
+    throw new BadParamsError("playground", "only one sql statement is allowed");
+  }
+  checkStatement(parser, explained, Array.isArray(ast) ? ast[0] : ast, policy);
+}
+
+/**
+ * Check the parsed statement is read-only and within the limits of the sandbox policy.
+ */
+export function checkStatement(parser: Parser, sql: string, ast: AST, policy: PlaygroundSandboxPolicy) {
+  const type = (ast.type as string)?.toLowerCase();
+  if (!ALLOWED_STATEMENT_TYPES.includes(type)) {
+    throw new BadParamsError("playground", `${type?.toUpperCase()} statement is not allowed, only SELECT statement is allowed.`);
+  }
+
+  const stats = { joins: 0, subqueries: 0, cteNames: new Set<string>() };
+  walkAst(ast, stats, true);
+
+  if (stats.joins > policy.maxJoins) {
+    throw new BadParamsError("playground", `Too many joins, at most ${policy.maxJoins} joins are allowed.`);
+  }
+  if (stats.subqueries > policy.maxSubqueries) {
+    throw new BadParamsError("playground", `Too many subqueries, at most ${policy.maxSubqueries} subqueries are allowed.`);
+  }
+
+  for (const [db, table] of getTables(parser, sql, ast)) {
+    // The tables defined by WITH clause.
+    if (db === null && stats.cteNames.has(table)) {
+      continue;
+    }
+    checkTableAccess(policy, db ? `${db}.${table}` : table, (pattern) => matchTable(pattern, db, table));
+  }
+}
+
+function checkTableAccess(policy: PlaygroundSandboxPolicy, name: string, match: (pattern: string) => boolean) {
+  if (policy.deniedTables.some(match)) {
+    throw new BadParamsError("playground", `Table <${name}> is not allowed to be queried.`);
+  }
+  if (policy.allowedTables.length > 0 && !policy.allowedTables.some(match)) {
+    throw new BadParamsError("playground", `Table <${name}> is not in the allow list of playground.`);
+  }
+}
+
+function walkAst(node: any, stats: { joins: number, subqueries: number, cteNames: Set<string> }, root = false) {
+  if (node === null || typeof node !== 'object') {
+    return;
+  }
+  if (Array.isArray(node)) {
+    node.forEach((item) => walkAst(item, stats));
+    return;
+  }
+
+  if (node.type === 'select') {
+    if (node.locking_read) {
+      throw new BadParamsError("playground", `Locking read (${node.locking_read}) is not allowed.`);
+    }
+    if (node.into?.position) {
+      throw new BadParamsError("playground", `SELECT ... INTO is not allowed.`);
+    }
+    if (Array.isArray(node.from)) {
+      stats.joins += node.from.filter((item: any) => item?.join).length;
+    }
+    if (Array.isArray(node.with)) {
+      node.with.forEach((item: any) => {
+        const name = item?.name?.value ?? item?.name;
+        typeof name === 'string' && stats.cteNames.add(name.toLowerCase());
+      });
+    }
+  } else if (!root && node.ast?.type === 'select') {
+    stats.subqueries++;
+  }
+
+  for (const value of Object.values(node)) {
+    walkAst(value, stats);
+  }
+}
+
+function getTables(parser: Parser, sql: string, ast: AST): [string | null, string][] {
+  if ((ast.type as string) === 'desc') {
+    return [[null, String((ast as any).table).toLowerCase()]];
+  }
+  // The table list does not include the targets of SHOW statements, e.g. `SHOW CREATE VIEW db.view`.
+  if ((ast.type as string) === 'show') {
+    const target = (ast as any).view ?? (ast as any).table;
+    return target?.table ? [[target.db ? String(target.db).toLowerCase() : null, String(target.table).toLowerCase()]] : [];
+  }
+
+  // Table list is in form of `{type}::{db}::{table}`.
+  return parser.tableList(sql).map((item) => {
+    const [, db, table] = item.split('::');
+    return [db === 'null' ? null : db.toLowerCase(), table.toLowerCase()];
+  });
+}
+
+function unquoteIdentifier(identifier: string): string {
+  return identifier.replace(/^`|`$/g, '').toLowerCase();
+}
+
+function matchDatabase(pattern: string, db: string): boolean {
+  return pattern.includes('.') && pattern.split('.', 2)[0] === db;
+}
+
+function matchTable(pattern: string, db: string | null, table: string): boolean {
+  const [patternDb, patternTable] = pattern.includes('.') ? pattern.split('.', 2) : [null, pattern];
+  if (patternDb === null) {
+    return patternTable === table;
+  }
+  return patternDb === db && (patternTable === '*' || patternTable === table);
+}
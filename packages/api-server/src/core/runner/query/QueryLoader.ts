@@ -5,18 +5,45 @@ import { readFile } from "fs/promises";
 import {measure, readConfigTimer} from "../../../metrics";
 import fsp from "fs/promises";
 import path from "path";
-import fs, {existsSync} from "fs";
+import fs, {existsSync, FSWatcher} from "fs";
+import {Liquid} from "liquidjs";
 import {APIError} from "../../../utils/error";
+import crypto from "node:crypto";
 
 export const QUERY_TEMPLATE_SQL_FILENAME = 'template.sql';
 export const QUERY_CONFIG_FILENAME = 'params.json';
 export const QUERY_PRESET_FILENAME = 'params-preset.json';
 
+// The delay to reload the query after its files changed, the editors may write the files several times.
+export const QUERY_RELOAD_DELAY = 200;
+
+// The length of the content hash used as the version of query.
+export const QUERY_VERSION_LENGTH = 12;
+
+export interface LoadedQuery {
+    config: QuerySchema;
+    templateSQL: string;
+    // The content hash of the config and template files, which is the same in every process
+    // (and after restart) as long as the files are the same.
+    version: string;
+}
+
 export class QueryLoader {
 
     private readonly basePath: string;
 
-    constructor(private readonly pLogger: pino.Logger, queryConfigsPath?: string) {
+    // The loaded queries, only used when watching.
+    private readonly queries: Map<string, LoadedQuery> = new Map();
+    private readonly watchers: Map<string, FSWatcher> = new Map();
+    private readonly reloadTimers: Map<string, NodeJS.Timeout> = new Map();
+    private readonly liquid = new Liquid();
+
+    /**
+     * @param pLogger
+     * @param queryConfigsPath
+     * @param watch If true, the loaded queries are kept in memory and reloaded when their files changed.
+     */
+    constructor(private readonly pLogger: pino.Logger, queryConfigsPath?: string, private readonly watch: boolean = false) {
         if (!queryConfigsPath) {
             queryConfigsPath = join(__dirname, '..', '..', '..', '..', '..', '..', 'configs', 'queries');
         }
@@ -25,22 +52,61 @@ export class QueryLoader {
     }
 
     async load(queryName: string):Promise<[QuerySchema | undefined, string | undefined] | []> {
+        const { config, templateSQL } = await this.loadQuery(queryName);
+        return [config, templateSQL];
+    }
+
+    async loadQuery(queryName: string): Promise<LoadedQuery> {
+        const loaded = this.queries.get(queryName);
+        if (loaded) {
+            return loaded;
+        }
+
+        const query = await this.readQuery(queryName);
+
+        if (this.watch) {
+            this.queries.set(queryName, query);
+            this.watchQuery(queryName);
+        }
+
+        return query;
+    }
+
+    // Return the current version of the loaded query, undefined if the query is not loaded (or not watched).
+    getVersion(queryName: string): string | undefined {
+        return this.queries.get(queryName)?.version;
+    }
+
+    close() {
+        for (const watcher of this.watchers.values()) {
+            watcher.close();
+        }
+        for (const timer of this.reloadTimers.values()) {
+            clearTimeout(timer);
+        }
+        this.watchers.clear();
+        this.reloadTimers.clear();
+    }
+
+    private async readQuery(queryName: string): Promise<LoadedQuery> {
         const queryDir = join(this.basePath, queryName);
         const templateFilePath = join(queryDir, QUERY_TEMPLATE_SQL_FILENAME);
         const queryConfigFilePath = join(queryDir, QUERY_CONFIG_FILENAME);
 
         // Load query config file.
-        let queryConfig;
+        let queryConfigText: string | undefined;
+        let queryConfig: QuerySchema | undefined;
         if (existsSync(queryConfigFilePath)) {
             await measure(readConfigTimer.labels({ type: QUERY_CONFIG_FILENAME }), async () => {
-                queryConfig = JSON.parse(await readFile(queryConfigFilePath, {encoding: 'utf-8'})) as QuerySchema;
+                queryConfigText = await readFile(queryConfigFilePath, {encoding: 'utf-8'});
+                queryConfig = JSON.parse(queryConfigText) as QuerySchema;
             });
         } else {
             throw new APIError(404, `The config file of query <${queryName}> can not be found.`)
         }
 
         // Load query template file.
-        let templateSQL;
+        let templateSQL: string | undefined;
         if (existsSync(templateFilePath)) {
             await measure(readConfigTimer.labels({type: QUERY_TEMPLATE_SQL_FILENAME}), async () => {
                 templateSQL = await readFile(templateFilePath, {encoding: "utf-8"});
@@ -49,7 +115,85 @@ export class QueryLoader {
             throw new APIError(404, `The template sql file of query <${queryName}> can not be found.`)
         }
 
-        return [queryConfig, templateSQL];
+        return {
+            config: queryConfig!,
+            templateSQL: templateSQL!,
+            version: getQueryVersion(queryConfigText!, templateSQL!),
+        };
+    }
+
+    private watchQuery(queryName: string) {
+        if (this.watchers.has(queryName)) {
+            return;
+        }
+
+        const queryDir = join(this.basePath, queryName);
+        try {
+            const watcher = fs.watch(queryDir, () => {
+                this.scheduleReload(queryName);
+            });
+            watcher.on('error', (err) => {
+                this.pLogger.warn(err, `Stop watching query <${queryName}>.`);
+                watcher.close();
+                this.watchers.delete(queryName);
+            });
+            this.watchers.set(queryName, watcher);
+        } catch (err) {
+            this.pLogger.warn(err, `Failed to watch query <${queryName}>.`);
+        }
+    }
+
+    private scheduleReload(queryName: string) {
+        clearTimeout(this.reloadTimers.get(queryName));
+        this.reloadTimers.set(queryName, setTimeout(() => {
+            this.reloadTimers.delete(queryName);
+            this.reload(queryName).catch((err) => {
+                this.pLogger.error(err, `Failed to reload query <${queryName}>, keep using the previous version.`);
+            });
+        }, QUERY_RELOAD_DELAY));
+    }
+
+    // Replace the query only if both files are valid, otherwise keep the previous version.
+    async reload(queryName: string): Promise<LoadedQuery | undefined> {
+        const previous = this.queries.get(queryName);
+        if (!previous) {
+            return;
+        }
+
+        const query = await this.readQuery(queryName);
+        this.validateQuery(queryName, query.config, query.templateSQL);
+
+        if (query.version === previous.version) {
+            return previous;
+        }
+
+        this.queries.set(queryName, query);
+        this.pLogger.info(`Reloaded query <${queryName}> (version: ${query.version}).`);
+        return query;
+    }
+
+    private validateQuery(queryName: string, queryConfig: QuerySchema, templateSQL: string) {
+        if (typeof queryConfig !== 'object' || queryConfig === null) {
+            throw new Error(`The config of query <${queryName}> must be an object.`);
+        }
+        if (typeof queryConfig.cacheHours !== 'number') {
+            throw new Error(`The cacheHours of query <${queryName}> must be a number.`);
+        }
+        if (!Array.isArray(queryConfig.params)) {
+            throw new Error(`The params of query <${queryName}> must be an array.`);
+        }
+        for (const param of queryConfig.params) {
+            if (typeof param?.name !== 'string') {
+                throw new Error(`The params of query <${queryName}> must have a name.`);
+            }
+        }
+        if (templateSQL.trim() === '') {
+            throw new Error(`The template sql of query <${queryName}> is empty.`);
+        }
+        if (queryConfig.engine === 'liquid') {
+            // Throw if the liquid template has syntax errors.
+            this.liquid.parse(templateSQL);
+        }
     }
 
     private async loadDir (root: string, current: string[]) {
@@ -80,3 +224,12 @@ export class QueryLoader {
     }
 
 }
+
+export function getQueryVersion(queryConfigText: string, templateSQL: string): string {
+    return crypto.createHash('sha256')
+      .update(queryConfigText)
+      .update('\0')
+      .update(templateSQL)
+      .digest('hex')
+      .slice(0, QUERY_VERSION_LENGTH);
+}
@@ -0,0 +1,108 @@
+import {QuerySchema} from "@ossinsight/types";
+import {CachedData} from "../../cache/Cache";
+import {APIError} from "../../../utils/error";
+
+export const PAGE_SIZE_PARAM = 'page_size';
+export const CURSOR_PARAM = 'cursor';
+export const OFFSET_PARAM = 'offset';
+
+// The page size used when the request provides a cursor or offset without page size.
+export const DEFAULT_PAGE_SIZE = 100;
+
+export interface Pagination {
+  offset: number;
+  pageSize: number;
+}
+
+export interface PaginationMeta extends Pagination {
+  total: number;
+  nextCursor: string | null;
+}
+
+/**
+ * Resolve the pagination from the request params, return null if the request does not
+ * ask for pagination, in which case the full result is returned.
+ *
+ * If the query declares `maxPageSize`, the result is always paginated, so that the rows
+ * returned by one request are limited even without pagination params.
+ *
+ * Notice: The params declared by the query itself (e.g. `offset`) are never treated as
+ * pagination params.
+ */
+export function resolvePagination(queryConfig: QuerySchema, params: Record<string, any>): Pagination | null {
+  const declared = new Set(queryConfig.params.map((p: any) => p.name as string));
+  const read = (name: string) => declared.has(name) ? undefined : params?.[name];
+  const pageSizeValue = read(PAGE_SIZE_PARAM);
+  const cursorValue = read(CURSOR_PARAM);
+  const offsetValue = read(OFFSET_PARAM);
+
+  const maxPageSize = queryConfig.maxPageSize;
+  if (isEmpty(pageSizeValue) && isEmpty(cursorValue) && isEmpty(offsetValue)) {
+    return maxPageSize ? { offset: 0, pageSize: maxPageSize } : null;
+  }
+
+  let pageSize = maxPageSize ? Math.min(DEFAULT_PAGE_SIZE, maxPageSize) : DEFAULT_PAGE_SIZE;
+  if (!isEmpty(pageSizeValue)) {
+    pageSize = Number(pageSizeValue);
+    if (!Number.isInteger(pageSize) || pageSize < 1) {
+      throw new APIError(400, 'Invalid page_size number.');
+    }
+    if (maxPageSize && pageSize > maxPageSize) {
+      throw new APIError(400, `The page_size can not be greater than ${maxPageSize}.`);
+    }
+  }
+
+  let offset = 0;
+  if (!isEmpty(cursorValue)) {
+    offset = decodeCursor(String(cursorValue));
+  } else if (!isEmpty(offsetValue)) {
+    offset = Number(offsetValue);
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new APIError(400, 'Invalid offset number.');
+    }
+  }
+
+  return { offset, pageSize };
+}
+
+/**
+ * Slice one page from the full (cached) result, the result itself is shared by the
+ * concurrent requests, so it must not be modified.
+ */
+export function paginateResult<T extends CachedData<any>>(result: T, pagination: Pagination): T & { pagination: PaginationMeta } {
+  const rows = Array.isArray(result.data) ? result.data : [];
+  const { offset, pageSize } = pagination;
+  const total = rows.length;
+  const end = offset + pageSize;
+
+  return {
+    ...result,
+    data: rows.slice(offset, end),
+    pagination: {
+      offset,
+      pageSize,
+      total,
+      nextCursor: end < total ? encodeCursor(end) : null,
+    }
+  };
+}
+
+export function encodeCursor(offset: number): string {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+export function decodeCursor(cursor: string): number {
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    if (Number.isInteger(offset) && offset >= 0) {
+      return offset;
+    }
+  } catch (err) {
+    // Fall through to the error below.
+  }
+  throw new APIError(400, 'Invalid cursor.');
+}
+
+function isEmpty(value: any): boolean {
+  return value === undefined || value === null || value === '';
+}
@@ -1,6 +1,6 @@
 import mustache from "mustache";
 import {Logger} from "pino";
-import CacheBuilder from "../../cache/CacheBuilder";
+import CacheBuilder, {CacheProviderTypes} from "../../cache/CacheBuilder";
 import { CachedData } from "../../cache/Cache";
 import { DateTime } from "luxon";
 import {QueryLegacyParser} from "./QueryLegacyParser";
@@ -10,6 +10,9 @@ import {Pool, QueryOptions} from "mysql2/promise";
 import {PersistConfig, QuerySchema} from "@ossinsight/types";
 import { TiDBQueryExecutor } from "../../executor/query-executor/TiDBQueryExecutor";
 import {presetQueryTimer, measure, presetQueryCounter} from "../../../metrics";
+import {escapeLikePattern} from "../../../utils/db";
+import {APIError} from "../../../utils/error";
+import {paginateResult, resolvePagination} from "./QueryPagination";
 
 export const enum QueryType {
   QUERY = 'query',
@@ -22,6 +25,21 @@ export interface Options {
   queryOptions?: Partial<QueryOptions>;
 }
 
+export interface RenderedQuery {
+  queryName: string;
+  engine: string;
+  sql: string;
+  params: Record<string, any>;
+  cacheKey: string;
+  cacheProvider: string;
+  cache: {
+    warm: boolean;
+    stale: boolean;
+    finishedAt: DateTime | null;
+    expiresAt: DateTime | null;
+  };
+}
+
 export class QueryRunner {
     private readonly liquidQueryParser: QueryLiquidParser;
     private readonly legacyQueryParser: QueryLegacyParser;
@@ -63,32 +81,28 @@ export class QueryRunner {
       options: Options = {}
     ) {
         const { ignoreOnlyFromCache = false, refreshCache = false, queryOptions } = options;
-        const [queryConfig, templateSQL] = await this.queryLoader.load(queryName);
-        if (!queryConfig || !templateSQL) {
-          throw new Error(`Query config ${queryName} not found.`);
-        }
+        const { config: queryConfig, templateSQL, version } = await this.queryLoader.loadQuery(queryName);
 
         presetQueryCounter.inc();
 
-        const { cacheHours = -1, onlyFromCache = false, cacheProvider } = queryConfig;
+        const { cacheHours = -1, onlyFromCache = false, staleWhileRevalidateHours = 0, cacheProvider } = queryConfig;
         const queryKey = this.buildQueryKey(type, queryName);
-        const cacheKey = this.buildCacheKey(type, queryName, queryConfig, params);
+        const cacheKey = this.buildCacheKey(type, queryName, version, queryConfig, params);
         const cache = this.cacheBuilder.build(
           cacheProvider,
           cacheKey,
           cacheHours,
           ignoreOnlyFromCache ? false : onlyFromCache,
-          refreshCache
+          refreshCache,
+          staleWhileRevalidateHours
         );
-    
-        return cache.load(async () => {
+
+        // Pages are sliced from the full result, so that all pages share the same cache.
+        const pagination = type === QueryType.QUERY ? resolvePagination(queryConfig, params) : null;
+
+        const result = await cache.load(async () => {
           return await measure(presetQueryTimer, async () => {
-            let sql;
-            if (queryConfig.engine === 'liquid') {
-              sql = await this.liquidQueryParser.parse(templateSQL, queryConfig, params);
-            } else {
-              sql = await this.legacyQueryParser.parse(templateSQL, queryConfig, params);
-            }
+            const sql = await this.renderSQL(templateSQL, queryConfig, params);
 
             // Execute query.
             const start = DateTime.now();
@@ -115,6 +129,60 @@ export class QueryRunner {
             };
           })
         });
+
+        return pagination ? paginateResult(result, pagination) : result;
+    }
+
+    /**
+     * Render the final SQL of the query with the given params without executing it, along with
+     * the resolved params, the cache key and whether the cache is warm.
+     */
+    async render(queryName: string, params: Record<string, any>): Promise<RenderedQuery> {
+        const { config: queryConfig, templateSQL, version } = await this.queryLoader.loadQuery(queryName);
+
+        const { cacheHours = -1, staleWhileRevalidateHours = 0, cacheProvider = CacheProviderTypes.CACHED_TABLE } = queryConfig;
+        const cacheKey = this.buildCacheKey(QueryType.QUERY, queryName, version, queryConfig, params);
+
+        // Notice: The legacy parser fills the default values into the params passed in.
+        const values = { ...params };
+        let sql: string;
+        try {
+          sql = await this.renderSQL(templateSQL, queryConfig, values);
+        } catch (err: any) {
+          throw new APIError(400, err.message, err);
+        }
+        const resolvedParams = Object.fromEntries(queryConfig.params.map((p: any) => {
+          return [p.name, values[p.name] ?? p.default];
+        }));
+
+        const cache = this.cacheBuilder.build(cacheProvider, cacheKey, cacheHours, false, false, staleWhileRevalidateHours);
+        const cachedResult = await cache.peek().catch((err) => {
+          this.logger.warn(err, `Failed to peek the cache of query ${queryName}.`);
+          return null;
+        });
+
+        return {
+          queryName,
+          engine: queryConfig.engine || 'legacy',
+          sql,
+          params: resolvedParams,
+          cacheKey,
+          cacheProvider,
+          cache: {
+            warm: cachedResult !== null,
+            stale: cachedResult?.stale ?? false,
+            finishedAt: cachedResult?.finishedAt ?? null,
+            expiresAt: cachedResult?.expiresAt ?? null,
+          }
+        };
+    }
+
+    private async renderSQL(templateSQL: string, queryConfig: QuerySchema, params: Record<string, any>): Promise<string> {
+        if (queryConfig.engine === 'liquid') {
+          return await this.liquidQueryParser.parse(templateSQL, queryConfig, params);
+        } else {
+          return await this.legacyQueryParser.parse(templateSQL, queryConfig, params);
+        }
     }
 
     async persistResult(key: string, cfg: PersistConfig, params: Record<string, any>, rows: any[]) {
@@ -152,12 +220,59 @@ export class QueryRunner {
       this.logger.info(`Persisted query result <${key}> to table <${cfg.tableName}>.`);
     }
 
+    /**
+     * Pick the params declared by the query, without the extra ones (e.g. `format`, `page_size`, `cursor`).
+     */
+    async pickDeclaredParams(queryName: string, params: Record<string, any>): Promise<Record<string, any>> {
+      const { config: queryConfig } = await this.queryLoader.loadQuery(queryName);
+
+      return Object.fromEntries(queryConfig.params
+        .filter((p: any) => params?.[p.name] !== undefined)
+        .map((p: any) => [p.name, params[p.name]]));
+    }
+
+    /**
+     * Resolve the LIKE patterns of the cache keys of the query, the params not provided will match any value.
+     *
+     * The patterns match the keys of all the versions of the query, including the keys without version
+     * written before the content hash was added, so that the outdated entries can be listed and purged too.
+     */
+    async resolveCacheKeyPatterns(
+      queryName: string,
+      params: Record<string, any>
+    ): Promise<{ cacheProvider: string, keyPatterns: string[] }> {
+      const { config: queryConfig } = await this.queryLoader.loadQuery(queryName);
+
+      const serializedParams = queryConfig.params.map((p: any) => {
+        const value = params[p.name];
+        return value === undefined || value === null || value === '' ? '%' : escapeLikePattern(String(value));
+      }).join('_');
+      const keyPatterns = [QueryType.QUERY, QueryType.EXPLAIN].flatMap((type) => {
+        const queryKey = escapeLikePattern(this.buildQueryKey(type, queryName));
+        return [`${queryKey}@%`, queryKey];
+      }).flatMap((queryKeyPattern) => {
+        const keyPattern = `${queryKeyPattern}:${serializedParams}`;
+        return [keyPattern, `${keyPattern}\\_array`];
+      });
+
+      return {
+        // Notice: Keep the same as the default value of CacheBuilder.build().
+        cacheProvider: queryConfig.cacheProvider || CacheProviderTypes.CACHED_TABLE,
+        keyPatterns,
+      };
+    }
+
     private buildQueryKey (type: QueryType, queryName: string): string {
         return `${type}:${queryName}`;
     }
     
-    private buildCacheKey (type: QueryType, queryName: string, queryConfig: QuerySchema, params: Record<string, any>): string {
-        return `${this.buildQueryKey(type, queryName)}:${this.serializeParams(queryConfig, params)}${params?.format === 'array' ? '_array' : ''}`;
+    // The content hash of query is included, so that the results of the previous SQL will never be served.
+    private buildVersionedQueryKey (type: QueryType, queryName: string, version: string): string {
+        return `${this.buildQueryKey(type, queryName)}@${version}`;
+    }
+
+    private buildCacheKey (type: QueryType, queryName: string, version: string, queryConfig: QuerySchema, params: Record<string, any>): string {
+        return `${this.buildVersionedQueryKey(type, queryName, version)}:${this.serializeParams(queryConfig, params)}${params?.format === 'array' ? '_array' : ''}`;
     }
     
     private serializeParams (queryConfig: QuerySchema, params: Record<string, any>): string {
@@ -1,14 +1,21 @@
 import { DateTime } from "luxon";
-import {TiDBPlaygroundQueryExecutor} from "../../executor/query-executor/TiDBPlaygroundQueryExecutor";
+import {PLAYGROUND_SQL_QUERY_KEY, TiDBPlaygroundQueryExecutor} from "../../executor/query-executor/TiDBPlaygroundQueryExecutor";
 
 export class SQLRunner {
 
-    constructor(private readonly executor: TiDBPlaygroundQueryExecutor) {}
-  
+    constructor(
+        private readonly executor: TiDBPlaygroundQueryExecutor,
+        // Timeout of the SQL execution in milliseconds.
+        private readonly timeout?: number
+    ) {}
+
     async run(sql: string) {
         try {
             const start = DateTime.now();
-            const [data, fields] = await this.executor.execute('playground-sql', sql);
+            const [data, fields] = await this.executor.execute(PLAYGROUND_SQL_QUERY_KEY, {
+                sql,
+                timeout: this.timeout,
+            });
             const end = DateTime.now();
 
             return {
@@ -35,6 +35,23 @@ export const APIServerEnvSchema = {
     QUERY_CACHE_KEY_PREFIX: {
       type: 'string',
     },
+    ENABLE_DISTRIBUTED_CACHE_LOCK: {
+      type: 'boolean',
+      default: false
+    },
+    DISTRIBUTED_CACHE_LOCK_WAIT_TIMEOUT: {
+      type: 'number',
+      // In seconds.
+      default: 300
+    },
+    ENABLE_SOCKET_IO_REDIS_ADAPTER: {
+      type: 'boolean',
+      default: false
+    },
+    ENABLE_QUERY_HOT_RELOAD: {
+      type: 'boolean',
+      default: true
+    },
     PLAYGROUND_DATABASE_URL: {
       type: 'string',
     },
@@ -50,6 +67,39 @@ export const APIServerEnvSchema = {
       separator: ',',
       default: ''
     },
+    // The tables can be queried in playground, in form of `table`, `db.table` or `db.*`, all tables are allowed if empty.
+    PLAYGROUND_ALLOWED_TABLES: {
+      type: 'string',
+      separator: ',',
+      default: ''
+    },
+    PLAYGROUND_DENIED_TABLES: {
+      type: 'string',
+      separator: ',',
+      default: 'mysql.*,performance_schema.*,metrics_schema.*'
+    },
+    PLAYGROUND_MAX_JOINS: {
+      type: 'number',
+      default: 8
+    },
+    PLAYGROUND_MAX_SUBQUERIES: {
+      type: 'number',
+      default: 10
+    },
+    PLAYGROUND_MAX_LIMIT: {
+      type: 'number',
+      default: 100
+    },
+    PLAYGROUND_MAX_EXECUTION_TIME: {
+      type: 'number',
+      // In milliseconds.
+      default: 60000
+    },
+    // Reject the playground SQL (not the explorer SQL) whose plan estimates to process more rows in one operator, no limit if it is 0.
+    PLAYGROUND_MAX_ESTIMATED_ROWS: {
+      type: 'number',
+      default: 50000000
+    },
     EXPLORER_USER_MAX_QUESTIONS_PER_HOUR: {
       type: 'number',
       default: 15
@@ -70,6 +120,10 @@ export const APIServerEnvSchema = {
       type: 'boolean',
       default: false
     },
+    EXPLORER_SQL_REPAIR_MAX_ATTEMPTS: {
+      type: 'number',
+      default: 0
+    },
     GITHUB_ACCESS_TOKENS: {
       type: 'string',
       separator: ','
@@ -1,4 +1,3 @@
-import {AxiosResponse} from "axios";
 import {Counter, exponentialBuckets, Histogram, Summary} from "prom-client";
 
 export const metricsPrefix = 'ossinsight_api_';
@@ -65,6 +64,17 @@ export const cacheHitCounter = new Counter({
   help: 'The total number of cache hitting.'
 });
 
+export const cacheStaleHitCounter = new Counter({
+  name: metricsPrefix + 'cache_stale_hit_total',
+  help: 'The total number of stale cache hitting.'
+});
+
+export const cacheLockCounter = new Counter({
+  name: metricsPrefix + 'cache_lock_total',
+  help: 'The total number of cache lock operations across the cluster.',
+  labelNames: ['phase'] as const,
+});
+
 export const cacheQueryHistogram = new Histogram({
   name: metricsPrefix + 'cache_query_duration_seconds',
   help: 'The query duration (in seconds) of cache query.',
@@ -140,7 +150,7 @@ export async function measureAPIRequest<T>(metrics: Summary<any> | Summary.Inter
   }
 }
 
-export async function countAPIRequest<T extends AxiosResponse<any, any>>(counter: Counter, api: string, fn: () => Promise<T>) {
+export async function countAPIRequest<T extends { status: number }>(counter: Counter, api: string, fn: () => Promise<T>) {
   try {
     const res = await fn();
     counter.inc({ api, statusCode: res.status});
@@ -1,6 +1,7 @@
 import {Pool} from "mysql2/promise";
 import {pino} from "pino";
 import CacheBuilder from "../../core/cache/CacheBuilder";
+import RedisCacheLock from "../../core/cache/lock/RedisCacheLock";
 import fp from "fastify-plugin";
 
 declare module 'fastify' {
@@ -10,12 +11,24 @@ declare module 'fastify' {
 }
 
 export default fp(async (app) => {
+    // Make sure only one replica executes the same query at the same time.
+    let cacheLock: RedisCacheLock | undefined;
+    if (app.config.ENABLE_DISTRIBUTED_CACHE_LOCK) {
+        cacheLock = new RedisCacheLock(
+          app.log as pino.Logger,
+          app.redis,
+          app.config.DISTRIBUTED_CACHE_LOCK_WAIT_TIMEOUT * 1000
+        );
+    }
+
     const cacheBuilder = new CacheBuilder(
       app.log as pino.Logger,
       app.config.ENABLE_CACHE,
       app.mysql as unknown as Pool,
       app.mysql.shadow as unknown as Pool,
       app.config.QUERY_CACHE_KEY_PREFIX,
+      app.redis,
+      cacheLock,
     );
     app.decorate('cacheBuilder', cacheBuilder);
 }, {
@@ -23,5 +36,6 @@ export default fp(async (app) => {
     dependencies: [
         '@fastify/env',
         '@ossinsight/tidb',
+        '@ossinsight/redis',
     ],
 });
\ No newline at end of file
@@ -10,12 +10,14 @@ export default fp(async (app) => {
     app.mysql.playground as unknown as Pool,
     app.mysql.playgroundShadow as unknown as Pool,
     app.log as pino.Logger,
-    getPlaygroundSessionLimits()
+    getPlaygroundSessionLimits(),
+    app.config.PLAYGROUND_MAX_ESTIMATED_ROWS
   );
   app.decorate('playgroundQueryExecutor', playgroundQueryExecutor);
 }, {
   name: '@ossinsight/playground-query-executor',
   dependencies: [
+    '@fastify/env',
     '@ossinsight/tidb',
   ]
 });
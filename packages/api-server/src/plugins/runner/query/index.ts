@@ -5,7 +5,11 @@ import pino from "pino";
 
 export default fp(async (app: any) => {
     const log = app.log as pino.Logger;
-    const queryLoader = new QueryLoader(log);
+    // Reload the query configs when they changed, without restarting the server.
+    const queryLoader = new QueryLoader(log, undefined, app.config.ENABLE_QUERY_HOT_RELOAD);
+    app.addHook('onClose', async () => {
+        queryLoader.close();
+    });
     app.decorate('queryRunner', new QueryRunner(log, app.cacheBuilder, queryLoader, app.tidbQueryExecutor, app.mysql));
 }, {
     name: '@ossinsight/query-runner',
@@ -3,7 +3,7 @@ import fp from "fastify-plugin";
 
 // Should be playground query executor.
 export default fp(async (fastify) => {
-    fastify.decorate('sqlRunner', new SQLRunner(fastify.playgroundQueryExecutor));
+    fastify.decorate('sqlRunner', new SQLRunner(fastify.playgroundQueryExecutor, fastify.config.PLAYGROUND_MAX_EXECUTION_TIME));
 }, {
     name: '@ossinsight/sql-runner',
     dependencies: [
@@ -1,10 +1,10 @@
 import {FastifyBaseLogger} from "fastify";
 import {countAPIRequest, measureAPIRequest, openaiAPICounter, openaiAPITimer} from "../../../metrics";
 import {ContextProvider} from "./prompt/context/context-provider";
-import {Answer} from "./types";
-import {APIError, BotResponseGenerateError, BotResponseParseError} from "../../../utils/error";
-import {Configuration, OpenAIApi} from "openai";
+import {Answer, RecommendedChart} from "./types";
+import {BotResponseGenerateError, BotResponseParseError} from "../../../utils/error";
 import {DateTime} from "luxon";
+import {LLMProviderRegistry} from "./llm/llm-provider-registry";
 import {PromptConfig, PromptManager} from './prompt/prompt-manager';
 import fp from "fastify-plugin";
 import pino from "pino";
@@ -37,7 +37,7 @@ export default fp(async (app) => {
 const tableColumnRegexp = /(?<table_name>.+)\.(?<column_name>.+)/;
 
 export class BotService {
-    private readonly openai: OpenAIApi;
+    private readonly llmProviders: LLMProviderRegistry;
 
     constructor(
       private readonly log: pino.BaseLogger,
@@ -45,13 +45,10 @@ export class BotService {
       private readonly promptManager: PromptManager,
       private readonly contextProvider?: ContextProvider,
     ) {
-        const configuration = new Configuration({
-            apiKey: this.apiKey
-        });
-        this.openai = new OpenAIApi(configuration);
+        this.llmProviders = new LLMProviderRegistry(log, this.apiKey);
     }
 
-    async questionToSQL(logger: FastifyBaseLogger, question: string, context: Record<string, any>): Promise<Answer | null> {
+    async questionToSQL(logger: FastifyBaseLogger, question: string, context: Record<string, any>): Promise<string | null> {
         if (!question) return null;
 
         const api = 'question-to-sql';
@@ -66,33 +63,18 @@ export class BotService {
 
         // Request answer.
         logger.info(promptConfig, "Generating SQL to answer question: %s", question);
-        let res: any;
+        const provider = this.llmProviders.getProvider(promptConfig.provider);
         const start = DateTime.now();
-        res = await countAPIRequest(openaiAPICounter, api, async () => {
+        const res = await countAPIRequest(openaiAPICounter, api, async () => {
             return await measureAPIRequest(openaiAPITimer, api, async () => {
-                return await this.openai.createChatCompletion({
-                    messages: [
-                        {
-                            role: 'system',
-                            content: prompt!,
-                        }
-                    ],
-                    stream: false,
-                    ...promptConfig
-                });
+                return await provider.complete(prompt, promptConfig);
             });
         });
         const end = DateTime.now();
         const costTime = end.diff(start).as('seconds');
 
-        const { choices, usage } = res.data;
-        logger.info({ usage }, 'Got SQL of question "%s" from OpenAI API, cost: %d s', question, costTime);
-
-        if (Array.isArray(choices)) {
-            return choices?.[0]?.message?.content || null;
-        } else {
-            throw new APIError(500, 'No SQL generated');
-        }
+        logger.info({ usage: res.usage }, 'Got SQL of question "%s" from LLM provider <%s>, cost: %d s', question, provider.type, costTime);
+        return res.content || null;
     }
 
     private async loadGenerateAnswerPromptTemplate(question: string): Promise<[string, PromptConfig]> {
@@ -117,116 +99,48 @@ export class BotService {
         let answer: any = {};
         let tokens: any[] = [];
 
+        const provider = this.llmProviders.getProvider(promptConfig.provider);
         const end = openaiAPITimer.startTimer({api});
-        return new Promise(async (resolve, reject) => {
-            try {
-                 const res = await this.openai.createChatCompletion({
-                    messages: [
-                        {
-                            role: 'system',
-                            content: prompt!,
-                        }
-                    ],
-                    stream: true,
-                    ...promptConfig
-                }, {
-                    responseType: 'stream'
-                });
+        return new Promise((resolve, reject) => {
+            const tokenStream = new stream.PassThrough();
 
-                // Convert only-data-event stream to token stream.
-                const tokenStream = new stream.Transform({
-                    transform(chunk, encoding, callback) {
-                        // Notice: Skip undefined chunk.
-                        if (chunk) {
-                            this.push(chunk);
-                            tokens.push(chunk.toString());
-                        }
-                        callback();
-                    },
-                });
+            // Convert token stream to object field stream.
+            const fieldStream = tokenStream.pipe(JSONStream.parse([{
+                emitKey: true
+            }]));
 
-                // @ts-ignore
-                res.data.on("data", (data) => {
-                    // Notice:
-                    // The data is start with "data: " prefix, we need to remove it to get a JSON string.
-                    // In same times, there are multiple JSONs return in one response.
-                    const streamResponseText = data?.toString();
-                    const tokenJSONs = streamResponseText?.slice(6)?.split("\n\ndata: ").filter(Boolean);
-                    if (!Array.isArray(tokenJSONs) || tokenJSONs.length === 0) {
-                        this.log.warn(`Got an empty token response from stream: ${question}`);
-                        return;
-                    }
-
-                    try {
-                        for (const tokenJSON of tokenJSONs) {
-                            if (tokenJSON === "[DONE]\n\n") {
-                                tokenStream.end();
-                            } else {
-                                // Notice: Skip undefined token.
-                                const tokenObj = JSON.parse(tokenJSON);
-                                const choice = tokenObj.choices?.[0];
-
-                                if (choice?.delta?.role) {
-                                    continue;
-                                }
-                                if (choice?.finish_reason === 'stop' && !choice?.content) {
-                                    continue;
-                                }
-                                if (choice?.finish_reason === 'length') {
-                                    tokenStream.emit('error', new Error('Exceed max token length'));
-                                    continue;
-                                }
-
-                                const token = choice?.delta?.content;
-                                if (typeof token === "string") {
-                                    tokenStream.write(token);
-                                } else {
-                                    this.log.warn({ tokenObj }, `Got an empty token from stream: ${question}.`);
-                                }
-                            }
-                        }
-                    } catch (err: any) {
-                        end();
-                        if (err instanceof SyntaxError) {
-                            reject(new BotResponseParseError(`Failed to parse the answer (in stream mode): ${err.message}`, streamResponseText, err));
-                        } else {
-                            reject(new BotResponseGenerateError(`Failed to generate the answer (in stream mode): ${err.message}`, streamResponseText, err));
-                        }
-                    }
-                });
-
-                // @ts-ignore
-                res.data.on("error", (err) => {
-                    end();
-                    openaiAPICounter.inc({ api, statusCode: 500 });
-                    reject(new BotResponseGenerateError(`Failed to process the answer (in stream mode): ${err.message}`, tokens.join(''), err));
-                });
-
-                // Convert token stream to object field stream.
-                const fieldStream = tokenStream.pipe(JSONStream.parse([{
-                    emitKey: true
-                }]));
+            fieldStream.on('data', async ({key, value}: any) => {
+                [answer, key, value] = this.setAnswerValue(question, answer, key, value);
+                await callback(answer, key, value);
+            });
 
-                fieldStream.on('data', async ({key, value}: any) => {
-                    [answer, key, value] = this.setAnswerValue(question, answer, key, value);
-                    await callback(answer, key, value);
-                });
+            fieldStream.on('error', (err: any) => {
+                end();
+                reject(new BotResponseParseError(`Failed to extract the fields of the answer (in stream mode): ${err.message}`, tokens.join(''), err));
+            });
 
-                fieldStream.on('error', (err: any) => {
-                    end();
-                    reject(new BotResponseParseError(`Failed to extract the fields of the answer (in stream mode): ${err.message}`, tokens.join(''), err));
-                });
+            fieldStream.on('end', () => {
+                end();
+                fieldStream.destroy();
+                resolve([answer, tokens.join('')]);
+            });
 
-                fieldStream.on('end', () => {
-                    end();
-                    fieldStream.destroy();
-                    resolve([answer, tokens.join('')]);
-                });
-            } catch (err: any) {
+            (async () => {
+                for await (const token of provider.completeInStream(prompt, promptConfig)) {
+                    tokens.push(token);
+                    tokenStream.write(token);
+                }
+                tokenStream.end();
+            })().catch((err: any) => {
                 end();
                 openaiAPICounter.inc({ api, statusCode: err?.response?.status || 500 });
-                reject(new BotResponseGenerateError(`Failed to complete the answer (in stream mode): ${err.message}`, tokens.join(''), err));
-            }
+                tokenStream.destroy();
+                if (err instanceof SyntaxError) {
+                    reject(new BotResponseParseError(`Failed to parse the answer (in stream mode): ${err.message}`, tokens.join(''), err));
+                } else {
+                    reject(new BotResponseGenerateError(`Failed to generate the answer (in stream mode): ${err.message}`, tokens.join(''), err));
+                }
+            });
         });
     }
 
@@ -241,34 +155,19 @@ export class BotService {
         this.log.info(promptConfig, "Requesting answer for question (in non-steam mode): %s", question);
         let responseText = null;
         try {
+            const provider = this.llmProviders.getProvider(promptConfig.provider);
             const start = DateTime.now();
             const res = await countAPIRequest(openaiAPICounter, api, async () => {
                 return await measureAPIRequest(openaiAPITimer,  api,async () => {
-                    return await this.openai.createChatCompletion({
-                        messages: [
-                            {
-                                role: 'system',
-                                content: prompt!,
-                            }
-                        ],
-                        stream: false,
-                        ...promptConfig
-                    });
+                    return await provider.complete(prompt, promptConfig);
                 });
             });
-            const {choices, usage} = res.data;
             const end = DateTime.now();
-            this.log.info({ usage }, 'Got answer of question "%s" from OpenAI API, cost: %d s', question, end.diff(start).as('seconds'));
-
-            if (Array.isArray(choices) && choices[0]?.message?.content) {
-                responseText = choices[0]?.message?.content;
-                const repaired = jsonrepair(responseText);
-                const obj = JSON.parse(repaired);
-                const answer: any = {};
-                for (const [key, value] of Object.entries(obj)) {
-                    this.setAnswerValue(question, answer, key, value);
-                }
-                return [answer, responseText]
+            this.log.info({ usage: res.usage }, 'Got answer of question "%s" from LLM provider <%s>, cost: %d s', question, provider.type, end.diff(start).as('seconds'));
+
+            if (res.content) {
+                responseText = res.content;
+                return [this.parseAnswer(question, responseText), responseText];
             } else {
                 return [null, responseText]
             }
@@ -281,6 +180,62 @@ export class BotService {
         }
     }
 
+    /**
+     * Ask the bot to correct the SQL (and the chart) that failed to answer the question, according to the
+     * execution error or the mismatch between the chart and the result.
+     */
+    public async repairSQL(
+      question: string, previousSQL: string, previousChart: RecommendedChart | null | undefined, error: string
+    ): Promise<[Answer | null, string | null]> {
+        const api = 'repair-sql';
+        const promptName = 'explorer-repair-sql';
+
+        // Prepare prompt.
+        this.log.info("Preparing prompt for repairing the SQL of question: %s", question);
+        const [prompt, promptConfig] = await this.promptManager.getPrompt(promptName, {
+            question,
+            sql: previousSQL,
+            chart: JSON.stringify(previousChart ?? null),
+            error,
+        });
+
+        // Request answer.
+        this.log.info(promptConfig, "Requesting repaired SQL for question: %s", question);
+        let responseText = null;
+        try {
+            const provider = this.llmProviders.getProvider(promptConfig.provider);
+            const res = await countAPIRequest(openaiAPICounter, api, async () => {
+                return await measureAPIRequest(openaiAPITimer, api, async () => {
+                    return await provider.complete(prompt, promptConfig);
+                });
+            });
+            this.log.info({ usage: res.usage }, 'Got repaired SQL of question "%s" from LLM provider <%s>', question, provider.type);
+
+            if (res.content) {
+                responseText = res.content;
+                return [this.parseAnswer(question, responseText), responseText];
+            } else {
+                return [null, responseText];
+            }
+        } catch (err: any) {
+            if (err instanceof SyntaxError) {
+                throw new BotResponseParseError(`Failed to parse the repaired SQL: ${err.message}`, responseText, err);
+            } else {
+                throw new BotResponseGenerateError(`Failed to repair the SQL: ${err.message}`, responseText, err);
+            }
+        }
+    }
+
+    private parseAnswer(question: string, responseText: string): Answer {
+        const repaired = jsonrepair(responseText);
+        const obj = JSON.parse(repaired);
+        const answer: any = {};
+        for (const [key, value] of Object.entries(obj)) {
+            this.setAnswerValue(question, answer, key, value);
+        }
+        return answer;
+    }
+
     private setAnswerValue(question: string, answer: Record<string, any>, key: string, value: any) {
         switch (key) {
             case 'RQ':
@@ -0,0 +1,52 @@
+import {PromptConfig} from "../prompt/prompt-manager";
+import {ChatCompletionResult, LLMProvider, LLMProviderType} from "./llm-provider";
+
+const DEFAULT_CHUNK_SIZE = 4;
+
+/**
+ * Return the configured response for any prompt, so that the explorer can be exercised without network.
+ */
+export class FakeProvider implements LLMProvider {
+    readonly type = LLMProviderType.Fake;
+    private readonly content: string | null;
+
+    constructor(
+      response?: string | Record<string, any>,
+      private readonly chunkSize: number = DEFAULT_CHUNK_SIZE,
+    ) {
+        // Notice: The chunks are sliced by the chunk size, which would never end if it is not positive.
+        if (!Number.isInteger(chunkSize) || chunkSize <= 0) {
+            throw new Error(`The chunkSize of the LLM provider <${this.type}> must be a positive integer, got ${chunkSize}.`);
+        }
+        if (response === undefined || response === null) {
+            this.content = null;
+        } else {
+            this.content = typeof response === 'string' ? response : JSON.stringify(response);
+        }
+    }
+
+    async complete(prompt: string, promptConfig: PromptConfig): Promise<ChatCompletionResult> {
+        return {
+            status: 200,
+            content: this.content,
+            usage: this.getUsage(prompt),
+        };
+    }
+
+    async *completeInStream(prompt: string, promptConfig: PromptConfig): AsyncIterable<string> {
+        const content = this.content ?? '';
+        for (let i = 0; i < content.length; i += this.chunkSize) {
+            yield content.slice(i, i + this.chunkSize);
+        }
+    }
+
+    private getUsage(prompt: string) {
+        const promptTokens = Math.ceil(prompt.length / this.chunkSize);
+        const completionTokens = Math.ceil((this.content?.length ?? 0) / this.chunkSize);
+        return {
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: promptTokens + completionTokens,
+        };
+    }
+}
@@ -0,0 +1,78 @@
+import pino from "pino";
+import {FakeProvider} from "./fake-provider";
+import {LLMProvider, LLMProviderConfig, LLMProviderType} from "./llm-provider";
+import {OpenAICompatibleProvider} from "./openai-compatible-provider";
+
+export const DEFAULT_LLAMA_CPP_BASE_URL = 'http://localhost:8080/v1';
+export const DEFAULT_OLLAMA_BASE_URL = 'http://localhost:11434/v1';
+export const DEFAULT_AZURE_API_VERSION = '2023-05-15';
+
+/**
+ * Create and reuse the LLM providers according to the configs of prompts.
+ */
+export class LLMProviderRegistry {
+    private readonly providers: Map<string, LLMProvider> = new Map();
+
+    constructor(
+      private readonly log: pino.BaseLogger,
+      // The API key of OpenAI, which is used if `apiKeyEnv` is not set.
+      private readonly openaiApiKey?: string,
+    ) {
+    }
+
+    getProvider(config: LLMProviderConfig = { type: LLMProviderType.OpenAI }): LLMProvider {
+        const key = JSON.stringify(config);
+        let provider = this.providers.get(key);
+        if (!provider) {
+            provider = this.createProvider(config);
+            this.providers.set(key, provider);
+            this.log.info('Created LLM provider <%s>.', config.type);
+        }
+        return provider;
+    }
+
+    private createProvider(config: LLMProviderConfig): LLMProvider {
+        const apiKey = config.apiKeyEnv ? process.env[config.apiKeyEnv] : undefined;
+        switch (config.type) {
+            case LLMProviderType.OpenAI:
+                return new OpenAICompatibleProvider(LLMProviderType.OpenAI, {
+                    apiKey: apiKey ?? this.openaiApiKey,
+                    basePath: config.baseURL,
+                });
+            case LLMProviderType.OpenAICompatible:
+                if (!config.baseURL) {
+                    throw new Error(`The baseURL is required by the LLM provider <${config.type}>.`);
+                }
+                return new OpenAICompatibleProvider(LLMProviderType.OpenAICompatible, {
+                    apiKey,
+                    basePath: config.baseURL,
+                });
+            case LLMProviderType.LlamaCpp:
+                return new OpenAICompatibleProvider(LLMProviderType.LlamaCpp, {
+                    apiKey,
+                    basePath: config.baseURL ?? DEFAULT_LLAMA_CPP_BASE_URL,
+                });
+            case LLMProviderType.Ollama:
+                return new OpenAICompatibleProvider(LLMProviderType.Ollama, {
+                    apiKey,
+                    basePath: config.baseURL ?? DEFAULT_OLLAMA_BASE_URL,
+                });
+            case LLMProviderType.Azure:
+                if (!config.baseURL || !config.deployment) {
+                    throw new Error(`The baseURL and deployment are required by the LLM provider <${config.type}>.`);
+                }
+                // Azure OpenAI authenticates with the `api-key` header and requires the `api-version` param.
+                return new OpenAICompatibleProvider(LLMProviderType.Azure, {
+                    basePath: `${config.baseURL.replace(/\/+$/, '')}/openai/deployments/${config.deployment}`,
+                    baseOptions: {
+                        headers: { 'api-key': apiKey ?? process.env.AZURE_OPENAI_API_KEY },
+                        params: { 'api-version': config.apiVersion ?? DEFAULT_AZURE_API_VERSION },
+                    }
+                });
+            case LLMProviderType.Fake:
+                return new FakeProvider(config.response, config.chunkSize);
+            default:
+                throw new Error(`Unknown LLM provider <${config.type}>.`);
+        }
+    }
+}
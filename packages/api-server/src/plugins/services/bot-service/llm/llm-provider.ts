@@ -0,0 +1,49 @@
+import {PromptConfig} from "../prompt/prompt-manager";
+
+export enum LLMProviderType {
+    // The official OpenAI API.
+    OpenAI = 'openai',
+    // Any HTTP endpoint compatible with the chat completions API of OpenAI.
+    OpenAICompatible = 'openai-compatible',
+    Azure = 'azure',
+    // The OpenAI compatible endpoint of local llama.cpp server or Ollama.
+    LlamaCpp = 'llama.cpp',
+    Ollama = 'ollama',
+    // Return the configured response without network, which is used by tests and offline installs.
+    Fake = 'fake',
+}
+
+/**
+ * The `provider` field in the `config.json` of prompt, the OpenAI API is used if not set.
+ */
+export interface LLMProviderConfig {
+    type: LLMProviderType | `${LLMProviderType}`;
+    // The base URL of the API, e.g. `http://localhost:11434/v1` for Ollama.
+    baseURL?: string;
+    // The name of environment variable which holds the API key, the API key should never be put in config files.
+    apiKeyEnv?: string;
+    // The deployment name and API version of Azure OpenAI.
+    deployment?: string;
+    apiVersion?: string;
+    // The response returned by fake provider, the object will be serialized as JSON.
+    response?: string | Record<string, any>;
+    // The length of each token emitted by fake provider in stream mode.
+    chunkSize?: number;
+}
+
+export interface ChatCompletionResult {
+    status: number;
+    content: string | null;
+    usage?: Record<string, any>;
+}
+
+export interface LLMProvider {
+    readonly type: LLMProviderType;
+
+    complete(prompt: string, promptConfig: PromptConfig): Promise<ChatCompletionResult>;
+
+    /**
+     * Emit the tokens of the completion in order, the caller concatenates them to get the whole content.
+     */
+    completeInStream(prompt: string, promptConfig: PromptConfig): AsyncIterable<string>;
+}
@@ -0,0 +1,105 @@
+import {Configuration, ConfigurationParameters, CreateChatCompletionRequest, OpenAIApi} from "openai";
+import {Readable} from "node:stream";
+import {PromptConfig} from "../prompt/prompt-manager";
+import {ChatCompletionResult, LLMProvider, LLMProviderType} from "./llm-provider";
+
+const STREAM_DONE = Symbol('done');
+
+/**
+ * Request the chat completions API of OpenAI, or the compatible endpoints of Azure OpenAI, llama.cpp and Ollama.
+ */
+export class OpenAICompatibleProvider implements LLMProvider {
+    private readonly openai: OpenAIApi;
+
+    constructor(
+      readonly type: LLMProviderType,
+      configuration: ConfigurationParameters,
+    ) {
+        this.openai = new OpenAIApi(new Configuration(configuration));
+    }
+
+    async complete(prompt: string, promptConfig: PromptConfig): Promise<ChatCompletionResult> {
+        const res = await this.openai.createChatCompletion(this.buildRequest(prompt, promptConfig, false));
+        const { choices, usage } = res.data;
+        if (!Array.isArray(choices)) {
+            throw new Error('No choices returned by the chat completions API.');
+        }
+        return {
+            status: res.status,
+            content: choices[0]?.message?.content ?? null,
+            usage,
+        };
+    }
+
+    async *completeInStream(prompt: string, promptConfig: PromptConfig): AsyncIterable<string> {
+        const res = await this.openai.createChatCompletion(this.buildRequest(prompt, promptConfig, true), {
+            responseType: 'stream'
+        });
+
+        // Notice:
+        // The response is in the format of server-sent events, each event starts with the "data: " prefix and
+        // carries a JSON, and an event may be split into multiple chunks.
+        let buffer = '';
+        for await (const chunk of res.data as unknown as Readable) {
+            buffer += chunk.toString();
+            const lines = buffer.split('\n');
+            buffer = lines.pop() ?? '';
+
+            for (const line of lines) {
+                const token = this.parseEvent(line);
+                if (token === STREAM_DONE) {
+                    return;
+                }
+                if (token) {
+                    yield token;
+                }
+            }
+        }
+
+        // The last event may not be followed by a newline.
+        const token = this.parseEvent(buffer);
+        if (token && token !== STREAM_DONE) {
+            yield token;
+        }
+    }
+
+    /**
+     * Parse the token from a line of server-sent events, null if the line does not carry any token.
+     */
+    private parseEvent(line: string): string | typeof STREAM_DONE | null {
+        if (!line.startsWith('data:')) {
+            return null;
+        }
+        const data = line.slice(5).trim();
+        if (data === '[DONE]') {
+            return STREAM_DONE;
+        }
+
+        const choice = JSON.parse(data).choices?.[0];
+        if (choice?.finish_reason === 'length') {
+            throw new Error('Exceed max token length');
+        }
+
+        const token = choice?.delta?.content;
+        return typeof token === 'string' && token.length > 0 ? token : null;
+    }
+
+    private buildRequest(prompt: string, promptConfig: PromptConfig, stream: boolean): CreateChatCompletionRequest {
+        const { model, stop, max_tokens, temperature, top_p, n } = promptConfig;
+        return {
+            messages: [
+                {
+                    role: 'system',
+                    content: prompt,
+                }
+            ],
+            model,
+            stop: stop?.length ? stop : undefined,
+            max_tokens,
+            temperature,
+            top_p,
+            n,
+            stream,
+        };
+    }
+}
@@ -3,6 +3,7 @@ import fs from "node:fs";
 import mustache from "mustache";
 import path from "node:path";
 import pino from "pino";
+import { LLMProviderConfig } from "../llm/llm-provider";
 import { ContextProvider } from "./context/context-provider";
 
 declare module 'fastify' {
@@ -31,6 +32,8 @@ export interface PromptConfig {
     temperature: number;
     top_p: number;
     n: number;
+    // The LLM provider to complete the prompt, OpenAI if not set.
+    provider?: LLMProviderConfig;
 }
 
 export class PromptManager {
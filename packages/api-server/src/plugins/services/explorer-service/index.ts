@@ -25,6 +25,7 @@ import {
     QuestionQueueNames,
     QuestionSQLResult,
     QuestionStatus,
+    SQLRepairAttempt,
     ValidateSQLResult
 } from "./types";
 import {TiDBPlaygroundQueryExecutor} from "../../../core/executor/query-executor/TiDBPlaygroundQueryExecutor";
@@ -72,7 +73,8 @@ export default fp(async (app: any) => {
           trustedUsersMaxQuestionsPerHour: 200,
           generateSQLCacheTTL: app.config.EXPLORER_GENERATE_SQL_CACHE_TTL,
           querySQLCacheTTL: app.config.EXPLORER_QUERY_SQL_CACHE_TTL,
-          outputAnswerInStream: app.config.EXPLORER_OUTPUT_ANSWER_IN_STREAM
+          outputAnswerInStream: app.config.EXPLORER_OUTPUT_ANSWER_IN_STREAM,
+          sqlRepairMaxAttempts: app.config.EXPLORER_SQL_REPAIR_MAX_ATTEMPTS,
       }
     ));
 }, {
@@ -94,6 +96,8 @@ export interface ExplorerOption {
     querySQLCacheTTL: number;
     querySQLTimeout: number;
     outputAnswerInStream: boolean;
+    // The max times to let the bot repair the SQL which failed to execute or mismatched the chart, 0 means disabled.
+    sqlRepairMaxAttempts: number;
 }
 
 export class ExplorerService {
@@ -115,7 +119,8 @@ export class ExplorerService {
             generateSQLCacheTTL: 60 * 60 * 24 * 7,
             querySQLCacheTTL: 60 * 60 * 24,
             querySQLTimeout: 30 * 1000,
-            outputAnswerInStream: false
+            outputAnswerInStream: false,
+            sqlRepairMaxAttempts: 0,
         }, options || {});
     }
 
@@ -613,6 +618,12 @@ export class ExplorerService {
         }
     }
 
+    // Notice: The `sql_repair_attempts` column is only read when the SQL repair is enabled, so that the
+    // explorer keeps working before the column is added (see the SQL Repair section of configs/prompts/README.md).
+    private get sqlRepairAttemptsColumn(): string {
+        return this.options.sqlRepairMaxAttempts > 0 ? ', sql_repair_attempts AS sqlRepairAttempts' : '';
+    }
+
     async getQuestionById(questionId: string): Promise<Question | null> {
         const [rows] = await this.tidb.query<any[]>(`
             SELECT
@@ -621,7 +632,7 @@ export class ExplorerService {
                 queue_name AS queueName, queue_job_id AS queueJobId, recommended_questions AS recommendedQuestions, 
                 result, chart, answer_summary AS answerSummary, recommended, hit_cache AS hitCache, 
                 created_at AS createdAt, requested_at AS requestedAt, executed_at AS executedAt, finished_at AS finishedAt, 
-                spent, error_type AS errorType, error
+                spent, error_type AS errorType, error${this.sqlRepairAttemptsColumn}
             FROM explorer_questions
             WHERE id = UUID_TO_BIN(?)
         `, [questionId]);
@@ -647,7 +658,7 @@ export class ExplorerService {
                 queue_name AS queueName, queue_job_id AS queueJobId, recommended_questions AS recommendedQuestions,
                 result, chart, answer_summary AS answerSummary, recommended, hit_cache AS hitCache,
                 created_at AS createdAt, requested_at AS requestedAt, executed_at AS executedAt, finished_at AS finishedAt,
-                spent, error_type AS errorType, error
+                spent, error_type AS errorType, error${this.sqlRepairAttemptsColumn}
             FROM explorer_questions
             WHERE
                 hash = ?
@@ -670,7 +681,7 @@ export class ExplorerService {
                 queue_name AS queueName, queue_job_id AS queueJobId, recommended_questions AS recommendedQuestions,
                 result, chart, answer_summary AS answerSummary, recommended, hit_cache AS hitCache,
                 created_at AS createdAt, requested_at AS requestedAt, executed_at AS executedAt, finished_at AS finishedAt,
-                spent, error_type AS errorType, error
+                spent, error_type AS errorType, error${this.sqlRepairAttemptsColumn}
             FROM explorer_questions
             WHERE hash = ? AND recommended = 1
         `, [questionHash]);
@@ -685,7 +696,7 @@ export class ExplorerService {
                 queue_name AS queueName, queue_job_id AS queueJobId, recommended_questions AS recommendedQuestions,
                 result, chart, answer_summary AS answerSummary, recommended, hit_cache AS hitCache,
                 created_at AS createdAt, requested_at AS requestedAt, executed_at AS executedAt, finished_at AS finishedAt,
-                spent, error_type AS errorType, error
+                spent, error_type AS errorType, error${this.sqlRepairAttemptsColumn}
             FROM explorer_questions
             WHERE query_hash = ? AND status = ? AND created_at > DATE_SUB(NOW(), INTERVAL ? SECOND)
             ORDER BY created_at DESC
@@ -723,7 +734,7 @@ export class ExplorerService {
                 queue_name AS queueName, queue_job_id AS queueJobId, recommended_questions AS recommendedQuestions,
                 result, chart, answer_summary AS answerSummary, recommended, hit_cache AS hitCache,
                 created_at AS createdAt, requested_at AS requestedAt, executed_at AS executedAt, finished_at AS finishedAt,
-                spent, error_type AS errorType, error
+                spent, error_type AS errorType, error${this.sqlRepairAttemptsColumn}
             FROM explorer_questions
             WHERE user_id = ? AND created_at > DATE_SUB(NOW(), INTERVAL 1 HOUR)
             ORDER BY created_at DESC
@@ -761,13 +772,38 @@ export class ExplorerService {
     // Resolve questions.
 
     async resolveQuestion(job: Job, question: Question): Promise<QuestionQueryResult> {
-        const { id: questionId, querySQL } = question;
+        const { id: questionId } = question;
+        const logger = this.logger.child({ questionId: questionId });
+        const attempts: SQLRepairAttempt[] = [];
         try {
-            const questionResult = await this.executeQuery(questionId, querySQL!);
+            let questionResult: QuestionQueryResult | null = null;
+            let resultSQL: string | null = null;
+            while (true) {
+                // Notice: Reuse the result if only the chart has been repaired.
+                if (questionResult === null || resultSQL !== question.querySQL) {
+                    try {
+                        questionResult = await this.executeQuery(questionId, question.querySQL!);
+                        resultSQL = question.querySQL!;
+                    } catch (err: any) {
+                        const repairable = err instanceof ExplorerResolveQuestionError && err.feedbackType === QuestionFeedbackType.ErrorQueryExecute;
+                        if (repairable && await this.repairQuestionSQL(logger, question, attempts, err.feedbackType, err.message)) {
+                            questionResult = null;
+                            continue;
+                        }
+                        throw err;
+                    }
+                }
 
-            // Check chart if match the result.
-            if (!this.checkChart(question.chart, questionResult.result)) {
+                // Check chart if match the result.
+                if (this.checkChart(question.chart, questionResult.result)) {
+                    break;
+                }
+                const mismatch = this.getChartMismatchMessage(question.chart, questionResult.result);
+                if (await this.repairQuestionSQL(logger, question, attempts, QuestionFeedbackType.ErrorValidateChart, mismatch)) {
+                    continue;
+                }
                 await this.addSystemQuestionFeedback(questionId, QuestionFeedbackType.ErrorValidateChart, JSON.stringify(question.chart));
+                break;
             }
 
             // Check if the result is empty.
@@ -783,7 +819,10 @@ export class ExplorerService {
             return questionResult;
         } catch (err: any) {
             if (err instanceof ExplorerResolveQuestionError) {
-                await this.addSystemQuestionFeedback(questionId, err.feedbackType, JSON.stringify(err.feedbackPayload));
+                await this.addSystemQuestionFeedback(questionId, err.feedbackType, JSON.stringify({
+                    ...err.feedbackPayload,
+                    ...attempts.length > 0 ? { sqlRepairAttempts: attempts } : {}
+                }));
                 await this.saveQuestionError(questionId, err.feedbackType, err.message);
             } else {
                 const userMessage = "Failed to resolve question, please try again later.";
@@ -796,12 +835,78 @@ export class ExplorerService {
         }
     }
 
+    /**
+     * Feed the error back to the bot to get the corrected SQL and chart, and record the attempt on the question.
+     *
+     * Return false if the attempts have been used up or the bot failed to repair it.
+     */
+    private async repairQuestionSQL(
+      logger: BaseLogger, question: Question, attempts: SQLRepairAttempt[], errorType: QuestionFeedbackType, error: string
+    ): Promise<boolean> {
+        if (attempts.length >= this.options.sqlRepairMaxAttempts) {
+            return false;
+        }
+
+        const attempt: SQLRepairAttempt = {
+            attempt: attempts.length + 1,
+            errorType,
+            error,
+            previousSQL: question.querySQL!,
+            previousChart: question.chart,
+            createdAt: DateTime.utc().toISO()!,
+        };
+        attempts.push(attempt);
+
+        try {
+            logger.info({ attempt: attempt.attempt, errorType, error }, "Repairing the SQL of question.");
+            const title = question.combinedTitle || question.revisedTitle || question.title;
+            const [answer, responseText] = await this.botService.repairSQL(title, attempt.previousSQL, attempt.previousChart, error);
+
+            // Notice: The SQL can be kept if only the chart mismatched the result.
+            let querySQL = answer?.querySQL;
+            if (!querySQL && errorType === QuestionFeedbackType.ErrorValidateChart && answer?.chart) {
+                querySQL = attempt.previousSQL;
+            }
+            if (typeof querySQL !== 'string' || querySQL.length === 0) {
+                throw new BotResponseGenerateError('Generated an empty SQL.', responseText);
+            }
+            this.validateSQL(querySQL);
+
+            attempt.querySQL = querySQL;
+            attempt.chart = answer?.chart ?? question.chart;
+            question.querySQL = attempt.querySQL;
+            question.queryHash = this.getQueryHash(attempt.querySQL);
+            question.chart = attempt.chart;
+            return true;
+        } catch (err: any) {
+            logger.warn(err, "Failed to repair the SQL of question (attempt %d).", attempt.attempt);
+            attempt.repairError = err.message;
+            return false;
+        } finally {
+            question.sqlRepairAttempts = attempts;
+            await this.saveQuestionRepairAttempts(question);
+        }
+    }
+
+    private async saveQuestionRepairAttempts(question: Question) {
+        const { id, querySQL, queryHash, chart = null, sqlRepairAttempts = [] } = question;
+        const [rs] = await this.tidb.query<ResultSetHeader>(`
+            UPDATE explorer_questions
+            SET query_sql = ?, query_hash = ?, chart = ?, sql_repair_attempts = ?
+            WHERE id = UUID_TO_BIN(?)
+        `, [querySQL, queryHash, JSON.stringify(chart), JSON.stringify(sqlRepairAttempts), id]);
+        if (rs.affectedRows !== 1) {
+            throw new APIError(500, 'Failed to save the SQL repair attempts of question.');
+        }
+    }
+
     private async executeQuery(questionId: string, querySQL: string): Promise<QuestionQueryResult> {
         try {
             const executedAt = DateTime.now();
             await this.markQuestionRunning(questionId, executedAt);
             this.logger.info('⏳ Start query executing for question <%s>, start: %s', questionId, executedAt.toISO());
 
+            // Notice: The estimated cost gate of playground is not applied to the SQL generated for questions.
             const markedSQL = `/* questionId: ${questionId} */ ${querySQL}`;
             const [rows, fields] = await this.playgroundQueryExecutor.execute(`explorer-sql-${questionId}`, {
                 sql: markedSQL,
@@ -918,6 +1023,14 @@ export class ExplorerService {
         return typeof column === 'string' && columns.includes(column);
     }
 
+    private getChartMismatchMessage(chart: RecommendedChart | undefined | null, result: QuestionSQLResult): string {
+        const columnNames = result.fields.map((f) => f.name);
+        if (chart === null || chart === undefined) {
+            return `No chart is recommended for the result with columns: ${columnNames.join(', ')}.`;
+        }
+        return `The chart ${JSON.stringify(chart)} does not match the result columns: ${columnNames.join(', ')}.`;
+    }
+
     // Error handling.
 
     wrapperTheErrorMessage(message?: string | null): string {
@@ -39,6 +39,7 @@ export interface Question {
   spent?: number | null;
   error?: string | null;
   errorType?: QuestionFeedbackType | null;
+  sqlRepairAttempts?: SQLRepairAttempt[] | null;
   hitCache: boolean;
   preceding: number;
   [key: string]: any
@@ -60,6 +61,22 @@ export interface QuestionQueryResultWithChart extends QuestionQueryResult {
   chart: RecommendedChart;
 }
 
+/**
+ * The attempt to repair the generated SQL (or chart) according to the execution error or the chart mismatch.
+ */
+export interface SQLRepairAttempt {
+  attempt: number;
+  errorType: QuestionFeedbackType;
+  error: string;
+  previousSQL: string;
+  previousChart?: RecommendedChart | null;
+  // The repaired SQL and chart, which are not set if the bot failed to repair.
+  querySQL?: string;
+  chart?: RecommendedChart | null;
+  repairError?: string;
+  createdAt: string;
+}
+
 export enum QuestionStatus {
   New = "new",
   AnswerGenerating = "answer_generating",
@@ -0,0 +1,113 @@
+import {MySQLPromisePool} from "@fastify/mysql";
+import {FastifyBaseLogger} from "fastify";
+import fp from "fastify-plugin";
+import {existsSync, readFileSync} from "fs";
+import {dirname, join} from "path";
+
+declare module 'fastify' {
+    interface FastifyInstance {
+        freshnessService: FreshnessService;
+    }
+}
+
+export default fp(async (app) => {
+    const endpointsConfigPath = join(app.config.CONFIGS_PATH, 'public_api', 'http_endpoints', 'config.json');
+    app.decorate('freshnessService', new FreshnessService(app.log, app.mysql, loadEndpointViews(endpointsConfigPath)));
+}, {
+    name: '@ossinsight/freshness-service',
+    dependencies: [
+        '@fastify/env',
+        '@ossinsight/tidb'
+    ]
+});
+
+// The freshness is recorded by the pipeline service periodically, so it is fine to cache it for a while.
+export const FRESHNESS_CACHE_TTL = 60 * 1000;
+
+export interface MaterializedViewFreshness {
+    name: string;
+    // The data of materialized view is up to date until this time, null if unknown.
+    dataUpTo: Date | null;
+    updatedAt: Date;
+}
+
+/**
+ * Read the materialized views used by each endpoint of TiDB data service from the SQL files.
+ */
+export function loadEndpointViews(endpointsConfigPath: string): Record<string, string[]> {
+    const endpointViews: Record<string, string[]> = {};
+    if (!existsSync(endpointsConfigPath)) {
+        return endpointViews;
+    }
+
+    const endpoints = JSON.parse(readFileSync(endpointsConfigPath, 'utf-8')) as { endpoint: string, sql_file?: string }[];
+    for (const { endpoint, sql_file } of endpoints) {
+        const sqlPath = sql_file ? join(dirname(endpointsConfigPath), sql_file) : null;
+        if (!sqlPath || !existsSync(sqlPath)) {
+            continue;
+        }
+        const sql = readFileSync(sqlPath, 'utf-8');
+        endpointViews[endpoint] = Array.from(new Set(Array.from(sql.matchAll(/\b(mv_\w+)/g), (match) => match[1])));
+    }
+    return endpointViews;
+}
+
+export class FreshnessService {
+    private cached: { freshness: MaterializedViewFreshness[], expiresAt: number } | null = null;
+
+    constructor(
+        readonly log: FastifyBaseLogger,
+        readonly tidb: MySQLPromisePool,
+        readonly endpointViews: Record<string, string[]>
+    ) {}
+
+    async getFreshness(): Promise<MaterializedViewFreshness[]> {
+        if (this.cached && this.cached.expiresAt > Date.now()) {
+            return this.cached.freshness;
+        }
+
+        const [rows] = await this.tidb.query<any[]>(`
+            SELECT view_name AS name, data_up_to AS dataUpTo, updated_at AS updatedAt
+            FROM sys_materialized_view_freshness
+            ORDER BY view_name;
+        `);
+        const freshness = rows.map((row) => ({
+            name: row.name,
+            dataUpTo: row.dataUpTo,
+            updatedAt: row.updatedAt,
+        }));
+        this.cached = { freshness, expiresAt: Date.now() + FRESHNESS_CACHE_TTL };
+        return freshness;
+    }
+
+    /**
+     * Get the time until which the data of endpoint is up to date, it is the oldest one of the
+     * materialized views used by the endpoint, null if the endpoint does not use any materialized view
+     * or the freshness is unknown.
+     */
+    async getDataUpToDate(endpoint: string): Promise<Date | null> {
+        const views = this.endpointViews[endpoint];
+        if (!views || views.length === 0) {
+            return null;
+        }
+
+        try {
+            const freshness = new Map((await this.getFreshness()).map((item) => [item.name, item.dataUpTo]));
+            let dataUpToDate: Date | null = null;
+            for (const view of views) {
+                const dataUpTo = freshness.get(view);
+                if (!dataUpTo) {
+                    return null;
+                }
+                if (!dataUpToDate || dataUpTo < dataUpToDate) {
+                    dataUpToDate = dataUpTo;
+                }
+            }
+            return dataUpToDate;
+        } catch (err) {
+            this.log.warn(err, `Failed to get the freshness of endpoint ${endpoint}.`);
+            return null;
+        }
+    }
+
+}
@@ -0,0 +1,73 @@
+import {SharedQuery, SharedQueryRevision} from "./index";
+
+// The embeddable view only shows the first rows of the result.
+export const EMBED_MAX_ROWS = 100;
+
+/**
+ * Render the read-only view of the shared query from its last result, which can be embedded by `<iframe>`.
+ *
+ * The chart config is attached as JSON for the embedding page to render the chart on its own.
+ */
+export function renderEmbedView(query: SharedQuery, revision: SharedQueryRevision, url: string): string {
+  const { result, error, chart } = revision;
+  const fieldNames = (result?.fields ?? []).map((field: any) => field.name);
+  const rows = (result?.rows ?? []).slice(0, EMBED_MAX_ROWS);
+
+  let body: string;
+  if (error) {
+    body = `<p class="error">${escapeHTML(error)}</p>`;
+  } else if (!result) {
+    body = `<p>No result.</p>`;
+  } else {
+    const header = fieldNames.map((name) => `<th>${escapeHTML(name)}</th>`).join('');
+    const content = rows.map((row: any) => {
+      const values = Array.isArray(row) ? row : fieldNames.map((name) => row[name]);
+      return `<tr>${values.map((value: any) => `<td>${escapeHTML(formatValue(value))}</td>`).join('')}</tr>`;
+    }).join('\n');
+    body = `<table>\n<thead><tr>${header}</tr></thead>\n<tbody>\n${content}\n</tbody>\n</table>`;
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(query.name)} - OSS Insight</title>
+<style>
+body { font-family: sans-serif; font-size: 14px; margin: 8px; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; }
+.error { color: #c00; }
+footer { color: #888; font-size: 12px; margin-top: 8px; }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(query.name)}</h1>
+<pre><code>${escapeHTML(revision.sql)}</code></pre>
+${body}
+<footer>Revision ${revision.revision}${revision.executedAt ? `, executed at ${escapeHTML(revision.executedAt.toISO() ?? '')}` : ''} · <a href="${escapeHTML(url)}" target="_blank" rel="noopener">${escapeHTML(url)}</a></footer>
+<script type="application/json" id="chart">${escapeJSON(chart ?? null)}</script>
+</body>
+</html>
+`;
+}
+
+function formatValue(value: any): string {
+  if (value === null || value === undefined) {
+    return 'NULL';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function escapeHTML(text: string): string {
+  return text
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#39;');
+}
+
+// Prevent the JSON from closing the script tag.
+function escapeJSON(value: any): string {
+  return JSON.stringify(value).replaceAll('<', '\\u003c');
+}
@@ -0,0 +1,388 @@
+import {MySQLPromisePool} from "@fastify/mysql";
+import {FastifyBaseLogger} from "fastify";
+import fp from "fastify-plugin";
+import {DateTime} from "luxon";
+import {Connection, ResultSetHeader} from "mysql2/promise";
+import crypto from "node:crypto";
+import {SqlParser} from "../../../core/playground/playground";
+import {PlaygroundSandboxPolicy, resolvePlaygroundSandboxPolicy} from "../../../core/playground/sandbox";
+import {SQLRunner} from "../../../core/runner/sql/SQLRunner";
+import {withTransaction} from "../../../utils/db";
+import {APIError} from "../../../utils/error";
+import {ExplorerService} from "../explorer-service";
+import {QuestionSQLResult, QuestionStatus} from "../explorer-service/types";
+
+declare module 'fastify' {
+    interface FastifyInstance {
+        sharedQueryService: SharedQueryService;
+    }
+}
+
+export default fp(async (app) => {
+    app.decorate('sharedQueryService', new SharedQueryService(
+      app.log.child({ service: 'shared-query-service' }),
+      app.mysql,
+      app.explorerService,
+      app.sqlRunner,
+      resolvePlaygroundSandboxPolicy(app.config),
+      app.config.API_BASE_URL,
+    ));
+}, {
+    name: '@ossinsight/shared-query-service',
+    dependencies: [
+        '@fastify/env',
+        '@ossinsight/tidb',
+        '@ossinsight/explorer-service',
+        '@ossinsight/sql-runner',
+    ]
+});
+
+export const DEFAULT_SHARED_QUERY_BASE_URL = 'https://api.ossinsight.io';
+
+export enum SharedQuerySource {
+    // The SQL written in the analyze playground.
+    SQL = 'sql',
+    // The SQL generated by an explorer question.
+    Explorer = 'explorer',
+}
+
+// The playground context which the SQL is executed in.
+export interface SharedQueryContext {
+    type: 'repo' | 'user';
+    id: string;
+}
+
+export interface SharedQuery {
+    id: string;
+    userId: number;
+    name: string;
+    source: SharedQuerySource;
+    forkedFrom: string | null;
+    latestRevision: number;
+    createdAt: DateTime;
+    updatedAt: DateTime;
+}
+
+export interface SharedQueryRevision {
+    queryId: string;
+    revision: number;
+    userId: number;
+    sql: string;
+    context: SharedQueryContext | null;
+    questionId: string | null;
+    chart: Record<string, any> | null;
+    // The last result of the SQL, which is served to the viewers instead of executing the SQL again.
+    result: QuestionSQLResult | null;
+    error: string | null;
+    executedAt: DateTime | null;
+    createdAt: DateTime;
+}
+
+export interface SaveSharedQueryInput {
+    name?: string;
+    sql?: string;
+    context?: SharedQueryContext;
+    questionId?: string;
+    chart?: Record<string, any> | null;
+}
+
+type RevisionContent = Omit<SharedQueryRevision, 'queryId' | 'revision' | 'userId' | 'createdAt'>;
+
+export class SharedQueryService {
+
+    constructor(
+      private readonly log: FastifyBaseLogger,
+      private readonly tidb: MySQLPromisePool,
+      private readonly explorerService: ExplorerService,
+      private readonly sqlRunner: SQLRunner,
+      private readonly sandboxPolicy: PlaygroundSandboxPolicy,
+      private readonly baseUrl: string = DEFAULT_SHARED_QUERY_BASE_URL,
+    ) {
+    }
+
+    /**
+     * Save the SQL or the explorer question as a named snapshot, which starts at revision 1.
+     */
+    async createSharedQuery(userId: number, input: SaveSharedQueryInput): Promise<SharedQuery> {
+        const name = this.validateName(input.name);
+        const source = input.questionId ? SharedQuerySource.Explorer : SharedQuerySource.SQL;
+        const content = await this.prepareRevision(source, input, null);
+        const queryId = this.generateId();
+
+        await withTransaction(this.tidb, async (conn) => {
+            await conn.query(`
+                INSERT INTO shared_queries (id, user_id, name, source, forked_from, latest_revision)
+                VALUES (?, ?, ?, ?, NULL, 1)
+            `, [queryId, userId, name, source]);
+            await this.insertRevision(conn, queryId, 1, userId, content);
+        });
+
+        this.log.info({ queryId, userId, source }, 'Created shared query <%s>.', name);
+        return this.getSharedQueryOrError(queryId);
+    }
+
+    /**
+     * Save a new revision of the snapshot, the fields not provided are inherited from the latest revision.
+     */
+    async addRevision(userId: number, queryId: string, input: SaveSharedQueryInput): Promise<SharedQueryRevision> {
+        const query = await this.getSharedQueryOrError(queryId);
+        if (query.userId !== userId) {
+            throw new APIError(403, 'Only the owner can revise the shared query, please fork it instead.');
+        }
+        if (query.source === SharedQuerySource.Explorer && (input.sql || input.context)) {
+            throw new APIError(400, 'The SQL of the shared explorer question can only be changed by another question.');
+        }
+        if (query.source === SharedQuerySource.SQL && input.questionId) {
+            throw new APIError(400, 'The shared SQL can not be changed to an explorer question.');
+        }
+
+        const name = input.name === undefined ? query.name : this.validateName(input.name);
+        const previous = await this.getRevisionOrError(queryId, query.latestRevision);
+        const content = await this.prepareRevision(query.source, input, previous);
+        const revision = query.latestRevision + 1;
+
+        await withTransaction(this.tidb, async (conn) => {
+            // Notice: Check the latest revision to avoid overwriting the concurrent revision.
+            const [rs] = await conn.query<ResultSetHeader>(`
+                UPDATE shared_queries
+                SET name = ?, latest_revision = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND latest_revision = ?
+            `, [name, revision, queryId, query.latestRevision]);
+            if (rs.affectedRows !== 1) {
+                throw new APIError(409, 'The shared query has been revised by others, please try again.');
+            }
+            await this.insertRevision(conn, queryId, revision, userId, content);
+        });
+
+        this.log.info({ queryId, userId, revision }, 'Added revision %d to shared query <%s>.', revision, name);
+        return this.getRevisionOrError(queryId, revision);
+    }
+
+    /**
+     * Copy the latest revision of the snapshot into a new snapshot owned by the user.
+     */
+    async forkSharedQuery(userId: number, queryId: string, name?: string): Promise<SharedQuery> {
+        const query = await this.getSharedQueryOrError(queryId);
+        const forkedName = name === undefined ? query.name : this.validateName(name);
+        const content = this.inheritRevision(await this.getRevisionOrError(queryId, query.latestRevision), {});
+        const forkedQueryId = this.generateId();
+
+        await withTransaction(this.tidb, async (conn) => {
+            await conn.query(`
+                INSERT INTO shared_queries (id, user_id, name, source, forked_from, latest_revision)
+                VALUES (?, ?, ?, ?, ?, 1)
+            `, [forkedQueryId, userId, forkedName, query.source, queryId]);
+            await this.insertRevision(conn, forkedQueryId, 1, userId, content);
+        });
+
+        this.log.info({ queryId: forkedQueryId, forkedFrom: queryId, userId }, 'Forked shared query <%s>.', forkedName);
+        return this.getSharedQueryOrError(forkedQueryId);
+    }
+
+    async getSharedQuery(queryId: string): Promise<SharedQuery | null> {
+        const [rows] = await this.tidb.query<any[]>(`
+            SELECT
+                id, user_id AS userId, name, source, forked_from AS forkedFrom, latest_revision AS latestRevision,
+                created_at AS createdAt, updated_at AS updatedAt
+            FROM shared_queries
+            WHERE id = ?
+        `, [queryId]);
+        if (rows.length !== 1) {
+            return null;
+        }
+        return this.mapRecordToSharedQuery(rows[0]);
+    }
+
+    async getSharedQueryOrError(queryId: string): Promise<SharedQuery> {
+        const query = await this.getSharedQuery(queryId);
+        if (query === null) {
+            throw new APIError(404, 'Shared query not found.');
+        }
+        return query;
+    }
+
+    async listUserSharedQueries(userId: number): Promise<SharedQuery[]> {
+        const [rows] = await this.tidb.query<any[]>(`
+            SELECT
+                id, user_id AS userId, name, source, forked_from AS forkedFrom, latest_revision AS latestRevision,
+                created_at AS createdAt, updated_at AS updatedAt
+            FROM shared_queries
+            WHERE user_id = ?
+            ORDER BY updated_at DESC
+        `, [userId]);
+        return rows.map((row) => this.mapRecordToSharedQuery(row));
+    }
+
+    /**
+     * Get the revision of the snapshot, or the latest revision if not specified.
+     */
+    async getRevision(queryId: string, revision?: number): Promise<SharedQueryRevision | null> {
+        const [rows] = await this.tidb.query<any[]>(`
+            SELECT
+                sqr.query_id AS queryId, sqr.revision, sqr.user_id AS userId, sqr.\`sql\`, sqr.context,
+                sqr.question_id AS questionId, sqr.chart, sqr.result, sqr.error, sqr.executed_at AS executedAt,
+                sqr.created_at AS createdAt
+            FROM shared_query_revisions sqr
+            JOIN shared_queries sq ON sq.id = sqr.query_id
+            WHERE sqr.query_id = ? AND sqr.revision = IFNULL(?, sq.latest_revision)
+        `, [queryId, revision ?? null]);
+        if (rows.length !== 1) {
+            return null;
+        }
+        return this.mapRecordToRevision(rows[0]);
+    }
+
+    async getRevisionOrError(queryId: string, revision?: number): Promise<SharedQueryRevision> {
+        const result = await this.getRevision(queryId, revision);
+        if (result === null) {
+            throw new APIError(404, 'Revision of shared query not found.');
+        }
+        return result;
+    }
+
+    /**
+     * List the revisions of the snapshot without the results, the latest revision comes first.
+     */
+    async listRevisions(queryId: string): Promise<Omit<SharedQueryRevision, 'result'>[]> {
+        const [rows] = await this.tidb.query<any[]>(`
+            SELECT
+                query_id AS queryId, revision, user_id AS userId, \`sql\`, context, question_id AS questionId, chart,
+                error, executed_at AS executedAt, created_at AS createdAt
+            FROM shared_query_revisions
+            WHERE query_id = ?
+            ORDER BY revision DESC
+        `, [queryId]);
+        return rows.map((row) => this.mapRecordToRevision(row));
+    }
+
+    getSharedQueryUrls(queryId: string): { url: string, embedUrl: string } {
+        const url = `${this.baseUrl.replace(/\/+$/, '')}/shared-queries/${queryId}`;
+        return {
+            url,
+            embedUrl: `${url}/embed`,
+        };
+    }
+
+    private async prepareRevision(
+      source: SharedQuerySource, input: SaveSharedQueryInput, previous: SharedQueryRevision | null
+    ): Promise<RevisionContent> {
+        if (source === SharedQuerySource.Explorer) {
+            const questionId = input.questionId ?? previous?.questionId;
+            if (!questionId) {
+                throw new APIError(400, 'The question id is required.');
+            }
+            if (previous && previous.questionId === questionId) {
+                return this.inheritRevision(previous, input);
+            }
+
+            const question = await this.explorerService.getQuestionByIdOrError(questionId);
+            if (question.status !== QuestionStatus.Success || !question.querySQL) {
+                throw new APIError(400, 'Only the answered question can be shared.');
+            }
+            return {
+                sql: question.querySQL,
+                context: null,
+                questionId,
+                chart: input.chart !== undefined ? input.chart : question.chart ?? null,
+                result: question.result ?? null,
+                error: null,
+                executedAt: question.finishedAt ?? null,
+            };
+        }
+
+        const sql = input.sql ?? previous?.sql;
+        const context = input.context ?? previous?.context;
+        if (!sql || !context) {
+            throw new APIError(400, 'The SQL and the context of playground are required.');
+        }
+        if (previous && previous.sql === sql && previous.context?.type === context.type && previous.context?.id === context.id) {
+            return this.inheritRevision(previous, input);
+        }
+
+        // Execute the SQL in the playground sandbox, and keep the result for the viewers.
+        let sandboxedSQL: string;
+        try {
+            sandboxedSQL = new SqlParser(context.type, context.id, sql, this.sandboxPolicy).sqlify();
+        } catch (err: any) {
+            throw new APIError(400, err.message, err);
+        }
+
+        const content: RevisionContent = {
+            sql,
+            context: { type: context.type, id: String(context.id) },
+            questionId: null,
+            chart: input.chart ?? previous?.chart ?? null,
+            result: null,
+            error: null,
+            executedAt: null,
+        };
+        try {
+            const { fields, data, finishedAt } = await this.sqlRunner.run(sandboxedSQL);
+            content.result = { fields, rows: data as any[] };
+            content.executedAt = finishedAt;
+        } catch (err: any) {
+            this.log.warn({ err }, 'Failed to execute the SQL of shared query.');
+            content.error = err.sqlMessage ?? err.message;
+            content.executedAt = DateTime.now();
+        }
+        return content;
+    }
+
+    private inheritRevision(previous: SharedQueryRevision, input: SaveSharedQueryInput): RevisionContent {
+        const { queryId, revision, userId, createdAt, ...content } = previous;
+        return {
+            ...content,
+            chart: input.chart !== undefined ? input.chart : previous.chart,
+        };
+    }
+
+    private async insertRevision(conn: Connection, queryId: string, revision: number, userId: number, content: RevisionContent) {
+        const { sql, context, questionId, chart, result, error, executedAt } = content;
+        // Notice: sql is a reserved word in TiDB.
+        await conn.query(`
+            INSERT INTO shared_query_revisions (
+                query_id, revision, user_id, \`sql\`, context, question_id, chart, result, error, executed_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            queryId, revision, userId, sql, this.toJSON(context), questionId, this.toJSON(chart), this.toJSON(result),
+            error?.substring(0, 512) ?? null, executedAt?.toJSDate() ?? null
+        ]);
+    }
+
+    private validateName(name?: string): string {
+        const trimmed = name?.trim();
+        if (!trimmed) {
+            throw new APIError(400, 'The name of shared query is required.');
+        }
+        if (trimmed.length > 255) {
+            throw new APIError(400, 'The name of shared query is too long, please shorten it.');
+        }
+        return trimmed;
+    }
+
+    // The id is used in the public URL, which should be short and not guessable.
+    private generateId(): string {
+        return crypto.randomBytes(9).toString('base64url');
+    }
+
+    private toJSON(value: any): string | null {
+        return value === null || value === undefined ? null : JSON.stringify(value);
+    }
+
+    private mapRecordToSharedQuery(row: any): SharedQuery {
+        return {
+            ...row,
+            createdAt: DateTime.fromJSDate(row.createdAt),
+            updatedAt: DateTime.fromJSDate(row.updatedAt),
+        };
+    }
+
+    private mapRecordToRevision(row: any): SharedQueryRevision {
+        return {
+            ...row,
+            executedAt: row.executedAt ? DateTime.fromJSDate(row.executedAt) : null,
+            createdAt: DateTime.fromJSDate(row.createdAt),
+        };
+    }
+
+}
@@ -1,5 +1,6 @@
 import {FastifyBaseLogger} from "fastify";
 import fp from "fastify-plugin";
+import crypto from "crypto";
 import {Pool} from "mysql2/promise";
 import {Logger} from "pino";
 import {BatchLoader} from "../../../core/db/batch-loader";
@@ -28,10 +29,12 @@ export default fp(async (app) => {
 
 const STATS_QUERY_PREFIX = 'stats-';
 const INSERT_STATS_BATCH_SIZE = 2;
+const INSERT_REQUESTS_BATCH_SIZE = 100;
 
 export class StatsService {
   private readonly logger: FastifyBaseLogger
   private queryStatsLoader: BatchLoader;
+  private queryRequestsLoader: BatchLoader;
 
   constructor(
     readonly pool: Pool,
@@ -42,6 +45,10 @@ export class StatsService {
     this.queryStatsLoader = new BatchLoader(this.logger as Logger, this.pool, insertSQL, {
       batchSize: INSERT_STATS_BATCH_SIZE
     });
+    const insertRequestsSQL = `INSERT INTO stats_query_requests(query_name, params, params_digest, cache_hit, spent, requested_at) VALUES ?;`
+    this.queryRequestsLoader = new BatchLoader(this.logger as Logger, this.pool, insertRequestsSQL, {
+      batchSize: INSERT_REQUESTS_BATCH_SIZE
+    });
   }
 
   async addQueryStatsRecord(queryName: string, digestText: string, executedAt: Date, refresh?: boolean) {
@@ -57,11 +64,33 @@ export class StatsService {
     }
   }
 
+  /**
+   * Record every request of the query with its params (including the ones served from cache), which is
+   * consumed by prefetch to warm up the frequently requested params combinations.
+   *
+   * @param spent The execution time (in seconds) of the query result, which is the cost to refresh it.
+   */
+  async addQueryRequestRecord(queryName: string, params: Record<string, any>, spent: number, refresh?: boolean) {
+    try {
+      if (queryName === undefined || queryName.includes(STATS_QUERY_PREFIX)) {
+        return;
+      }
+      const sortedParams = Object.fromEntries(Object.keys(params ?? {}).sort().map((key) => [key, params[key]]));
+      const paramsJSON = JSON.stringify(sortedParams);
+      const paramsDigest = crypto.createHash('sha1').update(paramsJSON).digest('hex');
+      await this.queryRequestsLoader.insert([queryName, paramsJSON, paramsDigest, refresh !== true, spent, new Date()]);
+    } catch (err) {
+      this.logger.error(`Failed to add query request record for ${queryName}.`);
+    }
+  }
+
   async flush() {
     await this.queryStatsLoader.flush();
+    await this.queryRequestsLoader.flush();
   }
 
   async destroy() {
     await this.queryStatsLoader.destroy();
+    await this.queryRequestsLoader.destroy();
   }
 }
\ No newline at end of file
@@ -111,6 +111,13 @@ export class UserService {
     return users[0];
   }
 
+  async checkIfAdminOrError(userId: number) {
+    const user = await this.getUserById(userId);
+    if (user.role !== UserRole.ADMIN) {
+      throw new APIError(403, "Has no permission to do this operation.");
+    }
+  }
+
   async getUserByGithubId(githubId: number): Promise<UserProfile> {
     const [users] = await this.tidb.query<UserProfile[]>(
       `
@@ -1,27 +1,23 @@
 import { Server, Socket } from 'socket.io';
+import { createAdapter } from "@socket.io/redis-adapter";
 
 import {FastifyBaseLogger, FastifyInstance, FastifyPluginAsync} from 'fastify';
 import { QueryRunner } from "../../core/runner/query/QueryRunner";
 import fastifyWebsocket from "fastify-socket.io";
-import { toCompactFormat } from "../../utils/compact";
+import {
+  buildQueryResponse,
+  getQueryTopic,
+  LiveQueryService,
+  WsQueryOptions,
+  WsQueryResponse,
+  WsSubscribeRequest
+} from "./live-query";
 
-interface WsQueryRequest {
-  qid?: string | number;
-  explain?: boolean;
-  excludeMeta?: boolean;
-  format?: "compact";
+interface WsQueryRequest extends WsQueryOptions {
   query: string;
   params: Record<string, any>;
 }
 
-interface WsQueryResponse {
-  qid?: string | number;
-  explain?: boolean;
-  error?: true;
-  compact?: boolean;
-  payload: any;
-}
-
 const root: FastifyPluginAsync = async (app, opts): Promise<void> => {
   await app.register(fastifyWebsocket, {
     path: '/socket.io',
@@ -55,11 +51,26 @@ const root: FastifyPluginAsync = async (app, opts): Promise<void> => {
       });
     }
 
+    // Broadcast the refreshes of cache between replicas through Redis.
+    const distributed = app.config.ENABLE_SOCKET_IO_REDIS_ADAPTER;
+    if (distributed) {
+      const pubClient = app.redis.duplicate();
+      const subClient = app.redis.duplicate();
+      app.io.adapter(createAdapter(pubClient, subClient));
+      app.addHook('onClose', async () => {
+        pubClient.disconnect();
+        subClient.disconnect();
+      });
+    }
+
+    const liveQueryService = new LiveQueryService(app.log, app.io, app.queryRunner, app.cacheBuilder, distributed);
+
     app.io.on("connection", (socket) => {
       app.log.info(`[ws] Establish a websocket connection <${socket.id}>.`);
-      socketServerRoutes(app.log, socket, app.io, app.queryRunner);
+      socketServerRoutes(app.log, socket, app.io, app.queryRunner, liveQueryService);
       socket.on("disconnect", () => {
         app.log.info(`[ws] Disconnect a websocket connection <${socket.id}>.`);
+        liveQueryService.unsubscribeAll(socket);
       });
     });
   });
@@ -92,7 +103,8 @@ export function socketServerRoutes(
   log: FastifyBaseLogger,
   socket: Socket,
   io: Server,
-  queryRunner: QueryRunner
+  queryRunner: QueryRunner,
+  liveQueryService: LiveQueryService
 ) {
   /*
    * This ws entrypoint provide a method to visit HTTP /q/:query and /q/explain/:query equally.
@@ -118,18 +130,25 @@ export function socketServerRoutes(
    * }
    * ```
    *
+   * - Pagination: If `params` contains `page_size`, `cursor` or `offset` (and the query does not declare params with
+   * the same names), the payload will only contain one page of the cached result, along with the `pagination` field
+   * which carries `total` and `nextCursor`, pass `nextCursor` as the `cursor` param to request the next page.
+   *
    * - Error handling: If error occurs in Query.run phase, response.error would set to true, and payload
    * will be the error data.
+   *
+   * - Live query: Client side can send "subscribe" message "{ qid?, query, params, format?, excludeMeta? }" instead,
+   * server will emit the current result to the same topic as "q" message immediately, and emit the new result
+   * whenever the cache of the query is refreshed (e.g. by prefetch), until the client sends "unsubscribe" message
+   * with the same `qid`, `query` and `params` or disconnects. If the client passes an acknowledgement callback, it will
+   * be called with `{ topic }` or `{ error }`. A connection can subscribe at most 20 queries.
    */
   socket.on("q", async (request: WsQueryRequest) => {
-    const { explain, query, qid, params, format, excludeMeta } = request;
+    const { explain, query, params } = request;
     const logger = log.child({ query: query });
 
     try {
-      const isCompact = format === "compact";
-      const topic = `/q/${explain ? "explain/" : ""}${query}${
-        qid ? `?qid=${qid}` : ""
-      }`;
+      const topic = getQueryTopic(query, request);
       let response: WsQueryResponse;
 
       try {
@@ -139,24 +158,7 @@ export function socketServerRoutes(
         } else {
           res = await queryRunner.query(query, params);
         }
-
-        if (isCompact) {
-          res.data = toCompactFormat(res.data as any, res.fields);
-        }
-
-        if (excludeMeta) {
-          res = {
-            data: res.data,
-            fields: isCompact ? res.fields : undefined,
-          };
-        }
-
-        response = {
-          qid: qid,
-          explain: explain,
-          payload: res,
-          compact: explain ? undefined : isCompact,
-        };
+        response = buildQueryResponse(res, request);
       } catch (err: any) {
         logger.error({ err }, "[ws] Failed to execute query %s.", query);
         response = {
@@ -176,6 +178,45 @@ export function socketServerRoutes(
     }
   });
 
+  socket.on("subscribe", async (request: WsSubscribeRequest, ack?: (result: any) => void) => {
+    const { query, params = {} } = request;
+    const logger = log.child({ query: query });
+
+    let topic: string;
+    try {
+      topic = await liveQueryService.subscribe(socket, request);
+    } catch (err: any) {
+      logger.error({ err }, "[ws] Failed to subscribe query %s.", query);
+      ack?.({ error: err?.message ?? String(err) });
+      return;
+    }
+    ack?.({ topic });
+
+    let response: WsQueryResponse;
+    try {
+      const res = await queryRunner.query(query, params);
+      response = buildQueryResponse(res, request);
+    } catch (err: any) {
+      logger.error({ err }, "[ws] Failed to execute query %s.", query);
+      response = {
+        error: true,
+        qid: request.qid,
+        payload: err,
+      };
+    }
+    socket.emit(topic, response);
+  });
+
+  socket.on("unsubscribe", async (request: WsSubscribeRequest, ack?: (result: any) => void) => {
+    try {
+      const removed = await liveQueryService.unsubscribe(socket, request);
+      ack?.({ removed });
+    } catch (err: any) {
+      log.error({ err }, "[ws] Failed to unsubscribe query %s.", request.query);
+      ack?.({ error: err?.message ?? String(err) });
+    }
+  });
+
   socket.on("close", () => {
     log.info(`[ws] Disconnect a websocket connection ${socket.id};`);
   });
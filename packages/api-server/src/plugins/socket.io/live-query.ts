@@ -0,0 +1,212 @@
+import {FastifyBaseLogger} from "fastify";
+import {Server, Socket} from "socket.io";
+import CacheBuilder from "../../core/cache/CacheBuilder";
+import {QueryRunner} from "../../core/runner/query/QueryRunner";
+import {toCompactFormat} from "../../utils/compact";
+
+// The event broadcast to the other replicas (and sent by prefetch) when a cache entry is refreshed.
+export const QUERY_REFRESHED_EVENT = 'query:refreshed';
+
+export const MAX_SUBSCRIPTIONS_PER_SOCKET = 20;
+
+export interface WsQueryOptions {
+  qid?: string | number;
+  explain?: boolean;
+  excludeMeta?: boolean;
+  format?: "compact";
+}
+
+export interface WsQueryResponse {
+  qid?: string | number;
+  explain?: boolean;
+  error?: true;
+  compact?: boolean;
+  payload: any;
+}
+
+export interface WsSubscribeRequest extends Omit<WsQueryOptions, 'explain'> {
+  query: string;
+  params: Record<string, any>;
+}
+
+interface LiveQuerySubscription extends WsSubscribeRequest {
+  socket: Socket;
+  topic: string;
+  cacheKey: string;
+}
+
+export function getQueryTopic(query: string, { qid, explain }: WsQueryOptions): string {
+  return `/q/${explain ? "explain/" : ""}${query}${qid ? `?qid=${qid}` : ""}`;
+}
+
+/**
+ * Build the response of query in the format requested by client, the result passed in is not modified.
+ */
+export function buildQueryResponse(result: any, { qid, explain, format, excludeMeta }: WsQueryOptions): WsQueryResponse {
+  const isCompact = format === "compact";
+  let res = { ...result };
+  if (isCompact) {
+    res.data = toCompactFormat(res.data as any, res.fields);
+  }
+
+  if (excludeMeta) {
+    res = {
+      data: res.data,
+      fields: isCompact ? res.fields : undefined,
+    };
+  }
+
+  return {
+    qid: qid,
+    explain: explain,
+    payload: res,
+    compact: explain ? undefined : isCompact,
+  };
+}
+
+/**
+ * Push the new result of query to the subscribers whenever its cache entry is refreshed.
+ *
+ * The subscriptions are kept in the memory of each replica. The refreshes in current process are
+ * broadcast to the other replicas through the Redis adapter of socket.io, and prefetch sends the
+ * same event through the Redis emitter, so that every replica can push to its own subscribers.
+ */
+export class LiveQueryService {
+  // The subscriptions grouped by cache key, keyed by socket id and topic.
+  private readonly subscriptions: Map<string, Map<string, LiveQuerySubscription>> = new Map();
+  // The cache keys being pushed.
+  private readonly pushing: Set<string> = new Set();
+  // The cache keys refreshed again while being pushed, they will be pushed again once the current push finishes.
+  private readonly pending: Set<string> = new Set();
+
+  constructor(
+    private readonly log: FastifyBaseLogger,
+    private readonly io: Server,
+    private readonly queryRunner: QueryRunner,
+    cacheBuilder: CacheBuilder,
+    // Whether the Redis adapter is enabled, which is required to broadcast between replicas.
+    private readonly distributed: boolean,
+  ) {
+    cacheBuilder.addRefreshListener((cacheKey) => {
+      if (this.distributed) {
+        this.io.serverSideEmit(QUERY_REFRESHED_EVENT, cacheKey);
+      }
+      void this.push(cacheKey);
+    });
+
+    if (this.distributed) {
+      this.io.on(QUERY_REFRESHED_EVENT, async (cacheKey: string) => {
+        // Notice: The memory tier of current process may still hold the previous result.
+        await cacheBuilder.evictLocalCache(cacheKey).catch((err) => {
+          this.log.warn(err, `[ws] Failed to evict the local cache <${cacheKey}>.`);
+        });
+        await this.push(cacheKey);
+      });
+    }
+  }
+
+  async subscribe(socket: Socket, request: WsSubscribeRequest): Promise<string> {
+    const { query, params = {} } = request;
+    const topic = getQueryTopic(query, request);
+    const { cacheKey } = await this.queryRunner.render(query, params);
+
+    // Notice: The socket may disconnect while rendering, its subscriptions have been removed then.
+    if (!socket.connected) {
+      throw new Error(`The connection has been closed.`);
+    }
+
+    const subscriptionId = `${socket.id}:${topic}`;
+    const subscriptions = this.subscriptions.get(cacheKey) ?? new Map<string, LiveQuerySubscription>();
+    if (!subscriptions.has(subscriptionId) && this.countSubscriptions(socket) >= MAX_SUBSCRIPTIONS_PER_SOCKET) {
+      throw new Error(`A connection can subscribe at most ${MAX_SUBSCRIPTIONS_PER_SOCKET} queries.`);
+    }
+
+    subscriptions.set(subscriptionId, { ...request, params, socket, topic, cacheKey });
+    this.subscriptions.set(cacheKey, subscriptions);
+    this.log.info(`[ws] Connection <${socket.id}> subscribed query <${query}> (cache key: ${cacheKey}).`);
+    return topic;
+  }
+
+  async unsubscribe(socket: Socket, request: WsSubscribeRequest): Promise<boolean> {
+    const { query, params = {} } = request;
+    const topic = getQueryTopic(query, request);
+    const { cacheKey } = await this.queryRunner.render(query, params);
+    return this.removeSubscription(cacheKey, `${socket.id}:${topic}`);
+  }
+
+  unsubscribeAll(socket: Socket) {
+    for (const [cacheKey, subscriptions] of this.subscriptions) {
+      for (const [subscriptionId, subscription] of subscriptions) {
+        if (subscription.socket.id === socket.id) {
+          this.removeSubscription(cacheKey, subscriptionId);
+        }
+      }
+    }
+  }
+
+  async push(cacheKey: string) {
+    // Notice: The current push may have read the previous result, so the refresh can not be dropped.
+    if (this.pushing.has(cacheKey)) {
+      this.pending.add(cacheKey);
+      return;
+    }
+
+    this.pushing.add(cacheKey);
+    try {
+      do {
+        this.pending.delete(cacheKey);
+        await this.pushSubscriptions(cacheKey);
+      } while (this.pending.has(cacheKey));
+    } finally {
+      this.pushing.delete(cacheKey);
+      this.pending.delete(cacheKey);
+    }
+  }
+
+  private async pushSubscriptions(cacheKey: string) {
+    const subscriptions = this.subscriptions.get(cacheKey);
+    if (!subscriptions || subscriptions.size === 0) {
+      return;
+    }
+
+    // Notice: The subscriptions of the same cache key may request different pages of the result.
+    const results = new Map<string, Promise<any>>();
+    for (const subscription of subscriptions.values()) {
+      const { socket, topic, query, params } = subscription;
+      const paramsKey = JSON.stringify(params);
+      if (!results.has(paramsKey)) {
+        results.set(paramsKey, this.queryRunner.query(query, params));
+      }
+
+      try {
+        socket.emit(topic, buildQueryResponse(await results.get(paramsKey), subscription));
+      } catch (err: any) {
+        this.log.error({ err }, "[ws] Failed to push the refreshed result of query %s.", query);
+        socket.emit(topic, { error: true, qid: subscription.qid, payload: err } as WsQueryResponse);
+      }
+    }
+    this.log.info(`[ws] Pushed the refreshed result <${cacheKey}> to ${subscriptions.size} subscribers.`);
+  }
+
+  private countSubscriptions(socket: Socket): number {
+    let count = 0;
+    for (const subscriptions of this.subscriptions.values()) {
+      for (const subscription of subscriptions.values()) {
+        if (subscription.socket.id === socket.id) {
+          count++;
+        }
+      }
+    }
+    return count;
+  }
+
+  private removeSubscription(cacheKey: string, subscriptionId: string): boolean {
+    const subscriptions = this.subscriptions.get(cacheKey);
+    const removed = subscriptions?.delete(subscriptionId) ?? false;
+    if (subscriptions?.size === 0) {
+      this.subscriptions.delete(cacheKey);
+    }
+    return removed;
+  }
+
+}
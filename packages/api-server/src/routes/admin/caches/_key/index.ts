@@ -0,0 +1,93 @@
+import {FastifyPluginAsync, FastifySchema} from 'fastify';
+import {CacheProviderTypes} from "../../../../core/cache/CacheBuilder";
+import {APIError} from "../../../../utils/error";
+
+export const getCacheSchema: FastifySchema = {
+    summary: 'Get cache entry',
+    description: 'Get the cache entry by exact key, whether it has expired or not.',
+    tags: ['admin'],
+    params: {
+        type: 'object',
+        required: ['key'],
+        properties: {
+            key: { type: 'string' },
+        }
+    },
+    querystring: {
+        type: 'object',
+        properties: {
+            cacheProvider: { type: 'string', enum: [CacheProviderTypes.NORMAL_TABLE, CacheProviderTypes.CACHED_TABLE] },
+        }
+    }
+};
+
+export const deleteCacheSchema: FastifySchema = {
+    summary: 'Delete cache entry',
+    description: 'Delete the cache entry by exact key from all the cache providers.',
+    tags: ['admin'],
+    params: {
+        type: 'object',
+        required: ['key'],
+        properties: {
+            key: { type: 'string' },
+        }
+    }
+};
+
+export interface IParams {
+    key: string;
+}
+
+export interface IQuerystring {
+    cacheProvider?: string;
+}
+
+const root: FastifyPluginAsync = async (app) => {
+    app.get<{
+        Params: IParams,
+        Querystring: IQuerystring
+    }>('/', {
+        schema: getCacheSchema,
+        preValidation: app.authenticate
+    }, async function (req, reply) {
+        // Only admin can inspect the caches.
+        const userId = await app.userService.getUserIdOrCreate(req);
+        await app.userService.checkIfAdminOrError(userId);
+
+        const { key } = req.params;
+        const { cacheProvider } = req.query;
+        const providers = cacheProvider ? [cacheProvider] : [CacheProviderTypes.NORMAL_TABLE, CacheProviderTypes.CACHED_TABLE];
+        for (const provider of providers) {
+            const entry = await app.cacheBuilder.getCacheEntry(provider, key);
+            if (entry) {
+                reply.send({
+                    cacheProvider: provider,
+                    ...entry
+                });
+                return;
+            }
+        }
+
+        throw new APIError(404, `Cache entry <${key}> not found.`);
+    });
+
+    app.delete<{
+        Params: IParams
+    }>('/', {
+        schema: deleteCacheSchema,
+        preValidation: app.authenticate
+    }, async function (req, reply) {
+        // Only admin can purge the caches.
+        const userId = await app.userService.getUserIdOrCreate(req);
+        await app.userService.checkIfAdminOrError(userId);
+
+        const { key } = req.params;
+        const deleted = await app.cacheBuilder.deleteCacheEntry(key);
+        app.log.info({ userId }, 'Deleted cache entry <%s>.', key);
+        reply.send({
+            deleted
+        });
+    });
+}
+
+export default root;
@@ -0,0 +1,108 @@
+import {FastifyPluginAsync, FastifySchema} from 'fastify';
+import {CacheProviderTypes} from "../../../core/cache/CacheBuilder";
+import {escapeLikePattern} from "../../../utils/db";
+
+export const listCachesSchema: FastifySchema = {
+    summary: 'List cache entries',
+    description: 'List the cache entries by query name (with partial params) or key prefix, other querystring fields are treated as query params.',
+    tags: ['admin'],
+    querystring: {
+        type: 'object',
+        properties: {
+            queryName: { type: 'string' },
+            prefix: { type: 'string' },
+            cacheProvider: { type: 'string', enum: [CacheProviderTypes.NORMAL_TABLE, CacheProviderTypes.CACHED_TABLE, CacheProviderTypes.TIERED] },
+            page: { type: 'integer', minimum: 1, default: 1 },
+            page_size: { type: 'integer', minimum: 1, maximum: 500, default: 50 },
+        },
+        additionalProperties: true
+    }
+};
+
+export const deleteCachesSchema: FastifySchema = {
+    summary: 'Delete cache entries',
+    description: 'Delete the cache entries of the query, the params not provided will match any value.',
+    tags: ['admin'],
+    querystring: {
+        type: 'object',
+        required: ['queryName'],
+        properties: {
+            queryName: { type: 'string' },
+            cacheProvider: { type: 'string', enum: [CacheProviderTypes.NORMAL_TABLE, CacheProviderTypes.CACHED_TABLE, CacheProviderTypes.TIERED] },
+        },
+        additionalProperties: true
+    }
+};
+
+export interface IListQuerystring {
+    queryName?: string;
+    prefix?: string;
+    cacheProvider?: string;
+    page: number;
+    page_size: number;
+    [key: string]: any;
+}
+
+export interface IDeleteQuerystring {
+    queryName: string;
+    cacheProvider?: string;
+    [key: string]: any;
+}
+
+const root: FastifyPluginAsync = async (app) => {
+    app.get<{
+        Querystring: IListQuerystring
+    }>('/', {
+        schema: listCachesSchema,
+        preValidation: app.authenticate
+    }, async function (req, reply) {
+        // Only admin can inspect the caches.
+        const userId = await app.userService.getUserIdOrCreate(req);
+        await app.userService.checkIfAdminOrError(userId);
+
+        const { queryName, prefix = '', cacheProvider, page, page_size, ...params } = req.query;
+        let provider = cacheProvider || CacheProviderTypes.NORMAL_TABLE;
+        let keyPatterns = [`${escapeLikePattern(prefix)}%`];
+        if (queryName) {
+            const resolved = await app.queryRunner.resolveCacheKeyPatterns(queryName, params);
+            provider = cacheProvider || resolved.cacheProvider;
+            keyPatterns = resolved.keyPatterns;
+        }
+
+        const { total, entries } = await app.cacheBuilder.listCacheEntries(
+          provider, keyPatterns, page_size, (page - 1) * page_size
+        );
+        reply.send({
+            cacheProvider: provider,
+            total,
+            page,
+            page_size,
+            data: entries
+        });
+    });
+
+    app.delete<{
+        Querystring: IDeleteQuerystring
+    }>('/', {
+        schema: deleteCachesSchema,
+        preValidation: app.authenticate
+    }, async function (req, reply) {
+        // Only admin can purge the caches.
+        const userId = await app.userService.getUserIdOrCreate(req);
+        await app.userService.checkIfAdminOrError(userId);
+
+        const { queryName, cacheProvider, ...params } = req.query;
+        const resolved = await app.queryRunner.resolveCacheKeyPatterns(queryName, params);
+        const provider = cacheProvider || resolved.cacheProvider;
+        const keys = await app.cacheBuilder.deleteCacheEntries(provider, resolved.keyPatterns);
+
+        app.log.info({ userId, keys }, 'Deleted %d cache entries of query <%s>.', keys.length, queryName);
+        reply.send({
+            cacheProvider: provider,
+            deleted: keys.length,
+            keys
+        });
+    });
+}
+
+export default root;
@@ -0,0 +1,110 @@
+import async from "async";
+import {FastifyPluginAsync} from "fastify";
+import {BadParamsError} from "../../../core/runner/query/QueryParser";
+import {APIError} from "../../../utils/error";
+
+// The max number of queries in one batch request.
+export const MAX_BATCH_SIZE = 50;
+
+// The max number of queries executed at the same time for one batch request.
+export const BATCH_CONCURRENCY = 5;
+
+const schema = {
+  summary: 'Execute preset queries in batch',
+  body: {
+    type: 'array',
+    minItems: 1,
+    maxItems: MAX_BATCH_SIZE,
+    items: {
+      type: 'object',
+      required: ['query'],
+      properties: {
+        query: { type: 'string', minLength: 1 },
+        params: {
+          type: 'object',
+          additionalProperties: true
+        },
+      },
+    },
+  } as const
+};
+
+export interface BatchQueryItem {
+  query: string;
+  params?: Record<string, any>;
+}
+
+export interface BatchQueryError {
+  statusCode: number;
+  message: string;
+  payload?: Record<string, any>;
+}
+
+export interface BatchQueryResult {
+  query: string;
+  result?: Record<string, any>;
+  error?: BatchQueryError;
+}
+
+// Notice: Only the messages of expected errors are returned, the others may contain the SQL or driver internals.
+function toBatchQueryError(err: any): BatchQueryError {
+  if (err instanceof APIError) {
+    return {
+      statusCode: err.statusCode,
+      message: err.message,
+      payload: err.payload,
+    };
+  } else if (err instanceof BadParamsError) {
+    return {
+      statusCode: 400,
+      message: err.message,
+    };
+  } else {
+    return {
+      statusCode: 500,
+      message: 'Internal Server Error',
+    };
+  }
+}
+
+const batchQueryHandler: FastifyPluginAsync = async (app, opts): Promise<void> => {
+  app.post<{
+    Body: BatchQueryItem[]
+  }>('/', { schema }, async function (req, reply) {
+    const items = req.body;
+
+    // Notice: The results are in the same order as the queries in request body, and the
+    // failure of one query will not affect the others.
+    const results = await async.mapLimit<BatchQueryItem, BatchQueryResult>(items, BATCH_CONCURRENCY, async (item: BatchQueryItem) => {
+      const { query: queryName, params = {} } = item;
+      try {
+        const res = await app.queryRunner.query<any>(queryName, params);
+
+        const { sql, requestedAt, refresh, spent } = res;
+        app.statsService.addQueryStatsRecord(queryName, sql, requestedAt, refresh).catch((err) => {
+          app.log.info(err, `Failed to add query stats record for ${queryName}.`);
+        });
+        app.queryRunner.pickDeclaredParams(queryName, params).then((declaredParams) => {
+          return app.statsService.addQueryRequestRecord(queryName, declaredParams, spent, refresh);
+        }).catch((err) => {
+          app.log.info(err, `Failed to add query request record for ${queryName}.`);
+        });
+
+        return {
+          query: queryName,
+          result: res,
+        };
+      } catch (err: any) {
+        req.log.warn(err, `Failed to execute query ${queryName} in batch.`);
+        return {
+          query: queryName,
+          error: toBatchQueryError(err),
+        };
+      }
+    });
+
+    reply.send(results);
+  })
+}
+
+export default batchQueryHandler;
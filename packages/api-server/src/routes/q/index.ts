@@ -1,5 +1,6 @@
 import {FastifyPluginAsync} from "fastify";
 import {DateTime} from 'luxon';
+import {exportFormats, exportRows, resolveExportFormat} from "../../utils/export";
 
 const schema = {
   querystring: {
@@ -25,10 +26,15 @@ const queryHandler: FastifyPluginAsync = async (app, opts): Promise<void> => {
     }
     const res = await app.queryRunner.query<any>(queryName, req.query);
 
-    const { sql, requestedAt, refresh } = res;
+    const { sql, requestedAt, refresh, spent } = res;
     app.statsService.addQueryStatsRecord(queryName, sql, requestedAt, refresh).catch((err) => {
       app.log.info(err, `Failed to add query stats record for ${queryName}.`);
     });
+    app.queryRunner.pickDeclaredParams(queryName, req.query).then((declaredParams) => {
+      return app.statsService.addQueryRequestRecord(queryName, declaredParams, spent, refresh);
+    }).catch((err) => {
+      app.log.info(err, `Failed to add query request record for ${queryName}.`);
+    });
 
     // Add expires header if result was cached.
     if (res.expiresAt) {
@@ -39,6 +45,17 @@ const queryHandler: FastifyPluginAsync = async (app, opts): Promise<void> => {
       }
     }
 
+    // Stream the rows in the requested format, which share the same cache with JSON format.
+    const exportFormat = resolveExportFormat(req.query.format, req.headers.accept);
+    if (exportFormat !== null) {
+      const { contentType, extension } = exportFormats[exportFormat];
+      const filename = `${queryName.replace(/\//g, '-')}.${extension}`;
+      reply.header('Content-Type', contentType);
+      reply.header('Content-Disposition', `attachment; filename="${filename}"`);
+      reply.send(exportRows(exportFormat, res.data ?? [], res.fields ?? []));
+      return;
+    }
+
     reply.send(res);
   })
 }
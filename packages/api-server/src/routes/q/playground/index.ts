@@ -1,7 +1,10 @@
 import { FastifyPluginAsync } from 'fastify';
 import { SqlParser } from '../../../core/playground/playground';
+import { resolvePlaygroundSandboxPolicy } from '../../../core/playground/sandbox';
 
 const root: FastifyPluginAsync = async (app, opts) => {
+  const policy = resolvePlaygroundSandboxPolicy(app.config);
+
   app.post<{
     Body: {
       sql: string,
@@ -14,7 +17,7 @@ const root: FastifyPluginAsync = async (app, opts) => {
       type,
       id,
     } = request.body;
-    const sqlParser = new SqlParser(type, id, sqlString);
+    const sqlParser = new SqlParser(type, id, sqlString, policy);
     const sql = sqlParser.sqlify();
     const res = await app.sqlRunner.run(sql);
     reply.send(res);
@@ -0,0 +1,22 @@
+import { FastifyPluginAsync } from 'fastify'
+
+interface IParams {
+  queryName: string;
+}
+
+type IQuerystring = Record<string, any>;
+
+const queryHandler: FastifyPluginAsync = async (fastify, opts): Promise<void> => {
+  fastify.get<{
+    Params: IParams;
+    QueryString: IQuerystring;
+  }>('/', async function (req, reply) {
+    const { queryName } = req.params;
+    const query = req.query as IQuerystring;
+    // Render the SQL only, the query will not be executed.
+    const res = await fastify.queryRunner.render(queryName, query);
+    reply.send(res);
+  })
+}
+
+export default queryHandler;
@@ -0,0 +1,54 @@
+import {FastifyPluginAsync, FastifySchema} from 'fastify';
+import {renderEmbedView} from "../../../../plugins/services/shared-query-service/embed";
+
+export const schema: FastifySchema = {
+  summary: 'Embed shared query',
+  description: 'Return the read-only HTML view of the shared query, which is rendered from the last result without executing the SQL.',
+  tags: ['shared-query'],
+  params: {
+    type: 'object',
+    required: ['queryId'],
+    properties: {
+      queryId: { type: 'string' },
+    }
+  },
+  querystring: {
+    type: 'object',
+    properties: {
+      revision: { type: 'integer', minimum: 1 },
+    }
+  }
+};
+
+export interface IParams {
+  queryId: string;
+}
+
+export interface IQuerystring {
+  revision?: number;
+}
+
+const root: FastifyPluginAsync = async (app) => {
+  app.get<{
+    Params: IParams,
+    Querystring: IQuerystring
+  }>('/', {
+    schema
+  }, async (req, reply) => {
+    const { queryId } = req.params;
+    const { revision } = req.query;
+    const query = await app.sharedQueryService.getSharedQueryOrError(queryId);
+    const queryRevision = await app.sharedQueryService.getRevisionOrError(queryId, revision);
+    const { url } = app.sharedQueryService.getSharedQueryUrls(query.id);
+
+    reply
+      .header('Content-Type', 'text/html; charset=utf-8')
+      // Allow to be embedded by any site, but never run scripts in the view.
+      .header('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; frame-ancestors *")
+      .header('Cache-Control', revision ? 'public, max-age=86400, immutable' : 'public, max-age=60')
+      .status(200)
+      .send(renderEmbedView(query, queryRevision, url));
+  });
+};
+
+export default root;
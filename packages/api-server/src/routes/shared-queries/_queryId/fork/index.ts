@@ -0,0 +1,49 @@
+import {FastifyPluginAsync, FastifySchema} from 'fastify';
+
+export const schema: FastifySchema = {
+  summary: 'Fork shared query',
+  description: 'Copy the latest revision of the shared query into a new shared query owned by current user.',
+  tags: ['shared-query'],
+  params: {
+    type: 'object',
+    required: ['queryId'],
+    properties: {
+      queryId: { type: 'string' },
+    }
+  },
+  body: {
+    type: 'object',
+    nullable: true,
+    properties: {
+      name: { type: 'string', maxLength: 255 },
+    }
+  }
+};
+
+export interface IParams {
+  queryId: string;
+}
+
+export interface IBody {
+  name?: string;
+}
+
+const root: FastifyPluginAsync = async (app) => {
+  app.post<{
+    Params: IParams,
+    Body: IBody | null
+  }>('/', {
+    schema,
+    preValidation: app.authenticate
+  }, async (req, reply) => {
+    const { queryId } = req.params;
+    const userId = await app.userService.getUserIdOrCreate(req);
+    const query = await app.sharedQueryService.forkSharedQuery(userId, queryId, req.body?.name);
+    reply.status(200).send({
+      ...query,
+      ...app.sharedQueryService.getSharedQueryUrls(query.id),
+    });
+  });
+};
+
+export default root;
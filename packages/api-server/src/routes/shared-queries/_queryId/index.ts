@@ -0,0 +1,52 @@
+import {FastifyPluginAsync, FastifySchema} from 'fastify';
+
+export const schema: FastifySchema = {
+  summary: 'Get shared query',
+  description: 'Return the shared query with the given revision (the latest revision by default) and its last result.',
+  tags: ['shared-query'],
+  params: {
+    type: 'object',
+    required: ['queryId'],
+    properties: {
+      queryId: { type: 'string' },
+    }
+  },
+  querystring: {
+    type: 'object',
+    properties: {
+      revision: { type: 'integer', minimum: 1 },
+    }
+  }
+};
+
+export interface IParams {
+  queryId: string;
+}
+
+export interface IQuerystring {
+  revision?: number;
+}
+
+const root: FastifyPluginAsync = async (app) => {
+  app.get<{
+    Params: IParams,
+    Querystring: IQuerystring
+  }>('/', {
+    schema
+  }, async (req, reply) => {
+    const { queryId } = req.params;
+    const { revision } = req.query;
+    const query = await app.sharedQueryService.getSharedQueryOrError(queryId);
+    const queryRevision = await app.sharedQueryService.getRevisionOrError(queryId, revision);
+
+    // The revisions are immutable, but the latest revision may change.
+    reply.header('Cache-Control', revision ? 'public, max-age=86400, immutable' : 'public, max-age=60');
+    reply.status(200).send({
+      ...query,
+      ...app.sharedQueryService.getSharedQueryUrls(query.id),
+      revision: queryRevision,
+    });
+  });
+};
+
+export default root;
@@ -0,0 +1,84 @@
+import {FastifyPluginAsync, FastifySchema} from 'fastify';
+import {SharedQueryContext} from "../../../../plugins/services/shared-query-service";
+
+export const listRevisionsSchema: FastifySchema = {
+  summary: 'List revisions of shared query',
+  tags: ['shared-query'],
+  params: {
+    type: 'object',
+    required: ['queryId'],
+    properties: {
+      queryId: { type: 'string' },
+    }
+  }
+};
+
+export const addRevisionSchema: FastifySchema = {
+  summary: 'Revise shared query',
+  description: 'Save a new revision of the shared query, the fields not provided are inherited from the latest revision.',
+  tags: ['shared-query'],
+  params: {
+    type: 'object',
+    required: ['queryId'],
+    properties: {
+      queryId: { type: 'string' },
+    }
+  },
+  body: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', maxLength: 255 },
+      sql: { type: 'string' },
+      context: {
+        type: 'object',
+        required: ['type', 'id'],
+        properties: {
+          type: { type: 'string', enum: ['repo', 'user'] },
+          id: { type: 'string' },
+        }
+      },
+      questionId: { type: 'string' },
+      chart: { type: 'object', nullable: true, additionalProperties: true },
+    }
+  }
+};
+
+export interface IParams {
+  queryId: string;
+}
+
+export interface IBody {
+  name?: string;
+  sql?: string;
+  context?: SharedQueryContext;
+  questionId?: string;
+  chart?: Record<string, any> | null;
+}
+
+const root: FastifyPluginAsync = async (app) => {
+  app.get<{
+    Params: IParams
+  }>('/', {
+    schema: listRevisionsSchema
+  }, async (req, reply) => {
+    const { queryId } = req.params;
+    await app.sharedQueryService.getSharedQueryOrError(queryId);
+    const revisions = await app.sharedQueryService.listRevisions(queryId);
+    reply.status(200).send(revisions);
+  });
+
+  app.post<{
+    Params: IParams,
+    Body: IBody
+  }>('/', {
+    schema: addRevisionSchema,
+    preValidation: app.authenticate
+  }, async (req, reply) => {
+    const { queryId } = req.params;
+    const userId = await app.userService.getUserIdOrCreate(req);
+    const revision = await app.sharedQueryService.addRevision(userId, queryId, req.body);
+    reply.status(200).send(revision);
+  });
+};
+
+export default root;
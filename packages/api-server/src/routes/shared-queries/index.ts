@@ -0,0 +1,69 @@
+import {FastifyPluginAsync, FastifySchema} from 'fastify';
+import {SharedQueryContext} from "../../plugins/services/shared-query-service";
+
+export const createSharedQuerySchema: FastifySchema = {
+  summary: 'Save a shared query',
+  description: 'Save the SQL of analyze playground or an explorer question as a named snapshot, which can be revised, forked and embedded.',
+  tags: ['shared-query'],
+  body: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', maxLength: 255 },
+      sql: { type: 'string' },
+      context: {
+        type: 'object',
+        required: ['type', 'id'],
+        properties: {
+          type: { type: 'string', enum: ['repo', 'user'] },
+          id: { type: 'string' },
+        }
+      },
+      questionId: { type: 'string' },
+      chart: { type: 'object', nullable: true, additionalProperties: true },
+    }
+  }
+};
+
+export const listSharedQueriesSchema: FastifySchema = {
+  summary: 'List my shared queries',
+  tags: ['shared-query'],
+};
+
+export interface IBody {
+  name: string;
+  sql?: string;
+  context?: SharedQueryContext;
+  questionId?: string;
+  chart?: Record<string, any> | null;
+}
+
+const root: FastifyPluginAsync = async (app) => {
+  app.post<{
+    Body: IBody
+  }>('/', {
+    schema: createSharedQuerySchema,
+    preValidation: app.authenticate
+  }, async (req, reply) => {
+    const userId = await app.userService.getUserIdOrCreate(req);
+    const query = await app.sharedQueryService.createSharedQuery(userId, req.body);
+    reply.status(200).send({
+      ...query,
+      ...app.sharedQueryService.getSharedQueryUrls(query.id),
+    });
+  });
+
+  app.get('/', {
+    schema: listSharedQueriesSchema,
+    preValidation: app.authenticate
+  }, async (req, reply) => {
+    const userId = await app.userService.getUserIdOrCreate(req);
+    const queries = await app.sharedQueryService.listUserSharedQueries(userId);
+    reply.status(200).send(queries.map((query) => ({
+      ...query,
+      ...app.sharedQueryService.getSharedQueryUrls(query.id),
+    })));
+  });
+};
+
+export default root;
@@ -0,0 +1,58 @@
+import {FastifyPluginAsync} from "fastify";
+
+const schema = {
+  operationId: 'list-data-freshness',
+  summary: 'List the freshness of data',
+  method: 'GET',
+  description: `List the time until which the data of each materialized view is up to date.`,
+  tags: ['Meta'],
+  response: {
+    200: {
+      type: 'object',
+      required: ['materializedViews'],
+      properties: {
+        materializedViews: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'The name of the materialized view.',
+                example: 'mv_repo_daily_engagements'
+              },
+              dataUpTo: {
+                type: ['string', 'null'],
+                format: 'date-time',
+                description: 'The data is up to date until this time, null if unknown.',
+              },
+              updatedAt: {
+                type: 'string',
+                format: 'date-time',
+                description: 'The time when the freshness was recorded.',
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const handler: FastifyPluginAsync = async (app, opts): Promise<void> => {
+  app.get('/', {
+    config: {
+      rateLimit: {
+        max: app.config.PUBLIC_API_HOURLY_RATE_LIMIT,
+        timeWindow: '1 hour'
+      }
+    },
+    schema
+  }, async function (req, reply) {
+    return {
+      materializedViews: await app.freshnessService.getFreshness()
+    };
+  });
+}
+
+export default handler;
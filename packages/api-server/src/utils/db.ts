@@ -148,3 +148,8 @@ export function withTransaction<R> (
     }
   });
 }
+
+// Escape the wildcard characters in the LIKE pattern.
+export function escapeLikePattern(s: string): string {
+  return s.replace(/[\\%_]/g, '\\$&');
+}
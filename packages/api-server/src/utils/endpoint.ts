@@ -78,6 +78,20 @@ export function proxyGet(
       // Retrieve query result from TiDB data service.
       const targetURL = `${pathname}?${queryStrings.join('&')}`;
       const res = await app.tidbDataService.request(targetURL);
+
+      // Tell the consumers how current the data of materialized views used by the endpoint is.
+      if (res.status === 200 && res.data && typeof res.data === 'object' && !Array.isArray(res.data)) {
+        const { 'content-length': _, ...headers } = res.headers as Record<string, any>;
+        reply
+          .code(res.status)
+          .headers(headers)
+          .send({
+            ...res.data,
+            dataUpToDate: await app.freshnessService.getDataUpToDate(pathname),
+          });
+        return;
+      }
+
       reply
         .code(res.status)
         .headers(res.headers)
@@ -145,6 +159,12 @@ export function getSuccessResponse(
         enum: ['sql_endpoint'],
         example: 'sql_endpoint',
       },
+      dataUpToDate: {
+        type: ['string', 'null'],
+        format: 'date-time',
+        description: 'The data of the materialized views used by the endpoint is up to date until this time, null if unknown.',
+        example: '2023-08-01T00:00:00.000Z',
+      },
       data: {
         type: 'object',
         required: ['columns', 'rows', 'result'],
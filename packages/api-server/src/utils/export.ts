@@ -0,0 +1,190 @@
+import { ParquetSchema, ParquetWriter } from "@dsnp/parquetjs";
+import { WriteStream } from "fs";
+import { PassThrough, Readable } from "stream";
+import { Field, Fields } from "../core/executor/query-executor/QueryExecutor";
+
+export type ExportFormat = 'csv' | 'ndjson' | 'parquet';
+
+export interface ExportFormatDefinition {
+  contentType: string;
+  extension: string;
+  mediaTypes: string[];
+}
+
+export const exportFormats: Record<ExportFormat, ExportFormatDefinition> = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    mediaTypes: ['text/csv'],
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'ndjson',
+    mediaTypes: ['application/x-ndjson', 'application/ndjson', 'application/jsonl'],
+  },
+  parquet: {
+    contentType: 'application/vnd.apache.parquet',
+    extension: 'parquet',
+    mediaTypes: ['application/vnd.apache.parquet', 'application/x-parquet'],
+  },
+};
+
+// The number of rows serialized into one chunk of the output stream.
+const ROWS_PER_CHUNK = 500;
+
+// See: https://dev.mysql.com/doc/dev/mysql-server/latest/field__types_8h.html
+const INTEGER_COLUMN_TYPES = new Set([
+  1,    // TINY
+  2,    // SHORT
+  3,    // LONG
+  8,    // LONGLONG
+  9,    // INT24
+  13,   // YEAR
+]);
+const FLOAT_COLUMN_TYPES = new Set([
+  0,    // DECIMAL
+  4,    // FLOAT
+  5,    // DOUBLE
+  246,  // NEWDECIMAL
+]);
+
+/**
+ * Resolve the export format of query result from the `format` query param first,
+ * then the `Accept` header, return null if the result should be responded as JSON.
+ */
+export function resolveExportFormat(format?: string, accept?: string): ExportFormat | null {
+  if (typeof format === 'string' && format in exportFormats) {
+    return format as ExportFormat;
+  }
+
+  if (typeof accept !== 'string' || accept === '') {
+    return null;
+  }
+
+  const mediaTypes = accept.split(',').map(mediaRange => mediaRange.split(';')[0].trim().toLowerCase());
+  for (const mediaType of mediaTypes) {
+    for (const [name, definition] of Object.entries(exportFormats)) {
+      if (definition.mediaTypes.includes(mediaType)) {
+        return name as ExportFormat;
+      }
+    }
+  }
+
+  return null;
+}
+
+export function exportRows(format: ExportFormat, rows: any[], fields: Fields): Readable {
+  switch (format) {
+    case 'csv':
+      return toCSVStream(rows, fields);
+    case 'ndjson':
+      return toNDJSONStream(rows, fields);
+    case 'parquet':
+      return toParquetStream(rows, fields);
+  }
+}
+
+export function toCSVStream(rows: any[], fields: Fields): Readable {
+  const header = fields.map(field => escapeCSVValue(field.name)).join(',');
+  return Readable.from(chunkRows(rows, fields, (values) => {
+    return values.map(escapeCSVValue).join(',');
+  }, header));
+}
+
+export function toNDJSONStream(rows: any[], fields: Fields): Readable {
+  return Readable.from(chunkRows(rows, fields, (values) => {
+    const item: Record<string, any> = {};
+    fields.forEach((field, i) => {
+      item[field.name] = values[i];
+    });
+    return JSON.stringify(item);
+  }));
+}
+
+export function toParquetStream(rows: any[], fields: Fields): Readable {
+  const output = new PassThrough();
+  const schema = new ParquetSchema(Object.fromEntries(fields.map(field => {
+    return [field.name, { type: getParquetType(field), optional: true }];
+  })));
+
+  (async () => {
+    // The writer only uses `write` and `end` of the stream, and will end it when it is closed.
+    const writer = await ParquetWriter.openStream(schema, output as unknown as WriteStream);
+    for (const row of rows) {
+      const item: Record<string, any> = {};
+      getRowValues(row, fields).forEach((value, i) => {
+        if (value !== null) {
+          item[fields[i].name] = toParquetValue(fields[i], value);
+        }
+      });
+      await writer.appendRow(item);
+    }
+    await writer.close();
+  })().catch((err) => {
+    output.destroy(err instanceof Error ? err : new Error(String(err)));
+  });
+
+  return output;
+}
+
+function* chunkRows(rows: any[], fields: Fields, serialize: (values: any[]) => string, header?: string) {
+  let lines: string[] = header === undefined ? [] : [header];
+  for (const row of rows) {
+    lines.push(serialize(getRowValues(row, fields)));
+    if (lines.length >= ROWS_PER_CHUNK) {
+      yield lines.join('\n') + '\n';
+      lines = [];
+    }
+  }
+  if (lines.length > 0) {
+    yield lines.join('\n') + '\n';
+  }
+}
+
+// The rows can be an object or an array (when query with `format=array`).
+function getRowValues(row: any, fields: Fields): any[] {
+  if (Array.isArray(row)) {
+    return fields.map((field, i) => row[i] ?? null);
+  }
+  return fields.map(field => row[field.name] ?? null);
+}
+
+function escapeCSVValue(value: any): string {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const str = stringifyValue(value);
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+function getParquetType(field: Field): 'INT64' | 'DOUBLE' | 'UTF8' {
+  if (INTEGER_COLUMN_TYPES.has(field.columnType)) {
+    return 'INT64';
+  } else if (FLOAT_COLUMN_TYPES.has(field.columnType)) {
+    return 'DOUBLE';
+  } else {
+    return 'UTF8';
+  }
+}
+
+function toParquetValue(field: Field, value: any): any {
+  switch (getParquetType(field)) {
+    case 'INT64':
+      return typeof value === 'number' ? BigInt(Math.trunc(value)) : BigInt(value);
+    case 'DOUBLE':
+      return typeof value === 'number' ? value : parseFloat(value);
+    default:
+      return stringifyValue(value);
+  }
+}
+
+// Notice: The rows from database contain `Date` objects, while the rows from cache contain ISO strings.
+function stringifyValue(value: any): string {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
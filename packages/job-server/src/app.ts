@@ -31,6 +31,7 @@ declare module 'fastify' {
       EXPLORER_HIGH_QUEUE_CONCURRENT: number;
       EXPLORER_LOW_QUEUE_CONCURRENT: number;
       EXPLORER_QUERY_SQL_TIMEOUT: number;
+      EXPLORER_SQL_REPAIR_MAX_ATTEMPTS: number;
       SEND_REPO_FEEDS_CRON: string,
       CALC_REPO_MILESTONES_CRON: string,
       OPENAI_API_KEY: string;
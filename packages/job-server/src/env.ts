@@ -39,6 +39,10 @@ export const JobServerEnvSchema = {
       type: 'number',
       default: 30000,
     },
+    EXPLORER_SQL_REPAIR_MAX_ATTEMPTS: {
+      type: 'number',
+      default: 0,
+    },
     SEND_REPO_FEEDS_CRON: {
       type: 'string',
       default: '50 * * * *',
@@ -19,6 +19,7 @@ export default fp(async (app) => {
       app.queues.explorer_high_concurrent_queue,
       {
         querySQLTimeout: app.config.EXPLORER_QUERY_SQL_TIMEOUT,
+        sqlRepairMaxAttempts: app.config.EXPLORER_SQL_REPAIR_MAX_ATTEMPTS,
       }
     ));
 }, {
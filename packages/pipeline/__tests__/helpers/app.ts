@@ -0,0 +1,54 @@
+import fastify from "fastify";
+import pino from "pino";
+import {PipelineGraph, buildPipelineGraph} from "../../src/plugins/pipelines/dag";
+import {Pipeline} from "../../src/plugins/pipelines";
+import {PipelineRunner} from "../../src/plugins/pipelines/runner";
+import {PipelineJobStatus} from "../../src/plugins/repositories/PipelineJobRepository";
+
+export function createConnection() {
+  return {
+    query: jest.fn(async (sql: string, values?: any) => [{ affectedRows: 0 }]),
+    beginTransaction: jest.fn(async () => {}),
+    commit: jest.fn(async () => {}),
+    rollback: jest.fn(async () => {}),
+    release: jest.fn(),
+    destroy: jest.fn(),
+  };
+}
+
+export function createJobRepository() {
+  let nextJobId = 1;
+  return {
+    getJob: jest.fn(async (jobId: number): Promise<any> => null),
+    getLatestJobOfTimeRange: jest.fn(async (...args: any[]): Promise<any> => null),
+    getJobsInTimeRange: jest.fn(async (...args: any[]): Promise<any[]> => []),
+    createProcessedTimeRange: jest.fn(async (...args: any[]) => nextJobId++),
+    finishProcessedTimeRange: jest.fn(async (jobId: number, status: PipelineJobStatus, message: string, duration: number) => {}),
+    failRunningJobs: jest.fn(async (message: string) => 0),
+  };
+}
+
+export type FakeConnection = ReturnType<typeof createConnection>;
+export type FakeJobRepository = ReturnType<typeof createJobRepository>;
+
+export function createRunner(pipelines: Record<string, Pipeline>, conn: FakeConnection = createConnection(), jobRepository: FakeJobRepository = createJobRepository()) {
+  const graph: PipelineGraph = buildPipelineGraph(pipelines);
+  const tidb = { getConnection: jest.fn(async () => conn) };
+  const runner = new PipelineRunner(pino({ level: 'silent' }), tidb as any, jobRepository as any, pipelines, graph);
+  return { runner, conn, jobRepository };
+}
+
+/**
+ * Create an app with the given routes, the pipelines are run by a runner with fake connection and job repository.
+ */
+export function createApp(routes: Record<string, any>, pipelines: Record<string, Pipeline>) {
+  const { runner, conn, jobRepository } = createRunner(pipelines);
+  const app = fastify({ logger: false });
+  app.decorate('pipelines', pipelines);
+  app.decorate('pipelineRunner', runner);
+  app.decorate('pipelineJobRepository', jobRepository as any);
+  for (const [prefix, route] of Object.entries(routes)) {
+    void app.register(route, { prefix });
+  }
+  return { app, runner, conn, jobRepository };
+}
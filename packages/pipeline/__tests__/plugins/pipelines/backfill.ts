@@ -0,0 +1,124 @@
+import {DateTime} from "luxon";
+import pino from "pino";
+import {Pipeline, PresetIncrementalTimeRange} from "../../../src/plugins/pipelines";
+import {PipelineBackfiller} from "../../../src/plugins/pipelines/backfill";
+import {buildPipelineGraph} from "../../../src/plugins/pipelines/dag";
+import {PipelineJobStatus} from "../../../src/plugins/repositories/PipelineJobRepository";
+import {createRunner} from "../../helpers/app";
+
+const now = DateTime.fromISO('2023-01-05T12:00:00Z');
+
+const pipelines: Record<string, Pipeline> = {
+  format_org_names: {
+    name: 'format_org_names',
+    cron: '0 10 * * *',
+    incremental: { timeRange: PresetIncrementalTimeRange.LAST_DAY },
+    steps: [{ name: 'process', sql: 'SELECT 1' }],
+  },
+  sync_org_repos: {
+    name: 'sync_org_repos',
+    dependsOn: ['format_org_names'],
+    incremental: { timeRange: PresetIncrementalTimeRange.LAST_DAY },
+    steps: [{ name: 'process', sql: 'SELECT 1' }],
+  },
+  sync_repo_issues: {
+    name: 'sync_repo_issues',
+    steps: [{ name: 'process', sql: 'SELECT 1' }],
+  },
+};
+
+function day(date: string) {
+  const from = DateTime.fromISO(`${date}T00:00:00Z`);
+  return { from, to: from.plus({ days: 1 }) };
+}
+
+function job(pipelineName: string, date: string, status: PipelineJobStatus) {
+  const { from, to } = day(date);
+  return { pipelineName, timeRangeStart: from, timeRangeEnd: to, status };
+}
+
+function createBackfiller() {
+  const { runner, conn, jobRepository } = createRunner(pipelines);
+  const backfiller = new PipelineBackfiller(pino({ level: 'silent' }), runner, jobRepository as any, pipelines, buildPipelineGraph(pipelines), {
+    lookbackDays: 3,
+    concurrency: 2,
+    timezone: 'UTC',
+  });
+  return { backfiller, conn, jobRepository };
+}
+
+describe('getExpectedTimeRanges', () => {
+  test('should return the time ranges in the look-back window', () => {
+    const { backfiller } = createBackfiller();
+    expect(backfiller.getExpectedTimeRanges(pipelines.format_org_names, now)).toEqual([
+      day('2023-01-02'),
+      day('2023-01-03'),
+      day('2023-01-04'),
+    ]);
+  });
+
+  test('should skip the time range which the cron has not fired for', () => {
+    const { backfiller } = createBackfiller();
+    expect(backfiller.getExpectedTimeRanges(pipelines.format_org_names, DateTime.fromISO('2023-01-05T08:00:00Z'))).toEqual([
+      day('2023-01-02'),
+      day('2023-01-03'),
+    ]);
+  });
+
+  test('should return nothing for the pipeline which never runs automatically', () => {
+    const { backfiller } = createBackfiller();
+    expect(backfiller.getExpectedTimeRanges(pipelines.sync_repo_issues, now)).toEqual([]);
+  });
+});
+
+describe('findGaps', () => {
+  test('should find the missing and failed time ranges', async () => {
+    const { backfiller, jobRepository } = createBackfiller();
+    jobRepository.getJobsInTimeRange.mockImplementation(async (name: string) => {
+      if (name !== 'format_org_names') {
+        return [];
+      }
+      return [
+        job(name, '2023-01-02', PipelineJobStatus.FAILED),
+        job(name, '2023-01-02', PipelineJobStatus.SUCCEED),
+        job(name, '2023-01-03', PipelineJobStatus.FAILED),
+      ];
+    });
+
+    const tasks = await backfiller.findGaps(now);
+    expect(tasks.map(({ pipelineName, from, lastStatus }) => [pipelineName, from.toISODate(), lastStatus])).toEqual([
+      ['sync_org_repos', '2023-01-02', null],
+      ['format_org_names', '2023-01-03', PipelineJobStatus.FAILED],
+      ['sync_org_repos', '2023-01-03', null],
+      ['format_org_names', '2023-01-04', null],
+      ['sync_org_repos', '2023-01-04', null],
+    ]);
+  });
+});
+
+describe('backfill', () => {
+  test('should process the gaps whose upstream pipelines succeed', async () => {
+    const { backfiller, jobRepository } = createBackfiller();
+    jobRepository.getJobsInTimeRange.mockImplementation(async (name: string) => {
+      return name === 'format_org_names' ? [
+        job(name, '2023-01-02', PipelineJobStatus.SUCCEED),
+        job(name, '2023-01-03', PipelineJobStatus.SUCCEED),
+        job(name, '2023-01-04', PipelineJobStatus.FAILED),
+      ] : [];
+    });
+    jobRepository.getLatestJobOfTimeRange.mockImplementation(async (name: string, from: DateTime) => {
+      if (name === 'format_org_names') {
+        return job(name, from.toISODate()!, from.toISODate() === '2023-01-04' ? PipelineJobStatus.FAILED : PipelineJobStatus.SUCCEED);
+      }
+      return null;
+    });
+
+    const result = await backfiller.backfill(now);
+    expect(result).toEqual({ total: 4, success: 3, fail: 0, skip: 1 });
+    expect(jobRepository.createProcessedTimeRange.mock.calls.map(([name, from]) => [name, from.toISODate()])).toEqual(expect.arrayContaining([
+      ['sync_org_repos', '2023-01-02'],
+      ['sync_org_repos', '2023-01-03'],
+      ['format_org_names', '2023-01-04'],
+    ]));
+  });
+});
@@ -0,0 +1,41 @@
+import {buildPipelineGraph, sortPipelines} from "../../../src/plugins/pipelines/dag";
+
+describe('buildPipelineGraph', () => {
+  test('should build the upstreams and downstreams of pipelines', () => {
+    const graph = buildPipelineGraph({
+      a: {},
+      b: { dependsOn: ['a'] },
+      c: { dependsOn: ['a', 'b', 'b'] },
+    });
+    expect(graph.upstreams).toEqual(new Map([['a', []], ['b', ['a']], ['c', ['a', 'b']]]));
+    expect(graph.downstreams).toEqual(new Map([['a', ['b', 'c']], ['b', ['c']], ['c', []]]));
+  });
+
+  test('should throw error if a pipeline depends on an unknown pipeline', () => {
+    expect(() => buildPipelineGraph({ a: { dependsOn: ['b'] } }))
+      .toThrow('Pipeline <a> depends on the pipeline <b> which does not exist.');
+  });
+
+  test('should throw error if the dependencies have a cycle', () => {
+    expect(() => buildPipelineGraph({ a: { dependsOn: ['a'] } }))
+      .toThrow('The dependencies of pipelines have a cycle: a -> a.');
+    expect(() => buildPipelineGraph({
+      a: { dependsOn: ['c'] },
+      b: { dependsOn: ['a'] },
+      c: { dependsOn: ['b'] },
+      d: {},
+    })).toThrow('The dependencies of pipelines have a cycle: a -> b -> c -> a.');
+  });
+});
+
+describe('sortPipelines', () => {
+  test('should put every pipeline after its upstream pipelines', () => {
+    const graph = buildPipelineGraph({
+      d: { dependsOn: ['b', 'c'] },
+      c: { dependsOn: ['a'] },
+      b: { dependsOn: ['a'] },
+      a: {},
+    });
+    expect(sortPipelines(graph)).toEqual(['a', 'b', 'c', 'd']);
+  });
+});
@@ -0,0 +1,40 @@
+import * as fs from "fs";
+import * as os from "os";
+import path from "path";
+import {loadPipelineSteps} from "../../../src/plugins/pipelines";
+
+describe('loadPipelineSteps', () => {
+  let dir: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should load the process.sql as the only step', () => {
+    fs.writeFileSync(path.join(dir, 'process.sql'), 'SELECT 1');
+    expect(loadPipelineSteps(dir)).toEqual([{ name: 'process', sql: 'SELECT 1' }]);
+  });
+
+  test('should load the steps ordered by the file name', () => {
+    fs.mkdirSync(path.join(dir, 'steps'));
+    fs.writeFileSync(path.join(dir, 'steps', '02_aggregate.sql'), 'SELECT 2');
+    fs.writeFileSync(path.join(dir, 'steps', '10_cleanup.sql'), 'SELECT 10');
+    fs.writeFileSync(path.join(dir, 'steps', '01_create_temp_table.sql'), 'SELECT 1');
+    fs.writeFileSync(path.join(dir, 'steps', 'README.md'), '');
+    expect(loadPipelineSteps(dir).map((step) => step.name)).toEqual(['01_create_temp_table', '02_aggregate', '10_cleanup']);
+  });
+
+  test('should not allow both process.sql and steps', () => {
+    fs.writeFileSync(path.join(dir, 'process.sql'), 'SELECT 1');
+    fs.mkdirSync(path.join(dir, 'steps'));
+    expect(() => loadPipelineSteps(dir)).toThrow(/can not have both process.sql and steps\//);
+  });
+
+  test('should return no step if neither process.sql nor steps is found', () => {
+    expect(loadPipelineSteps(dir)).toEqual([]);
+  });
+});
@@ -0,0 +1,148 @@
+import {DateTime} from "luxon";
+import {Pipeline} from "../../../src/plugins/pipelines";
+import {INTERRUPTED_JOB_MESSAGE, UpstreamState} from "../../../src/plugins/pipelines/runner";
+import {PipelineJobStatus} from "../../../src/plugins/repositories/PipelineJobRepository";
+import {createRunner} from "../../helpers/app";
+
+const from = DateTime.fromISO('2023-01-01T00:00:00Z');
+const to = DateTime.fromISO('2023-01-02T00:00:00Z');
+
+function createPipeline(config: Partial<Pipeline> = {}): Pipeline {
+  return {
+    name: 'sync_repos',
+    steps: [
+      { name: '01_create_temp_table', sql: 'CREATE TEMPORARY TABLE tmp_repos (id INT)' },
+      { name: '02_aggregate', sql: 'INSERT INTO tmp_repos SELECT 1' },
+      { name: '03_upsert', sql: 'INSERT INTO repos SELECT * FROM tmp_repos' },
+    ],
+    ...config,
+  };
+}
+
+function job(status: PipelineJobStatus) {
+  return { status };
+}
+
+describe('steps', () => {
+  test('should run the steps in order in one session', async () => {
+    const { runner, conn, jobRepository } = createRunner({ sync_repos: createPipeline() });
+    conn.query.mockResolvedValueOnce([{ affectedRows: 0 }])
+      .mockResolvedValueOnce([{ affectedRows: 10 }])
+      .mockResolvedValueOnce([{ affectedRows: 5 }]);
+
+    expect(await runner.run('sync_repos', from, to)).toBe(PipelineJobStatus.SUCCEED);
+    expect(conn.query.mock.calls.map(([sql]) => sql)).toEqual([
+      'CREATE TEMPORARY TABLE tmp_repos (id INT)',
+      'INSERT INTO tmp_repos SELECT 1',
+      'INSERT INTO repos SELECT * FROM tmp_repos',
+    ]);
+    expect(conn.query).toBeCalledWith(expect.any(String), { from: from.toSQL(), to: to.toSQL() });
+    expect(conn.beginTransaction).not.toBeCalled();
+    expect(conn.release).toBeCalledTimes(1);
+    expect(conn.destroy).not.toBeCalled();
+
+    const [, status, message] = jobRepository.finishProcessedTimeRange.mock.calls[0];
+    expect(status).toBe(PipelineJobStatus.SUCCEED);
+    expect(message).toMatch(/^Query OK! Steps: 01_create_temp_table \(.+s, 0 rows\); 02_aggregate \(.+s, 10 rows\); 03_upsert \(.+s, 5 rows\)\.$/);
+  });
+
+  test('should stop at the failed step and close the session', async () => {
+    const { runner, conn, jobRepository } = createRunner({ sync_repos: createPipeline() });
+    conn.query.mockResolvedValueOnce([{ affectedRows: 0 }])
+      .mockRejectedValueOnce(new Error('Unknown column'));
+
+    expect(await runner.run('sync_repos', from, to)).toBe(PipelineJobStatus.FAILED);
+    expect(conn.query).toBeCalledTimes(2);
+    expect(conn.destroy).toBeCalledTimes(1);
+    expect(conn.release).not.toBeCalled();
+    expect(jobRepository.finishProcessedTimeRange).toBeCalledWith(1, PipelineJobStatus.FAILED, 'Step 2/3 <02_aggregate> failed: Unknown column', expect.any(Number));
+  });
+
+  test('should run the steps in one transaction if enabled', async () => {
+    const { runner, conn } = createRunner({ sync_repos: createPipeline({ transaction: true }) });
+    expect(await runner.run('sync_repos', from, to)).toBe(PipelineJobStatus.SUCCEED);
+    expect(conn.beginTransaction).toBeCalledTimes(1);
+    expect(conn.commit).toBeCalledTimes(1);
+    expect(conn.rollback).not.toBeCalled();
+    expect(conn.release).toBeCalledTimes(1);
+  });
+
+  test('should rollback the transaction if a step failed', async () => {
+    const { runner, conn } = createRunner({ sync_repos: createPipeline({ transaction: true }) });
+    conn.query.mockRejectedValueOnce(new Error('Unknown column'));
+    expect(await runner.run('sync_repos', from, to)).toBe(PipelineJobStatus.FAILED);
+    expect(conn.commit).not.toBeCalled();
+    expect(conn.rollback).toBeCalledTimes(1);
+    expect(conn.destroy).toBeCalledTimes(1);
+  });
+});
+
+describe('retry', () => {
+  const retryableError = Object.assign(new Error('Region is unavailable'), { errno: 9005 });
+
+  test('should retry the retryable errors', async () => {
+    const { runner, conn, jobRepository } = createRunner({ sync_repos: createPipeline({ retry: { attempts: 3, backoff: 0 } }) });
+    conn.query.mockRejectedValueOnce(retryableError);
+
+    expect(await runner.run('sync_repos', from, to)).toBe(PipelineJobStatus.SUCCEED);
+    expect(jobRepository.createProcessedTimeRange).toBeCalledTimes(2);
+    expect(jobRepository.finishProcessedTimeRange.mock.calls.map(([, status, message]) => [status, message])).toEqual([
+      [PipelineJobStatus.FAILED, 'Attempt 1/3 failed: Step 1/3 <01_create_temp_table> failed: Region is unavailable'],
+      [PipelineJobStatus.SUCCEED, expect.stringMatching(/^Query OK!/)],
+    ]);
+  });
+
+  test('should stop retrying after the max attempts', async () => {
+    const { runner, conn, jobRepository } = createRunner({ sync_repos: createPipeline({ retry: { attempts: 2, backoff: 0 } }) });
+    conn.query.mockRejectedValue(retryableError);
+    expect(await runner.run('sync_repos', from, to)).toBe(PipelineJobStatus.FAILED);
+    expect(jobRepository.createProcessedTimeRange).toBeCalledTimes(2);
+  });
+
+  test('should not retry the other errors', async () => {
+    const { runner, conn, jobRepository } = createRunner({ sync_repos: createPipeline({ retry: { attempts: 3, backoff: 0 } }) });
+    conn.query.mockRejectedValue(new Error('Unknown column'));
+    expect(await runner.run('sync_repos', from, to)).toBe(PipelineJobStatus.FAILED);
+    expect(jobRepository.createProcessedTimeRange).toBeCalledTimes(1);
+  });
+});
+
+describe('dependencies', () => {
+  const pipelines = {
+    format_org_names: createPipeline({ name: 'format_org_names', cron: '0 10 * * *' }),
+    sync_org_repos: createPipeline({ name: 'sync_org_repos', dependsOn: ['format_org_names'] }),
+  };
+
+  test('should check the latest jobs of upstream pipelines', async () => {
+    const { runner, jobRepository } = createRunner(pipelines);
+    expect(await runner.checkUpstreams('format_org_names', from, to)).toBe(UpstreamState.READY);
+
+    expect(await runner.checkUpstreams('sync_org_repos', from, to)).toBe(UpstreamState.WAITING);
+    jobRepository.getLatestJobOfTimeRange.mockResolvedValueOnce(job(PipelineJobStatus.RUNNING));
+    expect(await runner.checkUpstreams('sync_org_repos', from, to)).toBe(UpstreamState.WAITING);
+    jobRepository.getLatestJobOfTimeRange.mockResolvedValueOnce(job(PipelineJobStatus.FAILED));
+    expect(await runner.checkUpstreams('sync_org_repos', from, to)).toBe(UpstreamState.FAILED);
+    jobRepository.getLatestJobOfTimeRange.mockResolvedValueOnce(job(PipelineJobStatus.SUCCEED));
+    expect(await runner.checkUpstreams('sync_org_repos', from, to)).toBe(UpstreamState.READY);
+  });
+
+  test('should trigger the downstream pipelines after the upstream pipelines succeed', async () => {
+    const { runner, jobRepository } = createRunner(pipelines);
+    jobRepository.getLatestJobOfTimeRange.mockImplementation(async (name: string) => {
+      return name === 'format_org_names' ? job(PipelineJobStatus.SUCCEED) : null;
+    });
+
+    expect(await runner.run('format_org_names', from, to)).toBe(PipelineJobStatus.SUCCEED);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(jobRepository.createProcessedTimeRange.mock.calls.map(([name]) => name)).toEqual(['format_org_names', 'sync_org_repos']);
+  });
+});
+
+describe('interrupted jobs', () => {
+  test('should mark the jobs left in running as failed', async () => {
+    const { runner, jobRepository } = createRunner({ sync_repos: createPipeline() });
+    jobRepository.failRunningJobs.mockResolvedValue(2);
+    expect(await runner.failInterruptedJobs()).toBe(2);
+    expect(jobRepository.failRunningJobs).toBeCalledWith(INTERRUPTED_JOB_MESSAGE);
+  });
+});
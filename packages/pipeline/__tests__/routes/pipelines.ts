@@ -0,0 +1,123 @@
+import {DateTime} from "luxon";
+import {Pipeline} from "../../src/plugins/pipelines";
+import {PipelineJobStatus} from "../../src/plugins/repositories/PipelineJobRepository";
+import retryRoute from "../../src/routes/pipelines/_name/jobs/_id/retry";
+import runRoute from "../../src/routes/pipelines/_name/run";
+import {createApp} from "../helpers/app";
+
+const pipelines: Record<string, Pipeline> = {
+  sync_repos: {
+    name: 'sync_repos',
+    steps: [{ name: 'process', sql: 'INSERT INTO repos SELECT 1' }],
+  },
+};
+
+const from = DateTime.fromISO('2023-01-01T00:00:00Z');
+const to = DateTime.fromISO('2023-01-02T00:00:00Z');
+
+function createPipelineApp() {
+  return createApp({
+    '/pipelines/:name/run': runRoute,
+    '/pipelines/:name/jobs/:id/retry': retryRoute,
+  }, pipelines);
+}
+
+function job(jobId: number, status: PipelineJobStatus) {
+  return {
+    jobId,
+    pipelineName: 'sync_repos',
+    timeRangeStart: from,
+    timeRangeEnd: to,
+    status,
+    message: null,
+    duration: null,
+    endedAt: null,
+  };
+}
+
+function run(app: ReturnType<typeof createPipelineApp>['app'], name = 'sync_repos', body: any = { from: from.toISO(), to: to.toISO() }) {
+  return app.inject({ method: 'POST', url: `/pipelines/${name}/run`, payload: body });
+}
+
+function retry(app: ReturnType<typeof createPipelineApp>['app'], jobId: number) {
+  return app.inject({ method: 'POST', url: `/pipelines/sync_repos/jobs/${jobId}/retry` });
+}
+
+describe('POST /pipelines/:name/run', () => {
+  test('should run the pipeline for the time range', async () => {
+    const { app, conn, jobRepository } = createPipelineApp();
+    const res = await run(app);
+    expect(res.statusCode).toBe(200);
+    expect(res.json()).toEqual({ ok: true, message: 'Trigger success!' });
+
+    await new Promise(process.nextTick);
+    expect(jobRepository.createProcessedTimeRange).toBeCalledWith('sync_repos', from, to, PipelineJobStatus.RUNNING);
+    expect(conn.query).toBeCalledWith('INSERT INTO repos SELECT 1', { from: from.toSQL(), to: to.toSQL() });
+  });
+
+  test('should reject the unknown pipeline and the invalid time range', async () => {
+    const { app } = createPipelineApp();
+    expect((await run(app, 'unknown')).statusCode).toBe(404);
+    expect((await run(app, 'sync_repos', { from: 'yesterday', to: to.toISO() })).statusCode).toBe(400);
+    expect((await run(app, 'sync_repos', { from: to.toISO(), to: from.toISO() })).statusCode).toBe(400);
+  });
+
+  test('should respond 409 if the time range is being processed in this process', async () => {
+    const { app, conn } = createPipelineApp();
+    let finish: () => void = () => {};
+    conn.query.mockImplementationOnce(() => new Promise((resolve) => {
+      finish = () => resolve([{ affectedRows: 1 }]);
+    }));
+
+    expect((await run(app)).statusCode).toBe(200);
+    const res = await run(app);
+    expect(res.statusCode).toBe(409);
+    expect(res.json().message).toBe('The time range of pipeline is being processed.');
+
+    finish();
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect((await run(app)).statusCode).toBe(200);
+  });
+
+  test('should respond 409 if the latest job of the time range is running', async () => {
+    const { app, jobRepository } = createPipelineApp();
+    jobRepository.getLatestJobOfTimeRange.mockResolvedValue(job(1, PipelineJobStatus.RUNNING));
+    expect((await run(app)).statusCode).toBe(409);
+    expect(jobRepository.createProcessedTimeRange).not.toBeCalled();
+  });
+});
+
+describe('POST /pipelines/:name/jobs/:id/retry', () => {
+  test('should run the pipeline again for the time range of the job', async () => {
+    const { app, jobRepository } = createPipelineApp();
+    jobRepository.getJob.mockResolvedValue(job(1, PipelineJobStatus.FAILED));
+    jobRepository.getLatestJobOfTimeRange.mockResolvedValue(job(1, PipelineJobStatus.FAILED));
+
+    expect((await retry(app, 1)).statusCode).toBe(200);
+    await new Promise(process.nextTick);
+    expect(jobRepository.createProcessedTimeRange).toBeCalledWith('sync_repos', from, to, PipelineJobStatus.RUNNING);
+  });
+
+  test('should respond 404 if the job is not found', async () => {
+    const { app } = createPipelineApp();
+    expect((await retry(app, 1)).statusCode).toBe(404);
+  });
+
+  test('should respond 409 if the job is still running', async () => {
+    const { app, jobRepository } = createPipelineApp();
+    jobRepository.getJob.mockResolvedValue(job(1, PipelineJobStatus.RUNNING));
+    const res = await retry(app, 1);
+    expect(res.statusCode).toBe(409);
+    expect(res.json().message).toBe('Pipeline job is still running.');
+  });
+
+  test('should respond 409 if the time range of the job is being processed', async () => {
+    const { app, jobRepository } = createPipelineApp();
+    jobRepository.getJob.mockResolvedValue(job(1, PipelineJobStatus.FAILED));
+    jobRepository.getLatestJobOfTimeRange.mockResolvedValue(job(2, PipelineJobStatus.RUNNING));
+    const res = await retry(app, 1);
+    expect(res.statusCode).toBe(409);
+    expect(res.json().message).toBe('The time range of pipeline is being processed.');
+    expect(jobRepository.createProcessedTimeRange).not.toBeCalled();
+  });
+});
@@ -0,0 +1,19 @@
+import {isRetryableError} from "../../src/utils/db";
+
+describe('isRetryableError', () => {
+  test('should retry the transient errors of TiDB', () => {
+    expect(isRetryableError({ errno: 1205, message: 'Lock wait timeout exceeded; try restarting transaction' })).toBe(true);
+    expect(isRetryableError({ errno: 9005, message: 'Region is unavailable' })).toBe(true);
+    expect(isRetryableError({ code: 'ECONNRESET', message: 'read ECONNRESET' })).toBe(true);
+    expect(isRetryableError({ code: 'PROTOCOL_CONNECTION_LOST', message: 'Connection lost: The server closed the connection.' })).toBe(true);
+    expect(isRetryableError(new Error('rpc error: code = Unavailable desc = not leader'))).toBe(true);
+    expect(isRetryableError(new Error('Write conflict, txnStartTS=1, conflictStartTS=2'))).toBe(true);
+  });
+
+  test('should not retry the other errors', () => {
+    expect(isRetryableError(null)).toBe(false);
+    expect(isRetryableError({ errno: 1064, code: 'ER_PARSE_ERROR', message: 'You have an error in your SQL syntax' })).toBe(false);
+    expect(isRetryableError({ errno: 1146, code: 'ER_NO_SUCH_TABLE', message: "Table 'gharchive_dev.foo' doesn't exist" })).toBe(false);
+    expect(isRetryableError(new Error('Unknown column'))).toBe(false);
+  });
+});
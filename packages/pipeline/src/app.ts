@@ -18,6 +18,12 @@ const options: AppOptions = {
 export interface AppConfig {
   CONFIGS_PATH: string;
   DATABASE_URL: string;
+  ENABLE_MATERIALIZED_VIEW_SYNC: boolean;
+  MATERIALIZED_VIEW_FRESHNESS_CRON: string;
+  ENABLE_PIPELINE_BACKFILL: boolean;
+  PIPELINE_BACKFILL_CRON: string;
+  PIPELINE_BACKFILL_LOOKBACK_DAYS: number;
+  PIPELINE_BACKFILL_CONCURRENCY: number;
 }
 
 declare module 'fastify' {
@@ -0,0 +1,115 @@
+import pino from "pino";
+import {resolve} from "path";
+import {loadMaterializedViews} from "../plugins/materialized_views";
+import {MaterializedViewManager, MaterializedViewStatus} from "../plugins/materialized_views/manager";
+import {createTiDBPool} from "../utils/db";
+
+/**
+ * Check or sync the materialized views defined in `configs/materialized_views`.
+ *
+ * Usage:
+ *
+ * ```
+ * DATABASE_URL=mysql://... node dist/cmd/materialized-views.js drift [<view name> ...]
+ * DATABASE_URL=mysql://... node dist/cmd/materialized-views.js sync [<view name> ...]
+ * ```
+ *
+ * The `drift` command exits with code 1 if any materialized view is not in sync with its DDL.
+ */
+
+const DEFAULT_CONFIGS_PATH = resolve(__dirname, '..', '..', '..', '..', 'configs');
+
+function formatStatus(status: MaterializedViewStatus): string[] {
+  if (!status.exists) {
+    return [`✗ ${status.name}: the table does not exist.`];
+  }
+  if (status.inSync) {
+    return [`✓ ${status.name}: in sync (version ${status.version}).`];
+  }
+
+  const lines = [`✗ ${status.name}: out of sync (version ${status.version}).`];
+  if (status.pendingMigrations.length > 0) {
+    lines.push(`  pending migrations: ${status.pendingMigrations.join(', ')}`);
+  }
+  const drift = status.drift!;
+  if (drift.missingColumns.length > 0) {
+    lines.push(`  missing columns: ${drift.missingColumns.join(', ')}`);
+  }
+  if (drift.extraColumns.length > 0) {
+    lines.push(`  extra columns: ${drift.extraColumns.join(', ')}`);
+  }
+  for (const column of drift.mismatchedColumns) {
+    lines.push(`  column ${column.name}: expected ${column.expected}, actual ${column.actual}`);
+  }
+  if (drift.missingIndexes.length > 0) {
+    lines.push(`  missing indexes: ${drift.missingIndexes.join(', ')}`);
+  }
+  if (drift.extraIndexes.length > 0) {
+    lines.push(`  extra indexes: ${drift.extraIndexes.join(', ')}`);
+  }
+  for (const index of drift.mismatchedIndexes) {
+    lines.push(`  index ${index.name}: expected (${index.expected.join(', ')}), actual (${index.actual.join(', ')})`);
+  }
+  return lines;
+}
+
+async function main() {
+  const [command, ...names] = process.argv.slice(2);
+  if (command !== 'drift' && command !== 'sync') {
+    console.error('Usage: materialized-views.js <drift|sync> [<view name> ...]');
+    process.exit(1);
+  }
+  if (!process.env.DATABASE_URL) {
+    console.error('The DATABASE_URL env is required.');
+    process.exit(1);
+  }
+
+  const materializedViews = loadMaterializedViews(resolve(process.env.CONFIGS_PATH || DEFAULT_CONFIGS_PATH, 'materialized_views'));
+  for (const name of names) {
+    if (!materializedViews[name]) {
+      console.error(`Materialized view <${name}> not found.`);
+      process.exit(1);
+    }
+  }
+
+  const pool = createTiDBPool(process.env.DATABASE_URL);
+  const manager = new MaterializedViewManager(pino({ level: process.env.LOG_LEVEL || 'warn' }), pool, materializedViews);
+  const targets = names.length > 0 ? names : Object.keys(materializedViews);
+  let failed = 0;
+
+  try {
+    for (const name of targets) {
+      if (command === 'sync') {
+        const result = await manager.sync(name);
+        if (result.error) {
+          failed++;
+          console.error(`✗ ${name}: ${result.error}`);
+        } else if (result.created) {
+          console.log(`✓ ${name}: created.`);
+        } else {
+          console.log(`✓ ${name}: applied migrations [${result.appliedMigrations.join(', ')}].`);
+        }
+      } else {
+        const status = await manager.getStatus(name);
+        if (!status.inSync) {
+          failed++;
+        }
+        formatStatus(status).forEach((line) => status.inSync ? console.log(line) : console.error(line));
+      }
+    }
+  } finally {
+    await pool.end();
+  }
+
+  if (failed > 0) {
+    console.error(`\n${failed} of ${targets.length} materialized views have problems.`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
@@ -12,5 +12,31 @@ export const APIServerEnvSchema = {
       type: 'string',
       default: 'mysql://root@localhost:4000/gharchive_dev'
     },
+    ENABLE_MATERIALIZED_VIEW_SYNC: {
+      type: 'boolean',
+      default: false
+    },
+    MATERIALIZED_VIEW_FRESHNESS_CRON: {
+      type: 'string',
+      default: '0 */10 * * * *'
+    },
+    ENABLE_PIPELINE_BACKFILL: {
+      type: 'boolean',
+      default: false
+    },
+    PIPELINE_BACKFILL_CRON: {
+      type: 'string',
+      default: '0 */30 * * * *'
+    },
+    PIPELINE_BACKFILL_LOOKBACK_DAYS: {
+      type: 'integer',
+      minimum: 1,
+      default: 7
+    },
+    PIPELINE_BACKFILL_CONCURRENCY: {
+      type: 'integer',
+      minimum: 1,
+      default: 2
+    },
   },
 };
@@ -0,0 +1,31 @@
+import {Counter, exponentialBuckets, Histogram} from "prom-client";
+
+export const metricsPrefix = 'ossinsight_pipeline_';
+
+// The metrics related to pipeline jobs.
+export const pipelineJobCounter = new Counter({
+  name: metricsPrefix + 'job_total',
+  help: 'The total number of pipeline jobs.',
+  labelNames: ['pipeline', 'status'] as const,
+});
+
+export const pipelineJobHistogram = new Histogram({
+  name: metricsPrefix + 'job_duration_seconds',
+  help: 'The duration (in seconds) of pipeline jobs.',
+  labelNames: ['pipeline', 'status'] as const,
+  buckets: exponentialBuckets(0.01, 2, 20),  // 10 ms ~ 1.46 hours
+});
+
+// The metrics related to the steps of pipeline.
+export const pipelineStepHistogram = new Histogram({
+  name: metricsPrefix + 'step_duration_seconds',
+  help: 'The duration (in seconds) of pipeline steps.',
+  labelNames: ['pipeline', 'step', 'status'] as const,
+  buckets: exponentialBuckets(0.01, 2, 20),  // 10 ms ~ 1.46 hours
+});
+
+export const pipelineStepAffectedRowsCounter = new Counter({
+  name: metricsPrefix + 'step_affected_rows_total',
+  help: 'The total number of rows affected by pipeline steps.',
+  labelNames: ['pipeline', 'step'] as const,
+});
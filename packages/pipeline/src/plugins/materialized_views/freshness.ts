@@ -0,0 +1,93 @@
+import {MySQLPromisePool} from "@fastify/mysql";
+import {FastifyBaseLogger} from "fastify";
+import {DateTime} from "luxon";
+import {PipelineJobRepository} from "../repositories/PipelineJobRepository";
+import {MaterializedView} from "./index";
+
+export const FRESHNESS_TABLE = 'sys_materialized_view_freshness';
+
+export interface MaterializedViewFreshness {
+  name: string;
+  // The data of materialized view is up to date until this time, null if unknown.
+  dataUpTo: DateTime | null;
+}
+
+/**
+ * Record the high-water mark of materialized views, so that the consumers (e.g. api-server) can tell
+ * how current the data is.
+ *
+ * - For the materialized view populated by pipelines, it is the end of the latest time range processed
+ *   successfully, the minimum one is used if there are multiple pipelines.
+ * - For the others, it is the max value of the `freshnessColumn` in the `config.json` of materialized view.
+ */
+export class MaterializedViewFreshnessTracker {
+
+  constructor(
+    private readonly log: FastifyBaseLogger,
+    private readonly tidb: Pick<MySQLPromisePool, 'query' | 'execute'>,
+    private readonly pipelineJobRepository: PipelineJobRepository,
+    private readonly materializedViews: Record<string, MaterializedView>,
+  ) {
+  }
+
+  async refresh(name: string): Promise<MaterializedViewFreshness> {
+    const dataUpTo = await this.getDataUpTo(this.materializedViews[name]);
+    await this.tidb.execute(`
+      INSERT INTO ${FRESHNESS_TABLE} (view_name, data_up_to, updated_at)
+      VALUES (?, ?, NOW())
+      ON DUPLICATE KEY UPDATE data_up_to = VALUES(data_up_to), updated_at = VALUES(updated_at)
+    `, [name, dataUpTo ? dataUpTo.toJSDate() : null]);
+    return { name, dataUpTo };
+  }
+
+  async refreshAll(): Promise<MaterializedViewFreshness[]> {
+    await this.ensureFreshnessTable();
+
+    const results: MaterializedViewFreshness[] = [];
+    for (const name of Object.keys(this.materializedViews)) {
+      try {
+        results.push(await this.refresh(name));
+      } catch (err: any) {
+        this.log.error(err, `❌  Failed to refresh the freshness of materialized view <${name}>.`);
+      }
+    }
+    return results;
+  }
+
+  private async getDataUpTo(mv: MaterializedView): Promise<DateTime | null> {
+    if (mv.pipelines.length > 0) {
+      let dataUpTo: DateTime | null = null;
+      for (const pipelineName of mv.pipelines) {
+        const highWaterMark = await this.pipelineJobRepository.getHighWaterMark(pipelineName);
+        if (!highWaterMark) {
+          return null;
+        }
+        if (!dataUpTo || highWaterMark < dataUpTo) {
+          dataUpTo = highWaterMark;
+        }
+      }
+      return dataUpTo;
+    }
+
+    const column = mv.config.freshnessColumn;
+    if (column) {
+      const [rows] = await this.tidb.query<any[]>(`SELECT MAX(??) AS data_up_to FROM ??`, [column, mv.name]);
+      const value = rows[0]?.data_up_to;
+      return value ? (value instanceof Date ? DateTime.fromJSDate(value) : DateTime.fromSQL(String(value), { zone: 'utc' })) : null;
+    }
+
+    return null;
+  }
+
+  private async ensureFreshnessTable() {
+    await this.tidb.query(`
+      CREATE TABLE IF NOT EXISTS ${FRESHNESS_TABLE} (
+        view_name VARCHAR(255) NOT NULL,
+        data_up_to DATETIME NULL,
+        updated_at DATETIME NOT NULL,
+        PRIMARY KEY (view_name)
+      )
+    `);
+  }
+
+}
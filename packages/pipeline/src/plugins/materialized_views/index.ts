@@ -1,22 +1,102 @@
 import fp from "fastify-plugin";
 import * as fs from "fs";
 import path from "path";
+import {CronJob, Task} from "toad-scheduler";
+import {Pipeline, timezone} from "../pipelines";
+import {MaterializedViewFreshnessTracker} from "./freshness";
+import {MaterializedViewManager} from "./manager";
 
 export const MATERIALIZED_VIEWS_DDL_FILE = 'ddl.sql';
+export const MATERIALIZED_VIEWS_CONFIG_FILE = 'config.json';
+export const MATERIALIZED_VIEWS_MIGRATIONS_DIR = 'migrations';
+
+export interface MaterializedViewConfig {
+  // The column to tell how current the data is, for the materialized view not populated by pipelines.
+  freshnessColumn?: string;
+}
+
+export interface MaterializedViewMigration {
+  version: number;
+  sql: string;
+}
 
 export interface MaterializedView {
   name: string;
   ddl: string;
+  config: MaterializedViewConfig;
+  // The migrations in `migrations/NNN.sql`, ordered by version.
+  migrations: MaterializedViewMigration[];
+  // The pipelines which populate the materialized view.
+  pipelines: string[];
 }
 
 declare module 'fastify' {
   interface FastifyInstance {
     materializedViews: Record<string, MaterializedView>;
+    materializedViewManager: MaterializedViewManager;
+    materializedViewFreshnessTracker: MaterializedViewFreshnessTracker;
   }
 }
 
 export default fp(async (app) => {
   const dir = path.join(app.config.CONFIGS_PATH, 'materialized_views');
+  const materializedViews = loadMaterializedViews(dir);
+  linkPipelines(materializedViews, app.pipelines);
+  app.decorate('materializedViews', materializedViews);
+
+  const manager = new MaterializedViewManager(app.log, app.mysql, materializedViews);
+  app.decorate('materializedViewManager', manager);
+
+  // Create the missing tables and apply the pending migrations before the pipelines run if enabled,
+  // otherwise only report the materialized views out of sync, which can be synced with the API or CLI.
+  if (app.config.ENABLE_MATERIALIZED_VIEW_SYNC) {
+    const results = await manager.syncAll();
+    const failed = results.filter((result) => result.error);
+    app.log.info(`🗂️ Synced ${results.length - failed.length}/${results.length} materialized views.`);
+  } else {
+    try {
+      const outOfSync = (await manager.getAllStatus()).filter((status) => !status.inSync);
+      for (const { name, exists, pendingMigrations } of outOfSync) {
+        app.log.warn(`⚠️ Materialized view <${name}> is out of sync, exists: ${exists}, pending migrations: [${pendingMigrations.join(', ')}].`);
+      }
+      app.log.info(`🗂️ ${outOfSync.length}/${Object.keys(materializedViews).length} materialized views are out of sync, sync them with \`POST /materialized_views/:name/sync\` or \`pnpm run mv:sync\`.`);
+    } catch (err: any) {
+      app.log.error(err, `❌  Failed to check the status of materialized views, error: ${err.message}.`);
+    }
+  }
+
+  // Record the freshness of materialized views on startup and periodically.
+  const tracker = new MaterializedViewFreshnessTracker(app.log, app.mysql, app.pipelineJobRepository, materializedViews);
+  app.decorate('materializedViewFreshnessTracker', tracker);
+
+  const task = new Task('refresh_freshness', async () => {
+    await tracker.refreshAll();
+  }, (err) => {
+    app.log.error(err, `❌  Failed to refresh the freshness of materialized views, error: ${err.message}.`);
+  });
+  app.addHook('onReady', async () => {
+    tracker.refreshAll().catch((err) => {
+      app.log.error(err, `❌  Failed to refresh the freshness of materialized views on startup, error: ${err.message}.`);
+    });
+  });
+  app.scheduler.addCronJob(new CronJob({
+    cronExpression: app.config.MATERIALIZED_VIEW_FRESHNESS_CRON,
+    timezone: timezone,
+  }, task, {
+    id: 'refresh_freshness',
+    preventOverrun: true,
+  }));
+}, {
+  name: '@ossinsight/materializedViews',
+  dependencies: [
+    '@ossinsight/scheduler',
+    '@ossinsight/tidb',
+    '@ossinsight/pipeline-job-repository',
+    '@ossinsight/pipelines'
+  ]
+});
+
+export function loadMaterializedViews(dir: string): Record<string, MaterializedView> {
   const names = fs.readdirSync(dir);
   const materializedViews: Record<string, MaterializedView> = {};
 
@@ -26,13 +106,43 @@ export default fp(async (app) => {
     .filter(name => fs.existsSync(path.join(dir, name, MATERIALIZED_VIEWS_DDL_FILE)))
     .forEach(name => {
       const ddl = fs.readFileSync(path.join(dir, name, MATERIALIZED_VIEWS_DDL_FILE), 'utf-8');
+      const configFile = path.join(dir, name, MATERIALIZED_VIEWS_CONFIG_FILE);
       materializedViews[name] = {
         name,
         ddl,
+        config: fs.existsSync(configFile) ? JSON.parse(fs.readFileSync(configFile, 'utf-8')) : {},
+        migrations: loadMigrations(path.join(dir, name, MATERIALIZED_VIEWS_MIGRATIONS_DIR)),
+        pipelines: [],
       }
     });
 
-  app.decorate('materializedViews', materializedViews);
-}, {
-  name: '@ossinsight/materializedViews'
-});
+  return materializedViews;
+}
+
+function loadMigrations(dir: string): MaterializedViewMigration[] {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => /^\d+\.sql$/.test(file))
+    .map(file => ({
+      version: parseInt(file, 10),
+      sql: fs.readFileSync(path.join(dir, file), 'utf-8'),
+    }))
+    .sort((a, b) => a.version - b.version);
+}
+
+// Link the materialized views to the pipelines which insert into them.
+function linkPipelines(materializedViews: Record<string, MaterializedView>, pipelines: Record<string, Pipeline>) {
+  for (const [name, pipeline] of Object.entries(pipelines)) {
+    for (const step of pipeline.steps) {
+      for (const [, table] of step.sql.matchAll(/(?:INSERT|REPLACE)\s+(?:IGNORE\s+)?INTO\s+`?(\w+)`?/gi)) {
+        const mv = materializedViews[table];
+        if (mv && !mv.pipelines.includes(name)) {
+          mv.pipelines.push(name);
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,195 @@
+import {MySQLPromisePool} from "@fastify/mysql";
+import {FastifyBaseLogger} from "fastify";
+import {MaterializedView} from "./index";
+import {diffTableSchema, hasDrift, normalizeColumnType, parseTableDDL, SchemaDrift, TableSchema} from "./schema";
+
+export const MIGRATIONS_TABLE = 'sys_materialized_view_migrations';
+
+export interface MaterializedViewStatus {
+  name: string;
+  exists: boolean;
+  // The latest applied migration version, 0 if no migration has been applied.
+  version: number;
+  pendingMigrations: number[];
+  drift: SchemaDrift | null;
+  inSync: boolean;
+}
+
+export interface MaterializedViewSyncResult {
+  name: string;
+  created: boolean;
+  appliedMigrations: number[];
+  error?: string;
+}
+
+type TiDBClient = Pick<MySQLPromisePool, 'query' | 'execute'>;
+
+/**
+ * Manage the lifecycle of materialized views: create the missing tables from `ddl.sql`, apply the
+ * pending `migrations/NNN.sql`, and compare the DDL with the live schema of TiDB.
+ */
+export class MaterializedViewManager {
+
+  constructor(
+    private readonly log: FastifyBaseLogger,
+    private readonly tidb: TiDBClient,
+    private readonly materializedViews: Record<string, MaterializedView>,
+  ) {
+  }
+
+  /**
+   * Create the table if it does not exist, or apply the pending migrations to the existing table.
+   *
+   * Notice: The `ddl.sql` always describes the latest schema, so the migrations are marked as applied
+   * without executing them when the table is created by the DDL.
+   */
+  async sync(name: string): Promise<MaterializedViewSyncResult> {
+    const mv = this.getMaterializedView(name);
+    const result: MaterializedViewSyncResult = { name, created: false, appliedMigrations: [] };
+
+    try {
+      await this.ensureMigrationsTable();
+      if (!await this.tableExists(name)) {
+        this.log.info(`🏗️ Create the table of materialized view <%s>.`, name);
+        await this.tidb.query(mv.ddl);
+        for (const { version } of mv.migrations) {
+          await this.recordMigration(name, version);
+        }
+        result.created = true;
+        return result;
+      }
+
+      const applied = await this.getAppliedMigrations(name);
+      for (const { version, sql } of mv.migrations) {
+        if (applied.has(version)) {
+          continue;
+        }
+
+        this.log.info(`🚚 Apply the migration %d of materialized view <%s>.`, version, name);
+        for (const statement of splitStatements(sql)) {
+          await this.tidb.query(statement);
+        }
+        await this.recordMigration(name, version);
+        result.appliedMigrations.push(version);
+      }
+    } catch (err: any) {
+      this.log.error(err, `❌  Failed to sync the materialized view <${name}>.`);
+      result.error = err.message;
+    }
+
+    return result;
+  }
+
+  async syncAll(): Promise<MaterializedViewSyncResult[]> {
+    const results: MaterializedViewSyncResult[] = [];
+    for (const name of Object.keys(this.materializedViews)) {
+      results.push(await this.sync(name));
+    }
+    return results;
+  }
+
+  async getStatus(name: string): Promise<MaterializedViewStatus> {
+    const mv = this.getMaterializedView(name);
+
+    // Notice: Checking the status should never change the schema, even the migrations table.
+    const applied = await this.tableExists(MIGRATIONS_TABLE) ? await this.getAppliedMigrations(name) : new Set<number>();
+    const version = Math.max(0, ...applied);
+    const pendingMigrations = mv.migrations.map((m) => m.version).filter((v) => !applied.has(v));
+
+    if (!await this.tableExists(name)) {
+      return { name, exists: false, version, pendingMigrations, drift: null, inSync: false };
+    }
+
+    const drift = diffTableSchema(parseTableDDL(mv.ddl), await this.getLiveSchema(name));
+    return {
+      name,
+      exists: true,
+      version,
+      pendingMigrations,
+      drift,
+      inSync: pendingMigrations.length === 0 && !hasDrift(drift),
+    };
+  }
+
+  async getAllStatus(): Promise<MaterializedViewStatus[]> {
+    const statuses: MaterializedViewStatus[] = [];
+    for (const name of Object.keys(this.materializedViews)) {
+      statuses.push(await this.getStatus(name));
+    }
+    return statuses;
+  }
+
+  async getLiveSchema(name: string): Promise<TableSchema> {
+    const [columns] = await this.tidb.execute<any[]>(`
+      SELECT COLUMN_NAME AS name, COLUMN_TYPE AS type
+      FROM information_schema.columns
+      WHERE table_schema = DATABASE() AND table_name = ?
+      ORDER BY ORDINAL_POSITION
+    `, [name]);
+    const [indexColumns] = await this.tidb.execute<any[]>(`
+      SELECT INDEX_NAME AS name, COLUMN_NAME AS column_name
+      FROM information_schema.statistics
+      WHERE table_schema = DATABASE() AND table_name = ?
+      ORDER BY INDEX_NAME, SEQ_IN_INDEX
+    `, [name]);
+
+    const indexes = new Map<string, string[]>();
+    for (const row of indexColumns) {
+      indexes.set(row.name, [...(indexes.get(row.name) ?? []), String(row.column_name).toLowerCase()]);
+    }
+
+    return {
+      name,
+      columns: columns.map((row) => ({ name: String(row.name).toLowerCase(), type: normalizeColumnType(String(row.type)) })),
+      indexes: Array.from(indexes, ([name, columns]) => ({ name, columns })),
+    };
+  }
+
+  private getMaterializedView(name: string): MaterializedView {
+    const mv = this.materializedViews[name];
+    if (!mv) {
+      throw new Error(`Materialized view <${name}> not found.`);
+    }
+    return mv;
+  }
+
+  private async tableExists(name: string): Promise<boolean> {
+    const [rows] = await this.tidb.execute<any[]>(`
+      SELECT 1 FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = ?
+    `, [name]);
+    return rows.length > 0;
+  }
+
+  private async ensureMigrationsTable() {
+    await this.tidb.query(`
+      CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+        view_name VARCHAR(255) NOT NULL,
+        version INT NOT NULL,
+        applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (view_name, version)
+      )
+    `);
+  }
+
+  private async getAppliedMigrations(name: string): Promise<Set<number>> {
+    const [rows] = await this.tidb.execute<any[]>(`
+      SELECT version FROM ${MIGRATIONS_TABLE} WHERE view_name = ?
+    `, [name]);
+    return new Set(rows.map((row) => Number(row.version)));
+  }
+
+  private async recordMigration(name: string, version: number) {
+    await this.tidb.execute(`
+      INSERT IGNORE INTO ${MIGRATIONS_TABLE} (view_name, version) VALUES (?, ?)
+    `, [name, version]);
+  }
+
+}
+
+// Split the migration SQL by the semicolons at the end of lines, because multiple statements are not allowed.
+function splitStatements(sql: string): string[] {
+  return sql
+    .split(/;\s*$/m)
+    .map((statement) => statement.replace(/^\s*--.*$/gm, '').trim())
+    .filter(Boolean);
+}
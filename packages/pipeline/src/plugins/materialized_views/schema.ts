@@ -0,0 +1,173 @@
+export interface ColumnSchema {
+  name: string;
+  type: string;
+}
+
+export interface IndexSchema {
+  name: string;
+  columns: string[];
+}
+
+export interface TableSchema {
+  name: string;
+  columns: ColumnSchema[];
+  indexes: IndexSchema[];
+}
+
+export interface ColumnTypeDrift {
+  name: string;
+  expected: string;
+  actual: string;
+}
+
+export interface IndexDrift {
+  name: string;
+  expected: string[];
+  actual: string[];
+}
+
+export interface SchemaDrift {
+  missingColumns: string[];
+  extraColumns: string[];
+  mismatchedColumns: ColumnTypeDrift[];
+  missingIndexes: string[];
+  extraIndexes: string[];
+  mismatchedIndexes: IndexDrift[];
+}
+
+export const PRIMARY_KEY_NAME = 'PRIMARY';
+
+/**
+ * Parse the columns and indexes from the `CREATE TABLE` statement.
+ *
+ * Notice: It only understands the statements in `configs/materialized_views/*\/ddl.sql`, which define one
+ * column or index per line, it is not a full SQL parser.
+ */
+export function parseTableDDL(ddl: string): TableSchema {
+  const matched = ddl.match(/CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?`?(\w+)`?\s*\(([\s\S]*)\)[^)]*$/i);
+  if (!matched) {
+    throw new Error('Failed to find the CREATE TABLE statement in DDL.');
+  }
+
+  const [, name, body] = matched;
+  const columns: ColumnSchema[] = [];
+  const indexes: IndexSchema[] = [];
+
+  for (const definition of splitDefinitions(body)) {
+    const primaryKey = definition.match(/^PRIMARY\s+KEY\s*(?:\w+\s*)?\(([^)]*)\)/i);
+    const key = definition.match(/^(?:UNIQUE\s+)?(?:KEY|INDEX)\s+`?(\w+)`?\s*\(([^)]*)\)/i);
+    if (primaryKey) {
+      indexes.push({ name: PRIMARY_KEY_NAME, columns: parseIdentifiers(primaryKey[1]) });
+    } else if (key) {
+      indexes.push({ name: key[1], columns: parseIdentifiers(key[2]) });
+    } else if (/^(?:CONSTRAINT|FOREIGN|CHECK|UNIQUE|FULLTEXT)\b/i.test(definition)) {
+      continue;
+    } else {
+      const column = definition.match(/^`?(\w+)`?\s+(\w+(?:\s*\([^)]*\))?(?:\s+UNSIGNED)?)/i);
+      if (column) {
+        columns.push({ name: column[1].toLowerCase(), type: normalizeColumnType(column[2]) });
+      }
+    }
+  }
+
+  return { name, columns, indexes };
+}
+
+// Make the type in DDL comparable with the COLUMN_TYPE in information_schema.
+export function normalizeColumnType(type: string): string {
+  return type
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/\s*\(\s*/g, '(')
+    .replace(/\s*,\s*/g, ',')
+    .replace(/\s*\)/g, ')')
+    .replace(/^integer\b/, 'int')
+    .replace(/^bool(ean)?$/, 'tinyint(1)')
+    // Notice: The display width of integer types is deprecated and omitted by the newer TiDB.
+    .replace(/^(tinyint|smallint|mediumint|int|bigint)\((?!1\))\d+\)/, '$1')
+    .trim();
+}
+
+export function diffTableSchema(expected: TableSchema, actual: TableSchema): SchemaDrift {
+  const actualColumns = new Map(actual.columns.map((column) => [column.name, column]));
+  const expectedColumns = new Map(expected.columns.map((column) => [column.name, column]));
+  const actualIndexes = new Map(actual.indexes.map((index) => [index.name.toLowerCase(), index]));
+  const expectedIndexes = new Map(expected.indexes.map((index) => [index.name.toLowerCase(), index]));
+
+  const drift: SchemaDrift = {
+    missingColumns: [],
+    extraColumns: [],
+    mismatchedColumns: [],
+    missingIndexes: [],
+    extraIndexes: [],
+    mismatchedIndexes: [],
+  };
+
+  for (const column of expected.columns) {
+    const actualColumn = actualColumns.get(column.name);
+    if (!actualColumn) {
+      drift.missingColumns.push(column.name);
+    } else if (actualColumn.type !== column.type) {
+      drift.mismatchedColumns.push({ name: column.name, expected: column.type, actual: actualColumn.type });
+    }
+  }
+  for (const column of actual.columns) {
+    if (!expectedColumns.has(column.name)) {
+      drift.extraColumns.push(column.name);
+    }
+  }
+
+  for (const [key, index] of expectedIndexes) {
+    const actualIndex = actualIndexes.get(key);
+    if (!actualIndex) {
+      drift.missingIndexes.push(index.name);
+    } else if (actualIndex.columns.join(',') !== index.columns.join(',')) {
+      drift.mismatchedIndexes.push({ name: index.name, expected: index.columns, actual: actualIndex.columns });
+    }
+  }
+  for (const [key, index] of actualIndexes) {
+    if (!expectedIndexes.has(key)) {
+      drift.extraIndexes.push(index.name);
+    }
+  }
+
+  return drift;
+}
+
+export function hasDrift(drift: SchemaDrift): boolean {
+  return Object.values(drift).some((items) => items.length > 0);
+}
+
+// Split the definitions in the parentheses of CREATE TABLE by the top-level commas.
+function splitDefinitions(body: string): string[] {
+  const definitions: string[] = [];
+  let depth = 0;
+  let quote: string | null = null;
+  let current = '';
+
+  for (const char of body) {
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      definitions.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  definitions.push(current.trim());
+
+  return definitions.filter(Boolean);
+}
+
+function parseIdentifiers(list: string): string[] {
+  return list.split(',').map((name) => name.trim().replace(/`/g, '').replace(/\(\d+\)$/, '').toLowerCase()).filter(Boolean);
+}
@@ -0,0 +1,13 @@
+import fp from "fastify-plugin";
+import fastifyMetrics from 'fastify-metrics';
+
+export default fp(async (app) => {
+  await app.register(fastifyMetrics, {
+    endpoint: '/metrics',
+  });
+}, {
+  name: '@ossinsight/metrics',
+  dependencies: [
+    '@fastify/env'
+  ],
+});
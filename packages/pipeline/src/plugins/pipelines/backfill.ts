@@ -0,0 +1,218 @@
+import {Cron} from "croner";
+import {FastifyBaseLogger} from "fastify";
+import {DateTime, DurationLikeObject} from "luxon";
+import {PipelineJob, PipelineJobRepository, PipelineJobStatus} from "../repositories/PipelineJobRepository";
+import {PipelineGraph, sortPipelines} from "./dag";
+import {Pipeline, PresetIncrementalTimeRange} from "./index";
+import {PipelineRunner, UpstreamState} from "./runner";
+
+export interface PipelineBackfillOptions {
+  // How many days to look back for the missing or failed time ranges.
+  lookbackDays: number;
+  // How many time ranges can be processed at the same time.
+  concurrency: number;
+  // The timezone of the pipeline cron.
+  timezone: string;
+}
+
+export interface BackfillTask {
+  pipelineName: string;
+  from: DateTime;
+  to: DateTime;
+  // The status of the latest job for the time range, null if the time range has never been processed.
+  lastStatus: PipelineJobStatus | null;
+}
+
+export interface BackfillResult {
+  total: number;
+  success: number;
+  fail: number;
+  skip: number;
+}
+
+/**
+ * Find out the time ranges that incremental pipelines have missed (e.g. the pipeline service was down
+ * when the cron should fire) or failed to process, and process them again.
+ */
+export class PipelineBackfiller {
+  private running = false;
+
+  constructor(
+    private readonly log: FastifyBaseLogger,
+    private readonly runner: PipelineRunner,
+    private readonly pipelineJobRepository: PipelineJobRepository,
+    private readonly pipelines: Record<string, Pipeline>,
+    private readonly graph: PipelineGraph,
+    private readonly options: PipelineBackfillOptions,
+  ) {
+  }
+
+  async backfill(now: DateTime = DateTime.now()): Promise<BackfillResult | null> {
+    // Notice: Skip the round if the last round has not finished yet.
+    if (this.running) {
+      this.log.info(`⏭️ Skip the backfill of pipelines because the last backfill has not finished.`);
+      return null;
+    }
+
+    this.running = true;
+    try {
+      const tasks = await this.findGaps(now);
+      const result: BackfillResult = { total: tasks.length, success: 0, fail: 0, skip: 0 };
+      if (tasks.length === 0) {
+        this.log.info(`👌 No gap found in the pipelines in the last ${this.options.lookbackDays} days.`);
+        return result;
+      }
+
+      this.log.info(`🚀 Starting the backfill for ${tasks.length} time ranges of pipelines, concurrency: ${this.options.concurrency}.`);
+      await runWithConcurrency(tasks, this.options.concurrency, async (task) => {
+        try {
+          const status = await this.backfillTimeRange(task);
+          if (status === PipelineJobStatus.SUCCEED) {
+            result.success++;
+          } else if (status === PipelineJobStatus.FAILED) {
+            result.fail++;
+          } else {
+            result.skip++;
+          }
+        } catch (err: any) {
+          result.fail++;
+          this.log.error(err, `❌  Failed to backfill pipeline <${task.pipelineName}>, from: ${task.from.toISO()}, to: ${task.to.toISO()}.`);
+        }
+      });
+      this.log.info(`🎉  Finished the backfill of pipelines, success: ${result.success}, fail: ${result.fail}, skip: ${result.skip}.`);
+      return result;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Log the time ranges that would be backfilled without processing them (dry run).
+   */
+  async reportGaps(now: DateTime = DateTime.now()): Promise<BackfillTask[]> {
+    const tasks = await this.findGaps(now);
+    for (const { pipelineName, from, to, lastStatus } of tasks) {
+      this.log.info(`🔍 [dry run] Pipeline <${pipelineName}> would be backfilled, from: ${from.toISO()}, to: ${to.toISO()}, last status: ${lastStatus ?? 'none'}.`);
+    }
+    this.log.info(`🔍 [dry run] Found ${tasks.length} time ranges of pipelines to backfill in the last ${this.options.lookbackDays} days, set ENABLE_PIPELINE_BACKFILL=true to process them.`);
+    return tasks;
+  }
+
+  /**
+   * Compare the processed jobs with the expected cadence of pipelines, return the time ranges which
+   * have no job or the latest job failed, the upstream pipelines come first.
+   */
+  async findGaps(now: DateTime = DateTime.now()): Promise<BackfillTask[]> {
+    const tasks: BackfillTask[] = [];
+
+    for (const name of sortPipelines(this.graph)) {
+      const pipeline = this.pipelines[name];
+      const expected = this.getExpectedTimeRanges(pipeline, now);
+      if (expected.length === 0) {
+        continue;
+      }
+
+      const jobs = await this.pipelineJobRepository.getJobsInTimeRange(name, expected[0].from, expected[expected.length - 1].to);
+      const latestJobs = new Map<string, PipelineJob>();
+      for (const job of jobs) {
+        latestJobs.set(timeRangeKey(job.timeRangeStart, job.timeRangeEnd), job);
+      }
+
+      for (const { from, to } of expected) {
+        const job = latestJobs.get(timeRangeKey(from, to));
+        if (!job || job.status === PipelineJobStatus.FAILED) {
+          tasks.push({ pipelineName: name, from, to, lastStatus: job?.status ?? null });
+        }
+      }
+    }
+
+    return tasks.sort((a, b) => a.from.toMillis() - b.from.toMillis());
+  }
+
+  // Return the time ranges the pipeline should have processed in the look-back window.
+  getExpectedTimeRanges(pipeline: Pipeline, now: DateTime): { from: DateTime, to: DateTime }[] {
+    // Notice: The pipeline without cron or upstream pipelines never runs automatically.
+    if (!pipeline.cron && !(pipeline.dependsOn && pipeline.dependsOn.length > 0)) {
+      return [];
+    }
+
+    const cadence = resolveCadence(pipeline.incremental?.timeRange);
+    if (!cadence) {
+      return [];
+    }
+
+    // Notice: The pipeline cron which has not fired after the end of the time range will process
+    // it, the backfill should not race with it.
+    const cron = pipeline.cron ? new Cron(pipeline.cron, { timezone: this.options.timezone, paused: true }) : null;
+    const end = now.startOf(cadence.unit);
+    const ranges = [];
+    for (
+      let from = end.minus({ days: this.options.lookbackDays }).startOf(cadence.unit);
+      from.plus(cadence.duration) <= end;
+      from = from.plus(cadence.duration)
+    ) {
+      const to = from.plus(cadence.duration);
+      const nextRun = cron?.nextRun(to.toJSDate());
+      if (nextRun && DateTime.fromJSDate(nextRun) > now) {
+        continue;
+      }
+      ranges.push({ from, to });
+    }
+    return ranges;
+  }
+
+  private async backfillTimeRange(task: BackfillTask): Promise<PipelineJobStatus | null> {
+    const { pipelineName, from, to } = task;
+
+    // The upstream pipelines may fill the gap in the same round, check it again.
+    if (this.runner.isRunning(pipelineName, from, to)) {
+      return null;
+    }
+    const job = await this.pipelineJobRepository.getLatestJobOfTimeRange(pipelineName, from, to);
+    if (job && job.status !== PipelineJobStatus.FAILED) {
+      return null;
+    }
+
+    const state = await this.runner.checkUpstreams(pipelineName, from, to);
+    if (state !== UpstreamState.READY) {
+      this.log.info(`⏭️ Skip the backfill of pipeline <%s> because its upstream pipelines are %s, from: %s, to: %s.`, pipelineName, state, from.toISO(), to.toISO());
+      return null;
+    }
+
+    this.log.info(`🩹 Backfill the %s time range of pipeline <%s>, from: %s, to: %s.`, task.lastStatus ? 'failed' : 'missing', pipelineName, from.toISO(), to.toISO());
+    return await this.runner.run(pipelineName, from, to);
+  }
+
+}
+
+interface Cadence {
+  unit: 'day' | 'hour';
+  duration: DurationLikeObject;
+}
+
+// The sliding time ranges (e.g. past 24 hours) are not aligned, so there is no expected cadence for them.
+function resolveCadence(timeRange: PresetIncrementalTimeRange = PresetIncrementalTimeRange.YESTERDAY): Cadence | null {
+  switch (timeRange) {
+    case PresetIncrementalTimeRange.LAST_HOUR:
+      return { unit: 'hour', duration: { hours: 1 } };
+    case PresetIncrementalTimeRange.LAST_DAY:
+    case PresetIncrementalTimeRange.YESTERDAY:
+      return { unit: 'day', duration: { days: 1 } };
+    default:
+      return null;
+  }
+}
+
+function timeRangeKey(from: DateTime, to: DateTime): string {
+  return `${from.toMillis()}-${to.toMillis()}`;
+}
+
+async function runWithConcurrency<T>(items: T[], concurrency: number, fn: (item: T) => Promise<void>) {
+  let next = 0;
+  const workers = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, async () => {
+    while (next < items.length) {
+      await fn(items[next++]);
+    }
+  });
+  await Promise.all(workers);
+}
@@ -0,0 +1,99 @@
+import {PipelineConfig} from "./index";
+
+export interface PipelineGraph {
+  // The pipelines that the pipeline depends on.
+  upstreams: Map<string, string[]>;
+  // The pipelines that depend on the pipeline.
+  downstreams: Map<string, string[]>;
+}
+
+/**
+ * Build the dependency graph of pipelines from the `dependsOn` field of their configs.
+ *
+ * Throw error if a pipeline depends on an unknown pipeline or the dependencies have a cycle.
+ */
+export function buildPipelineGraph(configs: Record<string, Pick<PipelineConfig, 'dependsOn'>>): PipelineGraph {
+  const upstreams = new Map<string, string[]>();
+  const downstreams = new Map<string, string[]>();
+
+  for (const name of Object.keys(configs)) {
+    upstreams.set(name, []);
+    downstreams.set(name, []);
+  }
+
+  for (const [name, config] of Object.entries(configs)) {
+    for (const upstream of new Set(config.dependsOn ?? [])) {
+      if (!upstreams.has(upstream)) {
+        throw new Error(`Pipeline <${name}> depends on the pipeline <${upstream}> which does not exist.`);
+      }
+      upstreams.get(name)!.push(upstream);
+      downstreams.get(upstream)!.push(name);
+    }
+  }
+
+  const cycle = findCycle(upstreams);
+  if (cycle) {
+    throw new Error(`The dependencies of pipelines have a cycle: ${cycle.join(' -> ')}.`);
+  }
+
+  return { upstreams, downstreams };
+}
+
+// Return the pipelines in the cycle (the first one is repeated at the end), or null if no cycle.
+function findCycle(upstreams: Map<string, string[]>): string[] | null {
+  const visited = new Set<string>();
+  const path: string[] = [];
+
+  const visit = (name: string): string[] | null => {
+    const index = path.indexOf(name);
+    if (index >= 0) {
+      return [...path.slice(index), name];
+    }
+    if (visited.has(name)) {
+      return null;
+    }
+
+    visited.add(name);
+    path.push(name);
+    for (const upstream of upstreams.get(name) ?? []) {
+      const cycle = visit(upstream);
+      if (cycle) {
+        return cycle;
+      }
+    }
+    path.pop();
+    return null;
+  };
+
+  for (const name of upstreams.keys()) {
+    const cycle = visit(name);
+    if (cycle) {
+      return cycle.reverse();
+    }
+  }
+  return null;
+}
+
+/**
+ * Sort the pipelines so that every pipeline comes after its upstream pipelines.
+ */
+export function sortPipelines(graph: PipelineGraph): string[] {
+  const sorted: string[] = [];
+  const visited = new Set<string>();
+
+  const visit = (name: string) => {
+    if (visited.has(name)) {
+      return;
+    }
+    visited.add(name);
+    for (const upstream of graph.upstreams.get(name) ?? []) {
+      visit(upstream);
+    }
+    sorted.push(name);
+  };
+
+  for (const name of graph.upstreams.keys()) {
+    visit(name);
+  }
+  return sorted;
+}
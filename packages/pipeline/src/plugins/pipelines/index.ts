@@ -3,15 +3,13 @@ import * as fs from "fs";
 import {DateTime} from "luxon";
 import path from "path";
 import {CronJob, Task} from "toad-scheduler";
-import {PipelineJobStatus} from "../repositories/PipelineJobRepository";
+import {PipelineBackfiller} from "./backfill";
+import {buildPipelineGraph} from "./dag";
+import {PipelineRunner} from "./runner";
 
 export const PIPELINE_PROCESS_FILE = 'process.sql';
 export const PIPELINE_CONFIG_FILE = 'config.json';
-
-export interface Pipeline {
-  name: string;
-  processSQL: string;
-}
+export const PIPELINE_STEPS_DIR = 'steps';
 
 export enum PresetIncrementalTimeRange {
   YESTERDAY = 'yesterday',
@@ -25,16 +23,42 @@ export interface PipelineIncrementalConfig {
   timeRange: PresetIncrementalTimeRange;
 }
 
+export interface PipelineRetryConfig {
+  // The max number of attempts to process a time range, including the first one.
+  attempts: number;
+  // The delay (in seconds) before the first retry, it will be doubled for each next retry.
+  backoff: number;
+}
+
 export interface PipelineConfig {
   name: string;
   description?: string;
   cron?: string;
   incremental?: PipelineIncrementalConfig;
+  // The pipelines must succeed for the same time range before this pipeline runs, the pipeline
+  // without cron will be triggered after all its upstream pipelines succeed.
+  dependsOn?: string[];
+  // Retry the transient errors of TiDB (e.g. timeout, lock conflict) when processing a time range.
+  retry?: PipelineRetryConfig;
+  // Run the steps of pipeline in one transaction, otherwise they are only run in one session.
+  transaction?: boolean;
+}
+
+export interface PipelineStep {
+  name: string;
+  sql: string;
+}
+
+export interface Pipeline extends PipelineConfig {
+  // The steps run in order, a pipeline with `process.sql` has only one step named `process`.
+  steps: PipelineStep[];
 }
 
 declare module 'fastify' {
   interface FastifyInstance {
     pipelines: Record<string, Pipeline>;
+    pipelineRunner: PipelineRunner;
+    pipelineBackfiller: PipelineBackfiller;
   }
 }
 
@@ -48,62 +72,94 @@ export default fp(async (app) => {
   // Load all pipelines config.
   names
     .filter(name => fs.statSync(path.join(dir, name)).isDirectory())
-    .filter(name => {
-      return fs.existsSync(path.join(dir, name, PIPELINE_PROCESS_FILE)) && fs.existsSync(path.join(dir, name, PIPELINE_CONFIG_FILE))
-    })
+    .filter(name => fs.existsSync(path.join(dir, name, PIPELINE_CONFIG_FILE)))
     .forEach(name => {
       // Load the pipeline config.
-      const processSQL = fs.readFileSync(path.join(dir, name, PIPELINE_PROCESS_FILE), 'utf-8');
+      const steps = loadPipelineSteps(path.join(dir, name));
+      if (steps.length === 0) {
+        app.log.warn(`⏭️ Skip pipeline ${name} because neither ${PIPELINE_PROCESS_FILE} nor ${PIPELINE_STEPS_DIR}/*.sql is found.`);
+        return;
+      }
       const config = JSON.parse(fs.readFileSync(path.join(dir, name, PIPELINE_CONFIG_FILE), 'utf-8')) as PipelineConfig;
       app.pipelines[name] = {
         ...config,
-        processSQL
+        steps
       };
+    });
 
-      // Add a cron job for task.
-      if (config.cron) {
-        // Define a task.
-        const task = new Task(name, async (taskId) => {
-          const pipeline = app.pipelines[name];
-
-          // Notice: The default time range is yesterday.
-          const { from, to } = resolveTimeRange(config.incremental?.timeRange);
-
-          app.log.info(`⚡️ Start to execute query for pipeline <%s>, from: %s, to: %s.`, name, from.toISO(), to.toISO());
-          const jobId = await app.pipelineJobRepository.createProcessedTimeRange(name, from, to, PipelineJobStatus.RUNNING);
-          const start = DateTime.now();
-
-          try {
-            await app.mysql.execute(pipeline.processSQL, {
-              from: from.toSQL(),
-              to: to.toSQL()
-            });
-          } catch (err: any) {
-            const end = DateTime.now();
-            const duration = end.diff(start, 'seconds').seconds;
-            await app.pipelineJobRepository.finishProcessedTimeRange(jobId, PipelineJobStatus.FAILED, err.message, duration);
-            app.log.error(err, `❌  Failed to execute query for pipeline ${name}, from: ${from.toISO()}, to: ${to.toISO()}, duration: ${duration}s.`);
-            return;
-          }
-
-          const end = DateTime.now();
-          const duration = end.diff(start, 'seconds').seconds;
-          await app.pipelineJobRepository.finishProcessedTimeRange(jobId, PipelineJobStatus.SUCCEED, 'Query OK!', duration);
-          app.log.info(`✅  Finished the execute query for pipeline <%s>, from: %s, to: %s, duration: ${duration}s.`, name, from.toISO(), to.toISO(), duration);
-        }, (err) => {
-          app.log.error(err, `❌  Failed to execute the scheduled task of pipeline ${name}, error: ${err.message}.`);
-        });
-
-        app.scheduler.addCronJob(new CronJob({
-          cronExpression: config.cron,
-          timezone: timezone,
-        }, task, {
-          id: name,
-          preventOverrun: true,
-        }));
-        app.log.info(`⏰ Add a cron job for pipeline ${name}, cron: ${config.cron}.`);
-      }
+  // Check the dependencies between pipelines, throw error if there is a cycle.
+  const graph = buildPipelineGraph(app.pipelines);
+  const runner = new PipelineRunner(app.log, app.mysql, app.pipelineJobRepository, app.pipelines, graph);
+  app.decorate('pipelineRunner', runner);
+
+  // Notice: Do it before adding the cron jobs, so that no job of this process is marked.
+  try {
+    await runner.failInterruptedJobs();
+  } catch (err: any) {
+    app.log.error(err, `❌  Failed to mark the interrupted pipeline jobs as failed, error: ${err.message}.`);
+  }
+
+  for (const [name, config] of Object.entries(app.pipelines)) {
+    // Add a cron job for task.
+    if (config.cron) {
+      // Define a task.
+      const task = new Task(name, async (taskId) => {
+        // Notice: The default time range is yesterday.
+        const { from, to } = resolveTimeRange(config.incremental?.timeRange);
+        await runner.runAfterUpstreams(name, from, to);
+      }, (err) => {
+        app.log.error(err, `❌  Failed to execute the scheduled task of pipeline ${name}, error: ${err.message}.`);
+      });
+
+      app.scheduler.addCronJob(new CronJob({
+        cronExpression: config.cron,
+        timezone: timezone,
+      }, task, {
+        id: name,
+        preventOverrun: true,
+      }));
+      app.log.info(`⏰ Add a cron job for pipeline ${name}, cron: ${config.cron}.`);
+    } else if (config.dependsOn && config.dependsOn.length > 0) {
+      app.log.info(`🔗 Pipeline ${name} will be triggered after its upstream pipelines: ${config.dependsOn.join(', ')}.`);
+    }
+  }
+
+  // Backfill the missing or failed time ranges of incremental pipelines on startup and periodically if enabled,
+  // otherwise only log them on startup.
+  const backfiller = new PipelineBackfiller(app.log, runner, app.pipelineJobRepository, app.pipelines, graph, {
+    lookbackDays: app.config.PIPELINE_BACKFILL_LOOKBACK_DAYS,
+    concurrency: app.config.PIPELINE_BACKFILL_CONCURRENCY,
+    timezone: timezone,
+  });
+  app.decorate('pipelineBackfiller', backfiller);
+
+  if (app.config.ENABLE_PIPELINE_BACKFILL) {
+    const task = new Task('backfill', async () => {
+      await backfiller.backfill();
+    }, (err) => {
+      app.log.error(err, `❌  Failed to backfill pipelines, error: ${err.message}.`);
+    });
+
+    app.addHook('onReady', async () => {
+      backfiller.backfill().catch((err) => {
+        app.log.error(err, `❌  Failed to backfill pipelines on startup, error: ${err.message}.`);
+      });
+    });
+    app.scheduler.addCronJob(new CronJob({
+      cronExpression: app.config.PIPELINE_BACKFILL_CRON,
+      timezone: timezone,
+    }, task, {
+      id: 'backfill',
+      preventOverrun: true,
+    }));
+    app.log.info(`⏰ Add a cron job for backfilling pipelines, cron: ${app.config.PIPELINE_BACKFILL_CRON}, look back: ${app.config.PIPELINE_BACKFILL_LOOKBACK_DAYS} days.`);
+  } else {
+    app.addHook('onReady', async () => {
+      backfiller.reportGaps().catch((err) => {
+        app.log.error(err, `❌  Failed to find the gaps of pipelines on startup, error: ${err.message}.`);
+      });
     });
+  }
 }, {
   name: '@ossinsight/pipelines',
   dependencies: [
@@ -113,6 +169,36 @@ export default fp(async (app) => {
   ]
 });
 
+/**
+ * Load the steps of pipeline from the `process.sql`, or the `steps/*.sql` files ordered by the file name
+ * (e.g. `01_create_temp_table.sql`, `02_aggregate.sql`).
+ */
+export function loadPipelineSteps(pipelineDir: string): PipelineStep[] {
+  const processFile = path.join(pipelineDir, PIPELINE_PROCESS_FILE);
+  const stepsDir = path.join(pipelineDir, PIPELINE_STEPS_DIR);
+
+  if (fs.existsSync(processFile)) {
+    if (fs.existsSync(stepsDir)) {
+      throw new Error(`Pipeline ${path.basename(pipelineDir)} can not have both ${PIPELINE_PROCESS_FILE} and ${PIPELINE_STEPS_DIR}/.`);
+    }
+    return [{
+      name: path.basename(PIPELINE_PROCESS_FILE, '.sql'),
+      sql: fs.readFileSync(processFile, 'utf-8'),
+    }];
+  }
+
+  if (!fs.existsSync(stepsDir)) {
+    return [];
+  }
+  return fs.readdirSync(stepsDir)
+    .filter(file => file.endsWith('.sql'))
+    .sort()
+    .map(file => ({
+      name: path.basename(file, '.sql'),
+      sql: fs.readFileSync(path.join(stepsDir, file), 'utf-8'),
+    }));
+}
+
 export interface TimeRange {
   from: DateTime;
   to: DateTime;
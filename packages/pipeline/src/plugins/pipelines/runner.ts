@@ -0,0 +1,296 @@
+import {MySQLPromisePool} from "@fastify/mysql";
+import {FastifyBaseLogger} from "fastify";
+import {DateTime} from "luxon";
+import {ResultSetHeader} from "mysql2";
+import {pipelineJobCounter, pipelineJobHistogram, pipelineStepAffectedRowsCounter, pipelineStepHistogram} from "../../metrics";
+import {isRetryableError} from "../../utils/db";
+import {PipelineJobRepository, PipelineJobStatus} from "../repositories/PipelineJobRepository";
+import {PipelineGraph} from "./dag";
+import {Pipeline, PipelineRetryConfig} from "./index";
+
+// The interval to check if the upstream pipelines have finished.
+export const UPSTREAM_CHECK_INTERVAL = 60 * 1000;
+
+// The max time to hold the downstream pipeline for waiting the upstream pipelines.
+export const UPSTREAM_WAIT_TIMEOUT = 2 * 60 * 60 * 1000;
+
+export const INTERRUPTED_JOB_MESSAGE = 'The job was interrupted by the shutdown of pipeline service.';
+
+export enum UpstreamState {
+  READY = 'READY',
+  WAITING = 'WAITING',
+  FAILED = 'FAILED',
+}
+
+// Do not retry by default.
+export const DEFAULT_RETRY_CONFIG: PipelineRetryConfig = {
+  attempts: 1,
+  backoff: 0,
+};
+
+export interface PipelineStepResult {
+  name: string;
+  duration: number;
+  affectedRows: number;
+}
+
+// Point out the step which broke the pipeline.
+export class PipelineStepError extends Error {
+  constructor(readonly step: string, readonly index: number, readonly total: number, readonly cause: Error) {
+    super(`Step ${index + 1}/${total} <${step}> failed: ${cause.message}`, {
+      cause
+    });
+  }
+}
+
+export class PipelineRunner {
+  // The time ranges being processed by this process.
+  private readonly running = new Set<string>();
+
+  constructor(
+    private readonly log: FastifyBaseLogger,
+    private readonly tidb: MySQLPromisePool,
+    private readonly pipelineJobRepository: PipelineJobRepository,
+    private readonly pipelines: Record<string, Pipeline>,
+    private readonly graph: PipelineGraph,
+  ) {
+  }
+
+  /**
+   * Run the pipeline for the time range after all its upstream pipelines succeed for the same
+   * time range, the run will be skipped if any upstream pipeline failed or timeout.
+   */
+  async runAfterUpstreams(name: string, from: DateTime, to: DateTime): Promise<PipelineJobStatus | null> {
+    const deadline = Date.now() + UPSTREAM_WAIT_TIMEOUT;
+    while (true) {
+      const state = await this.checkUpstreams(name, from, to);
+      if (state === UpstreamState.READY) {
+        return await this.run(name, from, to);
+      } else if (state === UpstreamState.FAILED) {
+        this.log.warn(`⏭️ Skip pipeline <%s> because its upstream pipelines failed, from: %s, to: %s.`, name, from.toISO(), to.toISO());
+        return null;
+      } else if (Date.now() >= deadline) {
+        this.log.warn(`⏭️ Skip pipeline <%s> because its upstream pipelines have not finished in time, from: %s, to: %s.`, name, from.toISO(), to.toISO());
+        return null;
+      }
+
+      this.log.info(`⏳ Hold pipeline <%s> to wait for its upstream pipelines, from: %s, to: %s.`, name, from.toISO(), to.toISO());
+      await new Promise((resolve) => setTimeout(resolve, UPSTREAM_CHECK_INTERVAL));
+    }
+  }
+
+  async checkUpstreams(name: string, from: DateTime, to: DateTime): Promise<UpstreamState> {
+    let state = UpstreamState.READY;
+    for (const upstream of this.graph.upstreams.get(name) ?? []) {
+      // Notice: The upstream pipeline may be waiting to retry after the failed attempt.
+      if (this.isRunning(upstream, from, to)) {
+        state = UpstreamState.WAITING;
+        continue;
+      }
+
+      const job = await this.pipelineJobRepository.getLatestJobOfTimeRange(upstream, from, to);
+      if (job?.status === PipelineJobStatus.FAILED) {
+        return UpstreamState.FAILED;
+      } else if (job?.status !== PipelineJobStatus.SUCCEED) {
+        state = UpstreamState.WAITING;
+      }
+    }
+    return state;
+  }
+
+  /**
+   * Execute the process SQL of pipeline for the time range, and record the job of each attempt.
+   *
+   * The transient errors of TiDB will be retried with exponential backoff according to the `retry`
+   * config of pipeline, the other errors fail fast.
+   *
+   * Return null without running if the time range is being processed (or waiting to retry) in this process.
+   */
+  async run(name: string, from: DateTime, to: DateTime): Promise<PipelineJobStatus | null> {
+    const { attempts, backoff } = this.pipelines[name].retry ?? DEFAULT_RETRY_CONFIG;
+    const key = runningKey(name, from, to);
+
+    // Notice: Only the run which added the key can delete it, so the key is kept until all the runs finished.
+    if (this.running.has(key)) {
+      this.log.warn(`⏭️ Skip pipeline <%s> because the time range is being processed, from: %s, to: %s.`, name, from.toISO(), to.toISO());
+      return null;
+    }
+    this.running.add(key);
+    try {
+      for (let attempt = 1; ; attempt++) {
+        const err = await this.execute(name, from, to, attempt, attempts);
+        if (!err) {
+          break;
+        }
+
+        if (attempt >= attempts) {
+          return PipelineJobStatus.FAILED;
+        } else if (!isRetryableError(err)) {
+          this.log.warn(`⏭️ Skip retrying pipeline <%s> because the error is not retryable, from: %s, to: %s.`, name, from.toISO(), to.toISO());
+          return PipelineJobStatus.FAILED;
+        }
+
+        const delay = backoff * 1000 * Math.pow(2, attempt - 1);
+        this.log.warn(`🔁 Retry pipeline <%s> in %d s (attempt %d/%d), from: %s, to: %s.`, name, delay / 1000, attempt + 1, attempts, from.toISO(), to.toISO());
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    } finally {
+      this.running.delete(key);
+    }
+
+    this.triggerDownstreams(name, from, to);
+    return PipelineJobStatus.SUCCEED;
+  }
+
+  // Check if the pipeline is processing (or waiting to retry) the time range in this process.
+  isRunning(name: string, from: DateTime, to: DateTime): boolean {
+    return this.running.has(runningKey(name, from, to));
+  }
+
+  // Check if the pipeline is processing the time range in this process, or in another process according to the latest job.
+  async isProcessing(name: string, from: DateTime, to: DateTime): Promise<boolean> {
+    if (this.isRunning(name, from, to)) {
+      return true;
+    }
+    const job = await this.pipelineJobRepository.getLatestJobOfTimeRange(name, from, to);
+    return job?.status === PipelineJobStatus.RUNNING;
+  }
+
+  /**
+   * Mark the jobs left in RUNNING by the last process (e.g. it crashed or was killed during the run) as
+   * failed, otherwise their time ranges would be treated as being processed forever.
+   *
+   * Notice: It must be called before this process runs any pipeline.
+   */
+  async failInterruptedJobs(): Promise<number> {
+    const count = await this.pipelineJobRepository.failRunningJobs(INTERRUPTED_JOB_MESSAGE);
+    if (count > 0) {
+      this.log.warn(`🧹 Marked %d pipeline jobs interrupted by the last shutdown as failed.`, count);
+    }
+    return count;
+  }
+
+  // Execute the steps of pipeline once, return the error if failed.
+  private async execute(name: string, from: DateTime, to: DateTime, attempt: number, attempts: number): Promise<Error | null> {
+    this.log.info(`⚡️ Start to execute query for pipeline <%s> (attempt %d/%d), from: %s, to: %s.`, name, attempt, attempts, from.toISO(), to.toISO());
+    const jobId = await this.pipelineJobRepository.createProcessedTimeRange(name, from, to, PipelineJobStatus.RUNNING);
+    const start = DateTime.now();
+
+    let results: PipelineStepResult[];
+    try {
+      results = await this.executeSteps(name, from, to);
+    } catch (err: any) {
+      const end = DateTime.now();
+      const duration = end.diff(start, 'seconds').seconds;
+      const message = attempts > 1 ? `Attempt ${attempt}/${attempts} failed: ${err.message}` : err.message;
+      await this.pipelineJobRepository.finishProcessedTimeRange(jobId, PipelineJobStatus.FAILED, message, duration);
+      pipelineJobCounter.inc({ pipeline: name, status: PipelineJobStatus.FAILED });
+      pipelineJobHistogram.observe({ pipeline: name, status: PipelineJobStatus.FAILED }, duration);
+      this.log.error(err, `❌  Failed to execute query for pipeline ${name} (attempt ${attempt}/${attempts}), from: ${from.toISO()}, to: ${to.toISO()}, duration: ${duration}s.`);
+      return err instanceof PipelineStepError ? err.cause : err;
+    }
+
+    const end = DateTime.now();
+    const duration = end.diff(start, 'seconds').seconds;
+    const message = results.length > 1 ? `Query OK! Steps: ${results.map(formatStepResult).join('; ')}.` : 'Query OK!';
+    await this.pipelineJobRepository.finishProcessedTimeRange(jobId, PipelineJobStatus.SUCCEED, message, duration);
+    pipelineJobCounter.inc({ pipeline: name, status: PipelineJobStatus.SUCCEED });
+    pipelineJobHistogram.observe({ pipeline: name, status: PipelineJobStatus.SUCCEED }, duration);
+    this.log.info(`✅  Finished the execute query for pipeline <%s>, from: %s, to: %s, duration: ${duration}s.`, name, from.toISO(), to.toISO(), duration);
+    return null;
+  }
+
+  /**
+   * Run the steps of pipeline in order in one session (so that the temporary tables can be shared between
+   * steps), or in one transaction if the `transaction` of pipeline is enabled.
+   */
+  private async executeSteps(name: string, from: DateTime, to: DateTime): Promise<PipelineStepResult[]> {
+    const pipeline = this.pipelines[name];
+    const results: PipelineStepResult[] = [];
+    const conn = await this.tidb.getConnection();
+    let failed = false;
+
+    try {
+      if (pipeline.transaction) {
+        await conn.beginTransaction();
+      }
+
+      for (const [i, step] of pipeline.steps.entries()) {
+        const start = DateTime.now();
+        try {
+          // Notice: Use query instead of execute, because some statements (e.g. DDL) can not be prepared.
+          const [rs] = await conn.query<ResultSetHeader>(step.sql, {
+            from: from.toSQL(),
+            to: to.toSQL()
+          });
+          const duration = DateTime.now().diff(start, 'seconds').seconds;
+          const affectedRows = rs.affectedRows ?? 0;
+          pipelineStepHistogram.observe({ pipeline: name, step: step.name, status: PipelineJobStatus.SUCCEED }, duration);
+          pipelineStepAffectedRowsCounter.inc({ pipeline: name, step: step.name }, affectedRows);
+          results.push({ name: step.name, duration, affectedRows });
+          this.log.info(`👣 Finished step %d/%d <%s> of pipeline <%s>, duration: %ds, affected rows: %d.`, i + 1, pipeline.steps.length, step.name, name, duration, affectedRows);
+        } catch (err: any) {
+          const duration = DateTime.now().diff(start, 'seconds').seconds;
+          pipelineStepHistogram.observe({ pipeline: name, step: step.name, status: PipelineJobStatus.FAILED }, duration);
+          throw pipeline.steps.length > 1 ? new PipelineStepError(step.name, i, pipeline.steps.length, err) : err;
+        }
+      }
+
+      if (pipeline.transaction) {
+        await conn.commit();
+      }
+    } catch (err) {
+      failed = true;
+      if (pipeline.transaction) {
+        await conn.rollback().catch((rollbackErr) => {
+          this.log.error(rollbackErr, `❌  Failed to rollback the transaction of pipeline <${name}>.`);
+        });
+      }
+      throw err;
+    } finally {
+      // Notice: The temporary tables created by the steps are kept in the session until it ends (rollback does
+      // not drop them), close the session of failed run instead of returning it to the pool.
+      if (failed) {
+        conn.destroy();
+      } else {
+        conn.release();
+      }
+    }
+
+    return results;
+  }
+
+  // The downstream pipelines without their own cron are driven by their upstream pipelines.
+  private triggerDownstreams(name: string, from: DateTime, to: DateTime) {
+    for (const downstream of this.graph.downstreams.get(name) ?? []) {
+      if (this.pipelines[downstream].cron) {
+        continue;
+      }
+
+      this.checkUpstreams(downstream, from, to)
+        .then(async (state) => {
+          // Notice: The last succeeded upstream pipeline will trigger it.
+          if (state !== UpstreamState.READY) {
+            return;
+          }
+          const job = await this.pipelineJobRepository.getLatestJobOfTimeRange(downstream, from, to);
+          if (job?.status === PipelineJobStatus.RUNNING || job?.status === PipelineJobStatus.SUCCEED) {
+            return;
+          }
+          await this.run(downstream, from, to);
+        })
+        .catch((err) => {
+          this.log.error(err, `❌  Failed to trigger the downstream pipeline <${downstream}> of pipeline <${name}>.`);
+        });
+    }
+  }
+
+}
+
+function runningKey(name: string, from: DateTime, to: DateTime): string {
+  return `${name}:${from.toMillis()}-${to.toMillis()}`;
+}
+
+function formatStepResult(result: PipelineStepResult): string {
+  return `${result.name} (${result.duration}s, ${result.affectedRows} rows)`;
+}
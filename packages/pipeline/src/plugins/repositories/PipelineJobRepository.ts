@@ -17,6 +17,17 @@ export enum PipelineJobStatus {
   FAILED = 'FAILED',
 }
 
+export interface PipelineJob {
+  jobId: number;
+  pipelineName: string;
+  timeRangeStart: DateTime;
+  timeRangeEnd: DateTime;
+  status: PipelineJobStatus;
+  message: string | null;
+  duration: number | null;
+  endedAt: DateTime | null;
+}
+
 export default fp(async (app) => {
   app.decorate('pipelineJobRepository', new PipelineJobRepository(app.mysql));
 }, {
@@ -50,6 +61,86 @@ export class PipelineJobRepository {
     });
   }
 
+  // Return the latest job of the pipeline for exactly the same time range.
+  async getLatestJobOfTimeRange(pipelineName: string, from: DateTime, to: DateTime): Promise<PipelineJob | null> {
+    const [rows] = await this.tidb.execute<any[]>(`
+      SELECT job_id, pipeline_name, time_range_start, time_range_end, status, message, duration, ended_at
+      FROM sys_pipelines_jobs spj
+      WHERE
+        pipeline_name = ?
+        AND time_range_start = ?
+        AND time_range_end = ?
+      ORDER BY job_id DESC
+      LIMIT 1
+    `, [pipelineName, from.toSQL(), to.toSQL()]);
+    return rows.length > 0 ? this.toPipelineJob(rows[0]) : null;
+  }
+
+  // Return all the jobs of the pipeline in the time range, ordered by the job id.
+  async getJobsInTimeRange(pipelineName: string, from: DateTime, to: DateTime): Promise<PipelineJob[]> {
+    const [rows] = await this.tidb.execute<any[]>(`
+      SELECT job_id, pipeline_name, time_range_start, time_range_end, status, message, duration, ended_at
+      FROM sys_pipelines_jobs spj
+      WHERE
+        pipeline_name = ?
+        AND time_range_start >= ?
+        AND time_range_end <= ?
+      ORDER BY job_id
+    `, [pipelineName, from.toSQL(), to.toSQL()]);
+    return rows.map((row) => this.toPipelineJob(row));
+  }
+
+  async getJob(jobId: number): Promise<PipelineJob | null> {
+    const [rows] = await this.tidb.execute<any[]>(`
+      SELECT job_id, pipeline_name, time_range_start, time_range_end, status, message, duration, ended_at
+      FROM sys_pipelines_jobs spj
+      WHERE job_id = ?
+    `, [jobId]);
+    return rows.length > 0 ? this.toPipelineJob(rows[0]) : null;
+  }
+
+  async getLatestJob(pipelineName: string): Promise<PipelineJob | null> {
+    const [rows] = await this.tidb.execute<any[]>(`
+      SELECT job_id, pipeline_name, time_range_start, time_range_end, status, message, duration, ended_at
+      FROM sys_pipelines_jobs spj
+      WHERE pipeline_name = ?
+      ORDER BY job_id DESC
+      LIMIT 1
+    `, [pipelineName]);
+    return rows.length > 0 ? this.toPipelineJob(rows[0]) : null;
+  }
+
+  // Return the jobs of the pipeline from the newest to the oldest.
+  async listJobs(pipelineName: string, page: number, pageSize: number, status?: PipelineJobStatus): Promise<{ jobs: PipelineJob[], total: number }> {
+    const conditions = status ? 'pipeline_name = ? AND status = ?' : 'pipeline_name = ?';
+    const values = status ? [pipelineName, status] : [pipelineName];
+    const [rows] = await this.tidb.query<any[]>(`
+      SELECT job_id, pipeline_name, time_range_start, time_range_end, status, message, duration, ended_at
+      FROM sys_pipelines_jobs spj
+      WHERE ${conditions}
+      ORDER BY job_id DESC
+      LIMIT ? OFFSET ?
+    `, [...values, pageSize, (page - 1) * pageSize]);
+    const [[{ total }]] = await this.tidb.execute<any[]>(`
+      SELECT COUNT(*) AS total FROM sys_pipelines_jobs spj WHERE ${conditions}
+    `, values);
+    return {
+      jobs: rows.map((row) => this.toPipelineJob(row)),
+      total: Number(total),
+    };
+  }
+
+  // Return the end of the latest time range which has been processed successfully.
+  async getHighWaterMark(pipelineName: string): Promise<DateTime | null> {
+    const [rows] = await this.tidb.execute<any[]>(`
+      SELECT MAX(time_range_end) AS high_water_mark
+      FROM sys_pipelines_jobs spj
+      WHERE pipeline_name = ? AND status = ?
+    `, [pipelineName, PipelineJobStatus.SUCCEED]);
+    const value = rows[0]?.high_water_mark;
+    return value ? toDateTime(value) : null;
+  }
+
   async createProcessedTimeRange(pipelineName: string, tFrom: DateTime, tTo: DateTime, status: PipelineJobStatus) {
     const [rs] = await this.tidb.execute<ResultSetHeader>(`
       INSERT INTO sys_pipelines_jobs (pipeline_name, time_range_start, time_range_end, status)
@@ -64,4 +155,29 @@ export class PipelineJobRepository {
     `, [status, message, duration.toString(), jobId]);
   }
 
-}
\ No newline at end of file
+  // Mark all the running jobs as failed, return the number of the jobs.
+  async failRunningJobs(message: string): Promise<number> {
+    const [rs] = await this.tidb.execute<ResultSetHeader>(`
+      UPDATE sys_pipelines_jobs SET status = ?, ended_at = NOW(), message = ? WHERE status = ?
+    `, [PipelineJobStatus.FAILED, message, PipelineJobStatus.RUNNING]);
+    return rs.affectedRows;
+  }
+
+  private toPipelineJob(row: any): PipelineJob {
+    return {
+      jobId: row.job_id,
+      pipelineName: row.pipeline_name,
+      timeRangeStart: toDateTime(row.time_range_start),
+      timeRangeEnd: toDateTime(row.time_range_end),
+      status: row.status,
+      message: row.message ?? null,
+      duration: row.duration !== null && row.duration !== undefined ? Number(row.duration) : null,
+      endedAt: row.ended_at ? toDateTime(row.ended_at) : null,
+    };
+  }
+
+}
+
+function toDateTime(value: any): DateTime {
+  return value instanceof Date ? DateTime.fromJSDate(value) : DateTime.fromSQL(String(value));
+}
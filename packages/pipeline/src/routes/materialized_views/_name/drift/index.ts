@@ -0,0 +1,35 @@
+import {FastifyPluginAsync} from 'fastify'
+import {APIError} from "../../../../errors";
+
+export interface IParams {
+  name: string;
+}
+
+export const schema = {
+  params: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: {
+        type: 'string'
+      }
+    }
+  } as const
+}
+
+const index: FastifyPluginAsync = async (app, opts): Promise<void> => {
+  app.get<{
+    Params: IParams
+  }>('/', {
+    schema
+  }, async (req, reply) => {
+    const name = req.params.name;
+    if (!app.materializedViews[name]) {
+      throw new APIError(404, 'Materialized view not found.');
+    }
+
+    return await app.materializedViewManager.getStatus(name);
+  });
+}
+
+export default index;
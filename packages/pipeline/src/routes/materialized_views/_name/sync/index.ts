@@ -0,0 +1,39 @@
+import {FastifyPluginAsync} from 'fastify'
+import {APIError} from "../../../../errors";
+
+export interface IParams {
+  name: string;
+}
+
+export const schema = {
+  params: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: {
+        type: 'string'
+      }
+    }
+  } as const
+}
+
+const index: FastifyPluginAsync = async (app, opts): Promise<void> => {
+  app.post<{
+    Params: IParams
+  }>('/', {
+    schema
+  }, async (req, reply) => {
+    const name = req.params.name;
+    if (!app.materializedViews[name]) {
+      throw new APIError(404, 'Materialized view not found.');
+    }
+
+    const result = await app.materializedViewManager.sync(name);
+    if (result.error) {
+      throw new APIError(500, `Failed to sync materialized view: ${result.error}`, undefined, result);
+    }
+    return result;
+  });
+}
+
+export default index;
@@ -0,0 +1,22 @@
+import {FastifyPluginAsync} from 'fastify'
+
+const index: FastifyPluginAsync = async (app, opts): Promise<void> => {
+  app.get('/', async (req, reply) => {
+    const statuses = await app.materializedViewManager.getAllStatus();
+    const materializedViews = statuses.map((status) => {
+      const { name, pipelines, migrations } = app.materializedViews[status.name];
+      return {
+        ...status,
+        name,
+        pipelines,
+        migrations: migrations.map((migration) => migration.version),
+      };
+    });
+
+    return {
+      materializedViews
+    };
+  });
+}
+
+export default index;
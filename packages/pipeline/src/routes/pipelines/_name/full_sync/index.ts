@@ -1,8 +1,7 @@
-import {MySQLPromisePool} from "@fastify/mysql";
 import {FastifyBaseLogger, FastifyPluginAsync} from 'fastify'
 import {DateTime, DurationLike} from "luxon";
 import {APIError} from "../../../../errors";
-import {Pipeline} from "../../../../plugins/pipelines";
+import {PipelineRunner} from "../../../../plugins/pipelines/runner";
 import {PipelineJobRepository, PipelineJobStatus} from "../../../../plugins/repositories/PipelineJobRepository";
 import {splitTimeRange} from "../../../../utils/time";
 
@@ -62,7 +61,7 @@ const index: FastifyPluginAsync = async (app, opts): Promise<void> => {
     const specifiedFrom = from ? DateTime.fromISO(from) : undefined;
     const specifiedTo = to ? DateTime.fromISO(to) : undefined;
 
-    fullSyncPipeline(app.log, app.mysql, app.pipelineJobRepository, pipelineName, pipeline, specifiedFrom, specifiedTo, interval).catch((err) => {
+    fullSyncPipeline(app.log, app.pipelineRunner, app.pipelineJobRepository, pipelineName, specifiedFrom, specifiedTo, interval).catch((err) => {
       app.log.error(err, `❌  Failed to finish full sync for pipeline <${pipelineName}>.`);
     });
 
@@ -75,7 +74,7 @@ const index: FastifyPluginAsync = async (app, opts): Promise<void> => {
 
 
 async function fullSyncPipeline(
-  log: FastifyBaseLogger, tidb: MySQLPromisePool, pipelineJobRepository: PipelineJobRepository, pipelineName: string, pipeline: Pipeline,
+  log: FastifyBaseLogger, runner: PipelineRunner, pipelineJobRepository: PipelineJobRepository, pipelineName: string,
   from: DateTime = DateTime.fromSQL('2012-01-01'),
   to: DateTime = DateTime.fromSQL(DateTime.utc().toFormat('yyyy-MM-dd')),
   interval: DurationLike = {day: 1}
@@ -95,29 +94,15 @@ async function fullSyncPipeline(
   let fail = 0;
 
   for (const { tFrom, tTo } of timeRanges) {
-    log.info(`⚡️ Start to execute query for pipeline <${pipelineName}>, from: ${tFrom}, to: ${tTo}.`);
-    const jobId = await pipelineJobRepository.createProcessedTimeRange(pipelineName, tFrom, tTo, PipelineJobStatus.RUNNING);
-    const startAt = DateTime.now();
-
-    try {
-      await tidb.execute(pipeline.processSQL, {
-        from: tFrom.toSQL(),
-        to: tTo.toSQL()
-      });
-    } catch (err: any) {
-      const endAt = DateTime.now();
-      const duration = endAt.diff(startAt , 'seconds').seconds;
+    const status = await runner.run(pipelineName, tFrom, tTo);
+    if (status === null) {
+      continue;
+    } else if (status === PipelineJobStatus.FAILED) {
       fail++;
-      await pipelineJobRepository.finishProcessedTimeRange(jobId, PipelineJobStatus.FAILED, err.message, duration);
-      log.error(err, `❌  Failed to execute query for pipeline <${pipelineName}>, from: ${tFrom}, to: ${tTo}, duration: ${duration} s.`);
+      log.error(`❌  Stop the full sync for pipeline <${pipelineName}> because of the failed time range, from: ${tFrom}, to: ${tTo}.`);
       return;
     }
-
-    const endAt = DateTime.now();
-    const duration = endAt.diff(startAt , 'seconds').seconds;
     success++;
-    await pipelineJobRepository.finishProcessedTimeRange(jobId, PipelineJobStatus.SUCCEED, 'Query OK!', duration);
-    log.info(`✅  Finished to execute query for pipeline <%s>, from: %s, to: %s, duration: %d s.`, pipelineName, tFrom.toISO(), tTo.toISO(), duration);
   }
 
   log.info(`🎉  Finished full sync for pipeline <${pipelineName}>, success: ${success}, fail: ${fail}, process: ${success + processed.length}/${needProcessed.length}.`)
@@ -0,0 +1,60 @@
+import {FastifyPluginAsync} from 'fastify'
+import {APIError} from "../../../../../../errors";
+import {PipelineJobStatus} from "../../../../../../plugins/repositories/PipelineJobRepository";
+
+export interface IParams {
+  name: string;
+  id: number;
+}
+
+export const schema = {
+  params: {
+    type: 'object',
+    required: ['name', 'id'],
+    properties: {
+      name: {
+        type: 'string'
+      },
+      id: {
+        type: 'integer'
+      }
+    }
+  } as const
+}
+
+const index: FastifyPluginAsync = async (app, opts): Promise<void> => {
+  app.post<{
+    Params: IParams
+  }>('/', {
+    schema
+  }, async (req, reply) => {
+    const { name: pipelineName, id: jobId } = req.params;
+    if (!app.pipelines[pipelineName]) {
+      throw new APIError(404, 'Pipeline not found.');
+    }
+
+    const job = await app.pipelineJobRepository.getJob(jobId);
+    if (!job || job.pipelineName !== pipelineName) {
+      throw new APIError(404, 'Pipeline job not found.');
+    }
+    if (job.status === PipelineJobStatus.RUNNING) {
+      throw new APIError(409, 'Pipeline job is still running.');
+    }
+
+    // Notice: Retry will create a new job for the same time range, the original job is kept as history.
+    const { timeRangeStart: from, timeRangeEnd: to } = job;
+    if (await app.pipelineRunner.isProcessing(pipelineName, from, to)) {
+      throw new APIError(409, 'The time range of pipeline is being processed.');
+    }
+    app.pipelineRunner.run(pipelineName, from, to).catch((err) => {
+      app.log.error(err, `❌  Failed to retry job ${jobId} of pipeline <${pipelineName}>, from: ${from.toISO()}, to: ${to.toISO()}.`);
+    });
+
+    return {
+      ok: true,
+      message: 'Trigger success!'
+    }
+  });
+}
+
+export default index;
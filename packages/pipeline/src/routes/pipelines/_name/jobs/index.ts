@@ -0,0 +1,73 @@
+import {FastifyPluginAsync} from 'fastify'
+import {APIError} from "../../../../errors";
+import {PipelineJobStatus} from "../../../../plugins/repositories/PipelineJobRepository";
+
+export interface IParams {
+  name: string;
+}
+
+export interface IQuerystring {
+  page: number;
+  page_size: number;
+  status?: PipelineJobStatus;
+}
+
+export const schema = {
+  params: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: {
+        type: 'string'
+      }
+    }
+  } as const,
+  querystring: {
+    type: 'object',
+    properties: {
+      page: {
+        type: 'integer',
+        minimum: 1,
+        default: 1
+      },
+      page_size: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 100,
+        default: 20
+      },
+      status: {
+        type: 'string',
+        enum: Object.values(PipelineJobStatus)
+      }
+    }
+  } as const
+}
+
+const index: FastifyPluginAsync = async (app, opts): Promise<void> => {
+  app.get<{
+    Params: IParams,
+    Querystring: IQuerystring
+  }>('/', {
+    schema
+  }, async (req, reply) => {
+    const pipelineName = req.params.name;
+    if (!app.pipelines[pipelineName]) {
+      throw new APIError(404, 'Pipeline not found.');
+    }
+
+    const { page, page_size: pageSize, status } = req.query;
+    const { jobs, total } = await app.pipelineJobRepository.listJobs(pipelineName, page, pageSize, status);
+
+    return {
+      jobs,
+      pagination: {
+        page,
+        pageSize,
+        total,
+      }
+    };
+  });
+}
+
+export default index;
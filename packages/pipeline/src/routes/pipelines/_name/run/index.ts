@@ -0,0 +1,73 @@
+import {FastifyPluginAsync} from 'fastify'
+import {DateTime} from "luxon";
+import {APIError} from "../../../../errors";
+
+export interface IParams {
+  name: string;
+}
+
+export interface IBody {
+  from: string;
+  to: string;
+}
+
+export const schema = {
+  params: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: {
+        type: 'string'
+      }
+    }
+  } as const,
+  body: {
+    type: 'object',
+    required: ['from', 'to'],
+    properties: {
+      from: {
+        type: 'string',
+      },
+      to: {
+        type: 'string',
+      }
+    }
+  } as const
+}
+
+const index: FastifyPluginAsync = async (app, opts): Promise<void> => {
+  app.post<{
+    Params: IParams,
+    Body: IBody
+  }>('/', {
+    schema
+  }, async (req, reply) => {
+    const pipelineName = req.params.name;
+    if (!app.pipelines[pipelineName]) {
+      throw new APIError(404, 'Pipeline not found.');
+    }
+
+    const from = DateTime.fromISO(req.body.from);
+    const to = DateTime.fromISO(req.body.to);
+    if (!from.isValid || !to.isValid) {
+      throw new APIError(400, 'The from and to should be valid ISO date time.');
+    }
+    if (from >= to) {
+      throw new APIError(400, 'The from should be earlier than the to.');
+    }
+    if (await app.pipelineRunner.isProcessing(pipelineName, from, to)) {
+      throw new APIError(409, 'The time range of pipeline is being processed.');
+    }
+
+    app.pipelineRunner.run(pipelineName, from, to).catch((err) => {
+      app.log.error(err, `❌  Failed to run pipeline <${pipelineName}>, from: ${from.toISO()}, to: ${to.toISO()}.`);
+    });
+
+    return {
+      ok: true,
+      message: 'Trigger success!'
+    }
+  });
+}
+
+export default index;
@@ -0,0 +1,27 @@
+import {Cron} from "croner";
+import {FastifyPluginAsync} from 'fastify'
+import {timezone} from "../../plugins/pipelines";
+
+const index: FastifyPluginAsync = async (app, opts): Promise<void> => {
+  app.get('/', async (req, reply) => {
+    const pipelines = await Promise.all(Object.values(app.pipelines).map(async (pipeline) => {
+      const { steps, ...config } = pipeline;
+      const lastJob = await app.pipelineJobRepository.getLatestJob(pipeline.name);
+      const nextFireTime = pipeline.cron ? new Cron(pipeline.cron, { timezone, paused: true }).nextRun() : null;
+
+      return {
+        ...config,
+        steps: steps.map((step) => step.name),
+        nextFireTime,
+        lastStatus: lastJob?.status ?? null,
+        lastJob,
+      };
+    }));
+
+    return {
+      pipelines
+    };
+  });
+}
+
+export default index;
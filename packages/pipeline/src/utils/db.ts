@@ -87,6 +87,54 @@ export async function checkTiDBIfConnected(logger: FastifyBaseLogger, pool?: MyS
   }
 }
 
+// Errors.
+
+// The TiDB / MySQL error codes which may succeed after retrying.
+// Link: https://docs.pingcap.com/tidb/stable/error-codes
+const RETRYABLE_ERROR_NUMBERS = new Set([
+  1205, // Lock wait timeout exceeded.
+  1213, // Deadlock found when trying to get lock.
+  8002, // SELECT FOR UPDATE write conflict.
+  8022, // Transaction commit failed and retry.
+  8027, // The schema version is outdated.
+  8028, // The information schema is changed.
+  9001, // PD server timeout.
+  9002, // TiKV server timeout.
+  9003, // TiKV server is busy.
+  9004, // Resolve lock timeout.
+  9005, // Region is unavailable.
+  9006, // GC life time is shorter than transaction duration.
+  9007, // Write conflict.
+]);
+
+const RETRYABLE_ERROR_CODES = new Set([
+  'ETIMEDOUT',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'EPIPE',
+  'PROTOCOL_CONNECTION_LOST',
+  'PROTOCOL_SEQUENCE_TIMEOUT',
+]);
+
+const RETRYABLE_ERROR_MESSAGE = /rpc error: code = Unavailable|server timeout|server is busy|lock conflict|write conflict|connection lost/i;
+
+/**
+ * Check if the error is a transient error of TiDB (e.g. timeout, unavailable region, lock conflict),
+ * the other errors (e.g. SQL syntax error) will fail again after retrying.
+ */
+export function isRetryableError(err: any): boolean {
+  if (!err) {
+    return false;
+  }
+  if (typeof err.errno === 'number' && RETRYABLE_ERROR_NUMBERS.has(err.errno)) {
+    return true;
+  }
+  if (typeof err.code === 'string' && RETRYABLE_ERROR_CODES.has(err.code)) {
+    return true;
+  }
+  return typeof err.message === 'string' && RETRYABLE_ERROR_MESSAGE.test(err.message);
+}
+
 // Managed connection creation and release.
 
 interface AnyConnectionPool {
@@ -0,0 +1,50 @@
+import {handleAdminRequest} from "../src/admin";
+
+function createJobScheduler() {
+  return {
+    hasQueue: jest.fn((name: string) => name === 'MAIN'),
+    listQueues: jest.fn(() => [{ name: 'MAIN', waiting: 0, running: 0 }]),
+    drainQueue: jest.fn(() => 2),
+    pauseQueue: jest.fn(),
+  };
+}
+
+function request(jobScheduler: any, adminToken: string | undefined, method: string, url: string, authorization?: string) {
+  const req = { method, url, headers: { authorization } };
+  const res = { writeHead: jest.fn(), end: jest.fn() };
+  const handled = handleAdminRequest(jobScheduler, adminToken, req as any, res as any);
+  return {
+    handled,
+    statusCode: res.writeHead.mock.calls[0]?.[0],
+    body: res.end.mock.calls[0] ? JSON.parse(res.end.mock.calls[0][0]) : undefined,
+  };
+}
+
+test('should not handle the requests out of admin API', () => {
+  expect(request(createJobScheduler(), undefined, 'GET', '/metrics').handled).toBe(false);
+});
+
+test('should require the admin token if set', () => {
+  const jobScheduler = createJobScheduler();
+  expect(request(jobScheduler, 'secret', 'GET', '/admin/queues')).toMatchObject({ statusCode: 401 });
+  expect(request(jobScheduler, 'secret', 'POST', '/admin/queues/MAIN/drain', 'Bearer wrong')).toMatchObject({ statusCode: 401 });
+  expect(request(jobScheduler, 'secret', 'POST', '/admin/queues/MAIN/drain', 'Bearer secret')).toMatchObject({
+    statusCode: 200,
+    body: { ok: true, removed: 2 },
+  });
+});
+
+test('should reject the actions if the admin token is not set', () => {
+  const jobScheduler = createJobScheduler();
+  expect(request(jobScheduler, undefined, 'GET', '/admin/queues')).toMatchObject({ statusCode: 200 });
+  expect(request(jobScheduler, undefined, 'POST', '/admin/queues/MAIN/pause')).toMatchObject({ statusCode: 403 });
+  expect(request(jobScheduler, undefined, 'POST', '/admin/queues/MAIN/drain')).toMatchObject({ statusCode: 403 });
+  expect(jobScheduler.pauseQueue).not.toBeCalled();
+  expect(jobScheduler.drainQueue).not.toBeCalled();
+});
+
+test('should reject the unknown queues and methods', () => {
+  const jobScheduler = createJobScheduler();
+  expect(request(jobScheduler, 'secret', 'POST', '/admin/queues/REALTIME/drain', 'Bearer secret')).toMatchObject({ statusCode: 404 });
+  expect(request(jobScheduler, 'secret', 'GET', '/admin/queues/MAIN/drain', 'Bearer secret')).toMatchObject({ statusCode: 405 });
+});
@@ -0,0 +1,30 @@
+import {PREFETCH_JOBS_TABLE} from "../../src/job/state";
+
+/**
+ * A fake of the connection pool which keeps the rows of prefetch jobs table in memory.
+ */
+export function createJobStatePool(rows: Map<string, any> = new Map()) {
+  const query = jest.fn(async (sql: string, values?: any[]): Promise<any> => {
+    if (sql.includes(`INSERT INTO ${PREFETCH_JOBS_TABLE}`)) {
+      for (const [jobKey, queryName, params, refreshQueue, refreshCron, status, lastRunAt, lastSuccessAt, lastDuration, lastError] of values![0]) {
+        rows.set(jobKey, {
+          job_key: jobKey,
+          query_name: queryName,
+          params,
+          refresh_queue: refreshQueue,
+          refresh_cron: refreshCron,
+          status,
+          last_run_at: lastRunAt,
+          last_success_at: lastSuccessAt,
+          last_duration: lastDuration,
+          last_error: lastError,
+        });
+      }
+      return [{ affectedRows: values![0].length }];
+    } else if (sql.includes(`SELECT * FROM ${PREFETCH_JOBS_TABLE}`)) {
+      return [Array.from(rows.values())];
+    }
+    return [[]];
+  });
+  return { query, rows };
+}
@@ -0,0 +1,129 @@
+import {AdaptiveJobPlanner, resolveAdaptiveCron} from "../../src/job/adaptive";
+import {getJobKey} from "../../src/job/state";
+import {testLogger} from "../helpers/log";
+
+// The job key whose hash (the first 8 hex digits) is 123.
+const JOB_KEY = '0000007b' + 'f'.repeat(32);
+
+describe('resolve adaptive cron', () => {
+  test('should refresh every 5 minutes at most', () => {
+    expect(resolveAdaptiveCron(JOB_KEY, 1000, 1, 6)).toBe('3 3-59/5 * * * *');
+  });
+
+  test('should pick the longest interval not longer than expected', () => {
+    // The score of 1 request per 90 minutes (with the half-life of 6 hours).
+    const score = 6 * 60 / 90 / Math.LN2;
+    expect(resolveAdaptiveCron(JOB_KEY, score, 1, 6)).toBe('3 3 * * * *');
+    expect(resolveAdaptiveCron(JOB_KEY, score, 0.25, 6)).toBe('3 3-59/15 * * * *');
+  });
+
+  test('should refresh once a day at least', () => {
+    expect(resolveAdaptiveCron(JOB_KEY, 0.001, 1, 6)).toBe('3 3 3-23/24 * * *');
+  });
+
+  test('should not be longer than the cache hours of query', () => {
+    expect(resolveAdaptiveCron(JOB_KEY, 0.001, 1, 6, 6)).toBe('3 3 3-23/6 * * *');
+    expect(resolveAdaptiveCron(JOB_KEY, 0.001, 1, 6, 0.5)).toBe('3 3-59/30 * * * *');
+  });
+
+  test('should spread out the jobs by job key', () => {
+    const otherJobKey = '0000007c' + 'f'.repeat(32);
+    expect(resolveAdaptiveCron(JOB_KEY, 1000, 1, 6)).toBe(resolveAdaptiveCron(JOB_KEY, 1000, 1, 6));
+    expect(resolveAdaptiveCron(otherJobKey, 1000, 1, 6)).toBe('4 4-59/5 * * * *');
+  });
+});
+
+describe('plan adaptive prefetch jobs', () => {
+  const queries: Record<string, any> = {
+    'analyze-stars-history': { params: [{ name: 'repoId' }], cacheHours: 1 },
+    'analyze-recent-stars': { params: [{ name: 'repoId' }], cacheHours: 0 },
+  };
+  const staticJobKey = getJobKey({ queryName: 'analyze-stars-history', params: { repoId: '0' } });
+
+  function createPlanner(requests: any[][]) {
+    const pool = {
+      query: jest.fn(async (sql: string, values: any[]) => {
+        if (sql.includes('DELETE')) {
+          return [{ affectedRows: 0 }];
+        }
+        return [requests.shift() ?? []];
+      }),
+    };
+    const jobScheduler = {
+      scheduleJob: jest.fn(async () => true),
+    };
+    const stateStore = {
+      register: jest.fn(async () => {}),
+    };
+    const planner = new AdaptiveJobPlanner(
+      testLogger, pool as any, queries, jobScheduler as any, stateStore as any, new Set([staticJobKey]),
+      { halfLifeHours: 6, minScore: 10, maxJobs: 10 }
+    );
+    return { pool, jobScheduler, stateStore, planner };
+  }
+
+  function request(queryName: string, params: Record<string, any>, score: number, cost = 1) {
+    return { query_name: queryName, params: JSON.stringify(params), score, cost };
+  }
+
+  test('should promote the hot params combinations and decay out the cold ones', async () => {
+    const { planner, jobScheduler, stateStore } = createPlanner([
+      [
+        request('analyze-stars-history', { repoId: '1' }, 20),
+        request('analyze-stars-history', { repoId: '2' }, 8),
+      ],
+      [
+        request('analyze-stars-history', { repoId: '1' }, 6),
+        request('analyze-stars-history', { repoId: '2' }, 12),
+      ],
+      [],
+    ]);
+
+    // Only the combination reached the min score is promoted and warmed up.
+    await planner.plan();
+    expect(jobScheduler.scheduleJob).toBeCalledTimes(1);
+    expect(jobScheduler.scheduleJob).toHaveBeenLastCalledWith(expect.objectContaining({ params: { repoId: '1' } }));
+    expect(stateStore.register).toHaveBeenLastCalledWith([expect.objectContaining({ params: { repoId: '1' } })]);
+
+    // The promoted one is retained until its score drops below half of the min score.
+    await planner.plan();
+    expect(jobScheduler.scheduleJob).toBeCalledTimes(2);
+    expect(jobScheduler.scheduleJob).toHaveBeenLastCalledWith(expect.objectContaining({ params: { repoId: '2' } }));
+
+    // Both decay out when no longer requested.
+    await planner.plan();
+    expect(jobScheduler.scheduleJob).toBeCalledTimes(2);
+    expect(stateStore.register).toHaveBeenLastCalledWith([]);
+  });
+
+  test('should merge the requests with extra params and skip the ones can not be warmed up', async () => {
+    const { planner } = createPlanner([[
+      request('analyze-stars-history', { repoId: '1' }, 6, 2),
+      request('analyze-stars-history', { repoId: '1', format: 'csv' }, 6, 4),
+      request('analyze-stars-history', { repoId: '0' }, 100),
+      request('analyze-recent-stars', { repoId: '1' }, 100),
+      request('not-exists', { repoId: '1' }, 100),
+    ]]);
+
+    const candidates = await planner.getCandidates(5);
+    expect(candidates).toHaveLength(1);
+    expect(candidates[0]).toMatchObject({
+      job: { queryName: 'analyze-stars-history', params: { repoId: '1' } },
+      score: 12,
+      cost: 3,
+    });
+  });
+
+  test('should purge the expired requests in batches', async () => {
+    const { planner, pool } = createPlanner([]);
+    pool.query
+      .mockImplementationOnce(async (sql: string, values: any[]) => [{ affectedRows: values[1] }])
+      .mockImplementationOnce(async () => [{ affectedRows: 3 }]);
+
+    const purged = await planner.purgeRequests();
+    expect(pool.query).toBeCalledTimes(2);
+    expect(purged).toBe(pool.query.mock.calls[0][1][1] + 3);
+    expect(pool.query.mock.calls[0][0]).toContain('DELETE FROM stats_query_requests');
+    expect(pool.query.mock.calls[0][1][0]).toBe(6 * 8);
+  });
+});
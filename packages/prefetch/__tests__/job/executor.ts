@@ -0,0 +1,86 @@
+import {DateTime} from "luxon";
+import {JobExecutor} from "../../src/job/executor";
+import {PrefetchJobStateStore, PrefetchJobStatus} from "../../src/job/state";
+import {testLogger} from "../helpers/log";
+import {createJobStatePool} from "../helpers/pool";
+
+const job = { queryName: 'analyze-stars-history', refreshQueue: 'MAIN', refreshCron: '0 0 * * * *', params: { repoId: '1' } };
+
+function createQueryRunner() {
+  return {
+    render: jest.fn(async (...args: any[]): Promise<any> => ({
+      cache: { warm: false, stale: false, finishedAt: null },
+    })),
+    query: jest.fn(async (...args: any[]) => ({ spent: 1 })),
+  };
+}
+
+function cache(finishedAt: DateTime, stale: boolean = false) {
+  return { cache: { warm: true, stale, finishedAt } };
+}
+
+async function createExecutor(force: boolean = false) {
+  const queryRunner = createQueryRunner();
+  const stateStore = new PrefetchJobStateStore(testLogger, createJobStatePool() as any);
+  await stateStore.load();
+  await stateStore.register([job]);
+  const executor = new JobExecutor(testLogger, queryRunner as any, stateStore, force);
+  return { executor, queryRunner, stateStore };
+}
+
+describe('skip if fresh', () => {
+  test('should skip the job if the cache has been refreshed within the cron interval', async () => {
+    const { executor, queryRunner, stateStore } = await createExecutor();
+    queryRunner.render.mockResolvedValue(cache(DateTime.utc().minus({ minutes: 5 })));
+
+    await executor.execute(job, 1000);
+    expect(queryRunner.query).not.toBeCalled();
+    expect(stateStore.get(job)?.status).toBe(PrefetchJobStatus.SKIPPED);
+  });
+
+  test('should prefetch if the cache is older than the cron interval', async () => {
+    const { executor, queryRunner, stateStore } = await createExecutor();
+    queryRunner.render.mockResolvedValue(cache(DateTime.utc().minus({ minutes: 61 })));
+
+    await executor.execute(job, 1000);
+    expect(queryRunner.query).toBeCalledWith('analyze-stars-history', { repoId: '1' }, expect.objectContaining({ refreshCache: true }));
+    expect(stateStore.get(job)?.status).toBe(PrefetchJobStatus.SUCCEED);
+  });
+
+  test('should prefetch if the cache is stale, cold or failed to check', async () => {
+    const { executor, queryRunner } = await createExecutor();
+    queryRunner.render.mockResolvedValueOnce(cache(DateTime.utc().minus({ minutes: 5 }), true));
+    await executor.execute(job, 1000);
+    queryRunner.render.mockResolvedValueOnce({ cache: { warm: false, stale: false, finishedAt: null } });
+    await executor.execute(job, 1000);
+    queryRunner.render.mockRejectedValueOnce(new Error('Query not found'));
+    await executor.execute(job, 1000);
+    expect(queryRunner.query).toBeCalledTimes(3);
+  });
+
+  test('should prefetch even if the cache is fresh when forced', async () => {
+    const { executor, queryRunner } = await createExecutor(true);
+    queryRunner.render.mockResolvedValue(cache(DateTime.utc().minus({ minutes: 5 })));
+
+    await executor.execute(job, 1000);
+    expect(queryRunner.render).not.toBeCalled();
+    expect(queryRunner.query).toBeCalledTimes(1);
+  });
+
+  test('should never treat the cache refreshed by the last run of the job itself as fresh', async () => {
+    const { executor, queryRunner, stateStore } = await createExecutor();
+    await executor.execute(job, 1000);
+    expect(queryRunner.query).toBeCalledTimes(1);
+
+    // The cache entry is written before the job is marked as succeeded.
+    const lastSuccessAt = stateStore.get(job)!.lastSuccessAt!;
+    queryRunner.render.mockResolvedValue(cache(lastSuccessAt.minus({ milliseconds: 10 })));
+    await executor.execute(job, 1000);
+    expect(queryRunner.query).toBeCalledTimes(2);
+
+    // The cache entry refreshed by others after the last run.
+    queryRunner.render.mockResolvedValue(cache(stateStore.get(job)!.lastSuccessAt!.plus({ milliseconds: 10 })));
+    await executor.execute(job, 1000);
+    expect(queryRunner.query).toBeCalledTimes(2);
+  });
+});
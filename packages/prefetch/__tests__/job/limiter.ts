@@ -0,0 +1,62 @@
+import {PrioritySemaphore, SlidingWindowRateLimiter} from "../../src/job/limiter";
+
+describe('priority semaphore', () => {
+  test('should grant the waiters with the lower priority value first, and in order', async () => {
+    const semaphore = new PrioritySemaphore(1);
+    const granted: string[] = [];
+    await semaphore.acquire(0);
+
+    const low = semaphore.acquire(2).then(() => granted.push('low'));
+    const high1 = semaphore.acquire(1).then(() => granted.push('high-1'));
+    const high2 = semaphore.acquire(1).then(() => granted.push('high-2'));
+    await Promise.resolve();
+    expect(granted).toEqual([]);
+
+    semaphore.release();
+    await high1;
+    semaphore.release();
+    await high2;
+    semaphore.release();
+    await low;
+    expect(granted).toEqual(['high-1', 'high-2', 'low']);
+  });
+
+  test('should grant the waiters when the max is raised', async () => {
+    const semaphore = new PrioritySemaphore(1);
+    await semaphore.acquire(0);
+    const waiter = jest.fn();
+    const acquired = semaphore.acquire(0).then(waiter);
+    await Promise.resolve();
+    expect(waiter).not.toBeCalled();
+
+    semaphore.setMax(2);
+    await acquired;
+    expect(waiter).toBeCalled();
+  });
+});
+
+describe('sliding window rate limiter', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should wait until the earliest query slides out of the window', async () => {
+    const limiter = new SlidingWindowRateLimiter(2, 1000);
+    await limiter.acquire();
+    await jest.advanceTimersByTimeAsync(500);
+    await limiter.acquire();
+
+    const waiter = jest.fn();
+    const acquired = limiter.acquire().then(waiter);
+    await jest.advanceTimersByTimeAsync(499);
+    expect(waiter).not.toBeCalled();
+
+    await jest.advanceTimersByTimeAsync(1);
+    await acquired;
+    expect(waiter).toBeCalled();
+  });
+});
@@ -0,0 +1,33 @@
+import {validateQueuesConfig} from "../../src/job/queues";
+
+describe('validate queues config', () => {
+  test('should fill the default priority', () => {
+    expect(validateQueuesConfig({
+      maxConcurrent: 4,
+      queues: [
+        { name: 'MAIN', concurrent: 2, timeout: 1000 },
+        { name: 'EVENTS_TOTAL', concurrent: 1, timeout: 1000, priority: 1, rateLimit: { limit: 30, interval: 60000 } },
+      ],
+    })).toEqual({
+      maxConcurrent: 4,
+      queues: [
+        { name: 'MAIN', concurrent: 2, timeout: 1000, priority: 0, rateLimit: undefined },
+        { name: 'EVENTS_TOTAL', concurrent: 1, timeout: 1000, priority: 1, rateLimit: { limit: 30, interval: 60000 } },
+      ],
+    });
+  });
+
+  test.each([
+    [{ maxConcurrent: 0, queues: [] }, /maxConcurrent/],
+    [{ queues: {} }, /must be an array/],
+    [{ queues: [{ concurrent: 1, timeout: 1000 }] }, /name/],
+    [{ queues: [{ name: 'MAIN', concurrent: 1.5, timeout: 1000 }] }, /concurrent of prefetch queue <MAIN>/],
+    [{ queues: [{ name: 'MAIN', concurrent: 1, timeout: -1 }] }, /timeout of prefetch queue <MAIN>/],
+    [{ queues: [{ name: 'MAIN', concurrent: 1, timeout: 1000, priority: '1' }] }, /priority of prefetch queue <MAIN>/],
+    [{ queues: [{ name: 'MAIN', concurrent: 1, timeout: 1000, rateLimit: { limit: 1 } }] }, /rateLimit of prefetch queue <MAIN>/],
+    [{ queues: [{ name: 'MAIN', concurrent: 1, timeout: 1000 }, { name: 'MAIN', concurrent: 1, timeout: 1000 }] }, /more than once/],
+    [{ queues: [{ name: 'REALTIME', concurrent: 1, timeout: 1000 }] }, /default prefetch queue <MAIN>/],
+  ])('should reject invalid config %j', (raw, message) => {
+    expect(() => validateQueuesConfig(raw)).toThrow(message);
+  });
+});
@@ -0,0 +1,45 @@
+import {JobScheduler} from "../../src/job/scheduler";
+import {testLogger} from "../helpers/log";
+
+function createJob(repoId: string) {
+  return { queryName: 'analyze-stars-history', refreshQueue: 'MAIN', refreshCron: '0 0 * * * *', params: { repoId } };
+}
+
+describe('drain queue', () => {
+  test('should remove the waiting jobs without interrupting the running ones', async () => {
+    let finish: () => void = () => {};
+    const jobExecutor = {
+      execute: jest.fn(() => new Promise<void>((resolve) => {
+        finish = resolve;
+      })),
+    };
+    const jobScheduler = new JobScheduler(testLogger, jobExecutor as any, {
+      queues: [{ name: 'MAIN', concurrent: 1, timeout: 1000, priority: 0 }],
+    });
+
+    for (const repoId of ['1', '2', '3']) {
+      await jobScheduler.scheduleJob(createJob(repoId));
+    }
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(jobExecutor.execute).toBeCalledTimes(1);
+    expect(jobScheduler.listQueues()[0]).toMatchObject({ waiting: 2, running: 1 });
+
+    expect(jobScheduler.drainQueue('MAIN')).toBe(2);
+    expect(jobScheduler.listJobs('MAIN')).toMatchObject({
+      waiting: [],
+      running: [{ job: { params: { repoId: '1' } } }],
+    });
+
+    finish();
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(jobExecutor.execute).toBeCalledTimes(1);
+    expect(jobScheduler.listQueues()[0]).toMatchObject({ waiting: 0, running: 0 });
+  });
+
+  test('should reject the queue not declared', () => {
+    const jobScheduler = new JobScheduler(testLogger, {} as any, {
+      queues: [{ name: 'MAIN', concurrent: 1, timeout: 1000, priority: 0 }],
+    });
+    expect(() => jobScheduler.drainQueue('REALTIME')).toThrow(/not found/);
+  });
+});
@@ -0,0 +1,73 @@
+import {DateTime} from "luxon";
+import {PrefetchJobStateStore, PrefetchJobStatus} from "../../src/job/state";
+import {testLogger} from "../helpers/log";
+import {createJobStatePool} from "../helpers/pool";
+
+const job = { queryName: 'analyze-stars-history', refreshQueue: 'MAIN', refreshCron: '0 0 * * * *', params: { repoId: '1' } };
+
+async function createStore(pool = createJobStatePool()) {
+  const store = new PrefetchJobStateStore(testLogger, pool as any);
+  await store.load();
+  return store;
+}
+
+describe('isOverdue', () => {
+  const now = DateTime.fromISO('2023-01-01T10:30:00Z');
+
+  test('should be overdue if the job has never succeeded', async () => {
+    const store = await createStore();
+    expect(store.isOverdue(job, now)).toBe(true);
+
+    await store.register([job]);
+    expect(store.get(job)?.status).toBe(PrefetchJobStatus.PENDING);
+    expect(store.isOverdue(job, now)).toBe(true);
+  });
+
+  test('should be overdue if the job has not succeeded since its latest fire time', async () => {
+    const store = await createStore();
+    await store.register([job]);
+
+    await store.markSucceed(job, DateTime.fromISO('2023-01-01T09:59:59Z'), 1);
+    expect(store.isOverdue(job, now)).toBe(true);
+    await store.markSucceed(job, DateTime.fromISO('2023-01-01T10:00:01Z'), 1);
+    expect(store.isOverdue(job, now)).toBe(false);
+  });
+
+  test('should be overdue if the job was interrupted while running', async () => {
+    const store = await createStore();
+    await store.register([job]);
+    await store.markSucceed(job, DateTime.fromISO('2023-01-01T10:00:01Z'), 1);
+    await store.markRunning(job, DateTime.fromISO('2023-01-01T10:05:00Z'));
+    expect(store.isOverdue(job, now)).toBe(true);
+  });
+
+  test('should keep the state after a restart', async () => {
+    const pool = createJobStatePool();
+    const store = await createStore(pool);
+    const overdueJob = { ...job, params: { repoId: '2' } };
+    const interruptedJob = { ...job, params: { repoId: '3' } };
+    await store.register([job, overdueJob, interruptedJob]);
+    await store.markSucceed(job, DateTime.fromISO('2023-01-01T10:00:01Z'), 1);
+    await store.markSucceed(overdueJob, DateTime.fromISO('2023-01-01T09:00:01Z'), 1);
+    await store.markRunning(interruptedJob, DateTime.fromISO('2023-01-01T10:00:00Z'));
+
+    const restarted = await createStore(createJobStatePool(pool.rows));
+    expect(restarted.get(job)).toMatchObject({
+      status: PrefetchJobStatus.SUCCEED,
+      lastSuccessAt: DateTime.fromISO('2023-01-01T10:00:01Z').toUTC(),
+      lastDuration: 1,
+    });
+    expect(restarted.isOverdue(job, now)).toBe(false);
+    expect(restarted.isOverdue(overdueJob, now)).toBe(true);
+    expect(restarted.isOverdue(interruptedJob, now)).toBe(true);
+  });
+
+  test('should keep the run history when the job is registered again', async () => {
+    const store = await createStore();
+    await store.register([job]);
+    await store.markSucceed(job, DateTime.fromISO('2023-01-01T10:00:01Z'), 1);
+    await store.register([{ ...job, refreshQueue: 'REALTIME' }]);
+    expect(store.get(job)).toMatchObject({ refreshQueue: 'REALTIME', status: PrefetchJobStatus.SUCCEED });
+    expect(store.isOverdue(job, now)).toBe(false);
+  });
+});
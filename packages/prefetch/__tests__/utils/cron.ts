@@ -0,0 +1,33 @@
+import {DateTime} from "luxon";
+import {getCronInterval, getPrevFireTime} from "../../src/utils/cron";
+
+describe('getPrevFireTime', () => {
+  test('should return the latest fire time before now', () => {
+    expect(getPrevFireTime('0 0 * * * *', DateTime.fromISO('2023-01-01T10:30:15Z')).toISO())
+      .toBe('2023-01-01T10:00:00.000Z');
+    expect(getPrevFireTime('0 0 2 * * *', DateTime.fromISO('2023-01-01T01:00:00Z')).toISO())
+      .toBe('2022-12-31T02:00:00.000Z');
+  });
+
+  test('should include the fire time equals to now', () => {
+    expect(getPrevFireTime('0 0 * * * *', DateTime.fromISO('2023-01-01T10:00:00Z')).toISO())
+      .toBe('2023-01-01T10:00:00.000Z');
+  });
+
+  test('should be based on UTC time', () => {
+    expect(getPrevFireTime('0 0 0 * * *', DateTime.fromISO('2023-01-01T10:00:00+08:00')).toISO())
+      .toBe('2023-01-01T00:00:00.000Z');
+  });
+});
+
+describe('getCronInterval', () => {
+  test('should return the interval between the fire times', () => {
+    expect(getCronInterval('0 0 * * * *', DateTime.fromISO('2023-01-01T10:30:00Z'))).toBe(60 * 60 * 1000);
+    expect(getCronInterval('0 0 0 * * *', DateTime.fromISO('2023-01-01T10:30:00Z'))).toBe(24 * 60 * 60 * 1000);
+  });
+
+  test('should return the current interval of irregular cron expressions', () => {
+    expect(getCronInterval('0 0 0 1 * *', DateTime.fromISO('2023-02-10T00:00:00Z'))).toBe(28 * 24 * 60 * 60 * 1000);
+    expect(getCronInterval('0 0 0 1 * *', DateTime.fromISO('2023-03-10T00:00:00Z'))).toBe(31 * 24 * 60 * 60 * 1000);
+  });
+});
@@ -0,0 +1,99 @@
+import * as http from "http";
+import {JobScheduler, QueuedJob} from "./job/scheduler";
+
+/**
+ * The admin API of prefetch queues:
+ *
+ * | Method | Path                          | Description                                   |
+ * | ------ | ----------------------------- | --------------------------------------------- |
+ * | GET    | /admin/queues                 | List the queues with their waiting / running. |
+ * | GET    | /admin/queues/:name/jobs      | List the waiting and running jobs.            |
+ * | POST   | /admin/queues/:name/pause     | Stop starting new jobs from the queue.        |
+ * | POST   | /admin/queues/:name/resume    | Resume the paused queue.                      |
+ * | POST   | /admin/queues/:name/drain     | Remove the waiting jobs from the queue.       |
+ *
+ * The requests must carry the `Authorization: Bearer <ADMIN_TOKEN>` header if `ADMIN_TOKEN` is set, the
+ * POST actions are rejected if `ADMIN_TOKEN` is not set, because the server is exposed with metrics.
+ *
+ * @return false if the request is not handled by the admin API.
+ */
+export function handleAdminRequest(
+  jobScheduler: JobScheduler,
+  adminToken: string | undefined,
+  req: http.IncomingMessage,
+  res: http.ServerResponse
+): boolean {
+  const { pathname } = new URL(req.url ?? '/', 'http://localhost');
+  if (!pathname.startsWith('/admin/')) {
+    return false;
+  }
+
+  if (adminToken && req.headers.authorization !== `Bearer ${adminToken}`) {
+    sendJSON(res, 401, { message: 'Unauthorized.' });
+    return true;
+  }
+
+  if (!adminToken && req.method !== 'GET') {
+    sendJSON(res, 403, { message: 'The admin actions are disabled, please set the ADMIN_TOKEN env to enable them.' });
+    return true;
+  }
+
+  if (req.method === 'GET' && pathname === '/admin/queues') {
+    sendJSON(res, 200, { queues: jobScheduler.listQueues() });
+    return true;
+  }
+
+  const matched = pathname.match(/^\/admin\/queues\/([^/]+)\/(jobs|pause|resume|drain)$/);
+  if (!matched) {
+    sendJSON(res, 404, { message: 'Not found.' });
+    return true;
+  }
+
+  const [, encodedName, action] = matched;
+  const queueName = decodeURIComponent(encodedName);
+  if (!jobScheduler.hasQueue(queueName)) {
+    sendJSON(res, 404, { message: `Prefetch queue <${queueName}> not found.` });
+    return true;
+  }
+
+  const expectedMethod = action === 'jobs' ? 'GET' : 'POST';
+  if (req.method !== expectedMethod) {
+    sendJSON(res, 405, { message: `Method ${req.method} is not allowed.` });
+    return true;
+  }
+
+  switch (action) {
+    case 'jobs': {
+      const { waiting, running } = jobScheduler.listJobs(queueName);
+      sendJSON(res, 200, { waiting: waiting.map(formatQueuedJob), running: running.map(formatQueuedJob) });
+      break;
+    }
+    case 'pause':
+      jobScheduler.pauseQueue(queueName);
+      sendJSON(res, 200, { ok: true });
+      break;
+    case 'resume':
+      jobScheduler.resumeQueue(queueName);
+      sendJSON(res, 200, { ok: true });
+      break;
+    case 'drain':
+      sendJSON(res, 200, { ok: true, removed: jobScheduler.drainQueue(queueName) });
+      break;
+  }
+  return true;
+}
+
+function formatQueuedJob({ job, queuedAt, startedAt }: QueuedJob) {
+  return {
+    queryName: job.queryName,
+    params: job.params,
+    refreshCron: job.refreshCron,
+    queuedAt: queuedAt.toISO(),
+    startedAt: startedAt?.toISO() ?? null,
+  };
+}
+
+function sendJSON(res: http.ServerResponse, statusCode: number, body: any) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
@@ -6,6 +6,13 @@ export interface AppConfig {
   SHADOW_DATABASE_URL: string;
   SERVER_PORT: number;
   QUERY_CACHE_KEY_PREFIX: string;
+  REDIS_URL?: string;
+  ADMIN_TOKEN?: string;
+  ENABLE_ADAPTIVE_PREFETCH: boolean;
+  ADAPTIVE_PREFETCH_CRON: string;
+  ADAPTIVE_PREFETCH_HALF_LIFE_HOURS: number;
+  ADAPTIVE_PREFETCH_MIN_SCORE: number;
+  ADAPTIVE_PREFETCH_MAX_JOBS: number;
 }
 
 export const PrefetchEnvSchema = {
@@ -28,6 +35,36 @@ export const PrefetchEnvSchema = {
     },
     QUERY_CACHE_KEY_PREFIX: {
       type: 'string',
+    },
+    REDIS_URL: {
+      type: 'string',
+    },
+    // The token required by the admin API of prefetch queues, no authorization if not set.
+    ADMIN_TOKEN: {
+      type: 'string',
+    },
+    ENABLE_ADAPTIVE_PREFETCH: {
+      type: 'boolean',
+      default: true
+    },
+    // How often to re-plan the adaptive prefetch jobs from the query request stats.
+    ADAPTIVE_PREFETCH_CRON: {
+      type: 'string',
+      default: '0 */10 * * * *'
+    },
+    // The weight of a request halves every N hours.
+    ADAPTIVE_PREFETCH_HALF_LIFE_HOURS: {
+      type: 'number',
+      default: 6
+    },
+    // The minimum decayed request count to promote a params combination into scheduled prefetch jobs.
+    ADAPTIVE_PREFETCH_MIN_SCORE: {
+      type: 'number',
+      default: 10
+    },
+    ADAPTIVE_PREFETCH_MAX_JOBS: {
+      type: 'number',
+      default: 500
     }
   },
 };
@@ -2,20 +2,27 @@ import {
   CacheBuilder, cacheHitCounter, cacheQueryHistogram,
   CollectionService,
   QueryLoader,
-  QueryRunner, shadowTidbQueryCounter, shadowTidbQueryHistogram, shadowTidbWaitConnectionHistogram, tidbQueryCounter,
+  QUERY_REFRESHED_EVENT, QueryRunner, shadowTidbQueryCounter, shadowTidbQueryHistogram, shadowTidbWaitConnectionHistogram, tidbQueryCounter,
   TiDBQueryExecutor, tidbQueryHistogram, tidbWaitConnectionHistogram
 } from "@ossinsight/api-server";
+import {Emitter} from "@socket.io/redis-emitter";
 import {Command} from "commander";
 import {CronJob} from 'cron';
 import envSchema from "env-schema";
 import * as http from "http";
+import path from "path";
+import Redis from "ioredis";
 import {Pool} from "mysql2/promise";
 import {collectDefaultMetrics, Registry} from "prom-client";
+import {handleAdminRequest} from "./admin";
 import {AppConfig, PrefetchEnvSchema} from "./env";
+import {AdaptiveJobPlanner} from "./job/adaptive";
 import {JobExecutor} from "./job/executor";
 import {JobGenerator} from "./job/generator";
+import {loadQueuesConfig, QUEUES_CONFIG_FILE, watchQueuesConfig} from "./job/queues";
 import {JobScheduler} from "./job/scheduler";
-import {prefetchQueryCounter, prefetchQueryHistogram, queueWaitsGauge} from "./metrics";
+import {getJobKey, PrefetchJobStateStore} from "./job/state";
+import {adaptiveJobsGauge, prefetchQueryCounter, prefetchQueryHistogram, queueWaitsGauge} from "./metrics";
 import {createTiDBPool} from "./utils/db";
 
 const logger = require('./logger');
@@ -30,6 +37,7 @@ export interface Options {
   onlyPrefetch?: string;
   onlyParams?: Record<string, any>;
   once: boolean;
+  force: boolean;
 }
 
 async function main() {
@@ -47,6 +55,7 @@ async function main() {
       (value) => JSON.parse(value)
     )
     .option('--once', 'Only prefetch once.')
+    .option('--force', 'Prefetch the query even if its cache is still fresh.')
     .action(prefetch)
     .version('0.1.0');
 
@@ -68,11 +77,18 @@ async function prefetch(options: Options) {
     shadowPool = await createTiDBPool(config.SHADOW_DATABASE_URL);
   }
 
-  // Init metrics server.
+  // Init redis client, which is used by the queries cached in Redis.
+  let redis: Redis | undefined;
+  if (config.REDIS_URL) {
+    redis = new Redis(config.REDIS_URL);
+  }
+
+  // Init metrics.
   const register = new Registry();
   register.registerMetric(queueWaitsGauge);
   register.registerMetric(prefetchQueryCounter);
   register.registerMetric(prefetchQueryHistogram);
+  register.registerMetric(adaptiveJobsGauge);
   register.registerMetric(tidbWaitConnectionHistogram);
   register.registerMetric(tidbQueryHistogram);
   register.registerMetric(tidbQueryCounter);
@@ -88,21 +104,19 @@ async function prefetch(options: Options) {
     }
   });
 
-  http.createServer(async (req, res) => {
-    if (req.url === '/metrics') {
-      res.writeHead(200, {'Content-Type': register.contentType});
-      res.end(await register.metrics());
-    } else {
-      res.writeHead(404);
-      res.end();
-    }
-  }).listen(config.SERVER_PORT);
-
   // Init query executor.
   const tidbQueryExecutor = new TiDBQueryExecutor(pool, shadowPool, logger);
 
   // Init Cache Builder.
-  const cacheBuilder = new CacheBuilder(logger, true, pool, shadowPool, config.QUERY_CACHE_KEY_PREFIX);
+  const cacheBuilder = new CacheBuilder(logger, true, pool, shadowPool, config.QUERY_CACHE_KEY_PREFIX, redis);
+
+  // Notify the API servers to push the refreshed results to the live query subscribers.
+  if (redis) {
+    const emitter = new Emitter(redis);
+    cacheBuilder.addRefreshListener((cacheKey) => {
+      emitter.serverSideEmit(QUERY_REFRESHED_EVENT, cacheKey);
+    });
+  }
 
   // Init collection service.
   const collectionService = new CollectionService(logger, tidbQueryExecutor, cacheBuilder);
@@ -122,14 +136,33 @@ async function prefetch(options: Options) {
   // Init job generator.
   const jobGenerator = new JobGenerator(logger, presets, queries);
 
+  // Load the persisted job states.
+  const stateStore = new PrefetchJobStateStore(logger, pool);
+  await stateStore.load();
+
   // Init job executor.
-  const jobExecutor = new JobExecutor(logger, queryRunner)
+  const jobExecutor = new JobExecutor(logger, queryRunner, stateStore, options.force);
 
-  // Init job scheduler.
-  const jobScheduler = new JobScheduler(logger, jobExecutor);
+  // Init job scheduler with the declarative queue config, which is reloaded on change.
+  const queuesConfigFile = path.join(config.CONFIGS_PATH, QUEUES_CONFIG_FILE);
+  const jobScheduler = new JobScheduler(logger, jobExecutor, loadQueuesConfig(queuesConfigFile));
+  if (!options.once) {
+    watchQueuesConfig(logger, queuesConfigFile, (queuesConfig) => jobScheduler.reload(queuesConfig));
+  }
+
+  // Init metrics and admin server.
+  http.createServer(async (req, res) => {
+    if (req.url === '/metrics') {
+      res.writeHead(200, {'Content-Type': register.contentType});
+      res.end(await register.metrics());
+    } else if (!handleAdminRequest(jobScheduler, config.ADMIN_TOKEN, req, res)) {
+      res.writeHead(404);
+      res.end();
+    }
+  }).listen(config.SERVER_PORT);
 
   // Convert queries to prefetch jobs.
-  Object.entries(queries)
+  const prefetchJobs = Object.entries(queries)
     .filter(([queryName, queryDef]) => {
       return options.onlyPrefetch ? queryName === options.onlyPrefetch : true;
     }).filter(([queryName, queryDef]) => {
@@ -139,25 +172,65 @@ async function prefetch(options: Options) {
       return jobGenerator.generate(queryName, options.onlyParams);
     })
     // Flatten the array.
-    .reduce((arr, job) => arr.concat(job), [])
-    .forEach((prefetchJob) => {
-      if (options.once) {
+    .reduce((arr, job) => arr.concat(job), []);
+  await stateStore.register(prefetchJobs);
+
+  let resumed = 0;
+  prefetchJobs.forEach((prefetchJob) => {
+    if (options.once) {
+      jobScheduler.scheduleJob(prefetchJob).then(null).catch((err) => {
+        logger.error(err, `❌ Failed to execute prefetch job (once mode) for query ${prefetchJob.queryName}.`);
+      });
+      return;
+    }
+
+    // Resume the jobs which missed their schedule while the prefetch program was down, the others
+    // wait for their next fire time.
+    if (stateStore.isOverdue(prefetchJob)) {
+      resumed++;
+      jobScheduler.scheduleJob(prefetchJob).then(null).catch((err) => {
+        logger.error(err, `❌ Failed to execute prefetch job (resume mode) for query ${prefetchJob.queryName}.`);
+      });
+    }
+
+    return new CronJob(
+      prefetchJob.refreshCron,
+      function () {
         jobScheduler.scheduleJob(prefetchJob).then(null).catch((err) => {
-          logger.error(err, `❌ Failed to execute prefetch job (once mode) for query ${prefetchJob.queryName}.`);
+          logger.error(err, `❌ Failed to execute prefetch job (cron mode) for query ${prefetchJob.queryName}.`);
         });
-        return;
-      } else {
-        return new CronJob(
-          prefetchJob.refreshCron,
-          function () {
-            jobScheduler.scheduleJob(prefetchJob).then(null).catch((err) => {
-              logger.error(err, `❌ Failed to execute prefetch job (cron mode) for query ${prefetchJob.queryName}.`);
-            });
-          },
-          null,
-          true,
-          'UTC'
-        );
+      },
+      null,
+      true,
+      'UTC'
+    );
+  });
+
+  if (!options.once) {
+    logger.info(`⏰ Scheduled %d prefetch jobs, %d overdue jobs are resumed.`, prefetchJobs.length, resumed);
+  }
+
+  // Schedule the frequently requested params combinations according to the query request stats.
+  if (config.ENABLE_ADAPTIVE_PREFETCH && !options.once && !options.onlyPrefetch) {
+    const planner = new AdaptiveJobPlanner(
+      logger,
+      pool,
+      queries,
+      jobScheduler,
+      stateStore,
+      new Set(prefetchJobs.map((job) => getJobKey(job))),
+      {
+        halfLifeHours: config.ADAPTIVE_PREFETCH_HALF_LIFE_HOURS,
+        minScore: config.ADAPTIVE_PREFETCH_MIN_SCORE,
+        maxJobs: config.ADAPTIVE_PREFETCH_MAX_JOBS,
       }
-    });
+    );
+    const planAdaptiveJobs = () => {
+      planner.plan().catch((err) => {
+        logger.error(err, `❌ Failed to plan the adaptive prefetch jobs.`);
+      });
+    };
+    planAdaptiveJobs();
+    new CronJob(config.ADAPTIVE_PREFETCH_CRON, planAdaptiveJobs, null, true, 'UTC');
+  }
 }
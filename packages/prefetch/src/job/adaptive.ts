@@ -0,0 +1,266 @@
+import {QuerySchema} from "@ossinsight/api-server";
+import {CronJob} from "cron";
+import {Pool, ResultSetHeader} from "mysql2/promise";
+import pino from "pino";
+import {adaptiveJobsGauge} from "../metrics";
+import {PrefetchJob} from "./generator";
+import {DEFAULT_QUEUE_NAME} from "./queues";
+import {JobScheduler} from "./scheduler";
+import {getJobKey, PrefetchJobStateStore} from "./state";
+
+// The query time (in seconds) that prefetch can spend for each request served from the warm cache.
+const QUERY_SECONDS_PER_REQUEST = 1;
+
+// The candidate refresh intervals (in minutes) of adaptive prefetch jobs.
+const REFRESH_INTERVALS = [5, 10, 15, 30, 60, 120, 180, 360, 720, 1440];
+
+// The number of expired requests deleted per statement, to avoid large transactions.
+const PURGE_REQUESTS_BATCH_SIZE = 10000;
+
+export interface AdaptivePrefetchOptions {
+  // The weight of a request halves every N hours.
+  halfLifeHours: number;
+  // The minimum score to promote a params combination, the promoted one decays out when its score
+  // drops below half of it.
+  minScore: number;
+  maxJobs: number;
+}
+
+export interface AdaptivePrefetchCandidate {
+  job: PrefetchJob;
+  // The request count with exponential decay by the age of requests.
+  score: number;
+  // The average execution time (in seconds) of the query result.
+  cost: number;
+}
+
+interface AdaptivePrefetchEntry {
+  job: PrefetchJob;
+  cronJob: CronJob;
+}
+
+/**
+ * @class AdaptiveJobPlanner
+ * @classdesc Promote the frequently requested params combinations recorded by the `StatsService` of
+ * api-server into scheduled prefetch jobs, the cadence of which is derived from request rate and query
+ * cost. The combinations no longer requested decay out of the schedule.
+ */
+export class AdaptiveJobPlanner {
+  private readonly entries: Map<string, AdaptivePrefetchEntry> = new Map();
+  private planning = false;
+
+  constructor(
+    private readonly logger: pino.Logger,
+    private readonly pool: Pool,
+    private readonly queries: Record<string, QuerySchema>,
+    private readonly jobScheduler: JobScheduler,
+    private readonly stateStore: PrefetchJobStateStore,
+    // The keys of the jobs generated from the query definitions, which are never scheduled twice.
+    private readonly staticJobKeys: Set<string>,
+    private readonly options: AdaptivePrefetchOptions,
+  ) {}
+
+  async plan() {
+    if (this.planning) {
+      this.logger.warn('⏭️ The previous planning of adaptive prefetch jobs is still in progress, skip.');
+      return;
+    }
+
+    this.planning = true;
+    try {
+      const { minScore, maxJobs } = this.options;
+      const candidates = await this.getCandidates(minScore / 2);
+
+      const promoted: PrefetchJob[] = [];
+      const rescheduled: PrefetchJob[] = [];
+      const retained = new Set<string>();
+      for (const { job, score } of candidates) {
+        const jobKey = getJobKey(job);
+        const entry = this.entries.get(jobKey);
+        if (entry) {
+          retained.add(jobKey);
+          if (entry.job.refreshCron !== job.refreshCron) {
+            entry.cronJob.stop();
+            rescheduled.push(job);
+            this.entries.set(jobKey, { job, cronJob: this.createCronJob(job) });
+          }
+        } else if (score >= minScore && this.entries.size < maxJobs) {
+          retained.add(jobKey);
+          promoted.push(job);
+          this.entries.set(jobKey, { job, cronJob: this.createCronJob(job) });
+        }
+      }
+
+      // Decay out the cold combinations.
+      let demoted = 0;
+      for (const [jobKey, entry] of this.entries) {
+        if (!retained.has(jobKey)) {
+          entry.cronJob.stop();
+          this.entries.delete(jobKey);
+          demoted++;
+        }
+      }
+
+      // Warm up the promoted combinations immediately, the fresh ones are skipped by the executor.
+      await this.stateStore.register([...promoted, ...rescheduled]);
+      for (const job of promoted) {
+        this.scheduleJob(job, 'warm-up');
+      }
+
+      this.updateMetrics();
+      this.logger.info(
+        `🔥 Planned %d adaptive prefetch jobs, %d promoted, %d decayed out.`,
+        this.entries.size, promoted.length, demoted
+      );
+
+      await this.purgeRequests();
+    } finally {
+      this.planning = false;
+    }
+  }
+
+  /**
+   * Aggregate the query requests with exponential decay, the requests older than 8 half-lives (weight
+   * < 0.4%) are ignored.
+   */
+  async getCandidates(minScore: number): Promise<AdaptivePrefetchCandidate[]> {
+    const { halfLifeHours, maxJobs } = this.options;
+    const [rows] = await this.pool.query<any[]>(`
+      SELECT
+        query_name,
+        ANY_VALUE(params) AS params,
+        SUM(POW(0.5, TIMESTAMPDIFF(SECOND, requested_at, NOW()) / ?)) AS score,
+        AVG(spent) AS cost
+      FROM stats_query_requests
+      WHERE requested_at >= NOW() - INTERVAL ? HOUR
+      GROUP BY query_name, params_digest
+      HAVING score >= ?
+      ORDER BY score DESC
+      LIMIT ?
+    `, [halfLifeHours * 3600, halfLifeHours * 8, minScore, maxJobs * 2]);
+
+    // Notice: The requests with different extra params (e.g. `format`) are merged into the same job.
+    const candidates = new Map<string, AdaptivePrefetchCandidate>();
+    for (const row of rows) {
+      const queryName = row.query_name;
+      const query = this.queries[queryName];
+      // The queries without cache can not be warmed up.
+      if (!query || query.cacheHours === 0) {
+        continue;
+      }
+
+      const params = this.resolveParams(query, typeof row.params === 'string' ? JSON.parse(row.params) : row.params);
+      const score = Number(row.score);
+      const cost = Number(row.cost);
+      const jobKey = getJobKey({ queryName, params });
+      if (this.staticJobKeys.has(jobKey)) {
+        continue;
+      }
+
+      const existing = candidates.get(jobKey);
+      const totalScore = score + (existing?.score ?? 0);
+      const avgCost = existing ? (existing.cost * existing.score + cost * score) / totalScore : cost;
+      candidates.set(jobKey, {
+        job: {
+          queryName,
+          refreshQueue: query.refreshQueue || DEFAULT_QUEUE_NAME,
+          refreshCron: resolveAdaptiveCron(jobKey, totalScore, avgCost, this.options.halfLifeHours, query.cacheHours),
+          params,
+        },
+        score: totalScore,
+        cost: avgCost,
+      });
+    }
+
+    return Array.from(candidates.values()).sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Delete the query requests which are no longer read by the planning (older than 8 half-lives), so that
+   * the `stats_query_requests` table will not grow forever.
+   */
+  async purgeRequests(): Promise<number> {
+    const { halfLifeHours } = this.options;
+    let purged = 0;
+    while (true) {
+      const [result] = await this.pool.query<ResultSetHeader>(`
+        DELETE FROM stats_query_requests
+        WHERE requested_at < NOW() - INTERVAL ? HOUR
+        LIMIT ?
+      `, [halfLifeHours * 8, PURGE_REQUESTS_BATCH_SIZE]);
+      purged += result.affectedRows;
+      if (result.affectedRows < PURGE_REQUESTS_BATCH_SIZE) {
+        break;
+      }
+    }
+
+    if (purged > 0) {
+      this.logger.info(`🧹 Purged %d expired query requests.`, purged);
+    }
+    return purged;
+  }
+
+  // Only keep the params declared by the query, which are used to build the cache key.
+  private resolveParams(query: QuerySchema, params: Record<string, any>): Record<string, string> {
+    const resolved: Record<string, string> = {};
+    for (const { name } of query.params) {
+      const value = params?.[name];
+      if (value !== undefined && value !== null && value !== '') {
+        resolved[name] = String(value);
+      }
+    }
+    return resolved;
+  }
+
+  private createCronJob(job: PrefetchJob): CronJob {
+    return new CronJob(job.refreshCron, () => this.scheduleJob(job, 'adaptive mode'), null, true, 'UTC');
+  }
+
+  private scheduleJob(job: PrefetchJob, mode: string) {
+    this.jobScheduler.scheduleJob(job).then(null).catch((err) => {
+      this.logger.error(err, `❌ Failed to execute prefetch job (${mode}) for query ${job.queryName}.`);
+    });
+  }
+
+  private updateMetrics() {
+    adaptiveJobsGauge.reset();
+    for (const { job } of this.entries.values()) {
+      adaptiveJobsGauge.inc({ query: job.queryName });
+    }
+  }
+
+}
+
+/**
+ * Resolve the refresh cron of the adaptive prefetch job.
+ *
+ * The refresh interval is the time to receive enough requests to pay for the query cost, bounded by
+ * the candidate intervals and the cache hours of the query. The offset of the cron is derived from the
+ * job key, so that the jobs are spread out and the cron of a job keeps stable between plannings.
+ */
+export function resolveAdaptiveCron(
+  jobKey: string,
+  score: number,
+  cost: number,
+  halfLifeHours: number,
+  cacheHours?: number
+): string {
+  // The decayed count of a steady request stream equals to `rate * halfLife / ln2`.
+  const requestsPerMinute = score * Math.LN2 / (halfLifeHours * 60);
+  let intervalMinutes = cost / QUERY_SECONDS_PER_REQUEST / Math.max(requestsPerMinute, Number.EPSILON);
+  if (cacheHours && cacheHours > 0) {
+    intervalMinutes = Math.min(intervalMinutes, cacheHours * 60);
+  }
+
+  // Pick the longest candidate interval not longer than expected.
+  const interval = REFRESH_INTERVALS.filter((i) => i <= intervalMinutes).pop() ?? REFRESH_INTERVALS[0];
+  const hash = parseInt(jobKey.slice(0, 8), 16);
+  const second = hash % 60;
+  if (interval < 60) {
+    return `${second} ${hash % interval}-59/${interval} * * * *`;
+  }
+
+  const hours = interval / 60;
+  const minute = hash % 60;
+  return hours === 1 ? `${second} ${minute} * * * *` : `${second} ${minute} ${hash % hours}-23/${hours} * * *`;
+}
@@ -2,23 +2,36 @@ import {QueryRunner} from "@ossinsight/api-server";
 import {DateTime} from "luxon";
 import pino from "pino";
 import {prefetchQueryCounter, prefetchQueryHistogram} from "../metrics";
+import {getCronInterval} from "../utils/cron";
 import {PrefetchJob} from "./generator";
+import {PrefetchJobStateStore} from "./state";
 
 export class JobExecutor {
 
   constructor(
     private readonly logger: pino.Logger,
-    private readonly queryRunner: QueryRunner
+    private readonly queryRunner: QueryRunner,
+    private readonly stateStore: PrefetchJobStateStore,
+    // Refresh the cache even if it is fresh.
+    private readonly force: boolean = false,
   ) {}
 
   async execute(job: PrefetchJob, timeout: number) {
     const {queryName, params, refreshQueue} = job;
+    if (!this.force && await this.isFresh(job)) {
+      prefetchQueryCounter.inc({query: queryName, phase: 'skipped'});
+      this.logger.info(params, `⏭️ Skip prefetching query <%s>, the cache is still fresh.`, queryName);
+      await this.stateStore.markSkipped(job);
+      return;
+    }
+
     prefetchQueryCounter.inc({query: queryName, phase: 'process'});
     this.logger.info(params, `🚀 Prefetching query <%s> in queue <%s>.`, queryName, refreshQueue);
 
     // Execute the query.
     const qStart = DateTime.utc();
     const histogram = await prefetchQueryHistogram.labels({query: queryName, queue: refreshQueue});
+    await this.stateStore.markRunning(job, qStart);
     try {
       const {spent} = await this.queryRunner.query<any>(queryName, params, {
         refreshCache: true,
@@ -30,6 +43,7 @@ export class JobExecutor {
       const qEnd = DateTime.utc();
       const costTime = qEnd.diff(qStart, ['seconds']);
       histogram.observe(costTime.seconds);
+      await this.stateStore.markSucceed(job, qEnd, costTime.seconds);
 
       prefetchQueryCounter.inc({query: queryName, phase: 'success'});
       this.logger.info({
@@ -43,6 +57,7 @@ export class JobExecutor {
       const qEnd = DateTime.utc();
       const costTime = qEnd.diff(qStart, ['seconds']);
       histogram.observe(costTime.seconds);
+      await this.stateStore.markFailed(job, costTime.seconds, err);
 
       prefetchQueryCounter.inc({query: queryName, phase: 'error'});
       this.logger.error({
@@ -52,4 +67,32 @@ export class JobExecutor {
     }
   }
 
-}
\ No newline at end of file
+  /**
+   * Check if the cache entry of the job has been refreshed within the cron interval by others (e.g. the
+   * user requests of api-server), in which case prefetching again is a waste of resources.
+   *
+   * Notice: The cache entry refreshed by the last run of the job itself is never fresh, otherwise the
+   * job would only be executed every other time.
+   */
+  private async isFresh(job: PrefetchJob): Promise<boolean> {
+    const {queryName, params, refreshCron} = job;
+    try {
+      const {cache} = await this.queryRunner.render(queryName, params);
+      if (!cache.warm || cache.stale || !cache.finishedAt) {
+        return false;
+      }
+
+      const lastSuccessAt = this.stateStore.get(job)?.lastSuccessAt;
+      if (lastSuccessAt && cache.finishedAt <= lastSuccessAt) {
+        return false;
+      }
+
+      const age = DateTime.utc().diff(cache.finishedAt).as('milliseconds');
+      return age < getCronInterval(refreshCron);
+    } catch (err) {
+      this.logger.warn({ params, err }, `Failed to check the cache freshness of query <%s>.`, queryName);
+      return false;
+    }
+  }
+
+}
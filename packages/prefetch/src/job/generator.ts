@@ -1,7 +1,7 @@
 import {Params, QuerySchema, ConditionalRefreshCrons} from "@ossinsight/api-server";
 import {DateTime, DurationLike} from "luxon";
 import {Logger} from "pino";
-import {DEFAULT_QUEUE_NAME} from "./scheduler";
+import {DEFAULT_QUEUE_NAME} from "./queues";
 
 export interface PrefetchJob {
   queryName: string;
@@ -0,0 +1,79 @@
+interface PriorityWaiter {
+  priority: number;
+  resolve: () => void;
+}
+
+/**
+ * Limit the number of concurrent prefetch queries sent to TiDB across queues, the waiters with the lower
+ * priority value are granted first, and the ones with the same priority are granted in order.
+ */
+export class PrioritySemaphore {
+  private active = 0;
+  private waiters: PriorityWaiter[] = [];
+
+  constructor(private max: number = Infinity) {}
+
+  setMax(max: number = Infinity) {
+    this.max = max;
+    this.grant();
+  }
+
+  async acquire(priority: number): Promise<void> {
+    if (this.active < this.max) {
+      this.active++;
+      return;
+    }
+
+    await new Promise<void>((resolve) => {
+      // Insert after the waiters with the same or the lower priority value.
+      const index = this.waiters.findIndex((waiter) => waiter.priority > priority);
+      const waiter = { priority, resolve };
+      if (index === -1) {
+        this.waiters.push(waiter);
+      } else {
+        this.waiters.splice(index, 0, waiter);
+      }
+    });
+  }
+
+  release() {
+    this.active--;
+    this.grant();
+  }
+
+  private grant() {
+    while (this.active < this.max && this.waiters.length > 0) {
+      this.active++;
+      this.waiters.shift()!.resolve();
+    }
+  }
+}
+
+/**
+ * Limit the number of queries started within a sliding window.
+ */
+export class SlidingWindowRateLimiter {
+  private startedAt: number[] = [];
+
+  constructor(
+    private limit: number,
+    private interval: number
+  ) {}
+
+  setLimit(limit: number, interval: number) {
+    this.limit = limit;
+    this.interval = interval;
+  }
+
+  async acquire(): Promise<void> {
+    while (true) {
+      const now = Date.now();
+      this.startedAt = this.startedAt.filter((time) => time > now - this.interval);
+      if (this.startedAt.length < this.limit) {
+        this.startedAt.push(now);
+        return;
+      }
+      await new Promise((resolve) => setTimeout(resolve, this.startedAt[0] + this.interval - now));
+    }
+  }
+}
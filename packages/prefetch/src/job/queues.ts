@@ -0,0 +1,111 @@
+import * as fs from "fs";
+import path from "path";
+import pino from "pino";
+
+export const DEFAULT_QUEUE_NAME = 'MAIN';
+
+export const QUEUES_CONFIG_FILE = path.join('prefetch', 'queues.json');
+
+export interface PrefetchQueueRateLimit {
+  // The maximum number of queries sent to TiDB within the interval.
+  limit: number;
+  // Interval in milliseconds.
+  interval: number;
+}
+
+export interface PrefetchQueue {
+  name: string;
+  // The concurrent of the queue.
+  concurrent: number;
+  // Timeout in milliseconds.
+  timeout: number;
+  // The queue with the lower value takes the free TiDB slots first when `maxConcurrent` is reached.
+  priority: number;
+  rateLimit?: PrefetchQueueRateLimit;
+}
+
+export interface PrefetchQueuesConfig {
+  // The maximum number of concurrent prefetch queries across all queues, unlimited if not set.
+  maxConcurrent?: number;
+  queues: PrefetchQueue[];
+}
+
+/**
+ * Load the declarative queue config from `configs/prefetch/queues.json`.
+ */
+export function loadQueuesConfig(configFile: string): PrefetchQueuesConfig {
+  const raw = JSON.parse(fs.readFileSync(configFile, 'utf-8'));
+  return validateQueuesConfig(raw);
+}
+
+export function validateQueuesConfig(raw: any): PrefetchQueuesConfig {
+  const { maxConcurrent, queues } = raw ?? {};
+  if (maxConcurrent !== undefined && !isPositiveInteger(maxConcurrent)) {
+    throw new Error(`The maxConcurrent of prefetch queues must be a positive integer.`);
+  }
+  if (!Array.isArray(queues)) {
+    throw new Error(`The queues of prefetch must be an array.`);
+  }
+
+  const names = new Set<string>();
+  const validated = queues.map((queue: any): PrefetchQueue => {
+    const { name, concurrent, timeout, priority = 0, rateLimit } = queue ?? {};
+    if (typeof name !== 'string' || name === '') {
+      throw new Error(`The name of prefetch queue must be a non-empty string.`);
+    }
+    if (names.has(name)) {
+      throw new Error(`Prefetch queue <${name}> is declared more than once.`);
+    }
+    names.add(name);
+    if (!isPositiveInteger(concurrent)) {
+      throw new Error(`The concurrent of prefetch queue <${name}> must be a positive integer.`);
+    }
+    if (!isPositiveInteger(timeout)) {
+      throw new Error(`The timeout of prefetch queue <${name}> must be a positive integer.`);
+    }
+    if (typeof priority !== 'number') {
+      throw new Error(`The priority of prefetch queue <${name}> must be a number.`);
+    }
+    if (rateLimit !== undefined && (!isPositiveInteger(rateLimit?.limit) || !isPositiveInteger(rateLimit?.interval))) {
+      throw new Error(`The rateLimit of prefetch queue <${name}> must have positive integer limit and interval.`);
+    }
+    return { name, concurrent, timeout, priority, rateLimit };
+  });
+
+  if (!names.has(DEFAULT_QUEUE_NAME)) {
+    throw new Error(`The default prefetch queue <${DEFAULT_QUEUE_NAME}> must be declared.`);
+  }
+
+  return { maxConcurrent, queues: validated };
+}
+
+/**
+ * Watch the queue config file and call back with the new config, the invalid changes are logged and
+ * ignored so that the running queues keep working.
+ */
+export function watchQueuesConfig(
+  logger: pino.Logger,
+  configFile: string,
+  onChange: (config: PrefetchQueuesConfig) => void
+): () => void {
+  // Notice: Poll the file instead of `fs.watch()`, which misses the changes of files replaced by
+  // rename (e.g. the mounted ConfigMap of Kubernetes).
+  const listener = (curr: fs.Stats, prev: fs.Stats) => {
+    if (curr.mtimeMs === prev.mtimeMs) {
+      return;
+    }
+    try {
+      const config = loadQueuesConfig(configFile);
+      logger.info(`🔄 Reloaded the config of %d prefetch queues.`, config.queues.length);
+      onChange(config);
+    } catch (err) {
+      logger.error(err, `❌ Failed to reload the config of prefetch queues, keep using the previous one.`);
+    }
+  };
+  fs.watchFile(configFile, { interval: 5000 }, listener);
+  return () => fs.unwatchFile(configFile, listener);
+}
+
+function isPositiveInteger(value: any): value is number {
+  return Number.isInteger(value) && value > 0;
+}
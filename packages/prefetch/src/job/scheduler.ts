@@ -1,67 +1,105 @@
 import async, {QueueObject} from "async";
+import {DateTime} from "luxon";
 import pino from "pino";
 import {prefetchQueryCounter, queueWaitsGauge} from "../metrics";
 import {JobExecutor} from "./executor";
 import {PrefetchJob} from "./generator";
+import {PrioritySemaphore, SlidingWindowRateLimiter} from "./limiter";
+import {DEFAULT_QUEUE_NAME, PrefetchQueue, PrefetchQueuesConfig} from "./queues";
+import {getJobKey} from "./state";
 
-export interface PrefetchQueue {
-    name: string;
-    // The concurrent of the queue.
-    concurrent: number;
-    // Timeout in milliseconds.
-    timeout: number;
+export interface QueuedJob {
+    job: PrefetchJob;
+    queuedAt: DateTime;
+    // The time when the job starts running, null if it is still waiting.
+    startedAt: DateTime | null;
 }
 
-export const DEFAULT_QUEUE_NAME = 'MAIN';
-
-export const QueueRegister: PrefetchQueue[] = [
-    {
-        name: "MAIN",
-        concurrent: 2,
-        timeout: 240_000
-    },
-    {
-        name: "CONCURRENT",
-        concurrent: 3,
-        timeout: 60_000
-    },
-    {
-        name: "REALTIME",
-        concurrent: 2,
-        timeout: 10_000
-    },
-    {
-        name: "EVENTS_TOTAL",
-        concurrent: 2,
-        timeout: 180_000
-    }
-]
+export interface PrefetchQueueStatus extends PrefetchQueue {
+    paused: boolean;
+    waiting: number;
+    running: number;
+}
+
+interface QueueEntry {
+    config: PrefetchQueue;
+    queue: QueueObject<QueuedJob>;
+    rateLimiter: SlidingWindowRateLimiter | null;
+    // The jobs waiting or running in the queue, keyed by job key.
+    jobs: Map<string, QueuedJob>;
+}
 
 export class JobScheduler {
-    private queueMap: Map<string, QueueObject<PrefetchJob>>;
+    private queueMap: Map<string, QueueEntry>;
+    private readonly semaphore: PrioritySemaphore;
+    private readonly warnedQueueNames: Set<string> = new Set();
 
     constructor(
         private readonly logger: pino.Logger,
         readonly jobExecutor: JobExecutor,
+        config: PrefetchQueuesConfig,
     ) {
         this.queueMap = new Map();
-        for(const { name, concurrent, timeout } of QueueRegister) {
-            this.queueMap.set(name, async.queue(async (job) => await jobExecutor.execute(job, timeout), concurrent));
+        this.semaphore = new PrioritySemaphore();
+        this.reload(config);
+    }
+
+    /**
+     * Apply the queue config on the fly:
+     *
+     * - The new queues are created.
+     * - The concurrent, timeout, priority and rate limit of the existing queues are updated.
+     * - The removed queues stop accepting jobs, and the jobs already in them are still processed.
+     */
+    reload(config: PrefetchQueuesConfig) {
+        this.semaphore.setMax(config.maxConcurrent);
+
+        const names = new Set(config.queues.map((queue) => queue.name));
+        for (const name of this.queueMap.keys()) {
+            if (!names.has(name)) {
+                this.logger.warn(`Prefetch queue <%s> has been removed from the config.`, name);
+                this.queueMap.delete(name);
+            }
+        }
+
+        for (const queueConfig of config.queues) {
+            const entry = this.queueMap.get(queueConfig.name);
+            if (entry) {
+                entry.config = queueConfig;
+                entry.queue.concurrency = queueConfig.concurrent;
+                entry.rateLimiter = this.resolveRateLimiter(queueConfig, entry.rateLimiter);
+            } else {
+                this.queueMap.set(queueConfig.name, this.createQueue(queueConfig));
+            }
         }
     }
 
     async scheduleJob(job: PrefetchJob):Promise<boolean> {
         let { queryName, refreshQueue } = job;
-        const queue = this.queueMap.get(refreshQueue);
-        if (!queue) {
+        let entry = this.queueMap.get(refreshQueue);
+        if (!entry) {
+            if (!this.warnedQueueNames.has(refreshQueue)) {
+                this.warnedQueueNames.add(refreshQueue);
+                this.logger.warn(`⚠️ Prefetch queue <%s> is not declared, fallback to queue <%s>.`, refreshQueue, DEFAULT_QUEUE_NAME);
+            }
+            refreshQueue = DEFAULT_QUEUE_NAME;
+            entry = this.queueMap.get(refreshQueue)!;
+        }
+
+        const { queue, jobs } = entry;
+        const jobKey = getJobKey(job);
+        if (jobs.has(jobKey)) {
+            this.logger.info(`⏭️ Query <%s> is already in queue <%s>, skip pushing.`, queryName, refreshQueue);
             return false;
         }
 
         this.logger.info({ job }, `🚶‍ Pushing query <%s> into queue <%s> (wait: %d).`, queryName, refreshQueue, queue.length());
+        const queued: QueuedJob = { job, queuedAt: DateTime.utc(), startedAt: null };
+        jobs.set(jobKey, queued);
         queueWaitsGauge.set({ queue: refreshQueue }, queue.length());
         prefetchQueryCounter.inc({ query: queryName, phase: 'queued' });
 
-        queue.push(job, (error: any)=> {
+        queue.push(queued, (error: any)=> {
             if (error) {
                 this.logger.error(error, '❌ Failed to execute job for query <%s> in queue <%s>.', queryName, refreshQueue);
             }
@@ -71,4 +109,105 @@ export class JobScheduler {
         return true;
     }
 
+    listQueues(): PrefetchQueueStatus[] {
+        return Array.from(this.queueMap.values(), ({ config, queue, jobs }) => {
+            const running = Array.from(jobs.values()).filter((job) => job.startedAt !== null).length;
+            return {
+                ...config,
+                paused: queue.paused,
+                waiting: jobs.size - running,
+                running,
+            };
+        });
+    }
+
+    listJobs(queueName: string): { waiting: QueuedJob[], running: QueuedJob[] } {
+        const jobs = Array.from(this.getQueueEntry(queueName).jobs.values());
+        return {
+            waiting: jobs.filter((job) => job.startedAt === null),
+            running: jobs.filter((job) => job.startedAt !== null),
+        };
+    }
+
+    pauseQueue(queueName: string) {
+        this.getQueueEntry(queueName).queue.pause();
+        this.logger.info(`⏸️ Paused prefetch queue <%s>.`, queueName);
+    }
+
+    resumeQueue(queueName: string) {
+        this.getQueueEntry(queueName).queue.resume();
+        this.logger.info(`▶️ Resumed prefetch queue <%s>.`, queueName);
+    }
+
+    /**
+     * Remove the waiting jobs from the queue, the running jobs are not interrupted.
+     *
+     * @return The number of removed jobs.
+     */
+    drainQueue(queueName: string): number {
+        const { queue, jobs } = this.getQueueEntry(queueName);
+        let removed = 0;
+        for (const [jobKey, job] of jobs) {
+            if (job.startedAt === null) {
+                jobs.delete(jobKey);
+                removed++;
+            }
+        }
+        queue.remove(() => true);
+        queueWaitsGauge.set({ queue: queueName }, queue.length());
+        this.logger.info(`🚮 Drained %d waiting jobs from prefetch queue <%s>.`, removed, queueName);
+        return removed;
+    }
+
+    hasQueue(queueName: string): boolean {
+        return this.queueMap.has(queueName);
+    }
+
+    private getQueueEntry(queueName: string): QueueEntry {
+        const entry = this.queueMap.get(queueName);
+        if (!entry) {
+            throw new Error(`Prefetch queue <${queueName}> not found.`);
+        }
+        return entry;
+    }
+
+    private createQueue(queueConfig: PrefetchQueue): QueueEntry {
+        const entry: QueueEntry = {
+            config: queueConfig,
+            rateLimiter: this.resolveRateLimiter(queueConfig, null),
+            jobs: new Map(),
+            queue: async.queue(async (queued) => {
+                const jobKey = getJobKey(queued.job);
+                await entry.rateLimiter?.acquire();
+                await this.semaphore.acquire(entry.config.priority);
+                try {
+                    // The job has been drained while waiting for the limiters.
+                    if (entry.jobs.get(jobKey) !== queued) {
+                        return;
+                    }
+                    queued.startedAt = DateTime.utc();
+                    await this.jobExecutor.execute(queued.job, entry.config.timeout);
+                } finally {
+                    if (entry.jobs.get(jobKey) === queued) {
+                        entry.jobs.delete(jobKey);
+                    }
+                    this.semaphore.release();
+                }
+            }, queueConfig.concurrent),
+        };
+        return entry;
+    }
+
+    private resolveRateLimiter(queueConfig: PrefetchQueue, current: SlidingWindowRateLimiter | null): SlidingWindowRateLimiter | null {
+        const { rateLimit } = queueConfig;
+        if (!rateLimit) {
+            return null;
+        }
+        if (current) {
+            current.setLimit(rateLimit.limit, rateLimit.interval);
+            return current;
+        }
+        return new SlidingWindowRateLimiter(rateLimit.limit, rateLimit.interval);
+    }
+
 }
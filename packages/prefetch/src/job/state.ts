@@ -0,0 +1,223 @@
+import {createHash} from "crypto";
+import {DateTime} from "luxon";
+import {Pool} from "mysql2/promise";
+import pino from "pino";
+import {getPrevFireTime} from "../utils/cron";
+import {PrefetchJob} from "./generator";
+
+export const PREFETCH_JOBS_TABLE = 'sys_prefetch_jobs';
+
+const SAVE_BATCH_SIZE = 500;
+
+export enum PrefetchJobStatus {
+  PENDING = 'PENDING',
+  RUNNING = 'RUNNING',
+  SUCCEED = 'SUCCEED',
+  FAILED = 'FAILED',
+  SKIPPED = 'SKIPPED',
+}
+
+export interface PrefetchJobState {
+  jobKey: string;
+  queryName: string;
+  params: Record<string, any>;
+  refreshQueue: string;
+  refreshCron: string;
+  status: PrefetchJobStatus;
+  lastRunAt: DateTime | null;
+  lastSuccessAt: DateTime | null;
+  // The duration of the last run in seconds.
+  lastDuration: number | null;
+  lastError: string | null;
+}
+
+/**
+ * The key of prefetch job, which is composed of the query name and the params sorted by name.
+ */
+export function getJobKey(job: Pick<PrefetchJob, 'queryName' | 'params'>): string {
+  const params = Object.keys(job.params).sort().map((key) => [key, job.params[key]]);
+  return createHash('sha1').update(JSON.stringify([job.queryName, params])).digest('hex');
+}
+
+/**
+ * Persist the state of prefetch jobs in TiDB, so that the prefetch program can tell whether a job has
+ * missed its schedule after a restart.
+ *
+ * The states are loaded into memory on startup and written through on every change, the failure of
+ * writing is logged and ignored because the state is only an optimization of scheduling.
+ */
+export class PrefetchJobStateStore {
+  private readonly states: Map<string, PrefetchJobState> = new Map();
+
+  constructor(
+    private readonly logger: pino.Logger,
+    private readonly pool: Pool,
+  ) {}
+
+  async load() {
+    await this.pool.query(`
+      CREATE TABLE IF NOT EXISTS ${PREFETCH_JOBS_TABLE} (
+        job_key CHAR(40) NOT NULL,
+        query_name VARCHAR(255) NOT NULL,
+        params JSON NOT NULL,
+        refresh_queue VARCHAR(64) NOT NULL,
+        refresh_cron VARCHAR(64) NOT NULL,
+        status VARCHAR(16) NOT NULL,
+        last_run_at DATETIME(3) NULL,
+        last_success_at DATETIME(3) NULL,
+        last_duration DOUBLE NULL,
+        last_error TEXT NULL,
+        updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (job_key),
+        KEY idx_spj_on_query_name (query_name)
+      )
+    `);
+
+    const [rows] = await this.pool.query<any[]>(`SELECT * FROM ${PREFETCH_JOBS_TABLE}`);
+    this.states.clear();
+    for (const row of rows) {
+      const state = toPrefetchJobState(row);
+      this.states.set(state.jobKey, state);
+    }
+    this.logger.info(`📦 Loaded the states of %d prefetch jobs.`, this.states.size);
+  }
+
+  get(job: PrefetchJob): PrefetchJobState | undefined {
+    return this.states.get(getJobKey(job));
+  }
+
+  /**
+   * Check if the job has not succeeded since its latest fire time, or it was interrupted while running.
+   */
+  isOverdue(job: PrefetchJob, now: DateTime = DateTime.utc()): boolean {
+    const state = this.get(job);
+    if (!state?.lastSuccessAt || state.status === PrefetchJobStatus.RUNNING) {
+      return true;
+    }
+    return state.lastSuccessAt < getPrevFireTime(job.refreshCron, now);
+  }
+
+  /**
+   * Record the jobs generated from the query definitions, the queue and cron of the existing jobs
+   * are updated and their run history is kept.
+   */
+  async register(jobs: PrefetchJob[]) {
+    const states = jobs.map((job): PrefetchJobState => {
+      const state: PrefetchJobState = this.get(job) ?? {
+        jobKey: getJobKey(job),
+        queryName: job.queryName,
+        params: job.params,
+        refreshQueue: job.refreshQueue,
+        refreshCron: job.refreshCron,
+        status: PrefetchJobStatus.PENDING,
+        lastRunAt: null,
+        lastSuccessAt: null,
+        lastDuration: null,
+        lastError: null,
+      };
+      return { ...state, refreshQueue: job.refreshQueue, refreshCron: job.refreshCron };
+    });
+
+    for (let i = 0; i < states.length; i += SAVE_BATCH_SIZE) {
+      await this.save(states.slice(i, i + SAVE_BATCH_SIZE));
+    }
+  }
+
+  async markRunning(job: PrefetchJob, startAt: DateTime) {
+    await this.update(job, {
+      status: PrefetchJobStatus.RUNNING,
+      lastRunAt: startAt,
+    });
+  }
+
+  async markSucceed(job: PrefetchJob, endAt: DateTime, duration: number) {
+    await this.update(job, {
+      status: PrefetchJobStatus.SUCCEED,
+      lastSuccessAt: endAt,
+      lastDuration: duration,
+      lastError: null,
+    });
+  }
+
+  async markFailed(job: PrefetchJob, duration: number, err: any) {
+    await this.update(job, {
+      status: PrefetchJobStatus.FAILED,
+      lastDuration: duration,
+      lastError: String(err?.message ?? err),
+    });
+  }
+
+  async markSkipped(job: PrefetchJob) {
+    await this.update(job, {
+      status: PrefetchJobStatus.SKIPPED,
+    });
+  }
+
+  private async update(job: PrefetchJob, changes: Partial<PrefetchJobState>) {
+    const state = this.get(job);
+    if (!state) {
+      this.logger.warn(`Prefetch job <%s> has not been registered, skip updating its state.`, job.queryName);
+      return;
+    }
+    await this.save([{ ...state, ...changes }]);
+  }
+
+  private async save(states: PrefetchJobState[]) {
+    if (states.length === 0) {
+      return;
+    }
+
+    for (const state of states) {
+      this.states.set(state.jobKey, state);
+    }
+    try {
+      await this.pool.query(`
+        INSERT INTO ${PREFETCH_JOBS_TABLE} (
+          job_key, query_name, params, refresh_queue, refresh_cron, status,
+          last_run_at, last_success_at, last_duration, last_error
+        ) VALUES ?
+        ON DUPLICATE KEY UPDATE
+          refresh_queue = VALUES(refresh_queue),
+          refresh_cron = VALUES(refresh_cron),
+          status = VALUES(status),
+          last_run_at = VALUES(last_run_at),
+          last_success_at = VALUES(last_success_at),
+          last_duration = VALUES(last_duration),
+          last_error = VALUES(last_error)
+      `, [states.map((state) => [
+        state.jobKey,
+        state.queryName,
+        JSON.stringify(state.params),
+        state.refreshQueue,
+        state.refreshCron,
+        state.status,
+        state.lastRunAt?.toJSDate() ?? null,
+        state.lastSuccessAt?.toJSDate() ?? null,
+        state.lastDuration,
+        state.lastError,
+      ])]);
+    } catch (err) {
+      this.logger.warn(err, `Failed to save the states of %d prefetch jobs.`, states.length);
+    }
+  }
+
+}
+
+function toPrefetchJobState(row: any): PrefetchJobState {
+  return {
+    jobKey: row.job_key,
+    queryName: row.query_name,
+    params: typeof row.params === 'string' ? JSON.parse(row.params) : row.params,
+    refreshQueue: row.refresh_queue,
+    refreshCron: row.refresh_cron,
+    status: row.status,
+    lastRunAt: toDateTime(row.last_run_at),
+    lastSuccessAt: toDateTime(row.last_success_at),
+    lastDuration: row.last_duration,
+    lastError: row.last_error,
+  };
+}
+
+function toDateTime(value: Date | null): DateTime | null {
+  return value ? DateTime.fromJSDate(value).toUTC() : null;
+}
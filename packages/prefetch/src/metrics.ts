@@ -19,4 +19,10 @@ export const prefetchQueryHistogram = new Histogram({
   help: 'The duration of query prefetching.',
   labelNames: ['query', 'queue'] as const,
   buckets: exponentialBuckets(0.0005, 2, 23),  // 0.5ms ~ 1.16 hours
-});
\ No newline at end of file
+});
+
+export const adaptiveJobsGauge = new Gauge({
+  name: `${metricsPrefix}adaptive_jobs`,
+  help: 'The number of prefetch jobs scheduled according to the query request stats.',
+  labelNames: ['query'] as const,
+});
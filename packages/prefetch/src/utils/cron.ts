@@ -0,0 +1,30 @@
+import {parseExpression} from "cron-parser";
+import {DateTime} from "luxon";
+
+// Prefetch cron expressions are based on UTC time.
+const CRON_TIMEZONE = 'UTC';
+
+/**
+ * Get the latest fire time of the cron expression at or before the given time.
+ */
+export function getPrevFireTime(cron: string, now: DateTime = DateTime.utc()): DateTime {
+  const expression = parseExpression(cron, {
+    // Notice: Plus one millisecond so that the fire time equals to `now` is included.
+    currentDate: now.plus({ milliseconds: 1 }).toJSDate(),
+    tz: CRON_TIMEZONE,
+  });
+  return DateTime.fromJSDate(expression.prev().toDate()).toUTC();
+}
+
+/**
+ * Get the interval (in milliseconds) between the latest fire time and the next fire time of the cron
+ * expression, the interval of irregular cron expressions (e.g. monthly) varies over time.
+ */
+export function getCronInterval(cron: string, now: DateTime = DateTime.utc()): number {
+  const prev = getPrevFireTime(cron, now);
+  const expression = parseExpression(cron, {
+    currentDate: prev.toJSDate(),
+    tz: CRON_TIMEZONE,
+  });
+  return expression.next().getTime() - prev.toMillis();
+}
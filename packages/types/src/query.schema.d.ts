@@ -27,13 +27,17 @@ export interface QuerySchema {
    */
   description?: string;
   /**
-   * Specify how to implement caching, NORMAL_TABLE are used by default.
+   * Specify how to implement caching, NORMAL_TABLE are used by default. TIERED reads from memory, Redis and normal table in order, and writes back through each tier.
    */
-  cacheProvider?: "NORMAL_TABLE" | "CACHED_TABLE";
+  cacheProvider?: "NORMAL_TABLE" | "CACHED_TABLE" | "REDIS" | "MEMORY" | "TIERED";
   /**
    * Cache time in hours, -1 indicates that the query cache will not expire.
    */
   cacheHours: number;
+  /**
+   * The time window in hours after the cache expired, during which the stale cached result will be returned immediately while it is refreshed in background.
+   */
+  staleWhileRevalidateHours?: number;
   /**
    * Specify which queue is used to execute prefetch job. The default is MAIN.
    */
@@ -42,6 +46,10 @@ export interface QuerySchema {
    * The CRON expressions that control when the refresh cache task is executed.
    */
   refreshCron?: string | ConditionalRefreshCrons;
+  /**
+   * The max number of rows in one page when the query result is paginated with `page_size` and `cursor` (or `offset`), the result is always paginated if it is set, and only the first page is returned without pagination params.
+   */
+  maxPageSize?: number;
   /**
    * Only return data from the cache.
    */
@@ -93,9 +101,9 @@ export interface Params {
    */
   dateRangeTo?: "now" | "last-valid-datetime";
   /**
-   * Define substring in the query sql template. Replacing uses `String.replaceAll`, please make sure the replacing substring is not substring of other texts.
+   * Define substring in the query sql template. Replacing uses `String.replaceAll`, please make sure the replacing substring is not substring of other texts. Required by the legacy engine.
    */
-  replaces: string;
+  replaces?: string;
   /**
    * Replacing templates, mapped by search value
    */
@@ -105,11 +113,11 @@ export interface Params {
   /**
    * Default input value.
    */
-  default?: string | number;
+  default?: string | number | boolean | (string | number | boolean)[];
   /**
    * Enums for prefetching and validating, default is no prefetching and validating.
    */
-  enums?: string | string[];
+  enums?: string | (string | number)[];
   /**
    * Regular expression for validating parameter value.
    */